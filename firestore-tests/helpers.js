@@ -0,0 +1,118 @@
+/**
+ * Firestore security rules test helpers
+ *
+ * The rules tests use Node's test runner against the Firestore emulator
+ * configured in firebase.json, started for them by `npm run test:rules`. Each
+ * test seeds its documents with the rules disabled, then writes as a signed-in
+ * user the way the app's services do inside their transactions.
+ */
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+const { doc, setDoc, serverTimestamp, Timestamp } = require('firebase/firestore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function setUpTestEnvironment() {
+  return initializeTestEnvironment({
+    projectId: 'demo-secure-game-arena',
+    firestore: {
+      rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8')
+    }
+  });
+}
+
+/**
+ * Writes documents, keyed by their path, bypassing the rules
+ */
+async function seed(testEnv, documents) {
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    for (const [documentPath, data] of Object.entries(documents)) {
+      await setDoc(doc(context.firestore(), documentPath), data);
+    }
+  });
+}
+
+/**
+ * Gets a Firestore instance signed in as the user
+ */
+function signedInAs(testEnv, userId) {
+  return testEnv.authenticatedContext(userId, { email: `${userId}@example.com` }).firestore();
+}
+
+/**
+ * A user whose wallet ledger is open
+ */
+function userData(userId, fields = {}) {
+  return {
+    email: `${userId}@example.com`,
+    role: 'user',
+    walletBalance: 0,
+    joinedTournaments: [],
+    ledgerOpenedAt: Timestamp.fromMillis(Date.now() - DAY_MS),
+    ...fields
+  };
+}
+
+/**
+ * A user whose balance predates the wallet ledger
+ */
+function legacyUserData(userId, fields = {}) {
+  const { ledgerOpenedAt, ...user } = userData(userId, fields);
+  return user;
+}
+
+/**
+ * Adds a ledger entry and the balance change it explains to a batch, like
+ * WalletService.recordEntry
+ * @param {Object} user - The user ({ id, walletBalance }) before the entry
+ * @returns {number} - The balance after the entry
+ */
+function addLedgerEntry(batch, db, user, entryId, entry) {
+  const balanceAfter = user.walletBalance + entry.amount;
+
+  batch.set(doc(db, 'transactions', entryId), {
+    userId: user.id,
+    balanceBefore: user.walletBalance,
+    balanceAfter,
+    referenceType: null,
+    referenceId: null,
+    actor: user.id,
+    description: '',
+    createdAt: serverTimestamp(),
+    ...entry
+  });
+  batch.update(doc(db, 'users', user.id), {
+    walletBalance: balanceAfter,
+    lastTransactionId: entryId
+  });
+
+  return balanceAfter;
+}
+
+/**
+ * An upcoming solo tournament starting in a week
+ */
+function tournamentData(fields = {}) {
+  return {
+    gameName: 'Arena Clash',
+    entryFee: 50,
+    maxParticipants: 10,
+    status: 'upcoming',
+    startAt: Timestamp.fromMillis(Date.now() + 7 * DAY_MS),
+    timezone: 'Asia/Kolkata',
+    participants: [],
+    ...fields
+  };
+}
+
+module.exports = {
+  DAY_MS,
+  setUpTestEnvironment,
+  seed,
+  signedInAs,
+  userData,
+  legacyUserData,
+  addLedgerEntry,
+  tournamentData
+};
@@ -0,0 +1,94 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { doc, writeBatch, serverTimestamp } = require('firebase/firestore');
+const { setUpTestEnvironment, seed, signedInAs, userData } = require('./helpers');
+
+let testEnv;
+
+before(async () => {
+  testEnv = await setUpTestEnvironment();
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seed(testEnv, {
+    'users/alice': userData('alice'),
+    'promoCodes/FREEPLAY': {
+      type: 'free_entry',
+      active: true,
+      expiresAt: null,
+      usageLimit: 0,
+      perUserLimit: 0,
+      usageCount: 3,
+      usageByUser: { alice: 1, bob: 2 }
+    }
+  });
+});
+
+const redemption = (fields = {}) => ({
+  code: 'FREEPLAY',
+  type: 'free_entry',
+  userId: 'alice',
+  userEmail: 'alice@example.com',
+  amount: 50,
+  referenceType: 'tournament',
+  referenceId: 't1',
+  createdAt: serverTimestamp(),
+  ...fields
+});
+
+const countUse = (batch, db) => batch.update(doc(db, 'promoCodes', 'FREEPLAY'), {
+  usageCount: 4,
+  'usageByUser.alice': 2
+});
+
+describe('promo code redemptions', () => {
+  test('a use is counted together with its redemption record', async () => {
+    const db = signedInAs(testEnv, 'alice');
+    const batch = writeBatch(db);
+    countUse(batch, db);
+    batch.set(doc(db, 'promoRedemptions', 'FREEPLAY_alice_2'), redemption());
+
+    await assertSucceeds(batch.commit());
+  });
+
+  test('a use cannot be counted without its record', async () => {
+    const db = signedInAs(testEnv, 'alice');
+    const batch = writeBatch(db);
+    countUse(batch, db);
+
+    await assertFails(batch.commit());
+  });
+
+  test('the record has the ID of the use it records', async () => {
+    const db = signedInAs(testEnv, 'alice');
+    const batch = writeBatch(db);
+    countUse(batch, db);
+    batch.set(doc(db, 'promoRedemptions', 'FREEPLAY_alice_7'), redemption());
+
+    await assertFails(batch.commit());
+  });
+
+  test('a user cannot record a redemption for someone else', async () => {
+    await seed(testEnv, { 'users/bob': userData('bob') });
+
+    const db = signedInAs(testEnv, 'alice');
+    const batch = writeBatch(db);
+    countUse(batch, db);
+    batch.set(doc(db, 'promoRedemptions', 'FREEPLAY_alice_2'), redemption({ userId: 'bob' }));
+
+    await assertFails(batch.commit());
+  });
+
+  test('a record cannot be written without counting the use', async () => {
+    const db = signedInAs(testEnv, 'alice');
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'promoRedemptions', 'FREEPLAY_alice_1'), redemption());
+
+    await assertFails(batch.commit());
+  });
+});
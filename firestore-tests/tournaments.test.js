@@ -0,0 +1,214 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { doc, writeBatch, arrayUnion, serverTimestamp, Timestamp } = require('firebase/firestore');
+const {
+  setUpTestEnvironment,
+  seed,
+  signedInAs,
+  userData,
+  addLedgerEntry,
+  tournamentData
+} = require('./helpers');
+
+let testEnv;
+
+before(async () => {
+  testEnv = await setUpTestEnvironment();
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+const bobEntry = { userId: 'bob', email: 'bob@example.com', username: 'Bobby', entryFeePaid: 50, joinedAt: '2026-10-01T10:00:00.000Z' };
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seed(testEnv, {
+    'users/alice': userData('alice', { walletBalance: 100 }),
+    'users/bob': userData('bob', { walletBalance: 100 }),
+    'tournaments/t1': tournamentData({ participants: [bobEntry], participantIds: ['bob'], usernames: ['bobby'] }),
+    'promoCodes/FREEPLAY': {
+      type: 'free_entry',
+      active: true,
+      expiresAt: null,
+      tournamentId: 't1',
+      gameType: null,
+      usageLimit: 0,
+      perUserLimit: 1,
+      usageCount: 0,
+      usageByUser: {}
+    }
+  });
+});
+
+/**
+ * Joins t1 like TournamentService.joinTournament
+ */
+function join(db, { userId = 'alice', username = 'Ace', entryFeePaid = 50, amount = -entryFeePaid, promoCode = null, redeem = Boolean(promoCode), pay = true } = {}) {
+  const batch = writeBatch(db);
+
+  if (pay) {
+    addLedgerEntry(batch, db, { id: 'alice', walletBalance: 100 }, 'entry1', {
+      type: 'tournament_entry',
+      amount,
+      referenceType: 'tournament',
+      referenceId: 't1'
+    });
+  }
+  if (redeem) {
+    batch.update(doc(db, 'promoCodes', promoCode), { usageCount: 1, 'usageByUser.alice': 1 });
+    batch.set(doc(db, 'promoRedemptions', `${promoCode}_alice_1`), {
+      code: promoCode,
+      type: 'free_entry',
+      userId: 'alice',
+      userEmail: 'alice@example.com',
+      amount: 50,
+      referenceType: 'tournament',
+      referenceId: 't1',
+      createdAt: serverTimestamp()
+    });
+  }
+
+  batch.update(doc(db, 'tournaments', 't1'), {
+    participants: arrayUnion({
+      userId,
+      email: `${userId}@example.com`,
+      username,
+      entryFeePaid,
+      ...(promoCode && { promoCode }),
+      joinedAt: new Date().toISOString()
+    }),
+    participantIds: arrayUnion(userId),
+    usernames: arrayUnion(username.toLowerCase())
+  });
+
+  return batch.commit();
+}
+
+describe('joining a solo tournament', () => {
+  test('a player joins by paying the entry fee in the same write', async () => {
+    await assertSucceeds(join(signedInAs(testEnv, 'alice')));
+  });
+
+  test('the entry has to be the caller\'s own', async () => {
+    await seed(testEnv, { 'users/carol': userData('carol') });
+    await assertFails(join(signedInAs(testEnv, 'alice'), { userId: 'carol' }));
+  });
+
+  test('joining without paying is rejected', async () => {
+    await assertFails(join(signedInAs(testEnv, 'alice'), { pay: false }));
+  });
+
+  test('the entry cannot record more than the fee paid', async () => {
+    await assertFails(join(signedInAs(testEnv, 'alice'), { entryFeePaid: 500, amount: -50 }));
+  });
+
+  test('the entry fee cannot be less than the tournament\'s', async () => {
+    await assertFails(join(signedInAs(testEnv, 'alice'), { entryFeePaid: 0 }));
+  });
+
+  test('a free entry promo code redeemed in the same write waives the fee', async () => {
+    await assertSucceeds(join(signedInAs(testEnv, 'alice'), { entryFeePaid: 0, promoCode: 'FREEPLAY' }));
+  });
+
+  test('a free entry needs the promo code redeemed in the same write', async () => {
+    await assertFails(join(signedInAs(testEnv, 'alice'), { entryFeePaid: 0, promoCode: 'FREEPLAY', redeem: false }));
+  });
+
+  test('a player cannot join twice', async () => {
+    await seed(testEnv, {
+      'tournaments/t1': tournamentData({
+        participants: [bobEntry, { ...bobEntry, userId: 'alice', username: 'Ace' }],
+        participantIds: ['bob', 'alice'],
+        usernames: ['bobby', 'ace']
+      })
+    });
+
+    await assertFails(join(signedInAs(testEnv, 'alice'), { username: 'Ace Again' }));
+  });
+
+  test('a username can only be taken once, whatever its case', async () => {
+    await assertFails(join(signedInAs(testEnv, 'alice'), { username: 'BOBBY' }));
+  });
+});
+
+describe('leaving a tournament', () => {
+  const aliceEntry = { userId: 'alice', email: 'alice@example.com', username: 'Ace', entryFeePaid: 50, joinedAt: '2026-10-02T10:00:00.000Z' };
+  const startingIn = minutes => Timestamp.fromMillis(Date.now() + minutes * 60 * 1000);
+
+  const seedJoined = (fields = {}) => seed(testEnv, {
+    'users/alice': userData('alice', { walletBalance: 50 }),
+    'tournaments/t1': tournamentData({
+      participants: [bobEntry, aliceEntry],
+      participantIds: ['bob', 'alice'],
+      usernames: ['bobby', 'ace'],
+      ...fields
+    })
+  });
+
+  /**
+   * Leaves t1 with a refund like TournamentService.leaveTournament
+   */
+  function leave(db, { amount = 50, participantIds = ['bob'], removeEntry = true } = {}) {
+    const batch = writeBatch(db);
+
+    if (removeEntry) {
+      batch.update(doc(db, 'tournaments', 't1'), { participants: [bobEntry], participantIds, usernames: ['bobby'] });
+    }
+    const newBalance = addLedgerEntry(batch, db, { id: 'alice', walletBalance: 50 }, 'refund1', {
+      type: 'tournament_refund',
+      amount,
+      referenceType: 'tournament',
+      referenceId: 't1'
+    });
+    batch.set(doc(db, 'refunds', 'r1'), {
+      userId: 'alice',
+      userEmail: 'alice@example.com',
+      tournamentId: 't1',
+      gameName: 'Arena Clash',
+      amount,
+      reason: 'Left the tournament',
+      type: 'left_tournament',
+      previousBalance: 50,
+      newBalance,
+      processedBy: 'alice',
+      timestamp: serverTimestamp()
+    });
+
+    return batch.commit();
+  }
+
+  test('a player who leaves before the cutoff gets their entry fee back', async () => {
+    await seedJoined();
+    await assertSucceeds(leave(signedInAs(testEnv, 'alice')));
+  });
+
+  test('leaving closes an hour before the start unless the tournament sets its own cutoff', async () => {
+    await seedJoined({ startAt: startingIn(30) });
+    await assertFails(leave(signedInAs(testEnv, 'alice')));
+
+    await seedJoined({ startAt: startingIn(30), leaveCutoffMinutes: 10 });
+    await assertSucceeds(leave(signedInAs(testEnv, 'alice')));
+  });
+
+  test('the refund cannot be more than the fee the entry paid', async () => {
+    await seedJoined();
+    await assertFails(leave(signedInAs(testEnv, 'alice'), { amount: 80 }));
+  });
+
+  test('an entry joined with a free entry code is not refunded', async () => {
+    await seedJoined({ participants: [bobEntry, { ...aliceEntry, entryFeePaid: 0, promoCode: 'FREEPLAY' }] });
+    await assertFails(leave(signedInAs(testEnv, 'alice')));
+  });
+
+  test('a refund needs the player to leave in the same write', async () => {
+    await seedJoined();
+    await assertFails(leave(signedInAs(testEnv, 'alice'), { removeEntry: false }));
+  });
+
+  test('a player only takes themselves off the participant list', async () => {
+    await seedJoined();
+    await assertFails(leave(signedInAs(testEnv, 'alice'), { participantIds: ['alice'] }));
+  });
+});
@@ -0,0 +1,241 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { doc, updateDoc, writeBatch, serverTimestamp } = require('firebase/firestore');
+const {
+  setUpTestEnvironment,
+  seed,
+  signedInAs,
+  userData,
+  legacyUserData,
+  addLedgerEntry,
+  tournamentData
+} = require('./helpers');
+
+let testEnv;
+
+before(async () => {
+  testEnv = await setUpTestEnvironment();
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+describe('own ledger entries', () => {
+  const alice = { id: 'alice', walletBalance: 100 };
+
+  beforeEach(async () => {
+    await seed(testEnv, { 'users/alice': userData('alice', { walletBalance: 100 }) });
+  });
+
+  test('a user can pay an entry fee from their wallet', async () => {
+    const db = signedInAs(testEnv, 'alice');
+    const batch = writeBatch(db);
+    addLedgerEntry(batch, db, alice, 'entry1', { type: 'tournament_entry', amount: -50, referenceType: 'tournament', referenceId: 't1' });
+
+    await assertSucceeds(batch.commit());
+  });
+
+  test('an entry fee cannot credit the wallet', async () => {
+    const db = signedInAs(testEnv, 'alice');
+    const batch = writeBatch(db);
+    addLedgerEntry(batch, db, alice, 'entry1', { type: 'tournament_entry', amount: 50, referenceType: 'tournament', referenceId: 't1' });
+
+    await assertFails(batch.commit());
+  });
+
+  test('the balance has to be the one the entry records', async () => {
+    const db = signedInAs(testEnv, 'alice');
+    const batch = writeBatch(db);
+    addLedgerEntry(batch, db, alice, 'entry1', { type: 'tournament_entry', amount: -50, referenceType: 'tournament', referenceId: 't1' });
+    batch.update(doc(db, 'users', 'alice'), { walletBalance: 80 });
+
+    await assertFails(batch.commit());
+  });
+
+  test('the balance cannot change without an entry', async () => {
+    const db = signedInAs(testEnv, 'alice');
+    await assertFails(updateDoc(doc(db, 'users', 'alice'), { walletBalance: 1000 }));
+  });
+
+  test('a user cannot write entries for someone else', async () => {
+    await seed(testEnv, { 'users/bob': userData('bob', { walletBalance: 100 }) });
+
+    const db = signedInAs(testEnv, 'alice');
+    const batch = writeBatch(db);
+    addLedgerEntry(batch, db, { id: 'bob', walletBalance: 100 }, 'entry1', {
+      type: 'tournament_entry',
+      amount: -50,
+      actor: 'alice'
+    });
+
+    await assertFails(batch.commit());
+  });
+
+  test('a user cannot credit themselves an admin adjustment', async () => {
+    const db = signedInAs(testEnv, 'alice');
+    const batch = writeBatch(db);
+    addLedgerEntry(batch, db, alice, 'entry1', { type: 'admin_adjustment', amount: 500 });
+
+    await assertFails(batch.commit());
+  });
+});
+
+describe('withdrawal holds', () => {
+  const withdrawal = (fields = {}) => ({
+    userId: 'alice',
+    accountName: 'Alice',
+    accountNumber: '1234567890',
+    bankName: 'State Bank',
+    amount: 300,
+    holdAmount: 300,
+    status: 'pending',
+    ...fields
+  });
+
+  beforeEach(async () => {
+    await seed(testEnv, { 'users/alice': userData('alice', { walletBalance: 500 }) });
+  });
+
+  test('a withdrawal request holds its amount on the wallet', async () => {
+    const db = signedInAs(testEnv, 'alice');
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'withdrawalRequests', 'w1'), withdrawal());
+    batch.update(doc(db, 'users', 'alice'), { heldBalance: 300, lastWithdrawalRequestId: 'w1' });
+
+    await assertSucceeds(batch.commit());
+  });
+
+  test('the hold has to be the amount of the request', async () => {
+    const db = signedInAs(testEnv, 'alice');
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'withdrawalRequests', 'w1'), withdrawal());
+    batch.update(doc(db, 'users', 'alice'), { heldBalance: 100, lastWithdrawalRequestId: 'w1' });
+
+    await assertFails(batch.commit());
+  });
+
+  test('a user cannot hold more than their balance', async () => {
+    const db = signedInAs(testEnv, 'alice');
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'withdrawalRequests', 'w1'), withdrawal({ amount: 600, holdAmount: 600 }));
+    batch.update(doc(db, 'users', 'alice'), { heldBalance: 600, lastWithdrawalRequestId: 'w1' });
+
+    await assertFails(batch.commit());
+  });
+
+  test('a user cannot release their own hold', async () => {
+    await seed(testEnv, { 'users/alice': userData('alice', { walletBalance: 500, heldBalance: 300 }) });
+
+    const db = signedInAs(testEnv, 'alice');
+    await assertFails(updateDoc(doc(db, 'users', 'alice'), { heldBalance: 0 }));
+  });
+
+  test('held money cannot be spent', async () => {
+    await seed(testEnv, { 'users/alice': userData('alice', { walletBalance: 500, heldBalance: 480 }) });
+
+    const db = signedInAs(testEnv, 'alice');
+    const batch = writeBatch(db);
+    addLedgerEntry(batch, db, { id: 'alice', walletBalance: 500 }, 'entry1', { type: 'tournament_entry', amount: -50 });
+
+    await assertFails(batch.commit());
+  });
+});
+
+describe('opening balances', () => {
+  const openingBalance = (amount) => ({
+    userId: 'alice',
+    type: 'opening_balance',
+    amount,
+    balanceBefore: 0,
+    balanceAfter: amount,
+    referenceType: null,
+    referenceId: null,
+    actor: 'system',
+    description: 'Balance before the wallet ledger was introduced',
+    createdAt: serverTimestamp()
+  });
+
+  beforeEach(async () => {
+    await seed(testEnv, { 'users/alice': legacyUserData('alice', { walletBalance: 70 }) });
+  });
+
+  test('the first entry opens the ledger with the balance from before it', async () => {
+    const db = signedInAs(testEnv, 'alice');
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'transactions', 'opening'), openingBalance(70));
+    addLedgerEntry(batch, db, { id: 'alice', walletBalance: 70 }, 'entry1', { type: 'tournament_entry', amount: -50 });
+    batch.update(doc(db, 'users', 'alice'), { ledgerOpenedAt: serverTimestamp() });
+
+    await assertSucceeds(batch.commit());
+  });
+
+  test('the opening balance has to be the stored balance', async () => {
+    const db = signedInAs(testEnv, 'alice');
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'transactions', 'opening'), openingBalance(700));
+    addLedgerEntry(batch, db, { id: 'alice', walletBalance: 70 }, 'entry1', { type: 'tournament_entry', amount: -50 });
+    batch.update(doc(db, 'users', 'alice'), { ledgerOpenedAt: serverTimestamp() });
+
+    await assertFails(batch.commit());
+  });
+
+  test('a ledger is only opened once', async () => {
+    await seed(testEnv, { 'users/alice': userData('alice', { walletBalance: 70 }) });
+
+    const db = signedInAs(testEnv, 'alice');
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'transactions', 'opening'), openingBalance(70));
+    addLedgerEntry(batch, db, { id: 'alice', walletBalance: 70 }, 'entry1', { type: 'tournament_entry', amount: -50 });
+
+    await assertFails(batch.commit());
+  });
+});
+
+describe('leave refunds', () => {
+  const entry = { userId: 'alice', email: 'alice@example.com', username: 'Alice', entryFeePaid: 50, joinedAt: '2026-10-01T10:00:00.000Z' };
+
+  beforeEach(async () => {
+    await seed(testEnv, {
+      'users/alice': userData('alice', { walletBalance: 0 }),
+      'tournaments/t1': tournamentData({ participants: [entry] })
+    });
+  });
+
+  const leave = (db, amount) => {
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'tournaments', 't1'), { participants: [] });
+    addLedgerEntry(batch, db, { id: 'alice', walletBalance: 0 }, 'refund1', {
+      type: 'tournament_refund',
+      amount,
+      referenceType: 'tournament',
+      referenceId: 't1'
+    });
+    return batch.commit();
+  };
+
+  test('a player who leaves gets the fee they paid back', async () => {
+    await assertSucceeds(leave(signedInAs(testEnv, 'alice'), 50));
+  });
+
+  test('a refund cannot be more than the fee paid', async () => {
+    await assertFails(leave(signedInAs(testEnv, 'alice'), 80));
+  });
+
+  test('a refund needs the player to leave in the same write', async () => {
+    const db = signedInAs(testEnv, 'alice');
+    const batch = writeBatch(db);
+    addLedgerEntry(batch, db, { id: 'alice', walletBalance: 0 }, 'refund1', {
+      type: 'tournament_refund',
+      amount: 50,
+      referenceType: 'tournament',
+      referenceId: 't1'
+    });
+
+    await assertFails(batch.commit());
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * Firebase Admin initialization for the scheduler
+ *
+ * Uses Application Default Credentials in production. When
+ * FIRESTORE_EMULATOR_HOST is set (e.g. "127.0.0.1:8080") the Admin SDK talks
+ * to the local Firestore emulator instead and no credentials are needed.
+ */
+const { initializeApp, getApps, applicationDefault } = require('firebase-admin/app');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+
+const projectId = process.env.GCLOUD_PROJECT ||
+  process.env.FIREBASE_PROJECT_ID ||
+  process.env.REACT_APP_FIREBASE_PROJECT_ID;
+
+const usingEmulator = Boolean(process.env.FIRESTORE_EMULATOR_HOST);
+
+if (!getApps().length) {
+  initializeApp(usingEmulator
+    ? { projectId: projectId || 'demo-secure-game-arena' }
+    : { projectId, credential: applicationDefault() });
+}
+
+const db = getFirestore();
+
+module.exports = {
+  db,
+  FieldValue,
+  Timestamp,
+  usingEmulator
+};
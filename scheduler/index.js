@@ -0,0 +1,110 @@
+/**
+ * Tournament Scheduler
+ *
+ * Standalone Node process that owns every time-based write to Firestore:
+ * tournament status transitions, reminders, league forfeits, confirmed
+ * bracket results, referral rewards and data migrations. Browsers only read the results, so run
+ * exactly one instance of this process.
+ *
+ * Run with:
+ *   node scheduler/index.js                  # tick every 60 seconds until stopped
+ *   node scheduler/index.js --once           # run a single tick and exit
+ *   node scheduler/index.js --interval=30    # tick every 30 seconds
+ *
+ * Set FIRESTORE_EMULATOR_HOST to run against the Firebase emulator.
+ *
+ * Needs Node 20.19 or later: the jobs require the app's ES module helpers in
+ * src/utils rather than keeping copies of them.
+ */
+const { usingEmulator } = require('./firebase');
+const migrations = require('./jobs/migrations');
+const reminders = require('./jobs/reminders');
+const referralRewards = require('./jobs/referralRewards');
+const tournamentStatus = require('./jobs/tournamentStatus');
+const leagueForfeits = require('./jobs/leagueForfeits');
+const bracketReports = require('./jobs/bracketReports');
+
+// Migrations run first so the other jobs see up-to-date documents, and results
+// are recorded before the status job looks for finished tournaments
+const JOBS = [migrations, reminders, leagueForfeits, bracketReports, tournamentStatus, referralRewards];
+
+const DEFAULT_INTERVAL_SECONDS = 60;
+
+function parseArgs(argv) {
+  const options = { once: false, intervalSeconds: DEFAULT_INTERVAL_SECONDS };
+
+  argv.forEach(arg => {
+    if (arg === '--once') {
+      options.once = true;
+    } else if (arg.startsWith('--interval=')) {
+      const seconds = Number(arg.split('=')[1]);
+      if (!Number.isFinite(seconds) || seconds <= 0) {
+        throw new Error(`Invalid interval: ${arg}`);
+      }
+      options.intervalSeconds = seconds;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  });
+
+  return options;
+}
+
+/**
+ * Runs every job once. A failing job is logged and does not stop the others.
+ * @returns {Promise<boolean>} - Whether every job succeeded
+ */
+async function tick() {
+  const now = new Date();
+  let succeeded = true;
+
+  for (const job of JOBS) {
+    try {
+      const result = await job.run(now);
+      console.log(`[${now.toISOString()}] ${job.name}:`, JSON.stringify(result));
+    } catch (error) {
+      succeeded = false;
+      console.error(`[${now.toISOString()}] ${job.name} failed:`, error);
+    }
+  }
+
+  return succeeded;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log(`Tournament scheduler started${usingEmulator ? ` against emulator ${process.env.FIRESTORE_EMULATOR_HOST}` : ''}`);
+
+  if (options.once) {
+    const succeeded = await tick();
+    process.exit(succeeded ? 0 : 1);
+  }
+
+  let timer = null;
+  let stopping = false;
+
+  const stop = () => {
+    stopping = true;
+    clearTimeout(timer);
+    console.log('Tournament scheduler stopped');
+    process.exit(0);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  // Schedule the next tick only after the previous one finished so ticks never overlap
+  const loop = async () => {
+    await tick();
+    if (!stopping) {
+      timer = setTimeout(loop, options.intervalSeconds * 1000);
+    }
+  };
+
+  await loop();
+}
+
+main().catch(error => {
+  console.error('Tournament scheduler crashed:', error);
+  process.exit(1);
+});
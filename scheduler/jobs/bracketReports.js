@@ -0,0 +1,106 @@
+/**
+ * Bracket reports job
+ *
+ * Records the bracket results both players confirmed. Players cannot write the
+ * tournament themselves, so a confirmed bracket report waits for this job,
+ * which checks the match is still ready with the same two players, records the
+ * winner with the report's ID and, once the final is decided, the placements
+ * for prize distribution.
+ *
+ * A report whose match an admin decided or re-paired in the meantime is voided
+ * and both players are told.
+ */
+const { db, FieldValue, Timestamp } = require('../firebase');
+const {
+  buildBracket,
+  recordMatchWinner,
+  getReadyMatches,
+  buildBracketPlayerResults
+} = require('../lib/formats');
+
+/**
+ * Records one confirmed report, or voids it, re-checking it inside a transaction
+ * @returns {Promise<string|null>} - 'recorded', 'voided', or null if there is nothing to do
+ */
+async function recordReport(reportId) {
+  const reportRef = db.collection('matchReports').doc(reportId);
+
+  return db.runTransaction(async (transaction) => {
+    const reportDoc = await transaction.get(reportRef);
+    if (!reportDoc.exists || reportDoc.get('status') !== 'confirmed' || reportDoc.get('recorded') !== false) return null;
+
+    const report = reportDoc.data();
+    const tournamentRef = db.collection('tournaments').doc(report.tournamentId);
+    const tournamentDoc = await transaction.get(tournamentRef);
+
+    const tournament = tournamentDoc.exists ? tournamentDoc.data() : {};
+    const match = buildBracket(tournament.bracket).find(entry => entry.id === report.matchId);
+    const isStillOpen = tournament.status === 'live' &&
+      !tournament.prizesDistributedAt &&
+      match?.status === 'ready' &&
+      match.players[0].userId === report.homeId &&
+      match.players[1].userId === report.awayId;
+
+    if (!isStillOpen) {
+      transaction.update(reportRef, {
+        status: 'void',
+        updatedAt: FieldValue.serverTimestamp()
+      });
+
+      report.playerIds.forEach(userId => {
+        transaction.set(db.collection('notifications').doc(), {
+          userId,
+          type: 'match_report_void',
+          tournamentId: report.tournamentId,
+          title: 'Match result not recorded',
+          message: `The ${report.matchLabel} result you confirmed in ${report.gameName || 'your tournament'} was not recorded, because an admin changed the bracket first. Check the bracket for your next match.`,
+          read: false,
+          createdAt: FieldValue.serverTimestamp()
+        });
+      });
+      return 'voided';
+    }
+
+    const bracket = recordMatchWinner(tournament.bracket, report.matchId, report.winnerId, { reportId });
+
+    // Once the final is decided the placements feed prize distribution like any other results
+    transaction.update(tournamentRef, {
+      bracket,
+      readyMatches: getReadyMatches(bracket),
+      playerResults: buildBracketPlayerResults(bracket) || FieldValue.delete(),
+      resultsUpdatedAt: Timestamp.now(),
+      updatedAt: Timestamp.now()
+    });
+    transaction.update(reportRef, {
+      recorded: true,
+      updatedAt: FieldValue.serverTimestamp()
+    });
+    return 'recorded';
+  });
+}
+
+/**
+ * @returns {Promise<{recordedCount: number, voidedCount: number}>}
+ */
+async function run() {
+  const snapshot = await db.collection('matchReports')
+    .where('status', '==', 'confirmed')
+    .where('recorded', '==', false)
+    .get();
+
+  let recordedCount = 0;
+  let voidedCount = 0;
+
+  for (const doc of snapshot.docs) {
+    const outcome = await recordReport(doc.id);
+    if (outcome === 'recorded') recordedCount++;
+    if (outcome === 'voided') voidedCount++;
+  }
+
+  return { recordedCount, voidedCount };
+}
+
+module.exports = {
+  name: 'bracketReports',
+  run
+};
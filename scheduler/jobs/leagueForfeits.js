@@ -0,0 +1,94 @@
+/**
+ * League forfeits job
+ *
+ * Forfeits every league fixture whose deadline has passed without a reported
+ * score. Neither player can be shown to have turned up, so both take a loss,
+ * and both are notified. Admins can still enter the real score afterwards.
+ *
+ * A fixture only one player reported is not forfeited: the unconfirmed report
+ * goes to the admin dispute queue instead. Fixtures already in dispute wait for
+ * the admin.
+ */
+const { db, FieldValue } = require('../firebase');
+const { getMatchReportId } = require('../lib/formats');
+
+/**
+ * Forfeits one fixture, or disputes its unconfirmed report, re-checking it inside a transaction
+ * @returns {Promise<string|null>} - 'forfeited', 'disputed', or null if there is nothing to do
+ */
+async function forfeitFixture(fixtureId) {
+  const fixtureRef = db.collection('leagueFixtures').doc(fixtureId);
+
+  return db.runTransaction(async (transaction) => {
+    const fixtureDoc = await transaction.get(fixtureRef);
+    if (!fixtureDoc.exists || fixtureDoc.get('status') !== 'scheduled') return null;
+
+    const fixture = fixtureDoc.data();
+
+    const reportRef = db.collection('matchReports').doc(getMatchReportId({
+      tournamentId: fixture.tournamentId,
+      matchId: fixtureId,
+      homeId: fixture.homeId,
+      awayId: fixture.awayId
+    }));
+    const reportDoc = await transaction.get(reportRef);
+
+    if (reportDoc.exists && reportDoc.get('status') !== 'pending') return null;
+    if (reportDoc.exists && reportDoc.get('status') === 'pending') {
+      transaction.update(reportRef, {
+        status: 'disputed',
+        disputeReason: 'unconfirmed',
+        disputedAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp()
+      });
+      return 'disputed';
+    }
+
+    transaction.update(fixtureRef, {
+      status: 'forfeited',
+      winnerId: null,
+      resolvedBy: 'system',
+      forfeitedAt: FieldValue.serverTimestamp()
+    });
+
+    [[fixture.homeId, fixture.awayName], [fixture.awayId, fixture.homeName]].forEach(([userId, opponentName]) => {
+      transaction.set(db.collection('notifications').doc(), {
+        userId,
+        type: 'fixture_forfeited',
+        tournamentId: fixture.tournamentId,
+        title: 'League fixture forfeited',
+        message: `No score was reported for your ${fixture.gameName || 'league'} fixture against ${opponentName} before the deadline, so it counts as a loss for both players.`,
+        read: false,
+        createdAt: FieldValue.serverTimestamp()
+      });
+    });
+
+    return 'forfeited';
+  });
+}
+
+/**
+ * @param {Date} now - The time of this scheduler tick
+ * @returns {Promise<{forfeitedCount: number, disputedCount: number}>}
+ */
+async function run(now) {
+  const snapshot = await db.collection('leagueFixtures').where('status', '==', 'scheduled').get();
+
+  const due = snapshot.docs.filter(doc => doc.get('deadline') && doc.get('deadline').toDate() <= now);
+
+  let forfeitedCount = 0;
+  let disputedCount = 0;
+
+  for (const doc of due) {
+    const outcome = await forfeitFixture(doc.id);
+    if (outcome === 'forfeited') forfeitedCount++;
+    if (outcome === 'disputed') disputedCount++;
+  }
+
+  return { forfeitedCount, disputedCount };
+}
+
+module.exports = {
+  name: 'leagueForfeits',
+  run
+};
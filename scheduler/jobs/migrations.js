@@ -0,0 +1,121 @@
+/**
+ * Data migrations job
+ *
+ * Brings older tournament documents up to the current shape so the other
+ * jobs can rely on it:
+ * - live tournaments without `statusUpdatedAt` are stamped with the current time
+ * - tournaments with a separate `tournamentDate` and `tournamentTime` get a
+ *   canonical `startAt` instant and organizer `timezone`
+ * - brackets still being played without `readyMatches` get them, so their
+ *   players can report results
+ * - referral codes lose the owner's `userEmail`, as anyone can read a code
+ * - upcoming tournaments without `participantIds` get them, and the lowercased
+ *   usernames of their solo entries, which the security rules check new entries against
+ */
+const { db, FieldValue, Timestamp } = require('../firebase');
+const { LEGACY_TIMEZONE, getTournamentStartTime } = require('../lib/schedule');
+const { getReadyMatches } = require('../lib/formats');
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 500;
+
+async function commitInBatches(updates) {
+  for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    updates.slice(i, i + BATCH_SIZE).forEach(({ ref, data }) => batch.update(ref, data));
+    await batch.commit();
+  }
+}
+
+async function migrateLiveTournaments() {
+  const snapshot = await db.collection('tournaments').where('status', '==', 'live').get();
+
+  const updates = snapshot.docs
+    .filter(doc => !doc.get('statusUpdatedAt'))
+    .map(doc => ({ ref: doc.ref, data: { statusUpdatedAt: FieldValue.serverTimestamp() } }));
+
+  await commitInBatches(updates);
+  return updates.length;
+}
+
+async function migrateTournamentStartTimes() {
+  // Only documents that still have the legacy field; those without it are never matched
+  const snapshot = await db.collection('tournaments').where('tournamentTime', '!=', null).get();
+
+  const updates = snapshot.docs
+    .map(doc => ({ ref: doc.ref, tournament: doc.data() }))
+    .filter(({ tournament }) => !tournament.startAt && tournament.tournamentDate && tournament.tournamentTime)
+    .map(({ ref, tournament }) => ({
+      ref,
+      data: {
+        startAt: Timestamp.fromDate(getTournamentStartTime(tournament)),
+        timezone: tournament.timezone || LEGACY_TIMEZONE,
+        tournamentDate: FieldValue.delete(),
+        tournamentTime: FieldValue.delete()
+      }
+    }));
+
+  await commitInBatches(updates);
+  return updates.length;
+}
+
+async function migrateReadyMatches() {
+  const snapshot = await db.collection('tournaments').where('status', 'in', ['upcoming', 'live']).get();
+
+  const updates = snapshot.docs
+    .filter(doc => doc.get('bracket') && !doc.get('readyMatches'))
+    .map(doc => ({ ref: doc.ref, data: { readyMatches: getReadyMatches(doc.get('bracket')) } }));
+
+  await commitInBatches(updates);
+  return updates.length;
+}
+
+async function migrateReferralCodeEmails() {
+  const snapshot = await db.collection('referralCodes').where('userEmail', '!=', null).get();
+
+  const updates = snapshot.docs.map(doc => ({ ref: doc.ref, data: { userEmail: FieldValue.delete() } }));
+
+  await commitInBatches(updates);
+  return updates.length;
+}
+
+async function migrateParticipantIds() {
+  const snapshot = await db.collection('tournaments').where('status', '==', 'upcoming').get();
+
+  const updates = snapshot.docs
+    .filter(doc => !doc.get('participantIds'))
+    .map(doc => {
+      const participants = doc.get('participants') || [];
+      return {
+        ref: doc.ref,
+        data: {
+          participantIds: participants.map(participant => participant.userId),
+          usernames: participants
+            .filter(participant => !participant.teamId && participant.username)
+            .map(participant => participant.username.toLowerCase())
+        }
+      };
+    });
+
+  await commitInBatches(updates);
+  return updates.length;
+}
+
+/**
+ * @returns {Promise<{liveStampedCount: number, startTimesMigratedCount: number, readyMatchesCount: number, referralCodeEmailsCount: number,
+ *   participantIdsCount: number}>}
+ */
+async function run() {
+  const liveStampedCount = await migrateLiveTournaments();
+  const startTimesMigratedCount = await migrateTournamentStartTimes();
+  const readyMatchesCount = await migrateReadyMatches();
+  const referralCodeEmailsCount = await migrateReferralCodeEmails();
+  const participantIdsCount = await migrateParticipantIds();
+
+  return { liveStampedCount, startTimesMigratedCount, readyMatchesCount, referralCodeEmailsCount, participantIdsCount };
+}
+
+module.exports = {
+  name: 'migrations',
+  run
+};
@@ -0,0 +1,167 @@
+/**
+ * Referral rewards job
+ *
+ * Credits the referrer of each qualified referral once its hold period has
+ * passed, giving admins time to reject suspicious referrals first. Before
+ * paying it checks the referred user's ledger for the qualifying activity and
+ * enforces the abuse limits: blocked codes and the per-referrer reward cap.
+ * Referrals that fail a check are rejected with the reason.
+ */
+const { db, FieldValue } = require('../firebase');
+const { recordEntry } = require('../lib/ledger');
+const { getReferralSettings } = require('../../src/utils/referrals.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+async function getSettings() {
+  const settingsDoc = await db.collection('adminSettings').doc('referrals').get();
+  return getReferralSettings(settingsDoc.exists ? settingsDoc.data() : {});
+}
+
+function getMillis(timestamp) {
+  return timestamp && timestamp.toMillis ? timestamp.toMillis() : 0;
+}
+
+/**
+ * Checks the referred user's ledger backs up the referral's qualification
+ * @param {Object} referral - The referral document data
+ * @param {Object} settings - The referral settings
+ * @returns {Promise<string|null>} - Why the referral should be rejected, or null
+ */
+async function checkLedger(referral, settings) {
+  const snapshot = await db.collection('transactions').where('userId', '==', referral.referredUserId).get();
+  const entries = snapshot.docs.map(doc => doc.data());
+
+  const isPaidActivity = entry => (entry.type === 'recharge' && entry.amount > 0) ||
+    (entry.type === 'tournament_entry' && entry.amount < 0);
+
+  if (entries.some(entry => isPaidActivity(entry) && getMillis(entry.createdAt) < getMillis(referral.createdAt))) {
+    return 'The referred user recharged or paid an entry fee before using the referral code';
+  }
+
+  const qualifyingType = referral.qualifiedBy === 'recharge' ? 'recharge' : 'tournament_entry';
+  const qualifying = entries.find(entry => isPaidActivity(entry) &&
+    entry.type === qualifyingType &&
+    entry.referenceId === referral.qualifyingReferenceId);
+
+  if (!qualifying) {
+    return 'The qualifying activity is not in the referred user\'s wallet ledger';
+  }
+  if (Math.abs(qualifying.amount) < settings.minQualifyingAmount) {
+    return `The qualifying ${qualifyingType === 'recharge' ? 'recharge' : 'entry fee'} is less than Rs. ${settings.minQualifyingAmount}`;
+  }
+  if (qualifyingType === 'tournament_entry' && entries.some(entry =>
+    entry.type === 'tournament_refund' && entry.referenceId === referral.qualifyingReferenceId)) {
+    return 'The qualifying entry fee was refunded';
+  }
+
+  return null;
+}
+
+/**
+ * Rewards or rejects one referral, re-checking it inside a transaction
+ * @returns {Promise<string|null>} - 'rewarded', 'rejected', or null if it was already processed
+ */
+async function processReferral(referralId, ledgerError, settings) {
+  const referralRef = db.collection('referrals').doc(referralId);
+
+  return db.runTransaction(async (transaction) => {
+    const referralDoc = await transaction.get(referralRef);
+    if (!referralDoc.exists || referralDoc.get('status') !== 'qualified') return null;
+
+    const referral = referralDoc.data();
+    const codeRef = db.collection('referralCodes').doc(referral.code);
+    const [codeDoc, referrerDoc] = await transaction.getAll(codeRef, db.collection('users').doc(referral.referrerId));
+    const rewardedCount = codeDoc.exists ? codeDoc.get('rewardedCount') || 0 : 0;
+
+    let rejectionReason = ledgerError;
+    if (!rejectionReason && (!codeDoc.exists || codeDoc.get('blocked'))) {
+      rejectionReason = 'The referral code is blocked';
+    } else if (!rejectionReason && !referrerDoc.exists) {
+      rejectionReason = 'The referrer\'s account no longer exists';
+    } else if (!rejectionReason && settings.maxRewardsPerReferrer > 0 && rewardedCount >= settings.maxRewardsPerReferrer) {
+      rejectionReason = `The referrer has reached the limit of ${settings.maxRewardsPerReferrer} rewards`;
+    }
+
+    if (rejectionReason) {
+      transaction.update(referralRef, {
+        status: 'rejected',
+        rejectionReason,
+        rejectedBy: 'system',
+        processedAt: FieldValue.serverTimestamp()
+      });
+      return 'rejected';
+    }
+
+    const rewardAmount = settings.rewardAmount;
+
+    if (rewardAmount > 0) {
+      recordEntry(transaction, referrerDoc, {
+        amount: rewardAmount,
+        type: 'referral_reward',
+        referenceType: 'referral',
+        referenceId: referralId,
+        actor: 'system',
+        description: `Referral reward for ${referral.referredEmail || 'a new player'}`
+      });
+
+      transaction.set(db.collection('notifications').doc(), {
+        userId: referral.referrerId,
+        type: 'referral_reward',
+        title: 'Referral reward',
+        message: `${referral.referredEmail || 'A player you referred'} qualified for your referral. Rs. ${rewardAmount} has been added to your wallet.`,
+        read: false,
+        createdAt: FieldValue.serverTimestamp()
+      });
+    }
+
+    transaction.update(codeRef, {
+      rewardedCount: rewardedCount + 1,
+      rewardedTotal: (codeDoc.get('rewardedTotal') || 0) + rewardAmount
+    });
+
+    transaction.update(referralRef, {
+      status: 'rewarded',
+      rewardAmount,
+      processedAt: FieldValue.serverTimestamp()
+    });
+
+    return 'rewarded';
+  });
+}
+
+/**
+ * @param {Date} now - The time of this scheduler tick
+ * @returns {Promise<{rewardedCount: number, rejectedCount: number, paused?: boolean}>}
+ */
+async function run(now) {
+  const settings = await getSettings();
+
+  // Turning the program off pauses payouts; qualified referrals wait until it is back on
+  if (!settings.enabled) {
+    return { rewardedCount: 0, rejectedCount: 0, paused: true };
+  }
+
+  const snapshot = await db.collection('referrals').where('status', '==', 'qualified').get();
+
+  const due = snapshot.docs.filter(doc =>
+    getMillis(doc.get('qualifiedAt')) + settings.holdHours * HOUR_MS <= now.getTime());
+
+  let rewardedCount = 0;
+  let rejectedCount = 0;
+
+  for (const doc of due) {
+    const ledgerError = await checkLedger(doc.data(), settings);
+    const outcome = await processReferral(doc.id, ledgerError, settings);
+
+    if (outcome === 'rewarded') rewardedCount++;
+    if (outcome === 'rejected') rejectedCount++;
+  }
+
+  return { rewardedCount, rejectedCount };
+}
+
+module.exports = {
+  name: 'referralRewards',
+  run
+};
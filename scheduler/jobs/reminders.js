@@ -0,0 +1,70 @@
+/**
+ * Tournament reminders job
+ *
+ * Sends each participant of an upcoming tournament a notification shortly
+ * before check-in opens (or before the start, if the tournament has no
+ * check-in window). Each tournament is reminded once, tracked by `reminderSentAt`.
+ */
+const { db, FieldValue, Timestamp } = require('../firebase');
+const { MINUTE_MS, getTournamentSchedule } = require('../lib/schedule');
+
+const REMINDER_LEAD_MINUTES = 30;
+
+function buildMessage(tournament, schedule, now) {
+  const minutesToStart = Math.max(1, Math.round((schedule.startsAt - now) / MINUTE_MS));
+  const checkInOpen = now >= schedule.checkInOpensAt && schedule.checkInOpensAt < schedule.startsAt;
+
+  return checkInOpen
+    ? `${tournament.gameName} starts in ${minutesToStart} minutes. Check-in is open now.`
+    : `${tournament.gameName} starts in ${minutesToStart} minutes.`;
+}
+
+/**
+ * @param {Date} now - The time of this scheduler tick
+ * @returns {Promise<{remindedTournamentCount: number, notificationCount: number}>}
+ */
+async function run(now) {
+  const snapshot = await db.collection('tournaments').where('status', '==', 'upcoming').get();
+
+  const due = snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(tournament => !tournament.reminderSentAt && tournament.participants?.length)
+    .map(tournament => ({ tournament, schedule: getTournamentSchedule(tournament) }))
+    .filter(({ schedule }) => schedule &&
+      now < schedule.startsAt &&
+      now >= new Date(schedule.checkInOpensAt.getTime() - REMINDER_LEAD_MINUTES * MINUTE_MS));
+
+  let notificationCount = 0;
+
+  for (const { tournament, schedule } of due) {
+    const batch = db.batch();
+    const message = buildMessage(tournament, schedule, now);
+
+    tournament.participants.forEach(participant => {
+      batch.set(db.collection('notifications').doc(), {
+        userId: participant.userId,
+        type: 'tournament_reminder',
+        tournamentId: tournament.id,
+        title: 'Tournament starting soon',
+        message,
+        startsAt: Timestamp.fromDate(schedule.startsAt),
+        read: false,
+        createdAt: FieldValue.serverTimestamp()
+      });
+    });
+
+    batch.update(db.collection('tournaments').doc(tournament.id), {
+      reminderSentAt: FieldValue.serverTimestamp()
+    });
+
+    await batch.commit();
+    notificationCount += tournament.participants.length;
+  }
+
+  return { remindedTournamentCount: due.length, notificationCount };
+}
+
+module.exports = {
+  name: 'reminders',
+  run
+};
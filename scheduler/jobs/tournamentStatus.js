@@ -0,0 +1,133 @@
+/**
+ * Tournament status job
+ *
+ * Moves upcoming tournaments to 'live' once their start time has been reached,
+ * or cancels them with refunds if they are below their minimum headcount, and
+ * live tournaments to 'completed' once they have been live for their
+ * match duration plus grace period. Leagues stay live while any fixture is
+ * still to be played, brackets until they have a champion and series until
+ * every match has results.
+ */
+const { db } = require('../firebase');
+const {
+  MINUTE_MS,
+  getLifecycleSettings,
+  getEntriesNeeded,
+  getEntryCount,
+  getEntryUnit,
+  getTournamentSchedule
+} = require('../lib/schedule');
+const {
+  isBracketTournament,
+  buildBracket,
+  getBracketPlacements,
+  isSeriesTournament,
+  isSeriesComplete
+} = require('../lib/formats');
+const { changeStatus } = require('../lib/statusChange');
+const { cancelTournament } = require('../lib/cancellation');
+
+async function getTournamentsWithStatus(status) {
+  const snapshot = await db.collection('tournaments').where('status', '==', status).get();
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+async function startDueTournaments(now) {
+  const upcoming = await getTournamentsWithStatus('upcoming');
+
+  const due = upcoming.filter(tournament => {
+    const schedule = getTournamentSchedule(tournament);
+    return schedule && now >= schedule.startsAt;
+  });
+
+  const underfilled = due.filter(tournament => getEntriesNeeded(tournament) > 0);
+  const ready = due.filter(tournament => getEntriesNeeded(tournament) === 0);
+
+  const cancelResults = await Promise.all(underfilled.map(tournament => {
+    const reason = `Only ${getEntryCount(tournament)} of the minimum ${tournament.minParticipants} ${getEntryUnit(tournament)} joined`;
+    return cancelTournament(tournament, reason, current => getEntriesNeeded(current) > 0);
+  }));
+
+  const startResults = await Promise.all(ready.map(tournament => {
+    const { checkInWindowMinutes } = getLifecycleSettings(tournament);
+    const reason = checkInWindowMinutes > 0
+      ? `Auto-started at scheduled start time after a ${checkInWindowMinutes} minute check-in window`
+      : 'Auto-started at scheduled start time';
+
+    return changeStatus(tournament, 'live', reason);
+  }));
+
+  return {
+    startedCount: startResults.filter(Boolean).length,
+    cancelledCount: cancelResults.filter(Boolean).length
+  };
+}
+
+async function hasOpenFixtures(tournament) {
+  const snapshot = await db.collection('leagueFixtures')
+    .where('tournamentId', '==', tournament.id)
+    .where('status', '==', 'scheduled')
+    .limit(1)
+    .get();
+  return !snapshot.empty;
+}
+
+async function isStillBeingPlayed(tournament) {
+  if (isBracketTournament(tournament)) {
+    return !getBracketPlacements(buildBracket(tournament.bracket));
+  }
+  if (isSeriesTournament(tournament)) {
+    return !isSeriesComplete(tournament);
+  }
+  if (tournament.format === 'league') {
+    return hasOpenFixtures(tournament);
+  }
+  return false;
+}
+
+async function completeFinishedTournaments(now) {
+  const live = await getTournamentsWithStatus('live');
+
+  // Live tournaments without a statusUpdatedAt are stamped by the migrations job first
+  const overdue = live.filter(tournament => {
+    if (!tournament.statusUpdatedAt) return false;
+
+    const { matchDurationMinutes, gracePeriodMinutes } = getLifecycleSettings(tournament);
+    const liveForMs = now - tournament.statusUpdatedAt.toDate();
+    return liveForMs >= (matchDurationMinutes + gracePeriodMinutes) * MINUTE_MS;
+  });
+
+  const finished = [];
+  for (const tournament of overdue) {
+    if (!(await isStillBeingPlayed(tournament))) {
+      finished.push(tournament);
+    }
+  }
+
+  const results = await Promise.all(finished.map(tournament => {
+    const { matchDurationMinutes, gracePeriodMinutes } = getLifecycleSettings(tournament);
+    const reason = gracePeriodMinutes > 0
+      ? `Auto-completed after ${matchDurationMinutes} minute match duration and ${gracePeriodMinutes} minute grace period`
+      : `Auto-completed after ${matchDurationMinutes} minute match duration`;
+
+    return changeStatus(tournament, 'completed', reason);
+  }));
+
+  return results.filter(Boolean).length;
+}
+
+/**
+ * @param {Date} now - The time of this scheduler tick
+ * @returns {Promise<{startedCount: number, cancelledCount: number, completedCount: number}>}
+ */
+async function run(now) {
+  const { startedCount, cancelledCount } = await startDueTournaments(now);
+  const completedCount = await completeFinishedTournaments(now);
+
+  return { startedCount, cancelledCount, completedCount };
+}
+
+module.exports = {
+  name: 'tournamentStatus',
+  run
+};
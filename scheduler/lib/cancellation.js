@@ -0,0 +1,111 @@
+/**
+ * Tournament cancellation with entry-fee refunds
+ *
+ * Mirrors TournamentService.cancelTournament in src/services/TournamentService.js
+ * so refunds, refund records and notifications look the same whether an admin
+ * or the scheduler cancelled the tournament. Keep the two in sync. The refund
+ * amounts come from the app's own src/utils/prizeDistribution.js.
+ */
+const { db, FieldValue } = require('../firebase');
+const { recordEntry } = require('./ledger');
+const { getEntryFeePaid } = require('../../src/utils/prizeDistribution.js');
+
+/**
+ * Cancels a tournament, refunds every participant's entry fee and notifies them.
+ * The cancellation is skipped if the tournament's status no longer matches the
+ * one the job based its decision on, or if `stillApplies` rejects the current data.
+ * @param {Object} tournament - The tournament being cancelled
+ * @param {string} reason - Why the tournament was cancelled, shown to participants
+ * @param {Function} [stillApplies] - Re-checks the job's decision against the current tournament data
+ * @returns {Promise<boolean>} - Whether the tournament was cancelled
+ */
+async function cancelTournament(tournament, reason, stillApplies = () => true) {
+  const tournamentRef = db.collection('tournaments').doc(tournament.id);
+
+  return db.runTransaction(async (transaction) => {
+    const tournamentDoc = await transaction.get(tournamentRef);
+    if (!tournamentDoc.exists || tournamentDoc.get('status') !== tournament.status) return false;
+
+    const current = tournamentDoc.data();
+    if (!stillApplies(current)) return false;
+
+    // All reads have to happen before the first write in a transaction
+    const participants = current.participants || [];
+    const userDocs = participants.length
+      ? await transaction.getAll(...participants.map(participant => db.collection('users').doc(participant.userId)))
+      : [];
+
+    let refundedCount = 0;
+    let refundedTotal = 0;
+
+    participants.forEach((participant, index) => {
+      const amount = getEntryFeePaid(current, participant);
+
+      if (amount > 0 && userDocs[index].exists) {
+        const userData = userDocs[index].data();
+
+        const newBalance = recordEntry(transaction, userDocs[index], {
+          amount,
+          type: 'tournament_refund',
+          referenceType: 'tournament',
+          referenceId: tournament.id,
+          actor: 'system',
+          description: `Refund for cancelled ${current.gameName}`
+        });
+
+        transaction.set(db.collection('refunds').doc(), {
+          userId: participant.userId,
+          userEmail: participant.email || userData.email || null,
+          tournamentId: tournament.id,
+          gameName: current.gameName || 'Unknown',
+          amount,
+          reason,
+          type: 'tournament_cancelled',
+          previousBalance: userData.walletBalance || 0,
+          newBalance,
+          processedBy: 'system',
+          timestamp: FieldValue.serverTimestamp()
+        });
+
+        refundedCount++;
+        refundedTotal += amount;
+      }
+
+      transaction.set(db.collection('notifications').doc(), {
+        userId: participant.userId,
+        type: 'tournament_cancelled',
+        tournamentId: tournament.id,
+        title: 'Tournament cancelled',
+        message: amount > 0
+          ? `${current.gameName} was cancelled: ${reason}. Your entry fee of Rs. ${amount} has been refunded to your wallet.`
+          : `${current.gameName} was cancelled: ${reason}.`,
+        read: false,
+        createdAt: FieldValue.serverTimestamp()
+      });
+    });
+
+    transaction.update(tournamentRef, {
+      status: 'cancelled',
+      statusUpdatedAt: FieldValue.serverTimestamp(),
+      cancellationReason: reason,
+      cancelledAt: FieldValue.serverTimestamp(),
+      cancelledBy: 'system',
+      refundedCount,
+      refundedTotal
+    });
+
+    transaction.set(db.collection('status_change_logs').doc(), {
+      tournamentId: tournament.id,
+      tournamentName: current.gameName || 'Unknown',
+      previousStatus: current.status,
+      newStatus: 'cancelled',
+      changedAt: FieldValue.serverTimestamp(),
+      changedBy: 'system',
+      reason
+    });
+
+    return true;
+  });
+}
+
+module.exports = { getEntryFeePaid, cancelTournament };
@@ -0,0 +1,30 @@
+/**
+ * Tournament format helpers for the scheduler
+ *
+ * Re-exports the app's own src/utils/brackets.js, src/utils/series.js and
+ * src/utils/matchReports.js, loaded through Node's require() of ES modules, so
+ * the scheduler decides when a bracket or series is over, advances brackets
+ * and finds match reports the same way the app does.
+ */
+const {
+  isBracketTournament,
+  buildBracket,
+  recordMatchWinner,
+  getReadyMatches,
+  getBracketPlacements,
+  buildBracketPlayerResults
+} = require('../../src/utils/brackets.js');
+const { isSeriesTournament, isSeriesComplete } = require('../../src/utils/series.js');
+const { getMatchReportId } = require('../../src/utils/matchReports.js');
+
+module.exports = {
+  isBracketTournament,
+  buildBracket,
+  recordMatchWinner,
+  getReadyMatches,
+  getBracketPlacements,
+  buildBracketPlayerResults,
+  isSeriesTournament,
+  isSeriesComplete,
+  getMatchReportId
+};
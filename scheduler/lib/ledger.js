@@ -0,0 +1,70 @@
+/**
+ * Wallet ledger entries
+ *
+ * Mirrors WalletService.recordEntry in src/services/WalletService.js so the
+ * scheduler's refunds land in the same append-only `transactions` ledger as
+ * the app's. Keep the two in sync.
+ */
+const { db, FieldValue } = require('../firebase');
+
+/**
+ * Records a ledger entry and updates the cached balance inside a Firestore transaction.
+ * Users whose balance predates the ledger get an opening balance entry first.
+ * @param {Object} transaction - The Firestore transaction
+ * @param {Object} userDoc - The user's document snapshot, read in this transaction
+ * @param {Object} entry - { amount, type, actor, referenceType, referenceId, description }
+ * @returns {number} - The balance after the entry
+ */
+function recordEntry(transaction, userDoc, entry) {
+  const userData = userDoc.data();
+  const balanceBefore = userData.walletBalance || 0;
+  const balanceAfter = balanceBefore + entry.amount;
+
+  if (balanceAfter < 0) {
+    throw new Error('Insufficient wallet balance');
+  }
+
+  const userUpdates = {
+    walletBalance: balanceAfter,
+    lastUpdated: new Date().toISOString()
+  };
+
+  if (!userData.ledgerOpenedAt) {
+    userUpdates.ledgerOpenedAt = FieldValue.serverTimestamp();
+
+    if (balanceBefore !== 0) {
+      transaction.set(db.collection('transactions').doc(), {
+        userId: userDoc.id,
+        type: 'opening_balance',
+        amount: balanceBefore,
+        balanceBefore: 0,
+        balanceAfter: balanceBefore,
+        referenceType: null,
+        referenceId: null,
+        actor: 'system',
+        description: 'Balance before the wallet ledger was introduced',
+        createdAt: FieldValue.serverTimestamp()
+      });
+    }
+  }
+
+  const entryRef = db.collection('transactions').doc();
+  transaction.set(entryRef, {
+    userId: userDoc.id,
+    type: entry.type,
+    amount: entry.amount,
+    balanceBefore,
+    balanceAfter,
+    referenceType: entry.referenceType || null,
+    referenceId: entry.referenceId || null,
+    actor: entry.actor,
+    description: entry.description || '',
+    createdAt: FieldValue.serverTimestamp()
+  });
+
+  transaction.update(userDoc.ref, { ...userUpdates, lastTransactionId: entryRef.id });
+
+  return balanceAfter;
+}
+
+module.exports = { recordEntry };
@@ -0,0 +1,27 @@
+/**
+ * Tournament schedule helpers for the scheduler
+ *
+ * Re-exports the app's own src/utils/tournamentSchedule.js, timezone.js and teams.js,
+ * loaded through Node's require() of ES modules, so the scheduler and the
+ * browser always agree on when a tournament starts, goes live and ends.
+ */
+const {
+  MINUTE_MS,
+  getLifecycleSettings,
+  getEntriesNeeded,
+  getTournamentStartTime,
+  getTournamentSchedule
+} = require('../../src/utils/tournamentSchedule.js');
+const { LEGACY_TIMEZONE } = require('../../src/utils/timezone.js');
+const { getEntryCount, getEntryUnit } = require('../../src/utils/teams.js');
+
+module.exports = {
+  LEGACY_TIMEZONE,
+  MINUTE_MS,
+  getLifecycleSettings,
+  getEntriesNeeded,
+  getEntryCount,
+  getEntryUnit,
+  getTournamentStartTime,
+  getTournamentSchedule
+};
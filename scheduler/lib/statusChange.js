@@ -0,0 +1,44 @@
+/**
+ * Tournament status changes with an audit trail
+ */
+const { db, FieldValue } = require('../firebase');
+
+/**
+ * Moves a tournament to a new status and logs the change in status_change_logs.
+ * The change is skipped if the tournament's status no longer matches the one
+ * the job based its decision on.
+ * @param {Object} tournament - The tournament being updated
+ * @param {string} newStatus - The status to move the tournament to
+ * @param {string} reason - Why the status changed
+ * @param {Object} [extraUpdates] - Additional fields to write on the tournament
+ * @returns {Promise<boolean>} - Whether the status was changed
+ */
+async function changeStatus(tournament, newStatus, reason, extraUpdates = {}) {
+  const tournamentRef = db.collection('tournaments').doc(tournament.id);
+  const logRef = db.collection('status_change_logs').doc();
+
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(tournamentRef);
+    if (!snapshot.exists || snapshot.get('status') !== tournament.status) return false;
+
+    transaction.update(tournamentRef, {
+      ...extraUpdates,
+      status: newStatus,
+      statusUpdatedAt: FieldValue.serverTimestamp()
+    });
+
+    transaction.set(logRef, {
+      tournamentId: tournament.id,
+      tournamentName: tournament.gameName || 'Unknown',
+      previousStatus: tournament.status,
+      newStatus,
+      changedAt: FieldValue.serverTimestamp(),
+      changedBy: 'system',
+      reason
+    });
+
+    return true;
+  });
+}
+
+module.exports = { changeStatus };
@@ -1,4 +1,4 @@
-import React, { useEffect } from 'react';
+import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 // Container is removed as it's not being used
 import { HelmetProvider, Helmet } from 'react-helmet-async';
@@ -9,9 +9,6 @@ import 'react-toastify/dist/ReactToastify.css';
 import 'bootstrap/dist/css/bootstrap.min.css';
 import './App.css';
 
-// Services
-import TournamentStatusService from './services/TournamentStatusService';
-
 // Auth Components
 import { AuthProvider } from './contexts/AuthContext';
 import Login from './components/auth/Login';
@@ -35,6 +32,8 @@ import TournamentDetails from './components/user/TournamentDetails';
 import WithdrawalHistory from './components/user/WithdrawalHistory';
 import RechargeHistory from './components/user/RechargeHistory';
 import RewardsHistory from './components/user/RewardsHistory';
+import RefundHistory from './components/user/RefundHistory';
+import WalletStatement from './components/user/WalletStatement';
 
 // Admin Components
 import AdminDashboard from './components/admin/AdminDashboard';
@@ -46,22 +45,12 @@ import RechargeManagement from './components/admin/RechargeManagement';
 import Reports from './components/admin/Reports';
 import PaymentSettings from './components/admin/PaymentSettings';
 import FeaturedTournamentManagement from './components/admin/FeaturedTournamentManagement';
+import PromoCodeManagement from './components/admin/PromoCodeManagement';
+import ReferralReport from './components/admin/ReferralReport';
+import MatchDisputes from './components/admin/MatchDisputes';
 
 function App() {
-  // Set up polling to check tournament statuses every minute
-  useEffect(() => {
-    // Initial check
-    TournamentStatusService.checkAndUpdateTournamentStatuses();
-    
-    // Set up interval for checking tournament statuses
-    const statusCheckInterval = setInterval(() => {
-      TournamentStatusService.checkAndUpdateTournamentStatuses();
-    }, 60000); // Check every minute
-    
-    // Clean up interval on component unmount
-    return () => clearInterval(statusCheckInterval);
-  }, []);
-  
+  // Tournament status transitions are handled by the scheduler process (see scheduler/)
   return (
     <HelmetProvider>
       <Router>
@@ -129,6 +118,22 @@ function App() {
                   </PrivateRoute>
                 } 
               />
+              <Route 
+                path="/refund-history" 
+                element={
+                  <PrivateRoute>
+                    <RefundHistory />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/wallet" 
+                element={
+                  <PrivateRoute>
+                    <WalletStatement />
+                  </PrivateRoute>
+                } 
+              />
               <Route 
                 path="/create-tournament" 
                 element={
@@ -211,6 +216,30 @@ function App() {
                   </PrivateRoute>
                 } 
               />
+              <Route 
+                path="/admin/promo-codes" 
+                element={
+                  <PrivateRoute requireAdmin={true}>
+                    <PromoCodeManagement />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/admin/referrals" 
+                element={
+                  <PrivateRoute requireAdmin={true}>
+                    <ReferralReport />
+                  </PrivateRoute>
+                } 
+              />
+              <Route 
+                path="/admin/match-disputes" 
+                element={
+                  <PrivateRoute requireAdmin={true}>
+                    <MatchDisputes />
+                  </PrivateRoute>
+                } 
+              />
             </Routes>
             </div>
             <Footer />
@@ -120,6 +120,48 @@ function AdminDashboard() {
             </Card.Body>
           </Card>
         </Col>
+
+        <Col md={4} className="mb-4">
+          <Card>
+            <Card.Body>
+              <Card.Title>Promo Codes</Card.Title>
+              <Card.Text>
+                Create recharge bonuses, free entries and wallet credits.
+              </Card.Text>
+              <Link to="/admin/promo-codes">
+                <Button variant="primary">Manage Promo Codes</Button>
+              </Link>
+            </Card.Body>
+          </Card>
+        </Col>
+
+        <Col md={4} className="mb-4">
+          <Card>
+            <Card.Body>
+              <Card.Title>Referrals</Card.Title>
+              <Card.Text>
+                Review referrals, set rewards and block abusive referrers.
+              </Card.Text>
+              <Link to="/admin/referrals">
+                <Button variant="primary">View Referrals</Button>
+              </Link>
+            </Card.Body>
+          </Card>
+        </Col>
+
+        <Col md={4} className="mb-4">
+          <Card>
+            <Card.Body>
+              <Card.Title>Match Disputes</Card.Title>
+              <Card.Text>
+                Settle 1v1 results the players reported differently.
+              </Card.Text>
+              <Link to="/admin/match-disputes">
+                <Button variant="primary">Review Disputes</Button>
+              </Link>
+            </Card.Body>
+          </Card>
+        </Col>
       </Row>
     </Container>
   );
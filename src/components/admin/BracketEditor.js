@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { Button, Modal, Alert } from 'react-bootstrap';
+import { doc, updateDoc, deleteField, Timestamp } from 'firebase/firestore';
+import { db } from '../../firebase/config';
+import { useAuth } from '../../contexts/AuthContext';
+import { toast } from 'react-toastify';
+import { isCheckInOpen } from '../../utils/tournamentSchedule';
+import {
+  TOURNAMENT_FORMATS,
+  SEEDING_METHODS,
+  getPlayerRatings,
+  seedParticipants,
+  buildBracket,
+  recordMatchWinner,
+  getReadyMatches,
+  buildBracketPlayerResults
+} from '../../utils/brackets';
+import BracketView from '../common/BracketView';
+
+/**
+ * Admin editor for the bracket of an elimination tournament: draws or redraws
+ * the bracket and records match winners. `tournaments` are all tournaments,
+ * for seeding by rating; `onSaved` gets the tournament with its new bracket.
+ */
+function BracketEditor({ show, tournament, tournaments, onHide, onSaved }) {
+  const [bracketError, setBracketError] = useState('');
+  const [generatingBracket, setGeneratingBracket] = useState(false);
+  const [recordingMatchId, setRecordingMatchId] = useState(null);
+  const { currentUser } = useAuth();
+
+  async function saveBracket(updates) {
+    const tournamentRef = doc(db, 'tournaments', tournament.id);
+    // The players of the ready matches let the rules check who may report them
+    await updateDoc(tournamentRef, { ...updates, readyMatches: getReadyMatches(updates.bracket), updatedAt: Timestamp.now() });
+
+    onSaved({ ...tournament, bracket: updates.bracket });
+  }
+
+  async function handleGenerateBracket() {
+    if (!tournament) return;
+
+    if (tournament.bracket?.results?.length) {
+      setBracketError('The bracket cannot be redrawn once match results have been recorded');
+      return;
+    }
+    if (tournament.status !== 'live' && !isCheckInOpen(tournament)) {
+      setBracketError('Draw the bracket once registration has closed, so every participant is in it');
+      return;
+    }
+    if ((tournament.participants?.length || 0) < 2) {
+      setBracketError('A bracket needs at least 2 participants');
+      return;
+    }
+
+    try {
+      setGeneratingBracket(true);
+      setBracketError('');
+
+      const seeding = tournament.seeding || 'random';
+      const ratings = seeding === 'rating' ? getPlayerRatings(tournaments, tournament.gameType) : undefined;
+
+      await saveBracket({
+        bracket: {
+          format: tournament.format,
+          seeding,
+          seeds: seedParticipants(tournament.participants, seeding, ratings),
+          results: [],
+          generatedAt: Timestamp.now(),
+          generatedBy: currentUser.uid
+        }
+      });
+
+      toast.success('Bracket drawn');
+    } catch (error) {
+      console.error('Error drawing bracket:', error);
+      setBracketError('Failed to draw bracket: ' + error.message);
+    } finally {
+      setGeneratingBracket(false);
+    }
+  }
+
+  async function handleRecordWinner(matchId, winnerId) {
+    if (!tournament) return;
+
+    if (tournament.prizesDistributedAt) {
+      setBracketError('Results cannot be changed after prizes have been distributed');
+      return;
+    }
+
+    try {
+      setRecordingMatchId(matchId);
+      setBracketError('');
+
+      const bracket = recordMatchWinner(tournament.bracket, matchId, winnerId);
+
+      // Once the final is decided the placements feed prize distribution like any other results
+      await saveBracket({
+        bracket,
+        playerResults: buildBracketPlayerResults(bracket) || deleteField(),
+        resultsUpdatedAt: Timestamp.now()
+      });
+    } catch (error) {
+      console.error('Error recording match winner:', error);
+      setBracketError('Failed to record winner: ' + error.message);
+    } finally {
+      setRecordingMatchId(null);
+    }
+  }
+
+  return (
+    <Modal show={show} onShow={() => setBracketError('')} onHide={onHide} size="xl">
+      <Modal.Header closeButton>
+        <Modal.Title>Bracket - {tournament?.gameName}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {bracketError && <Alert variant="danger">{bracketError}</Alert>}
+
+        {tournament && (
+          <>
+            <p className="small text-muted">
+              {TOURNAMENT_FORMATS[tournament.format]}, seeded {SEEDING_METHODS[tournament.seeding || 'random'].toLowerCase()}.
+              Pick the winner of each match and players advance automatically; byes are given to the top seeds.
+              Once the final is decided the placements are saved as the tournament results for prize distribution.
+            </p>
+
+            {tournament.bracket && (tournament.participants || []).some(participant =>
+              !tournament.bracket.seeds.some(seed => seed.userId === participant.userId)
+            ) && (
+              <Alert variant="warning">
+                Some participants joined after the bracket was drawn and are not in it.
+                {!tournament.bracket.results?.length && ' Redraw the bracket to include them.'}
+              </Alert>
+            )}
+
+            <BracketView
+              matches={buildBracket(tournament.bracket)}
+              onRecordWinner={handleRecordWinner}
+              recordingMatchId={recordingMatchId}
+            />
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>
+          Close
+        </Button>
+        {!tournament?.bracket?.results?.length && (
+          <Button
+            variant="primary"
+            onClick={handleGenerateBracket}
+            disabled={generatingBracket}
+          >
+            {generatingBracket ? 'Drawing...' : tournament?.bracket ? 'Redraw Bracket' : 'Draw Bracket'}
+          </Button>
+        )}
+      </Modal.Footer>
+    </Modal>
+  );
+}
+
+export default BracketEditor;
@@ -3,6 +3,7 @@ import { Container, Table, Button, Modal, Form, Alert } from 'react-bootstrap';
 import { collection, getDocs, doc, getDoc, setDoc } from 'firebase/firestore';
 import { db } from '../../firebase/config';
 import { sanitizeInput } from '../../utils/security';
+import { getPrizePool } from '../../utils/prizeDistribution';
 
 function FeaturedTournamentManagement() {
   const [tournaments, setTournaments] = useState([]);
@@ -92,7 +93,7 @@ function FeaturedTournamentManagement() {
         id: selectedTournament.id,
         gameName: sanitizeInput(selectedTournament.gameName),
         gameType: sanitizeInput(selectedTournament.gameType),
-        prizePool: selectedTournament.prizePool,
+        prizePool: getPrizePool(selectedTournament),
         status: selectedTournament.status,
         displayOrder: displayOrder,
         addedAt: new Date().toISOString()
@@ -323,7 +324,7 @@ function FeaturedTournamentManagement() {
                 <h5>Tournament Preview</h5>
                 <p><strong>Name:</strong> {selectedTournament.gameName}</p>
                 <p><strong>Type:</strong> {selectedTournament.gameType}</p>
-                <p><strong>Prize Pool:</strong> Rs. {selectedTournament.prizePool}</p>
+                <p><strong>Prize Pool:</strong> Rs. {getPrizePool(selectedTournament)}</p>
                 <p><strong>Status:</strong> {selectedTournament.status}</p>
               </div>
             )}
@@ -0,0 +1,242 @@
+import React, { useState } from 'react';
+import { Table, Button, Modal, Form, Alert } from 'react-bootstrap';
+import { useAuth } from '../../contexts/AuthContext';
+import DOMPurify from 'dompurify';
+import { toast } from 'react-toastify';
+import { isCheckInOpen } from '../../utils/tournamentSchedule';
+import { formatDateTime } from '../../utils/timezone';
+import {
+  getFixtureStatusLabel,
+  getRoundDays,
+  getScoreError,
+  calculateLeagueTable,
+  isLeagueComplete,
+  groupFixturesByRound
+} from '../../utils/league';
+import LeagueService from '../../services/LeagueService';
+import LeagueTable from '../common/LeagueTable';
+
+/**
+ * Admin editor for the fixtures of a league tournament: generates the round
+ * robin, enters or corrects scores and saves the final standings. `onSaved`
+ * gets the tournament with its updated league or results.
+ */
+function LeagueEditor({ show, tournament, onHide, onSaved }) {
+  const [leagueFixtures, setLeagueFixtures] = useState([]);
+  const [leagueError, setLeagueError] = useState('');
+  const [loadingFixtures, setLoadingFixtures] = useState(false);
+  const [generatingFixtures, setGeneratingFixtures] = useState(false);
+  const [fixtureScore, setFixtureScore] = useState(null);
+  const [savingFixture, setSavingFixture] = useState(false);
+  const { currentUser } = useAuth();
+
+  async function loadFixtures() {
+    setLeagueError('');
+    setFixtureScore(null);
+    setLeagueFixtures([]);
+
+    try {
+      setLoadingFixtures(true);
+      setLeagueFixtures(await LeagueService.getFixtures(tournament.id));
+    } catch (error) {
+      setLeagueError('Failed to load fixtures: ' + error.message);
+    } finally {
+      setLoadingFixtures(false);
+    }
+  }
+
+  async function handleGenerateFixtures() {
+    if (!tournament) return;
+
+    if (tournament.status !== 'live' && !isCheckInOpen(tournament)) {
+      setLeagueError('Generate the fixtures once registration has closed, so every participant is in them');
+      return;
+    }
+    if ((tournament.participants?.length || 0) < 2) {
+      setLeagueError('A league needs at least 2 participants');
+      return;
+    }
+
+    try {
+      setGeneratingFixtures(true);
+      setLeagueError('');
+
+      const fixtureCount = await LeagueService.generateFixtures(tournament, currentUser.uid);
+      setLeagueFixtures(await LeagueService.getFixtures(tournament.id));
+      onSaved({ ...tournament, league: { roundDays: getRoundDays(tournament), fixtureCount } });
+      toast.success(`${fixtureCount} fixtures generated`);
+    } catch (error) {
+      console.error('Error generating fixtures:', error);
+      setLeagueError('Failed to generate fixtures: ' + error.message);
+    } finally {
+      setGeneratingFixtures(false);
+    }
+  }
+
+  async function handleSaveFixtureScore() {
+    if (!fixtureScore) return;
+
+    const scoreError = getScoreError(fixtureScore.homeScore, fixtureScore.awayScore);
+    if (scoreError) {
+      setLeagueError(scoreError);
+      return;
+    }
+
+    try {
+      setSavingFixture(true);
+      setLeagueError('');
+
+      await LeagueService.setScore(fixtureScore.fixtureId, fixtureScore, currentUser.uid);
+      setLeagueFixtures(await LeagueService.getFixtures(tournament.id));
+      setFixtureScore(null);
+    } catch (error) {
+      console.error('Error saving fixture score:', error);
+      setLeagueError('Failed to save score: ' + error.message);
+    } finally {
+      setSavingFixture(false);
+    }
+  }
+
+  async function handleSaveLeagueStandings() {
+    if (!tournament) return;
+
+    try {
+      setSavingFixture(true);
+      setLeagueError('');
+
+      const playerResults = await LeagueService.saveFinalStandings(tournament, leagueFixtures);
+      onSaved({ ...tournament, playerResults });
+      toast.success('Final standings saved as the tournament results');
+    } catch (error) {
+      setLeagueError('Failed to save standings: ' + error.message);
+    } finally {
+      setSavingFixture(false);
+    }
+  }
+
+  return (
+    <Modal show={show} onShow={loadFixtures} onHide={onHide} size="xl">
+      <Modal.Header closeButton>
+        <Modal.Title>Fixtures - {tournament?.gameName}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {leagueError && <Alert variant="danger">{leagueError}</Alert>}
+
+        {tournament && (
+          <>
+            <p className="small text-muted">
+              Round robin, one round every {getRoundDays(tournament)} days. Both players report each score; matching
+              reports are recorded automatically and conflicting ones go to Match Disputes. Fixtures nobody reported by their
+              deadline are forfeited by both players. Enter or correct any score here.
+            </p>
+
+            {loadingFixtures ? (
+              <p className="small">Loading fixtures...</p>
+            ) : leagueFixtures.length === 0 ? (
+              <p className="small">No fixtures yet. Generate them once registration has closed.</p>
+            ) : (
+              groupFixturesByRound(leagueFixtures).map(round => (
+                <div key={round.round} className="mb-3">
+                  <h6 className="mb-1">
+                    Round {round.round}
+                    <span className="small text-muted ms-2">Deadline {formatDateTime(round.deadline, tournament.timezone)}</span>
+                  </h6>
+                  <Table bordered size="sm" className="small mb-0">
+                    <tbody>
+                      {round.fixtures.map(fixture => (
+                        <tr key={fixture.id}>
+                          <td className={fixture.winnerId === fixture.homeId ? 'fw-bold' : ''}>{DOMPurify.sanitize(fixture.homeName)}</td>
+                          <td style={{ width: '170px' }}>
+                            {fixtureScore?.fixtureId === fixture.id ? (
+                              <div className="d-flex gap-1 align-items-center">
+                                <Form.Control
+                                  size="sm"
+                                  type="number"
+                                  min="0"
+                                  value={fixtureScore.homeScore}
+                                  onChange={(e) => setFixtureScore({ ...fixtureScore, homeScore: e.target.value })}
+                                />
+                                -
+                                <Form.Control
+                                  size="sm"
+                                  type="number"
+                                  min="0"
+                                  value={fixtureScore.awayScore}
+                                  onChange={(e) => setFixtureScore({ ...fixtureScore, awayScore: e.target.value })}
+                                />
+                              </div>
+                            ) : fixture.status === 'completed' ? (
+                              `${fixture.homeScore} - ${fixture.awayScore}`
+                            ) : (
+                              <span className="text-muted">vs</span>
+                            )}
+                          </td>
+                          <td className={fixture.winnerId === fixture.awayId ? 'fw-bold' : ''}>{DOMPurify.sanitize(fixture.awayName)}</td>
+                          <td>
+                            <span className={`badge bg-${fixture.status === 'completed' ? 'success' : fixture.status === 'forfeited' ? 'danger' : 'secondary'}`}>
+                              {getFixtureStatusLabel(fixture.status)}
+                            </span>
+                            {fixture.resolvedBy === 'admin' && <span className="text-muted ms-1">(admin)</span>}
+                          </td>
+                          <td style={{ width: '150px' }}>
+                            {fixtureScore?.fixtureId === fixture.id ? (
+                              <>
+                                <Button variant="primary" size="sm" className="me-1" onClick={handleSaveFixtureScore} disabled={savingFixture}>
+                                  Save
+                                </Button>
+                                <Button variant="secondary" size="sm" onClick={() => setFixtureScore(null)}>
+                                  Cancel
+                                </Button>
+                              </>
+                            ) : (
+                              <Button
+                                variant="outline-primary"
+                                size="sm"
+                                onClick={() => setFixtureScore({
+                                  fixtureId: fixture.id,
+                                  homeScore: fixture.homeScore ?? '',
+                                  awayScore: fixture.awayScore ?? ''
+                                })}
+                                disabled={!!tournament.prizesDistributedAt}
+                              >
+                                {fixture.status === 'completed' ? 'Correct' : 'Enter Score'}
+                              </Button>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                </div>
+              ))
+            )}
+
+            <h6>League Table</h6>
+            <LeagueTable rows={calculateLeagueTable(tournament.participants || [], leagueFixtures)} />
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>
+          Close
+        </Button>
+        {isLeagueComplete(leagueFixtures) && !tournament?.prizesDistributedAt && (
+          <Button variant="success" onClick={handleSaveLeagueStandings} disabled={savingFixture}>
+            Save Final Standings
+          </Button>
+        )}
+        {!leagueFixtures.some(fixture => fixture.status !== 'scheduled') && (
+          <Button
+            variant="primary"
+            onClick={handleGenerateFixtures}
+            disabled={generatingFixtures || loadingFixtures}
+          >
+            {generatingFixtures ? 'Generating...' : leagueFixtures.length > 0 ? 'Regenerate Fixtures' : 'Generate Fixtures'}
+          </Button>
+        )}
+      </Modal.Footer>
+    </Modal>
+  );
+}
+
+export default LeagueEditor;
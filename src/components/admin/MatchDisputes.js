@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Button, Modal, Form, Alert, Badge, Image, Spinner } from 'react-bootstrap';
+import { useAuth } from '../../contexts/AuthContext';
+import { sanitizeInput } from '../../utils/security';
+import MatchReportService from '../../services/MatchReportService';
+import { getScoreError } from '../../utils/league';
+import { getPlayerReport, getDisputeReason } from '../../utils/matchReports';
+
+function MatchDisputes() {
+  const [disputes, setDisputes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [resolving, setResolving] = useState(null);
+  const [resolveError, setResolveError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const { currentUser } = useAuth();
+
+  useEffect(() => {
+    fetchDisputes();
+  }, []);
+
+  async function fetchDisputes() {
+    try {
+      setLoading(true);
+      setDisputes(await MatchReportService.getDisputes());
+    } catch (error) {
+      setError('Failed to load disputes: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function openResolveModal(dispute, playerReport) {
+    setResolving({
+      dispute,
+      homeScore: playerReport?.homeScore ?? '',
+      awayScore: playerReport?.awayScore ?? '',
+      note: ''
+    });
+    setResolveError('');
+  }
+
+  async function handleResolve() {
+    if (!resolving) return;
+
+    const scoreError = getScoreError(resolving.homeScore, resolving.awayScore);
+    if (scoreError) {
+      setResolveError(scoreError);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setResolveError('');
+
+      const { dispute, homeScore, awayScore, note } = resolving;
+      await MatchReportService.resolveDispute(dispute.id, { homeScore, awayScore }, currentUser.uid, sanitizeInput(note.trim()));
+
+      setSuccess(`Result recorded: ${dispute.homeName} ${homeScore} - ${awayScore} ${dispute.awayName}`);
+      setResolving(null);
+      await fetchDisputes();
+    } catch (error) {
+      setResolveError('Failed to resolve dispute: ' + error.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  function renderPlayerReport(dispute, userId, name) {
+    const playerReport = getPlayerReport(dispute, userId);
+
+    return (
+      <Card className="h-100">
+        <Card.Header className="py-2 small">
+          <strong>{sanitizeInput(name)}</strong>
+        </Card.Header>
+        <Card.Body className="p-2 small">
+          {playerReport ? (
+            <>
+              <p className="mb-2">
+                Reported <strong>{sanitizeInput(dispute.homeName)} {playerReport.homeScore} - {playerReport.awayScore} {sanitizeInput(dispute.awayName)}</strong>
+                <br />
+                <span className="text-muted">{playerReport.reportedAt?.toDate().toLocaleString()}</span>
+              </p>
+              {playerReport.screenshotUrl ? (
+                <a href={playerReport.screenshotUrl} target="_blank" rel="noopener noreferrer">
+                  <Image src={playerReport.screenshotUrl} alt={`Screenshot from ${name}`} fluid thumbnail style={{ maxHeight: '300px' }} />
+                </a>
+              ) : (
+                <p className="text-muted mb-2">No screenshot</p>
+              )}
+              <div className="mt-2">
+                <Button variant="outline-success" size="sm" onClick={() => openResolveModal(dispute, playerReport)}>
+                  Use This Score
+                </Button>
+              </div>
+            </>
+          ) : (
+            <p className="text-muted mb-0">Did not report a score.</p>
+          )}
+        </Card.Body>
+      </Card>
+    );
+  }
+
+  return (
+    <Container className="py-4">
+      <h2 className="mb-4">Match Disputes</h2>
+
+      {error && <Alert variant="danger">{error}</Alert>}
+      {success && <Alert variant="success" onClose={() => setSuccess('')} dismissible>{success}</Alert>}
+
+      <p className="small text-muted">
+        1v1 results the two players did not agree on, or that only one player reported before the deadline.
+        Compare both reports and decide the score; it is recorded on the bracket or league and both players are notified.
+      </p>
+
+      {loading ? (
+        <div className="text-center py-4">
+          <Spinner animation="border" />
+        </div>
+      ) : disputes.length === 0 ? (
+        <Alert variant="info">There are no open disputes.</Alert>
+      ) : (
+        disputes.map(dispute => (
+          <Card key={dispute.id} className="mb-4">
+            <Card.Header className="d-flex flex-wrap justify-content-between align-items-center gap-2">
+              <div>
+                <strong>{sanitizeInput(dispute.gameName || 'Tournament')}</strong> - {sanitizeInput(dispute.matchLabel)}
+                <Badge bg="secondary" className="ms-2">{dispute.source === 'league' ? 'League' : 'Bracket'}</Badge>
+              </div>
+              <span className="small text-danger">{getDisputeReason(dispute)}</span>
+            </Card.Header>
+            <Card.Body>
+              <Row className="g-3">
+                <Col md={6}>
+                  {renderPlayerReport(dispute, dispute.homeId, dispute.homeName)}
+                </Col>
+                <Col md={6}>
+                  {renderPlayerReport(dispute, dispute.awayId, dispute.awayName)}
+                </Col>
+              </Row>
+              <div className="mt-3">
+                <Button variant="outline-primary" size="sm" onClick={() => openResolveModal(dispute, null)}>
+                  Enter Another Score
+                </Button>
+              </div>
+            </Card.Body>
+          </Card>
+        ))
+      )}
+
+      <Modal show={!!resolving} onHide={() => setResolving(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Decide Result</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {resolveError && <Alert variant="danger">{resolveError}</Alert>}
+          {resolving && (
+            <>
+              <Row className="mb-3">
+                <Col>
+                  <Form.Group>
+                    <Form.Label className="small">{sanitizeInput(resolving.dispute.homeName)}</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      value={resolving.homeScore}
+                      onChange={(e) => setResolving({ ...resolving, homeScore: e.target.value })}
+                    />
+                  </Form.Group>
+                </Col>
+                <Col>
+                  <Form.Group>
+                    <Form.Label className="small">{sanitizeInput(resolving.dispute.awayName)}</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      value={resolving.awayScore}
+                      onChange={(e) => setResolving({ ...resolving, awayScore: e.target.value })}
+                    />
+                  </Form.Group>
+                </Col>
+              </Row>
+              <Form.Group>
+                <Form.Label className="small">Note to the players (optional)</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  rows={2}
+                  value={resolving.note}
+                  onChange={(e) => setResolving({ ...resolving, note: e.target.value })}
+                  placeholder="e.g. The screenshot shows the final score"
+                />
+              </Form.Group>
+            </>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setResolving(null)}>
+            Cancel
+          </Button>
+          <Button variant="primary" onClick={handleResolve} disabled={saving}>
+            {saving ? 'Saving...' : 'Record Result'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </Container>
+  );
+}
+
+export default MatchDisputes;
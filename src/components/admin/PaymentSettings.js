@@ -1,36 +1,52 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Card, Form, Button, Alert } from 'react-bootstrap';
-import { doc, getDoc, setDoc } from 'firebase/firestore';
+import { Container, Card, Form, Button, Alert, Table, Badge, Modal } from 'react-bootstrap';
+import { doc, setDoc } from 'firebase/firestore';
 import { db } from '../../firebase/config';
 import { sanitizeInput } from '../../utils/security';
+import WalletService from '../../services/WalletService';
+import DepositAccountService from '../../services/DepositAccountService';
+import { PAYOUT_METHOD_TYPES, PAYOUT_METHOD_LABELS } from '../../utils/payoutMethods';
+import {
+  DEPOSIT_SELECTION_STRATEGIES,
+  DEFAULT_DEPOSIT_SELECTION_STRATEGY,
+  getAccountUsage
+} from '../../utils/depositAccounts';
 import CSRFToken from '../security/CSRFToken';
 
+const EMPTY_ACCOUNT = {
+  method: 'bank',
+  label: '',
+  accountName: '',
+  accountNumber: '',
+  bankName: '',
+  dailyLimit: '',
+  enabled: true
+};
+
 function PaymentSettings() {
-  const [bankName, setBankName] = useState('');
-  const [bankAccountName, setBankAccountName] = useState('');
-  const [bankAccountNumber, setBankAccountNumber] = useState('');
-  const [easyPasaOwnerName, setEasyPasaOwnerName] = useState('');
-  const [easyPasaInfo, setEasyPasaInfo] = useState('');
+  const [accounts, setAccounts] = useState([]);
+  const [selectionStrategy, setSelectionStrategy] = useState(DEFAULT_DEPOSIT_SELECTION_STRATEGY);
+  const [usage, setUsage] = useState({});
+  const [editingAccount, setEditingAccount] = useState(null);
+  const [accountError, setAccountError] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [approvalThreshold, setApprovalThreshold] = useState('');
+  const [thresholdError, setThresholdError] = useState('');
+  const [thresholdSuccess, setThresholdSuccess] = useState('');
 
   // Fetch existing payment settings on component mount
   useEffect(() => {
     async function fetchPaymentSettings() {
       try {
         setLoading(true);
-        const paymentSettingsRef = doc(db, 'adminSettings', 'paymentAccounts');
-        const docSnap = await getDoc(paymentSettingsRef);
-
-        if (docSnap.exists()) {
-          const data = docSnap.data();
-          setBankName(data.bankName || '');
-          setBankAccountName(data.bankAccountName || '');
-          setBankAccountNumber(data.bankAccountNumber || '');
-          setEasyPasaOwnerName(data.easyPasaOwnerName || '');
-          setEasyPasaInfo(data.easyPasaInfo || '');
-        }
+        const settings = await DepositAccountService.getSettings();
+        setAccounts(settings.accounts);
+        setSelectionStrategy(settings.selectionStrategy);
+        setUsage(await DepositAccountService.getUsage());
+
+        setApprovalThreshold(String(await WalletService.getAdjustmentApprovalThreshold()));
       } catch (error) {
         setError('Failed to load payment settings: ' + error.message);
       } finally {
@@ -41,40 +57,99 @@ function PaymentSettings() {
     fetchPaymentSettings();
   }, []);
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
+  async function saveAccounts(updatedAccounts, strategy, message) {
     try {
       setError('');
       setSuccess('');
-      
-      // Validate inputs
-      if (!bankName.trim() && !bankAccountName.trim() && !bankAccountNumber.trim() && !easyPasaOwnerName.trim() && !easyPasaInfo.trim()) {
-        setError('Please provide at least one payment method information');
+      await DepositAccountService.saveSettings(updatedAccounts, strategy);
+      setAccounts(updatedAccounts);
+      setSelectionStrategy(strategy);
+      setSuccess(message);
+    } catch (error) {
+      setError('Failed to update payment settings: ' + error.message);
+    }
+  }
+
+  function openAccountModal(account) {
+    setAccountError('');
+    setEditingAccount(account
+      ? { ...account, bankName: account.bankName || '', dailyLimit: account.dailyLimit ? String(account.dailyLimit) : '' }
+      : { ...EMPTY_ACCOUNT });
+  }
+
+  function handleAccountChange(e) {
+    const { name, value, type, checked } = e.target;
+    setEditingAccount(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  }
+
+  const handleAccountSubmit = async (e) => {
+    e.preventDefault();
+
+    // Sanitize inputs
+    const account = {
+      id: editingAccount.id || window.crypto.randomUUID(),
+      method: editingAccount.method,
+      label: sanitizeInput(editingAccount.label.trim()),
+      accountName: sanitizeInput(editingAccount.accountName.trim()),
+      accountNumber: sanitizeInput(editingAccount.accountNumber.trim()),
+      bankName: editingAccount.method === 'bank' ? sanitizeInput(editingAccount.bankName.trim()) : null,
+      dailyLimit: Number(editingAccount.dailyLimit) || 0,
+      enabled: editingAccount.enabled
+    };
+
+    if (!account.label || !account.accountName || !account.accountNumber) {
+      setAccountError('Please enter a label, the account name and the account number');
+      return;
+    }
+    if (account.method === 'bank' && !account.bankName) {
+      setAccountError('Please enter the bank name');
+      return;
+    }
+    if (account.dailyLimit < 0) {
+      setAccountError('The daily limit cannot be negative');
+      return;
+    }
+
+    const updatedAccounts = editingAccount.id
+      ? accounts.map(existing => (existing.id === account.id ? account : existing))
+      : [...accounts, account];
+
+    await saveAccounts(updatedAccounts, selectionStrategy, `Deposit account ${account.label} saved`);
+    setEditingAccount(null);
+  };
+
+  function handleToggleAccount(account) {
+    const updatedAccounts = accounts.map(existing =>
+      existing.id === account.id ? { ...existing, enabled: !existing.enabled } : existing);
+    saveAccounts(updatedAccounts, selectionStrategy, `Deposit account ${account.label} ${account.enabled ? 'disabled' : 'enabled'}`);
+  }
+
+  function handleRemoveAccount(account) {
+    if (!window.confirm(`Remove the deposit account ${account.label}? Recharge requests already made keep its details.`)) return;
+    saveAccounts(accounts.filter(existing => existing.id !== account.id), selectionStrategy, `Deposit account ${account.label} removed`);
+  }
+
+  const handleThresholdSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setThresholdError('');
+      setThresholdSuccess('');
+
+      const threshold = Number(approvalThreshold);
+      if (!Number.isFinite(threshold) || threshold <= 0) {
+        setThresholdError('The approval threshold must be greater than 0');
         return;
       }
-      
-      // Sanitize inputs
-      const sanitizedBankName = sanitizeInput(bankName.trim());
-      const sanitizedBankAccountName = sanitizeInput(bankAccountName.trim());
-      const sanitizedBankAccountNumber = sanitizeInput(bankAccountNumber.trim());
-      const sanitizedEasyPasaOwnerName = sanitizeInput(easyPasaOwnerName.trim());
-      const sanitizedEasyPasaInfo = sanitizeInput(easyPasaInfo.trim());
-      
-      // Save to Firestore
-      const paymentSettingsRef = doc(db, 'adminSettings', 'paymentAccounts');
-      await setDoc(paymentSettingsRef, {
-        bankName: sanitizedBankName,
-        bankAccountName: sanitizedBankAccountName,
-        bankAccountNumber: sanitizedBankAccountNumber,
-        easyPasaOwnerName: sanitizedEasyPasaOwnerName,
-        easyPasaInfo: sanitizedEasyPasaInfo,
+
+      await setDoc(doc(db, 'adminSettings', 'walletAdjustments'), {
+        approvalThreshold: threshold,
         updatedAt: new Date().toISOString()
       }, { merge: true });
-      
-      setSuccess('Payment settings updated successfully');
+
+      setThresholdSuccess('Wallet adjustment settings updated successfully');
     } catch (error) {
-      setError('Failed to update payment settings: ' + error.message);
+      setThresholdError('Failed to update wallet adjustment settings: ' + error.message);
     }
   };
 
@@ -84,79 +159,210 @@ function PaymentSettings() {
       
       <Card className="mb-4">
         <Card.Body>
-          <Card.Title>Payment Account Information</Card.Title>
+          <div className="d-flex justify-content-between align-items-center mb-2">
+            <Card.Title className="mb-0">Deposit Accounts</Card.Title>
+            <Button variant="primary" size="sm" onClick={() => openAccountModal(null)} disabled={loading}>
+              Add Account
+            </Button>
+          </div>
           <Card.Text className="text-muted mb-4">
-            Enter your payment account details below. This information will be displayed to users when they recharge their wallet.
+            Players recharging are shown one enabled account of the payment method they choose. Accounts that
+            have reached their daily limit (counted per UTC day from recharge requests) are skipped.
           </Card.Text>
           
           {error && <Alert variant="danger">{error}</Alert>}
           {success && <Alert variant="success">{success}</Alert>}
           
-          <Form onSubmit={handleSubmit}>
-            <CSRFToken />
-            
-            <Form.Group className="mb-3">
-              <Form.Label>Bank Name</Form.Label>
-              <Form.Control
-                type="text"
-                value={bankName}
-                onChange={(e) => setBankName(e.target.value)}
-                placeholder="Enter bank name"
-              />
-            </Form.Group>
-            
-            <Form.Group className="mb-3">
-              <Form.Label>Bank Account Owner Name</Form.Label>
-              <Form.Control
-                type="text"
-                value={bankAccountName}
-                onChange={(e) => setBankAccountName(e.target.value)}
-                placeholder="Enter bank account owner name"
-              />
-            </Form.Group>
-            
+          <Form.Group className="mb-3" style={{ maxWidth: '400px' }}>
+            <Form.Label>Account Selection</Form.Label>
+            <Form.Select
+              value={selectionStrategy}
+              onChange={(e) => saveAccounts(accounts, e.target.value, 'Account selection updated')}
+              disabled={loading}
+            >
+              {Object.entries(DEPOSIT_SELECTION_STRATEGIES).map(([strategy, label]) => (
+                <option key={strategy} value={strategy}>{label}</option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+          
+          <div className="table-responsive">
+            <Table striped bordered hover size="sm">
+              <thead>
+                <tr>
+                  <th>Label</th>
+                  <th>Method</th>
+                  <th>Account</th>
+                  <th>Requested Today</th>
+                  <th>Daily Limit</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {accounts.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" className="text-center">No deposit accounts yet. Players cannot recharge until you add one.</td>
+                  </tr>
+                ) : (
+                  accounts.map(account => {
+                    const accountUsage = getAccountUsage(usage, account.id);
+                    return (
+                      <tr key={account.id}>
+                        <td>{account.label}</td>
+                        <td>{account.method === 'bank' ? account.bankName : PAYOUT_METHOD_LABELS[account.method]}</td>
+                        <td>{account.accountName}<br /><small className="text-muted">{account.accountNumber}</small></td>
+                        <td>Rs. {accountUsage.requestedAmount} ({accountUsage.requestCount})</td>
+                        <td>{account.dailyLimit > 0 ? `Rs. ${account.dailyLimit}` : 'No limit'}</td>
+                        <td>
+                          <Badge bg={account.enabled ? 'success' : 'secondary'}>{account.enabled ? 'Enabled' : 'Disabled'}</Badge>
+                        </td>
+                        <td>
+                          <div className="d-flex gap-2">
+                            <Button variant="outline-primary" size="sm" onClick={() => openAccountModal(account)}>Edit</Button>
+                            <Button
+                              variant={account.enabled ? 'outline-warning' : 'outline-success'}
+                              size="sm"
+                              onClick={() => handleToggleAccount(account)}
+                            >
+                              {account.enabled ? 'Disable' : 'Enable'}
+                            </Button>
+                            <Button variant="outline-danger" size="sm" onClick={() => handleRemoveAccount(account)}>Remove</Button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </Table>
+          </div>
+        </Card.Body>
+      </Card>
+      
+      <Card className="mb-4">
+        <Card.Body>
+          <Card.Title>Wallet Adjustments</Card.Title>
+          <Card.Text className="text-muted mb-4">
+            Manual credits and debits of this amount or more are applied only after a second admin confirms them.
+          </Card.Text>
+          
+          {thresholdError && <Alert variant="danger">{thresholdError}</Alert>}
+          {thresholdSuccess && <Alert variant="success">{thresholdSuccess}</Alert>}
+          
+          <Form onSubmit={handleThresholdSubmit}>
             <Form.Group className="mb-3">
-              <Form.Label>Bank Account Number</Form.Label>
+              <Form.Label>Second Admin Approval Threshold (Rs.)</Form.Label>
               <Form.Control
-                type="text"
-                value={bankAccountNumber}
-                onChange={(e) => setBankAccountNumber(e.target.value)}
-                placeholder="Enter bank account number"
+                type="number"
+                min="1"
+                value={approvalThreshold}
+                onChange={(e) => setApprovalThreshold(e.target.value)}
               />
             </Form.Group>
             
-            <Form.Group className="mb-3">
-            <Form.Label>Easy Pasa Owner Name</Form.Label>
-            <Form.Control
-              type="text"
-              placeholder="Enter Easy Pasa account owner name"
-              value={easyPasaOwnerName}
-              onChange={(e) => setEasyPasaOwnerName(e.target.value)}
-            />
-            <Form.Text className="text-muted">
-              Enter the name of the Easy Pasa account owner.
-            </Form.Text>
-          </Form.Group>
-
-          <Form.Group className="mb-3">
-            <Form.Label>Easy Pasa Information</Form.Label>
-            <Form.Control
-              type="text"
-              placeholder="Enter Easy Pasa account number or any additional information"
-              value={easyPasaInfo}
-              onChange={(e) => setEasyPasaInfo(e.target.value)}
-            />
-            <Form.Text className="text-muted">
-              Enter your Easy Pasa account number or any additional information users need to make payments.
-            </Form.Text>
-          </Form.Group>
-            
             <Button variant="primary" type="submit" disabled={loading}>
-              Save Settings
+              Save Threshold
             </Button>
           </Form>
         </Card.Body>
       </Card>
+      
+      {/* Deposit Account Modal */}
+      <Modal show={!!editingAccount} onHide={() => setEditingAccount(null)} centered>
+        {editingAccount && (
+          <Form onSubmit={handleAccountSubmit}>
+            <CSRFToken />
+            <Modal.Header closeButton>
+              <Modal.Title>{editingAccount.id ? 'Edit Deposit Account' : 'Add Deposit Account'}</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              {accountError && <Alert variant="danger">{accountError}</Alert>}
+              
+              <Form.Group className="mb-3">
+                <Form.Label>Method</Form.Label>
+                <Form.Select name="method" value={editingAccount.method} onChange={handleAccountChange}>
+                  {PAYOUT_METHOD_TYPES.map(method => (
+                    <option key={method} value={method}>{PAYOUT_METHOD_LABELS[method]}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+              
+              <Form.Group className="mb-3">
+                <Form.Label>Label</Form.Label>
+                <Form.Control
+                  type="text"
+                  name="label"
+                  value={editingAccount.label}
+                  onChange={handleAccountChange}
+                  placeholder="e.g. Main JazzCash"
+                />
+                <Form.Text className="text-muted">Only admins see the label.</Form.Text>
+              </Form.Group>
+              
+              {editingAccount.method === 'bank' && (
+                <Form.Group className="mb-3">
+                  <Form.Label>Bank Name</Form.Label>
+                  <Form.Control
+                    type="text"
+                    name="bankName"
+                    value={editingAccount.bankName}
+                    onChange={handleAccountChange}
+                    placeholder="Enter bank name"
+                  />
+                </Form.Group>
+              )}
+              
+              <Form.Group className="mb-3">
+                <Form.Label>Account Owner Name</Form.Label>
+                <Form.Control
+                  type="text"
+                  name="accountName"
+                  value={editingAccount.accountName}
+                  onChange={handleAccountChange}
+                  placeholder="Enter account owner name"
+                />
+              </Form.Group>
+              
+              <Form.Group className="mb-3">
+                <Form.Label>{editingAccount.method === 'bank' ? 'Account Number or IBAN' : 'Mobile Number'}</Form.Label>
+                <Form.Control
+                  type="text"
+                  name="accountNumber"
+                  value={editingAccount.accountNumber}
+                  onChange={handleAccountChange}
+                  placeholder="Enter the number players pay to"
+                />
+              </Form.Group>
+              
+              <Form.Group className="mb-3">
+                <Form.Label>Daily Limit (Rs.)</Form.Label>
+                <Form.Control
+                  type="number"
+                  name="dailyLimit"
+                  min="0"
+                  value={editingAccount.dailyLimit}
+                  onChange={handleAccountChange}
+                  placeholder="No limit"
+                />
+              </Form.Group>
+              
+              <Form.Check
+                type="switch"
+                id="deposit-account-enabled"
+                name="enabled"
+                label="Show this account to players"
+                checked={editingAccount.enabled}
+                onChange={handleAccountChange}
+              />
+            </Modal.Body>
+            <Modal.Footer>
+              <Button variant="secondary" onClick={() => setEditingAccount(null)}>Cancel</Button>
+              <Button variant="primary" type="submit">Save Account</Button>
+            </Modal.Footer>
+          </Form>
+        )}
+      </Modal>
     </Container>
   );
 }
@@ -0,0 +1,433 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Table, Button, Modal, Form, Alert, Badge, Spinner } from 'react-bootstrap';
+import { collection, getDocs } from 'firebase/firestore';
+import { db } from '../../firebase/config';
+import { useAuth } from '../../contexts/AuthContext';
+import { sanitizeInput } from '../../utils/security';
+import PromoCodeService from '../../services/PromoCodeService';
+import {
+  PROMO_CODE_TYPES,
+  PROMO_CODE_TYPE_LABELS,
+  describePromoCode,
+  getPromoExpiry
+} from '../../utils/promoCodes';
+
+const EMPTY_FORM = {
+  code: '',
+  type: 'recharge_bonus',
+  bonusPercent: '',
+  maxBonus: '',
+  amount: '',
+  freeEntryScope: 'tournament',
+  tournamentId: '',
+  gameType: '',
+  usageLimit: '',
+  perUserLimit: '1',
+  expiresOn: ''
+};
+
+function PromoCodeManagement() {
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [tournaments, setTournaments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [selectedPromo, setSelectedPromo] = useState(null);
+  const [redemptions, setRedemptions] = useState([]);
+  const [loadingRedemptions, setLoadingRedemptions] = useState(false);
+  const { currentUser } = useAuth();
+
+  useEffect(() => {
+    fetchPromoCodes();
+    fetchTournaments();
+  }, []);
+
+  async function fetchPromoCodes() {
+    try {
+      setLoading(true);
+      setPromoCodes(await PromoCodeService.getPromoCodes());
+    } catch (error) {
+      setError('Failed to load promo codes: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function fetchTournaments() {
+    try {
+      const snapshot = await getDocs(collection(db, 'tournaments'));
+      setTournaments(snapshot.docs
+        .map(tournamentDoc => ({ id: tournamentDoc.id, ...tournamentDoc.data() }))
+        .filter(tournament => tournament.status === 'upcoming'));
+    } catch (error) {
+      console.error('Error fetching tournaments:', error);
+    }
+  }
+
+  function handleInputChange(e) {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  }
+
+  function openCreateModal() {
+    setFormData(EMPTY_FORM);
+    setFormError('');
+    setShowCreateModal(true);
+  }
+
+  async function handleCreatePromoCode(e) {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setFormError('');
+
+      const tournament = tournaments.find(entry => entry.id === formData.tournamentId);
+      const freeEntryForTournament = formData.type === 'free_entry' && formData.freeEntryScope === 'tournament';
+      if (freeEntryForTournament && !tournament) {
+        throw new Error('Choose the tournament this code gives free entry to');
+      }
+
+      const code = await PromoCodeService.createPromoCode({
+        code: sanitizeInput(formData.code),
+        type: formData.type,
+        bonusPercent: Number(formData.bonusPercent),
+        maxBonus: Number(formData.maxBonus) || 0,
+        amount: Number(formData.amount),
+        tournamentId: freeEntryForTournament ? tournament.id : null,
+        tournamentName: freeEntryForTournament ? tournament.gameName : null,
+        gameType: formData.type === 'free_entry' && formData.freeEntryScope === 'gameType' ? formData.gameType : null,
+        usageLimit: Number(formData.usageLimit) || 0,
+        perUserLimit: Number(formData.perUserLimit) || 0,
+        // Codes work until the end of their expiry day in the admin's timezone
+        expiresAt: formData.expiresOn ? new Date(`${formData.expiresOn}T23:59:59.999`) : null
+      }, currentUser);
+
+      setSuccess(`Promo code ${code} created`);
+      setShowCreateModal(false);
+      fetchPromoCodes();
+    } catch (error) {
+      setFormError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleToggleActive(promo) {
+    try {
+      setError('');
+      await PromoCodeService.setPromoCodeActive(promo.id, !promo.active);
+      setSuccess(`Promo code ${promo.id} ${promo.active ? 'deactivated' : 'activated'}`);
+      fetchPromoCodes();
+    } catch (error) {
+      setError('Failed to update promo code: ' + error.message);
+    }
+  }
+
+  async function openRedemptions(promo) {
+    setSelectedPromo(promo);
+    setRedemptions([]);
+
+    try {
+      setLoadingRedemptions(true);
+      setRedemptions(await PromoCodeService.getRedemptions(promo.id));
+    } catch (error) {
+      setError('Failed to load redemptions: ' + error.message);
+    } finally {
+      setLoadingRedemptions(false);
+    }
+  }
+
+  function getStatusBadge(promo) {
+    const expiry = getPromoExpiry(promo);
+
+    if (!promo.active) return <Badge bg="secondary">Inactive</Badge>;
+    if (expiry && new Date() > expiry) return <Badge bg="warning" text="dark">Expired</Badge>;
+    if (promo.usageLimit > 0 && promo.usageCount >= promo.usageLimit) return <Badge bg="info">Used up</Badge>;
+    return <Badge bg="success">Active</Badge>;
+  }
+
+  function getReferenceLabel(redemption) {
+    switch (redemption.referenceType) {
+      case 'recharge': return 'Recharge bonus';
+      case 'tournament': return 'Tournament entry';
+      default: return 'Wallet credit';
+    }
+  }
+
+  const gameTypes = [...new Set(tournaments.map(tournament => tournament.gameType).filter(Boolean))];
+
+  return (
+    <Container className="py-5">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h1>Promo Codes</h1>
+        <Button variant="primary" onClick={openCreateModal}>Create Promo Code</Button>
+      </div>
+
+      {error && <Alert variant="danger" onClose={() => setError('')} dismissible>{error}</Alert>}
+      {success && <Alert variant="success" onClose={() => setSuccess('')} dismissible>{success}</Alert>}
+
+      {loading ? (
+        <div className="text-center my-5">
+          <Spinner animation="border" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </Spinner>
+        </div>
+      ) : (
+        <div className="table-responsive">
+          <Table striped bordered hover>
+            <thead>
+              <tr>
+                <th>Code</th>
+                <th>Type</th>
+                <th>Gives</th>
+                <th>Used</th>
+                <th>Per User</th>
+                <th>Expires</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {promoCodes.length === 0 ? (
+                <tr>
+                  <td colSpan="8" className="text-center">No promo codes yet</td>
+                </tr>
+              ) : (
+                promoCodes.map(promo => (
+                  <tr key={promo.id}>
+                    <td><code>{promo.id}</code></td>
+                    <td>{PROMO_CODE_TYPE_LABELS[promo.type] || promo.type}</td>
+                    <td>{describePromoCode(promo)}</td>
+                    <td>{promo.usageCount || 0} / {promo.usageLimit > 0 ? promo.usageLimit : 'unlimited'}</td>
+                    <td>{promo.perUserLimit > 0 ? promo.perUserLimit : 'unlimited'}</td>
+                    <td>{getPromoExpiry(promo) ? getPromoExpiry(promo).toLocaleDateString() : 'Never'}</td>
+                    <td>{getStatusBadge(promo)}</td>
+                    <td>
+                      <div className="d-flex gap-2">
+                        <Button
+                          variant={promo.active ? 'outline-danger' : 'outline-success'}
+                          size="sm"
+                          onClick={() => handleToggleActive(promo)}
+                        >
+                          {promo.active ? 'Deactivate' : 'Activate'}
+                        </Button>
+                        <Button variant="outline-info" size="sm" onClick={() => openRedemptions(promo)}>
+                          Redemptions
+                        </Button>
+                      </div>
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </Table>
+        </div>
+      )}
+
+      {/* Create Promo Code Modal */}
+      <Modal show={showCreateModal} onHide={() => setShowCreateModal(false)} centered>
+        <Form onSubmit={handleCreatePromoCode}>
+          <Modal.Header closeButton>
+            <Modal.Title>Create Promo Code</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {formError && <Alert variant="danger">{formError}</Alert>}
+
+            <Form.Group className="mb-3">
+              <Form.Label>Code</Form.Label>
+              <Form.Control
+                type="text"
+                name="code"
+                value={formData.code}
+                onChange={handleInputChange}
+                placeholder="e.g. WELCOME50"
+                required
+              />
+              <Form.Text className="text-muted">
+                Letters, numbers, dashes or underscores. Codes are not case sensitive.
+              </Form.Text>
+            </Form.Group>
+
+            <Form.Group className="mb-3">
+              <Form.Label>Type</Form.Label>
+              <Form.Select name="type" value={formData.type} onChange={handleInputChange}>
+                {PROMO_CODE_TYPES.map(type => (
+                  <option key={type} value={type}>{PROMO_CODE_TYPE_LABELS[type]}</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+
+            {formData.type === 'recharge_bonus' && (
+              <div className="row">
+                <Form.Group className="mb-3 col-6">
+                  <Form.Label>Bonus (%)</Form.Label>
+                  <Form.Control
+                    type="number"
+                    name="bonusPercent"
+                    value={formData.bonusPercent}
+                    onChange={handleInputChange}
+                    min="1"
+                    max="100"
+                    required
+                  />
+                </Form.Group>
+                <Form.Group className="mb-3 col-6">
+                  <Form.Label>Max Bonus (Rs.)</Form.Label>
+                  <Form.Control
+                    type="number"
+                    name="maxBonus"
+                    value={formData.maxBonus}
+                    onChange={handleInputChange}
+                    min="0"
+                    placeholder="No cap"
+                  />
+                </Form.Group>
+              </div>
+            )}
+
+            {formData.type === 'wallet_credit' && (
+              <Form.Group className="mb-3">
+                <Form.Label>Credit (Rs.)</Form.Label>
+                <Form.Control
+                  type="number"
+                  name="amount"
+                  value={formData.amount}
+                  onChange={handleInputChange}
+                  min="1"
+                  required
+                />
+              </Form.Group>
+            )}
+
+            {formData.type === 'free_entry' && (
+              <>
+                <Form.Group className="mb-3">
+                  <Form.Label>Valid For</Form.Label>
+                  <Form.Select name="freeEntryScope" value={formData.freeEntryScope} onChange={handleInputChange}>
+                    <option value="tournament">One tournament</option>
+                    <option value="gameType">Every tournament of a game type</option>
+                    <option value="any">Any tournament</option>
+                  </Form.Select>
+                </Form.Group>
+
+                {formData.freeEntryScope === 'tournament' && (
+                  <Form.Group className="mb-3">
+                    <Form.Label>Tournament</Form.Label>
+                    <Form.Select name="tournamentId" value={formData.tournamentId} onChange={handleInputChange} required>
+                      <option value="">Select an upcoming tournament</option>
+                      {tournaments.map(tournament => (
+                        <option key={tournament.id} value={tournament.id}>
+                          {tournament.gameName} ({tournament.gameType})
+                        </option>
+                      ))}
+                    </Form.Select>
+                  </Form.Group>
+                )}
+
+                {formData.freeEntryScope === 'gameType' && (
+                  <Form.Group className="mb-3">
+                    <Form.Label>Game Type</Form.Label>
+                    <Form.Select name="gameType" value={formData.gameType} onChange={handleInputChange} required>
+                      <option value="">Select a game type</option>
+                      {gameTypes.map(gameType => (
+                        <option key={gameType} value={gameType}>{gameType}</option>
+                      ))}
+                    </Form.Select>
+                  </Form.Group>
+                )}
+              </>
+            )}
+
+            <div className="row">
+              <Form.Group className="mb-3 col-6">
+                <Form.Label>Total Uses</Form.Label>
+                <Form.Control
+                  type="number"
+                  name="usageLimit"
+                  value={formData.usageLimit}
+                  onChange={handleInputChange}
+                  min="0"
+                  placeholder="Unlimited"
+                />
+              </Form.Group>
+              <Form.Group className="mb-3 col-6">
+                <Form.Label>Uses Per User</Form.Label>
+                <Form.Control
+                  type="number"
+                  name="perUserLimit"
+                  value={formData.perUserLimit}
+                  onChange={handleInputChange}
+                  min="0"
+                  placeholder="Unlimited"
+                />
+              </Form.Group>
+            </div>
+
+            <Form.Group className="mb-3">
+              <Form.Label>Expires On</Form.Label>
+              <Form.Control
+                type="date"
+                name="expiresOn"
+                value={formData.expiresOn}
+                onChange={handleInputChange}
+              />
+              <Form.Text className="text-muted">
+                Leave empty for a code that never expires.
+              </Form.Text>
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowCreateModal(false)}>Cancel</Button>
+            <Button variant="primary" type="submit" disabled={saving}>
+              {saving ? 'Creating...' : 'Create Code'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      {/* Redemptions Modal */}
+      <Modal show={!!selectedPromo} onHide={() => setSelectedPromo(null)} size="lg" centered>
+        <Modal.Header closeButton>
+          <Modal.Title>Redemptions of {selectedPromo?.id}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {loadingRedemptions ? (
+            <div className="text-center">
+              <Spinner animation="border" size="sm" />
+            </div>
+          ) : redemptions.length === 0 ? (
+            <p className="text-muted mb-0">This code has not been redeemed yet.</p>
+          ) : (
+            <Table striped bordered size="sm">
+              <thead>
+                <tr>
+                  <th>User</th>
+                  <th>Used For</th>
+                  <th>Amount</th>
+                  <th>Date</th>
+                </tr>
+              </thead>
+              <tbody>
+                {redemptions.map(redemption => (
+                  <tr key={redemption.id}>
+                    <td>{redemption.userEmail || redemption.userId}</td>
+                    <td>{getReferenceLabel(redemption)}</td>
+                    <td>Rs. {redemption.amount}</td>
+                    <td>{redemption.createdAt?.toDate ? redemption.createdAt.toDate().toLocaleString() : 'Pending'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Modal.Body>
+      </Modal>
+    </Container>
+  );
+}
+
+export default PromoCodeManagement;
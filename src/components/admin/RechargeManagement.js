@@ -1,8 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Table, Button, Modal, Form, Alert, Badge, Image } from 'react-bootstrap';
-import { collection, getDocs, doc, updateDoc, getDoc, query, orderBy } from 'firebase/firestore';
+import { Container, Table, Button, Modal, Form, Alert, Badge, Image, Row, Col, Card } from 'react-bootstrap';
+import { collection, getDocs, doc, updateDoc, query, orderBy } from 'firebase/firestore';
 import { db } from '../../firebase/config';
+import { useAuth } from '../../contexts/AuthContext';
+import WalletService from '../../services/WalletService';
 import { sanitizeInput } from '../../utils/security';
+import { findAllDuplicates } from '../../utils/rechargeDuplicates';
+import { describeDepositAccount } from '../../utils/depositAccounts';
 
 function RechargeManagement() {
   const [rechargeRequests, setRechargeRequests] = useState([]);
@@ -12,6 +16,7 @@ function RechargeManagement() {
   const [showModal, setShowModal] = useState(false);
   const [currentRequest, setCurrentRequest] = useState(null);
   const [adminNotes, setAdminNotes] = useState('');
+  const { currentUser } = useAuth();
 
   // Fetch recharge requests on component mount
   useEffect(() => {
@@ -73,31 +78,21 @@ function RechargeManagement() {
     if (!currentRequest) return;
 
     try {
-      // Update the recharge request status
-      const requestRef = doc(db, 'rechargeRequests', currentRequest.id);
-      await updateDoc(requestRef, {
-        status: 'approved',
-        processedDate: new Date().toISOString(),
-        notes: sanitizeInput(adminNotes)
-      });
-      
-      // Update user's wallet balance
-      const userRef = doc(db, 'users', currentRequest.userId);
-      const userDoc = await getDoc(userRef);
-      
-      if (userDoc.exists()) {
-        const userData = userDoc.data();
-        const currentBalance = userData.walletBalance || 0;
-        const newBalance = currentBalance + Number(currentRequest.amount);
-        
-        await updateDoc(userRef, {
-          walletBalance: newBalance,
-          lastUpdated: new Date().toISOString()
-        });
-      }
+      // Approve the request and credit the user's wallet through the ledger
+      const { promoBonus, promoError } = await WalletService.approveRecharge(
+        currentRequest.id,
+        sanitizeInput(adminNotes),
+        currentUser.uid
+      );
       
       // Show success message and refresh the list
-      setSuccess('Recharge request approved successfully. User wallet balance updated.');
+      let message = 'Recharge request approved successfully. User wallet balance updated.';
+      if (promoBonus > 0) {
+        message += ` Promo bonus of Rs. ${promoBonus} added.`;
+      } else if (promoError) {
+        message += ` Promo code ${currentRequest.promoCode} was not applied: ${promoError}.`;
+      }
+      setSuccess(message);
       fetchRechargeRequests();
       setShowModal(false);
       
@@ -132,6 +127,45 @@ function RechargeManagement() {
     }
   }
 
+  // Requests reusing a transaction ID or a near-identical proof image, keyed by request ID
+  const duplicates = findAllDuplicates(rechargeRequests);
+  const currentDuplicates = currentRequest ? duplicates[currentRequest.id] || [] : [];
+
+  function renderComparisonCard(request, match) {
+    return (
+      <Card className="h-100">
+        {request.proofImageUrl ? (
+          <Card.Img
+            variant="top"
+            src={request.proofImageUrl}
+            alt="Payment Proof"
+            style={{ maxHeight: '220px', objectFit: 'contain', cursor: 'pointer' }}
+            onClick={() => window.open(request.proofImageUrl, '_blank')}
+          />
+        ) : (
+          <Card.Header className="text-muted small">No image</Card.Header>
+        )}
+        <Card.Body className="small p-2">
+          <div className="mb-1">
+            {match ? (
+              <>
+                {match.sameTransactionId && <Badge bg="danger" className="me-1">Same transaction ID</Badge>}
+                {match.similarProof && <Badge bg="danger">Similar proof image</Badge>}
+              </>
+            ) : (
+              <Badge bg="primary">This request</Badge>
+            )}
+          </div>
+          <div><strong>User:</strong> {request.userEmail}</div>
+          <div><strong>Amount:</strong> Rs. {request.amount}</div>
+          <div><strong>Transaction ID:</strong> {request.transactionId}</div>
+          <div><strong>Requested:</strong> {new Date(request.requestDate).toLocaleString()}</div>
+          <div><strong>Status:</strong> {getStatusBadge(request.status)}</div>
+        </Card.Body>
+      </Card>
+    );
+  }
+
   function getStatusBadge(status) {
     switch (status) {
       case 'pending': return <Badge bg="warning">Pending</Badge>;
@@ -186,9 +220,23 @@ function RechargeManagement() {
               rechargeRequests.map(request => (
                 <tr key={request.id}>
                   <td>{request.userEmail}</td>
-                  <td>Rs. {request.amount}</td>
+                  <td>
+                    Rs. {request.amount}
+                    {request.promoCode && (
+                      <Badge bg="info" className="ms-2" title="Recharge bonus promo code">
+                        {request.promoCode}
+                      </Badge>
+                    )}
+                  </td>
                   <td>{request.paymentMethod}</td>
-                  <td>{request.transactionId}</td>
+                  <td>
+                    {request.transactionId}
+                    {duplicates[request.id] && (
+                      <Badge bg="danger" className="ms-2" title="Reuses a transaction ID or proof image from another request">
+                        Possible duplicate
+                      </Badge>
+                    )}
+                  </td>
                   <td>{new Date(request.requestDate).toLocaleDateString()}</td>
                   <td>{getStatusBadge(request.status)}</td>
                   <td>
@@ -233,13 +281,31 @@ function RechargeManagement() {
       )}
       
       {/* Process Recharge Request Modal */}
-      <Modal show={showModal} onHide={() => setShowModal(false)}>
+      <Modal show={showModal} onHide={() => setShowModal(false)} size={currentDuplicates.length > 0 ? 'xl' : undefined}>
         <Modal.Header closeButton>
           <Modal.Title>
             {currentRequest?.status === 'pending' ? 'Process Recharge Request' : 'Recharge Request Details'}
           </Modal.Title>
         </Modal.Header>
         <Modal.Body>
+          {currentRequest && currentDuplicates.length > 0 && (
+            <div className="mb-4">
+              <Alert variant="danger">
+                This request reuses the transaction ID or payment proof of {currentDuplicates.length} other
+                {currentDuplicates.length === 1 ? ' request' : ' requests'}. Compare them before approving.
+              </Alert>
+              <Row className="g-3">
+                <Col xs={12} md={6} lg={4}>
+                  {renderComparisonCard(currentRequest)}
+                </Col>
+                {currentDuplicates.map(match => (
+                  <Col xs={12} md={6} lg={4} key={match.request.id}>
+                    {renderComparisonCard(match.request, match)}
+                  </Col>
+                ))}
+              </Row>
+            </div>
+          )}
           {currentRequest && (
             <>
               <div className="mb-4">
@@ -258,10 +324,26 @@ function RechargeManagement() {
                       <th>Payment Method</th>
                       <td>{currentRequest.paymentMethod}</td>
                     </tr>
+                    {currentRequest.depositAccount && (
+                      <tr>
+                        <th>Paid Into</th>
+                        <td>{describeDepositAccount(currentRequest.depositAccount)}</td>
+                      </tr>
+                    )}
                     <tr>
                       <th>Transaction ID</th>
                       <td>{currentRequest.transactionId}</td>
                     </tr>
+                    {currentRequest.promoCode && (
+                      <tr>
+                        <th>Promo Code</th>
+                        <td>
+                          {currentRequest.promoCode}
+                          {currentRequest.promoBonus > 0 && ` (bonus Rs. ${currentRequest.promoBonus})`}
+                          {currentRequest.promoError && ` (not applied: ${currentRequest.promoError})`}
+                        </td>
+                      </tr>
+                    )}
                     <tr>
                       <th>Request Date</th>
                       <td>{new Date(currentRequest.requestDate).toLocaleString()}</td>
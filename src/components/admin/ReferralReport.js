@@ -0,0 +1,368 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Row, Col, Card, Table, Button, Modal, Form, Alert, Badge, Spinner } from 'react-bootstrap';
+import { useAuth } from '../../contexts/AuthContext';
+import { sanitizeInput } from '../../utils/security';
+import ReferralService from '../../services/ReferralService';
+import { REFERRAL_STATUS_LABELS } from '../../utils/referrals';
+
+const STATUS_VARIANTS = {
+  pending: 'secondary',
+  qualified: 'info',
+  rewarded: 'success',
+  rejected: 'danger'
+};
+
+function ReferralReport() {
+  const [referrals, setReferrals] = useState([]);
+  const [referralCodes, setReferralCodes] = useState([]);
+  const [settings, setSettings] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [savingSettings, setSavingSettings] = useState(false);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [rejectingReferral, setRejectingReferral] = useState(null);
+  const [rejectionReason, setRejectionReason] = useState('');
+  const [rejecting, setRejecting] = useState(false);
+  const { currentUser } = useAuth();
+
+  useEffect(() => {
+    fetchReport();
+  }, []);
+
+  async function fetchReport() {
+    try {
+      setLoading(true);
+      const [allReferrals, codes, currentSettings] = await Promise.all([
+        ReferralService.getAllReferrals(),
+        ReferralService.getReferralCodes(),
+        ReferralService.getSettings()
+      ]);
+      setReferrals(allReferrals);
+      setReferralCodes(codes);
+      setSettings(currentSettings);
+    } catch (error) {
+      setError('Failed to load referrals: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function handleSettingChange(e) {
+    const { name, value, type, checked } = e.target;
+    setSettings(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  }
+
+  async function handleSaveSettings(e) {
+    e.preventDefault();
+
+    try {
+      setSavingSettings(true);
+      setError('');
+
+      const { rewardAmount, minQualifyingAmount, maxRewardsPerReferrer, holdHours } = settings;
+      const values = [rewardAmount, minQualifyingAmount, maxRewardsPerReferrer, holdHours].map(Number);
+      if (values.some(value => !Number.isFinite(value) || value < 0)) {
+        throw new Error('Referral settings cannot be negative');
+      }
+
+      await ReferralService.saveSettings(settings);
+      setSuccess('Referral settings saved');
+      setSettings(await ReferralService.getSettings());
+    } catch (error) {
+      setError('Failed to save referral settings: ' + error.message);
+    } finally {
+      setSavingSettings(false);
+    }
+  }
+
+  async function handleToggleBlocked(code) {
+    try {
+      setError('');
+      await ReferralService.setCodeBlocked(code.id, !code.blocked);
+      setSuccess(`Referral code ${code.id} ${code.blocked ? 'unblocked' : 'blocked'}`);
+      fetchReport();
+    } catch (error) {
+      setError('Failed to update referral code: ' + error.message);
+    }
+  }
+
+  async function handleRejectReferral(e) {
+    e.preventDefault();
+
+    try {
+      setRejecting(true);
+      setError('');
+      await ReferralService.rejectReferral(rejectingReferral.id, sanitizeInput(rejectionReason.trim()), currentUser);
+      setSuccess(`Referral of ${rejectingReferral.referredEmail || rejectingReferral.id} rejected`);
+      setRejectingReferral(null);
+      fetchReport();
+    } catch (error) {
+      setError('Failed to reject referral: ' + error.message);
+    } finally {
+      setRejecting(false);
+    }
+  }
+
+  function formatDate(timestamp) {
+    return timestamp?.toDate ? timestamp.toDate().toLocaleString() : 'N/A';
+  }
+
+  // One row per referrer who has referred anyone, most referrals first
+  const referrers = referralCodes
+    .map(code => {
+      const codeReferrals = referrals.filter(referral => referral.code === code.id);
+      return {
+        ...code,
+        referralCount: codeReferrals.length,
+        qualifiedCount: codeReferrals.filter(referral => referral.status === 'qualified').length,
+        rejectedCount: codeReferrals.filter(referral => referral.status === 'rejected').length
+      };
+    })
+    .filter(code => code.referralCount > 0 || code.blocked)
+    .sort((a, b) => b.referralCount - a.referralCount);
+
+  const filteredReferrals = statusFilter === 'all'
+    ? referrals
+    : referrals.filter(referral => referral.status === statusFilter);
+
+  const totalRewarded = referrals
+    .filter(referral => referral.status === 'rewarded')
+    .reduce((sum, referral) => sum + (referral.rewardAmount || 0), 0);
+
+  if (loading) {
+    return (
+      <div className="text-center my-5">
+        <Spinner animation="border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+      </div>
+    );
+  }
+
+  return (
+    <Container className="py-5">
+      <h1 className="mb-4">Referrals</h1>
+
+      {error && <Alert variant="danger" onClose={() => setError('')} dismissible>{error}</Alert>}
+      {success && <Alert variant="success" onClose={() => setSuccess('')} dismissible>{success}</Alert>}
+
+      <Row className="mb-4">
+        {Object.keys(REFERRAL_STATUS_LABELS).map(status => (
+          <Col md={2} key={status} className="mb-3">
+            <Card className="text-center h-100">
+              <Card.Body>
+                <Card.Title className="fs-6">{REFERRAL_STATUS_LABELS[status]}</Card.Title>
+                <h3>{referrals.filter(referral => referral.status === status).length}</h3>
+              </Card.Body>
+            </Card>
+          </Col>
+        ))}
+        <Col md={4} className="mb-3">
+          <Card className="text-center h-100">
+            <Card.Body>
+              <Card.Title className="fs-6">Rewards Paid</Card.Title>
+              <h3 className="text-success">Rs. {totalRewarded}</h3>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      {settings && (
+        <Card className="mb-4">
+          <Card.Header>Program Settings</Card.Header>
+          <Card.Body>
+            <Form onSubmit={handleSaveSettings}>
+              <Form.Check
+                type="switch"
+                id="referrals-enabled"
+                name="enabled"
+                label="Referral program enabled"
+                checked={settings.enabled}
+                onChange={handleSettingChange}
+                className="mb-3"
+              />
+              <Row>
+                <Form.Group as={Col} md={3} className="mb-3">
+                  <Form.Label>Reward (Rs.)</Form.Label>
+                  <Form.Control type="number" name="rewardAmount" min="0" value={settings.rewardAmount} onChange={handleSettingChange} />
+                </Form.Group>
+                <Form.Group as={Col} md={3} className="mb-3">
+                  <Form.Label>Minimum Qualifying Amount (Rs.)</Form.Label>
+                  <Form.Control type="number" name="minQualifyingAmount" min="0" value={settings.minQualifyingAmount} onChange={handleSettingChange} />
+                </Form.Group>
+                <Form.Group as={Col} md={3} className="mb-3">
+                  <Form.Label>Max Rewards Per Referrer</Form.Label>
+                  <Form.Control type="number" name="maxRewardsPerReferrer" min="0" value={settings.maxRewardsPerReferrer} onChange={handleSettingChange} />
+                  <Form.Text className="text-muted">0 for no limit</Form.Text>
+                </Form.Group>
+                <Form.Group as={Col} md={3} className="mb-3">
+                  <Form.Label>Hold Before Paying (hours)</Form.Label>
+                  <Form.Control type="number" name="holdHours" min="0" value={settings.holdHours} onChange={handleSettingChange} />
+                </Form.Group>
+              </Row>
+              <p className="small text-muted">
+                A referral qualifies on the referred player&apos;s first approved recharge or paid tournament entry of at least
+                the minimum amount. The scheduler pays the reward after the hold, which gives you time to reject suspicious referrals.
+              </p>
+              <Button type="submit" variant="primary" disabled={savingSettings}>
+                {savingSettings ? 'Saving...' : 'Save Settings'}
+              </Button>
+            </Form>
+          </Card.Body>
+        </Card>
+      )}
+
+      <h4>Referrers</h4>
+      <div className="table-responsive mb-4">
+        <Table striped bordered hover>
+          <thead>
+            <tr>
+              <th>Code</th>
+              <th>Referrer</th>
+              <th>Referrals</th>
+              <th>Qualified</th>
+              <th>Rewarded</th>
+              <th>Rejected</th>
+              <th>Paid</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {referrers.length === 0 ? (
+              <tr>
+                <td colSpan="8" className="text-center">No referrals yet</td>
+              </tr>
+            ) : (
+              referrers.map(code => (
+                <tr key={code.id}>
+                  <td>
+                    <code>{code.id}</code>
+                    {code.blocked && <Badge bg="danger" className="ms-2">Blocked</Badge>}
+                  </td>
+                  <td>{code.userEmail || code.userId}</td>
+                  <td>{code.referralCount}</td>
+                  <td>{code.qualifiedCount}</td>
+                  <td>
+                    {code.rewardedCount || 0}
+                    {settings?.maxRewardsPerReferrer > 0 && ` / ${settings.maxRewardsPerReferrer}`}
+                  </td>
+                  <td>{code.rejectedCount}</td>
+                  <td>Rs. {code.rewardedTotal || 0}</td>
+                  <td>
+                    <Button
+                      variant={code.blocked ? 'outline-success' : 'outline-danger'}
+                      size="sm"
+                      onClick={() => handleToggleBlocked(code)}
+                    >
+                      {code.blocked ? 'Unblock' : 'Block'}
+                    </Button>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </Table>
+      </div>
+
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <h4 className="mb-0">Referrals</h4>
+        <Form.Select style={{ maxWidth: '200px' }} value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+          <option value="all">All statuses</option>
+          {Object.keys(REFERRAL_STATUS_LABELS).map(status => (
+            <option key={status} value={status}>{REFERRAL_STATUS_LABELS[status]}</option>
+          ))}
+        </Form.Select>
+      </div>
+      <div className="table-responsive">
+        <Table striped bordered hover>
+          <thead>
+            <tr>
+              <th>Signed Up</th>
+              <th>Referred Player</th>
+              <th>Referrer</th>
+              <th>Qualified By</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filteredReferrals.length === 0 ? (
+              <tr>
+                <td colSpan="6" className="text-center">No referrals found</td>
+              </tr>
+            ) : (
+              filteredReferrals.map(referral => (
+                <tr key={referral.id}>
+                  <td>{formatDate(referral.createdAt)}</td>
+                  <td>{referral.referredEmail || referral.referredUserId}</td>
+                  <td>{referral.referrerEmail || referral.referrerId} (<code>{referral.code}</code>)</td>
+                  <td>
+                    {referral.qualifiedBy
+                      ? `${referral.qualifiedBy === 'recharge' ? 'Recharge' : 'Entry fee'} of Rs. ${referral.qualifyingAmount} on ${formatDate(referral.qualifiedAt)}`
+                      : '-'}
+                  </td>
+                  <td>
+                    <Badge bg={STATUS_VARIANTS[referral.status] || 'secondary'}>
+                      {REFERRAL_STATUS_LABELS[referral.status] || referral.status}
+                    </Badge>
+                    {referral.status === 'rewarded' && <div className="small">Rs. {referral.rewardAmount}</div>}
+                    {referral.rejectionReason && <div className="small text-muted">{referral.rejectionReason}</div>}
+                  </td>
+                  <td>
+                    {['pending', 'qualified'].includes(referral.status) && (
+                      <Button
+                        variant="outline-danger"
+                        size="sm"
+                        onClick={() => {
+                          setRejectingReferral(referral);
+                          setRejectionReason('');
+                        }}
+                      >
+                        Reject
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </Table>
+      </div>
+
+      {/* Reject Referral Modal */}
+      <Modal show={!!rejectingReferral} onHide={() => setRejectingReferral(null)} centered>
+        <Form onSubmit={handleRejectReferral}>
+          <Modal.Header closeButton>
+            <Modal.Title>Reject Referral</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <p>
+              {rejectingReferral?.referrerEmail || rejectingReferral?.referrerId} will not be rewarded for
+              referring {rejectingReferral?.referredEmail || rejectingReferral?.referredUserId}.
+            </p>
+            <Form.Group>
+              <Form.Label>Reason</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={2}
+                value={rejectionReason}
+                onChange={(e) => setRejectionReason(e.target.value)}
+                placeholder="e.g. Same device as the referrer"
+                required
+              />
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setRejectingReferral(null)}>Cancel</Button>
+            <Button variant="danger" type="submit" disabled={rejecting}>
+              {rejecting ? 'Rejecting...' : 'Reject Referral'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </Container>
+  );
+}
+
+export default ReferralReport;
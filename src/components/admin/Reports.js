@@ -1,16 +1,37 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Table, Alert, Tabs, Tab, Spinner } from 'react-bootstrap';
+import { Container, Row, Col, Card, Table, Alert, Tabs, Tab, Spinner, Badge, Button } from 'react-bootstrap';
 import { collection, getDocs, query, where } from 'firebase/firestore';
 import { db } from '../../firebase/config';
 import { useAuth } from '../../contexts/AuthContext';
 import { sanitizeInput } from '../../utils/security';
+import { getTournamentStartTime, formatTournamentStart } from '../../utils/tournamentSchedule';
+import { isDynamicPrizePool, getCommissionPercent, summarizeTournamentFinances } from '../../utils/prizeDistribution';
+import { RECONCILIATION_ISSUES, reconcileWallets, buildReconciliationCsv } from '../../utils/walletReconciliation';
+import { getTransactionTypeLabel } from '../../utils/walletStatement';
 import CSRFToken from '../security/CSRFToken';
 
+// Collections the expected wallet balances are recomputed from
+const RECONCILIATION_COLLECTIONS = [
+  'users',
+  'transactions',
+  'rechargeRequests',
+  'withdrawalRequests',
+  'tournaments',
+  'refunds',
+  'rewards',
+  'walletAdjustments',
+  'promoRedemptions',
+  'referrals'
+];
+
 function Reports() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [tournamentStats, setTournamentStats] = useState(null);
   const [financialStats, setFinancialStats] = useState(null);
+  const [reconciliation, setReconciliation] = useState(null);
+  const [reconciling, setReconciling] = useState(false);
+  const [reconciliationError, setReconciliationError] = useState('');
   const { currentUser } = useAuth();
 
   useEffect(() => {
@@ -102,13 +123,25 @@ function Reports() {
         ...doc.data()
       }));
 
-      // Calculate total entry fees collected
-      let totalEntryFees = 0;
-      tournaments.forEach(tournament => {
-        const entryFee = tournament.entryFee || 0;
-        const participants = tournament.participants?.length || 0;
-        totalEntryFees += entryFee * participants;
-      });
+      // Revenue, prize payouts and margin of each tournament that has been approved, newest first
+      const tournamentFinances = tournaments
+        .filter(tournament => tournament.status !== 'pending')
+        .map(tournament => ({
+          id: tournament.id,
+          name: sanitizeInput(tournament.gameName || 'Unknown'),
+          start: formatTournamentStart(tournament),
+          startTime: getTournamentStartTime(tournament),
+          status: tournament.status,
+          prizePoolLabel: isDynamicPrizePool(tournament)
+            ? `Dynamic (${getCommissionPercent(tournament)}% commission)`
+            : 'Guaranteed',
+          ...summarizeTournamentFinances(tournament)
+        }))
+        .sort((a, b) => (b.startTime || 0) - (a.startTime || 0));
+
+      // Calculate total entry fees collected, cancelled tournaments were refunded
+      const totalEntryFees = tournamentFinances.reduce((sum, tournament) => sum + tournament.revenue, 0);
+      const totalPrizePayouts = tournamentFinances.reduce((sum, tournament) => sum + tournament.payouts, 0);
 
       // Fetch withdrawal requests for payout data
       const withdrawalsCollection = collection(db, 'withdrawalRequests');
@@ -133,6 +166,9 @@ function Reports() {
         totalEntryFees,
         totalPayouts,
         revenue,
+        totalPrizePayouts,
+        tournamentMargin: totalEntryFees - totalPrizePayouts,
+        tournamentFinances,
         recentWithdrawals: withdrawals.slice(0, 5) // Get 5 most recent withdrawals
       });
     } catch (error) {
@@ -141,6 +177,41 @@ function Reports() {
     }
   }
 
+  // Reads every wallet record, so it only runs when an admin asks for it
+  async function runReconciliation() {
+    try {
+      setReconciling(true);
+      setReconciliationError('');
+
+      const records = Object.fromEntries(await Promise.all(
+        RECONCILIATION_COLLECTIONS.map(async name => {
+          const snapshot = await getDocs(collection(db, name));
+          return [name, snapshot.docs.map(doc => ({
+            id: doc.id,
+            ...doc.data()
+          }))];
+        })
+      ));
+
+      setReconciliation({ ...reconcileWallets(records), ranAt: new Date() });
+    } catch (error) {
+      console.error('Error reconciling wallets:', error);
+      setReconciliationError('Failed to reconcile wallets. Please try again later.');
+    } finally {
+      setReconciling(false);
+    }
+  }
+
+  function handleDownloadReconciliation() {
+    const blob = new Blob([buildReconciliationCsv(reconciliation)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `wallet-reconciliation-${reconciliation.ranAt.toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
   return (
     <Container className="py-5">
       <h1 className="mb-4">Reports</h1>
@@ -283,6 +354,51 @@ function Reports() {
                   </Col>
                 </Row>
                 
+                <Card className="mb-4">
+                  <Card.Header>Tournament Revenue and Margin</Card.Header>
+                  <Card.Body>
+                    <p className="small text-muted">
+                      Revenue is the entry fees collected from current participants plus the fees forfeited by
+                      participants removed without a refund, payouts are the prizes
+                      distributed and margin is what the platform keeps. Totals: revenue Rs. {financialStats.totalEntryFees},
+                      payouts Rs. {financialStats.totalPrizePayouts}, margin Rs. {financialStats.tournamentMargin}.
+                    </p>
+                    <div className="table-responsive">
+                      <Table striped bordered hover size="sm">
+                        <thead>
+                          <tr>
+                            <th>Tournament</th>
+                            <th>Start</th>
+                            <th>Status</th>
+                            <th>Prize Pool</th>
+                            <th>Revenue</th>
+                            <th>Payouts</th>
+                            <th>Margin</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {financialStats.tournamentFinances.map(tournament => (
+                            <tr key={tournament.id}>
+                              <td>{tournament.name}</td>
+                              <td>{tournament.start}</td>
+                              <td>{tournament.status}</td>
+                              <td>{tournament.prizePoolLabel}</td>
+                              <td>Rs. {tournament.revenue}</td>
+                              <td>Rs. {tournament.payouts}</td>
+                              <td>
+                                <Badge bg={tournament.margin < 0 ? 'danger' : 'success'}>
+                                  Rs. {tournament.margin}
+                                  {tournament.marginPercent !== null && ` (${tournament.marginPercent}%)`}
+                                </Badge>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </Table>
+                    </div>
+                  </Card.Body>
+                </Card>
+                
                 <Card className="mb-4">
                   <Card.Header>Recent Withdrawals</Card.Header>
                   <Card.Body>
@@ -319,6 +435,147 @@ function Reports() {
               </>
             )}
           </Tab>
+
+          <Tab eventKey="reconciliation" title="Wallet Reconciliation">
+            <Card className="mb-4">
+              <Card.Body>
+                <p className="small text-muted">
+                  Recomputes each user&apos;s expected balance from approved recharges and withdrawals, entry fees,
+                  refunds, prizes, admin adjustments, promo credits and referral rewards, and matches every
+                  record to the wallet ledger. Records from before a user&apos;s ledger was opened are part of their
+                  opening balance, so they are not expected to have ledger entries.
+                </p>
+                <div className="d-flex gap-2">
+                  <Button variant="primary" onClick={runReconciliation} disabled={reconciling}>
+                    {reconciling ? 'Reconciling...' : reconciliation ? 'Run Again' : 'Run Reconciliation'}
+                  </Button>
+                  {reconciliation && (
+                    <Button
+                      variant="outline-success"
+                      onClick={handleDownloadReconciliation}
+                      disabled={reconciliation.balances.length === 0 && reconciliation.orphans.length === 0}
+                    >
+                      Export Discrepancies (CSV)
+                    </Button>
+                  )}
+                </div>
+              </Card.Body>
+            </Card>
+
+            {reconciliationError && <Alert variant="danger">{reconciliationError}</Alert>}
+
+            {reconciliation && (
+              <>
+                <Row className="mb-4">
+                  <Col md={4}>
+                    <Card className="text-center h-100">
+                      <Card.Body>
+                        <h2>Rs. {reconciliation.totals.storedTotal}</h2>
+                        <Card.Text>Stored Balances ({reconciliation.totals.userCount} users)</Card.Text>
+                      </Card.Body>
+                    </Card>
+                  </Col>
+                  <Col md={4}>
+                    <Card className="text-center h-100">
+                      <Card.Body>
+                        <h2>Rs. {reconciliation.totals.expectedTotal}</h2>
+                        <Card.Text>Expected From Records</Card.Text>
+                      </Card.Body>
+                    </Card>
+                  </Col>
+                  <Col md={4}>
+                    <Card className={`text-center h-100 ${reconciliation.totals.difference === 0 ? 'bg-success' : 'bg-danger'} text-white`}>
+                      <Card.Body>
+                        <h2>Rs. {reconciliation.totals.difference}</h2>
+                        <Card.Text>Difference</Card.Text>
+                      </Card.Body>
+                    </Card>
+                  </Col>
+                </Row>
+
+                <Card className="mb-4">
+                  <Card.Header>
+                    Balance Discrepancies <Badge bg={reconciliation.balances.length ? 'danger' : 'success'}>{reconciliation.balances.length}</Badge>
+                  </Card.Header>
+                  <Card.Body>
+                    {reconciliation.balances.length === 0 ? (
+                      <p className="text-muted mb-0">Every stored balance matches its records.</p>
+                    ) : (
+                      <div className="table-responsive">
+                        <Table striped bordered hover size="sm">
+                          <thead>
+                            <tr>
+                              <th>User</th>
+                              <th>Stored</th>
+                              <th>Expected</th>
+                              <th>Difference</th>
+                              <th>Ledger</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {reconciliation.balances.map(balance => (
+                              <tr key={balance.userId}>
+                                <td>
+                                  {balance.email || balance.userId}
+                                  {!balance.userExists && <Badge bg="secondary" className="ms-2">Deleted user</Badge>}
+                                </td>
+                                <td>Rs. {balance.storedBalance}</td>
+                                <td>Rs. {balance.expectedBalance}</td>
+                                <td>
+                                  <Badge bg="danger">Rs. {balance.difference}</Badge>
+                                </td>
+                                <td>{balance.ledgerBalance === null ? 'No entries' : `Rs. ${balance.ledgerBalance}`}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </Table>
+                      </div>
+                    )}
+                  </Card.Body>
+                </Card>
+
+                <Card className="mb-4">
+                  <Card.Header>
+                    Orphaned Records <Badge bg={reconciliation.orphans.length ? 'danger' : 'success'}>{reconciliation.orphans.length}</Badge>
+                  </Card.Header>
+                  <Card.Body>
+                    {reconciliation.orphans.length === 0 ? (
+                      <p className="text-muted mb-0">Every record matches the wallet ledger.</p>
+                    ) : (
+                      <div className="table-responsive">
+                        <Table striped bordered hover size="sm">
+                          <thead>
+                            <tr>
+                              <th>Issue</th>
+                              <th>User</th>
+                              <th>Type</th>
+                              <th>Records</th>
+                              <th>Expected</th>
+                              <th>In Ledger</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {reconciliation.orphans.map(orphan => (
+                              <tr key={`${orphan.userId}-${orphan.type}-${orphan.referenceId}`}>
+                                <td>{RECONCILIATION_ISSUES[orphan.issue]}</td>
+                                <td>{orphan.email || orphan.userId}</td>
+                                <td>{getTransactionTypeLabel(orphan.type)}</td>
+                                <td className="small">
+                                  {orphan.sources.length > 0 ? orphan.sources.join(', ') : `Ledger reference ${orphan.referenceId}`}
+                                </td>
+                                <td>Rs. {orphan.sourceAmount}</td>
+                                <td>Rs. {orphan.ledgerAmount}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </Table>
+                      </div>
+                    )}
+                  </Card.Body>
+                </Card>
+              </>
+            )}
+          </Tab>
         </Tabs>
       )}
     </Container>
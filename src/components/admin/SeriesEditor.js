@@ -0,0 +1,396 @@
+import React, { useState } from 'react';
+import { Table, Button, Modal, Form, Alert } from 'react-bootstrap';
+import { doc, updateDoc, deleteField, Timestamp } from 'firebase/firestore';
+import { db } from '../../firebase/config';
+import DOMPurify from 'dompurify';
+import { toast } from 'react-toastify';
+import { getBrowserTimeZone, zonedTimeToUtc, utcToZonedInputs, formatDateTime } from '../../utils/timezone';
+import {
+  MAX_SERIES_MATCHES,
+  TIE_BREAKERS,
+  getPointsTable,
+  getMatchStartTime,
+  buildMatchResultRows,
+  normalizeMatchResults,
+  calculateStandings,
+  isSeriesComplete,
+  buildSeriesPlayerResults
+} from '../../utils/series';
+import { isTeamTournament, getEntryCount } from '../../utils/teams';
+import SeriesStandings from '../common/SeriesStandings';
+
+/**
+ * Admin editor for the matches of a series tournament: schedules the matches
+ * and records their placements and kills. `onSaved` gets the tournament with
+ * its updated matches.
+ */
+function SeriesEditor({ show, tournament, onHide, onSaved }) {
+  const [seriesError, setSeriesError] = useState('');
+  const [matchForm, setMatchForm] = useState(null);
+  const [resultsMatchId, setResultsMatchId] = useState(null);
+  const [matchResultRows, setMatchResultRows] = useState([]);
+  const [savingSeries, setSavingSeries] = useState(false);
+
+  function resetEditor() {
+    setSeriesError('');
+    setMatchForm(null);
+    setResultsMatchId(null);
+  }
+
+  // Once every match has results the standings are saved as the tournament results
+  async function saveMatches(matches, resultsChanged) {
+    const updatedTournament = { ...tournament, matches };
+    const updates = {
+      matches,
+      playerResults: isSeriesComplete(updatedTournament) ? buildSeriesPlayerResults(updatedTournament) : deleteField(),
+      updatedAt: Timestamp.now()
+    };
+    if (resultsChanged) {
+      updates.resultsUpdatedAt = Timestamp.now();
+    }
+
+    await updateDoc(doc(db, 'tournaments', tournament.id), updates);
+
+    onSaved(updatedTournament);
+  }
+
+  function openMatchForm(match) {
+    const timezone = tournament.timezone || getBrowserTimeZone();
+    const startTime = getMatchStartTime(match);
+    const { date, time } = startTime ? utcToZonedInputs(startTime, timezone) : { date: '', time: '' };
+
+    setMatchForm({
+      id: match?.id || null,
+      name: match?.name || `Match ${(tournament.matches?.length || 0) + 1}`,
+      map: match?.map || '',
+      date,
+      time,
+      matchDetails: match?.matchDetails || ''
+    });
+    setResultsMatchId(null);
+    setSeriesError('');
+  }
+
+  async function handleSaveMatch() {
+    if (!tournament || !matchForm) return;
+
+    const name = DOMPurify.sanitize(matchForm.name.trim());
+    const map = DOMPurify.sanitize(matchForm.map.trim());
+    if (!name || !map || !matchForm.date || !matchForm.time) {
+      setSeriesError('Every match needs a name, a map and a start time');
+      return;
+    }
+
+    const existing = (tournament.matches || []).find(match => match.id === matchForm.id);
+    if (!existing && (tournament.matches?.length || 0) >= MAX_SERIES_MATCHES) {
+      setSeriesError(`A series has at most ${MAX_SERIES_MATCHES} matches`);
+      return;
+    }
+
+    try {
+      setSavingSeries(true);
+      setSeriesError('');
+
+      const timezone = tournament.timezone || getBrowserTimeZone();
+      const match = {
+        id: existing?.id || window.crypto.randomUUID(),
+        name,
+        map,
+        startAt: Timestamp.fromDate(zonedTimeToUtc(matchForm.date, matchForm.time, timezone)),
+        matchDetails: DOMPurify.sanitize(matchForm.matchDetails.trim()),
+        results: existing?.results || null,
+        resultsUpdatedAt: existing?.resultsUpdatedAt || null
+      };
+
+      // Matches are kept in playing order, which the latest-match tie-breaker relies on
+      const matches = [
+        ...(tournament.matches || []).filter(entry => entry.id !== match.id),
+        match
+      ].sort((a, b) => getMatchStartTime(a) - getMatchStartTime(b));
+
+      await saveMatches(matches, false);
+      setMatchForm(null);
+      toast.success(existing ? 'Match updated' : 'Match added');
+    } catch (error) {
+      console.error('Error saving match:', error);
+      setSeriesError('Failed to save match: ' + error.message);
+    } finally {
+      setSavingSeries(false);
+    }
+  }
+
+  async function handleRemoveMatch(match) {
+    if (!tournament) return;
+
+    if (match.results) {
+      setSeriesError('Matches with results cannot be removed');
+      return;
+    }
+
+    try {
+      setSavingSeries(true);
+      setSeriesError('');
+
+      await saveMatches(tournament.matches.filter(entry => entry.id !== match.id), false);
+    } catch (error) {
+      console.error('Error removing match:', error);
+      setSeriesError('Failed to remove match: ' + error.message);
+    } finally {
+      setSavingSeries(false);
+    }
+  }
+
+  function openMatchResults(match) {
+    setResultsMatchId(match.id);
+    setMatchResultRows(buildMatchResultRows(tournament, match));
+    setMatchForm(null);
+    setSeriesError('');
+  }
+
+  function handleMatchResultChange(index, field, value) {
+    setMatchResultRows(rows => rows.map((row, rowIndex) =>
+      rowIndex === index ? { ...row, [field]: value } : row
+    ));
+  }
+
+  async function handleSaveMatchResults() {
+    if (!tournament || !resultsMatchId) return;
+
+    if (tournament.prizesDistributedAt) {
+      setSeriesError('Results cannot be changed after prizes have been distributed');
+      return;
+    }
+
+    try {
+      setSavingSeries(true);
+      setSeriesError('');
+
+      const results = normalizeMatchResults(matchResultRows);
+      const matches = tournament.matches.map(match => match.id === resultsMatchId
+        ? { ...match, results, resultsUpdatedAt: Timestamp.now() }
+        : match);
+
+      await saveMatches(matches, true);
+      setResultsMatchId(null);
+      toast.success('Match results saved');
+    } catch (error) {
+      setSeriesError('Failed to save match results: ' + error.message);
+    } finally {
+      setSavingSeries(false);
+    }
+  }
+
+  return (
+    <Modal show={show} onShow={resetEditor} onHide={onHide} size="xl">
+      <Modal.Header closeButton>
+        <Modal.Title>Matches - {tournament?.gameName}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {seriesError && <Alert variant="danger">{seriesError}</Alert>}
+
+        {tournament && (
+          <>
+            <p className="small text-muted">
+              Placement points {getPointsTable(tournament).placementPoints.join(', ')} and {getPointsTable(tournament).killPoints} per kill.
+              Ties are broken by {TIE_BREAKERS.slice(1).join(', ').toLowerCase()}.
+              Once every match has results the standings are saved as the tournament results for prize distribution.
+            </p>
+
+            {(tournament.matches || []).length > 0 ? (
+              <Table striped bordered hover responsive size="sm">
+                <thead>
+                  <tr>
+                    <th>Match</th>
+                    <th>Map</th>
+                    <th>Start</th>
+                    <th>Room Details</th>
+                    <th>Results</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {tournament.matches.map(match => (
+                    <tr key={match.id}>
+                      <td>{match.name}</td>
+                      <td>{match.map}</td>
+                      <td>{formatDateTime(getMatchStartTime(match), tournament.timezone)}</td>
+                      <td className="small">{match.matchDetails || <span className="text-muted">Not posted</span>}</td>
+                      <td>
+                        {match.results
+                          ? <span className="badge bg-success">Entered</span>
+                          : <span className="badge bg-secondary">Pending</span>}
+                      </td>
+                      <td>
+                        <Button variant="outline-primary" size="sm" className="me-1 mb-1" onClick={() => openMatchForm(match)}>
+                          Edit
+                        </Button>
+                        <Button
+                          variant="outline-warning"
+                          size="sm"
+                          className="me-1 mb-1"
+                          onClick={() => openMatchResults(match)}
+                          disabled={getEntryCount(tournament) === 0}
+                        >
+                          Results
+                        </Button>
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          className="mb-1"
+                          onClick={() => handleRemoveMatch(match)}
+                          disabled={!!match.results || savingSeries}
+                        >
+                          Remove
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            ) : (
+              <p className="small">No matches yet. Add the matches of the series with their maps and start times.</p>
+            )}
+
+            {matchForm && (
+              <div className="border rounded p-3 mb-3">
+                <h6>{matchForm.id ? `Edit ${matchForm.name}` : 'Add Match'}</h6>
+                <div className="row">
+                  <div className="col-md-4">
+                    <Form.Group className="mb-2">
+                      <Form.Label className="small">Name</Form.Label>
+                      <Form.Control
+                        size="sm"
+                        value={matchForm.name}
+                        onChange={(e) => setMatchForm({ ...matchForm, name: e.target.value })}
+                      />
+                    </Form.Group>
+                  </div>
+                  <div className="col-md-4">
+                    <Form.Group className="mb-2">
+                      <Form.Label className="small">Map</Form.Label>
+                      <Form.Control
+                        size="sm"
+                        value={matchForm.map}
+                        onChange={(e) => setMatchForm({ ...matchForm, map: e.target.value })}
+                        placeholder="e.g. Erangel"
+                      />
+                    </Form.Group>
+                  </div>
+                  <div className="col-md-2">
+                    <Form.Group className="mb-2">
+                      <Form.Label className="small">Date</Form.Label>
+                      <Form.Control
+                        size="sm"
+                        type="date"
+                        value={matchForm.date}
+                        onChange={(e) => setMatchForm({ ...matchForm, date: e.target.value })}
+                      />
+                    </Form.Group>
+                  </div>
+                  <div className="col-md-2">
+                    <Form.Group className="mb-2">
+                      <Form.Label className="small">Time</Form.Label>
+                      <Form.Control
+                        size="sm"
+                        type="time"
+                        value={matchForm.time}
+                        onChange={(e) => setMatchForm({ ...matchForm, time: e.target.value })}
+                      />
+                    </Form.Group>
+                  </div>
+                </div>
+                <Form.Group className="mb-2">
+                  <Form.Label className="small">Room Details (Room ID, Password, etc.)</Form.Label>
+                  <Form.Control
+                    as="textarea"
+                    rows={2}
+                    size="sm"
+                    value={matchForm.matchDetails}
+                    onChange={(e) => setMatchForm({ ...matchForm, matchDetails: e.target.value })}
+                  />
+                  <Form.Text className="text-muted">
+                    Shown to registered players only. Times are in {tournament.timezone || getBrowserTimeZone()}.
+                  </Form.Text>
+                </Form.Group>
+                <Button variant="secondary" size="sm" className="me-2" onClick={() => setMatchForm(null)}>
+                  Cancel
+                </Button>
+                <Button variant="primary" size="sm" onClick={handleSaveMatch} disabled={savingSeries}>
+                  {savingSeries ? 'Saving...' : 'Save Match'}
+                </Button>
+              </div>
+            )}
+
+            {resultsMatchId && (
+              <div className="border rounded p-3 mb-3">
+                <h6>Results - {tournament.matches.find(match => match.id === resultsMatchId)?.name}</h6>
+                <p className="small text-muted">Leave the placement empty for entries that did not play the match.</p>
+                <Table striped bordered hover responsive size="sm">
+                  <thead>
+                    <tr>
+                      <th>{isTeamTournament(tournament) ? 'Team' : 'Player'}</th>
+                      <th style={{ width: '110px' }}>Placement</th>
+                      <th style={{ width: '100px' }}>Kills</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {matchResultRows.map((row, index) => (
+                      <tr key={row.entryId}>
+                        <td>{DOMPurify.sanitize(row.name)}</td>
+                        <td>
+                          <Form.Control
+                            size="sm"
+                            type="number"
+                            min="1"
+                            value={row.placement}
+                            onChange={(e) => handleMatchResultChange(index, 'placement', e.target.value)}
+                          />
+                        </td>
+                        <td>
+                          <Form.Control
+                            size="sm"
+                            type="number"
+                            min="0"
+                            value={row.kills}
+                            onChange={(e) => handleMatchResultChange(index, 'kills', e.target.value)}
+                          />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+                <Button variant="secondary" size="sm" className="me-2" onClick={() => setResultsMatchId(null)}>
+                  Cancel
+                </Button>
+                <Button variant="primary" size="sm" onClick={handleSaveMatchResults} disabled={savingSeries}>
+                  {savingSeries ? 'Saving...' : 'Save Results'}
+                </Button>
+              </div>
+            )}
+
+            <h6>Standings</h6>
+            <SeriesStandings
+              standings={calculateStandings(tournament)}
+              matches={tournament.matches || []}
+              entryLabel={isTeamTournament(tournament) ? 'Team' : 'Player'}
+            />
+          </>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onHide}>
+          Close
+        </Button>
+        <Button
+          variant="primary"
+          onClick={() => openMatchForm(null)}
+          disabled={!!matchForm || (tournament?.matches?.length || 0) >= MAX_SERIES_MATCHES}
+        >
+          Add Match
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
+
+export default SeriesEditor;
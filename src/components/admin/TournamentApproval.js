@@ -2,7 +2,11 @@ import React, { useState, useEffect } from 'react';
 import { Container, Table, Button, Modal, Form, Alert, Badge } from 'react-bootstrap';
 import { collection, getDocs, doc, updateDoc, deleteDoc, query, where } from 'firebase/firestore';
 import { db } from '../../firebase/config';
+import { useAuth } from '../../contexts/AuthContext';
+import TournamentService from '../../services/TournamentService';
 import DOMPurify from 'dompurify';
+import { formatTournamentStart } from '../../utils/tournamentSchedule';
+import { getPrizePool, isDynamicPrizePool } from '../../utils/prizeDistribution';
 
 function TournamentApproval() {
   const [tournaments, setTournaments] = useState([]);
@@ -12,7 +16,9 @@ function TournamentApproval() {
   const [showModal, setShowModal] = useState(false);
   const [selectedTournament, setSelectedTournament] = useState(null);
   const [rejectionReason, setRejectionReason] = useState('');
-  const [modalAction, setModalAction] = useState(''); // 'approve', 'reject', or 'view'
+  const [cancellationReason, setCancellationReason] = useState('');
+  const [modalAction, setModalAction] = useState(''); // 'approve', 'reject', 'cancel', or 'view'
+  const { currentUser } = useAuth();
 
   useEffect(() => {
     fetchPendingTournaments();
@@ -49,6 +55,7 @@ function TournamentApproval() {
     setSelectedTournament(tournament);
     setModalAction(action);
     setRejectionReason('');
+    setCancellationReason('');
     setShowModal(true);
   }
 
@@ -98,6 +105,28 @@ function TournamentApproval() {
     }
   }
 
+  async function handleCancelTournament() {
+    try {
+      if (!selectedTournament) return;
+      
+      // Sanitize cancellation reason
+      const sanitizedReason = DOMPurify.sanitize(cancellationReason.trim());
+      
+      // Keep the tournament as 'cancelled' and refund any entry fees already paid
+      const { refundedCount, refundedTotal } = await TournamentService.cancelTournament(
+        selectedTournament.id,
+        sanitizedReason,
+        currentUser.uid
+      );
+      
+      setSuccess(`Tournament "${selectedTournament.gameName}" has been cancelled. Refunded Rs. ${refundedTotal} to ${refundedCount} participants.`);
+      setShowModal(false);
+      fetchPendingTournaments();
+    } catch (error) {
+      setError('Failed to cancel tournament: ' + error.message);
+    }
+  }
+
   async function handleDeleteTournament(tournamentId, tournamentName) {
     if (window.confirm(`Are you sure you want to delete the tournament "${tournamentName}"?`)) {
       try {
@@ -154,12 +183,9 @@ function TournamentApproval() {
                     <td>{tournament.gameName}</td>
                     <td>{tournament.gameType}</td>
                     <td>{tournament.creatorEmail || 'Unknown'}</td>
-                    <td>
-                      {tournament.tournamentDate ? formatDate(tournament.tournamentDate) : 'N/A'}
-                      {tournament.tournamentTime ? ' at ' + new Date(`2000-01-01T${tournament.tournamentTime}`).toLocaleTimeString('en-US', { hour: 'numeric', minute: 'numeric', hour12: true }) : ''}
-                    </td>
+                    <td>{formatTournamentStart(tournament)}</td>
                     <td>Rs. {tournament.entryFee}</td>
-                    <td>Rs. {tournament.prizePool}</td>
+                    <td>{isDynamicPrizePool(tournament) ? 'Dynamic' : `Rs. ${getPrizePool(tournament)}`}</td>
                     <td>{tournament.createdAt ? formatDate(tournament.createdAt) : 'N/A'}</td>
                     <td>
                       <div className="d-flex flex-wrap gap-1">
@@ -184,6 +210,13 @@ function TournamentApproval() {
                         >
                           Reject
                         </Button>
+                        <Button 
+                          variant="outline-danger" 
+                          size="sm"
+                          onClick={() => openTournamentModal(tournament, 'cancel')}
+                        >
+                          Cancel
+                        </Button>
                         <Button 
                           variant="danger" 
                           size="sm"
@@ -206,7 +239,8 @@ function TournamentApproval() {
         <Modal.Header closeButton>
           <Modal.Title>
             {modalAction === 'approve' ? 'Approve Tournament' : 
-             modalAction === 'reject' ? 'Reject Tournament' : 'Tournament Details'}
+             modalAction === 'reject' ? 'Reject Tournament' : 
+             modalAction === 'cancel' ? 'Cancel Tournament' : 'Tournament Details'}
           </Modal.Title>
         </Modal.Header>
         <Modal.Body>
@@ -221,8 +255,8 @@ function TournamentApproval() {
                   <p className="mb-1"><strong>Created On:</strong> {selectedTournament.createdAt ? formatDate(selectedTournament.createdAt) : 'N/A'}</p>
                 </div>
                 <div className="col-md-6">
-                  <p className="mb-1"><strong>Tournament Date:</strong> {selectedTournament.tournamentDate ? formatDate(selectedTournament.tournamentDate) : 'N/A'}</p>
-                  <p className="mb-1"><strong>Tournament Time:</strong> {selectedTournament.tournamentTime ? new Date(`2000-01-01T${selectedTournament.tournamentTime}`).toLocaleTimeString('en-US', { hour: 'numeric', minute: 'numeric', hour12: true }) : 'N/A'}</p>
+                  <p className="mb-1"><strong>Starts:</strong> {formatTournamentStart(selectedTournament)}</p>
+                  <p className="mb-1"><strong>Organizer Timezone:</strong> {selectedTournament.timezone || 'N/A'}</p>
                 </div>
               </div>
               
@@ -231,7 +265,7 @@ function TournamentApproval() {
                   <p className="mb-1"><strong>Entry Fee:</strong> Rs. {selectedTournament.entryFee}</p>
                 </div>
                 <div className="col-md-4">
-                  <p className="mb-1"><strong>Prize Pool:</strong> Rs. {selectedTournament.prizePool}</p>
+                  <p className="mb-1"><strong>Prize Pool:</strong> {isDynamicPrizePool(selectedTournament) ? 'Dynamic (entry fees collected minus platform commission)' : `Rs. ${getPrizePool(selectedTournament)}`}</p>
                 </div>
                 <div className="col-md-4">
                   <p className="mb-1"><strong>Max Participants:</strong> {selectedTournament.maxParticipants}</p>
@@ -261,6 +295,23 @@ function TournamentApproval() {
                   />
                 </Form.Group>
               )}
+              
+              {modalAction === 'cancel' && (
+                <Form.Group className="mb-3">
+                  <Form.Label>Cancellation Reason:</Form.Label>
+                  <Form.Control 
+                    as="textarea" 
+                    rows={3} 
+                    value={cancellationReason} 
+                    onChange={(e) => setCancellationReason(e.target.value)}
+                    placeholder="Explain to participants why this tournament is cancelled"
+                    required
+                  />
+                  <Form.Text className="text-muted">
+                    Any entry fees already paid will be refunded to participants&apos; wallets.
+                  </Form.Text>
+                </Form.Group>
+              )}
             </>
           )}
         </Modal.Body>
@@ -284,6 +335,16 @@ function TournamentApproval() {
               Reject Tournament
             </Button>
           )}
+          
+          {modalAction === 'cancel' && (
+            <Button 
+              variant="danger" 
+              onClick={handleCancelTournament}
+              disabled={!cancellationReason.trim()}
+            >
+              Cancel Tournament
+            </Button>
+          )}
         </Modal.Footer>
       </Modal>
     </Container>
@@ -1,11 +1,53 @@
 import React, { useState, useEffect } from 'react';
 import { Container, Table, Button, Modal, Form, Alert, Image } from 'react-bootstrap';
-import { collection, addDoc, getDocs, doc, updateDoc, deleteDoc, Timestamp } from 'firebase/firestore';
+import { collection, addDoc, getDocs, doc, updateDoc, deleteDoc, deleteField, Timestamp } from 'firebase/firestore';
 import { db } from '../../firebase/config';
-import TournamentStatusService from '../../services/TournamentStatusService';
+import { useAuth } from '../../contexts/AuthContext';
+import TournamentService from '../../services/TournamentService';
 import initCloudinary from '../../utils/cloudinaryConfig';
 import DOMPurify from 'dompurify';
 import { toast } from 'react-toastify';
+import {
+  DEFAULT_MATCH_DURATION_MINUTES,
+  DEFAULT_CHECK_IN_WINDOW_MINUTES,
+  DEFAULT_GRACE_PERIOD_MINUTES,
+  DEFAULT_MIN_PARTICIPANTS,
+  DEFAULT_LEAVE_CUTOFF_MINUTES,
+  getTournamentStartTime,
+  formatTournamentStart
+} from '../../utils/tournamentSchedule';
+import { TIMEZONE_OPTIONS, getBrowserTimeZone, zonedTimeToUtc, utcToZonedInputs } from '../../utils/timezone';
+import { buildResultRows, normalizeResults } from '../../utils/tournamentResults';
+import { PRIZE_SPLIT_TYPES, PRIZE_POOL_TYPES, DEFAULT_COMMISSION_PERCENT, parsePrizeSplit, formatPrizeSplitAmounts, calculatePayouts, getOrdinal, getEntryFeePaid, getPrizePool, isDynamicPrizePool } from '../../utils/prizeDistribution';
+import {
+  TOURNAMENT_FORMATS,
+  SEEDING_METHODS,
+  isBracketTournament
+} from '../../utils/brackets';
+import BracketEditor from './BracketEditor';
+import SeriesEditor from './SeriesEditor';
+import LeagueEditor from './LeagueEditor';
+import {
+  DEFAULT_ROUND_DAYS,
+  isLeagueTournament,
+  getRoundDays
+} from '../../utils/league';
+import {
+  DEFAULT_PLACEMENT_POINTS,
+  DEFAULT_KILL_POINTS,
+  isSeriesTournament,
+  getPointsTable,
+  parsePlacementPoints,
+  formatPlacementPoints
+} from '../../utils/series';
+import {
+  MAX_TEAM_SIZE,
+  TEAM_MEMBER_STATUS_LABELS,
+  isTeamTournament,
+  getTeamSizeLabel,
+  getEntryCount,
+  buildTeamRosterRows
+} from '../../utils/teams';
 
 function TournamentManagement() {
   const [tournaments, setTournaments] = useState([]);
@@ -14,21 +56,54 @@ function TournamentManagement() {
   const [showModal, setShowModal] = useState(false);
   const [showResultModal, setShowResultModal] = useState(false);
   const [showParticipantsModal, setShowParticipantsModal] = useState(false);
+  const [showResultsEditor, setShowResultsEditor] = useState(false);
+  const [resultRows, setResultRows] = useState([]);
+  const [resultsError, setResultsError] = useState('');
+  const [savingResults, setSavingResults] = useState(false);
+  const [showPrizeModal, setShowPrizeModal] = useState(false);
+  const [distributingPrizes, setDistributingPrizes] = useState(false);
+  const [showCancelModal, setShowCancelModal] = useState(false);
+  const [cancellationReason, setCancellationReason] = useState('');
+  const [cancelling, setCancelling] = useState(false);
+  const [participantToRemove, setParticipantToRemove] = useState(null);
+  const [removalRefund, setRemovalRefund] = useState('full');
+  const [removalReason, setRemovalReason] = useState('');
+  const [removing, setRemoving] = useState(false);
+  const [showBracketModal, setShowBracketModal] = useState(false);
+  const [showSeriesModal, setShowSeriesModal] = useState(false);
+  const [showLeagueModal, setShowLeagueModal] = useState(false);
   const [editMode, setEditMode] = useState(false);
   const [currentTournamentId, setCurrentTournamentId] = useState(null);
   const [selectedTournament, setSelectedTournament] = useState(null);
   const [uploadError, setUploadError] = useState('');
+  const { currentUser } = useAuth();
   
   // Form state
   const [formData, setFormData] = useState({
     gameName: '',
     gameType: 'PUBG',
+    format: 'standard',
+    seeding: 'random',
+    teamSize: 1,
+    placementPoints: formatPlacementPoints(DEFAULT_PLACEMENT_POINTS),
+    killPoints: DEFAULT_KILL_POINTS,
+    roundDays: DEFAULT_ROUND_DAYS,
     tournamentDate: '',
     tournamentTime: '',
+    timezone: getBrowserTimeZone(),
     entryFee: 0,
+    prizePoolType: 'guaranteed',
     prizePool: 0,
+    commissionPercent: DEFAULT_COMMISSION_PERCENT,
     perKillAmount: 0,
+    prizeSplitType: 'percentage',
+    prizeSplitAmounts: '',
     maxParticipants: 100,
+    minParticipants: DEFAULT_MIN_PARTICIPANTS,
+    matchDurationMinutes: DEFAULT_MATCH_DURATION_MINUTES,
+    checkInWindowMinutes: DEFAULT_CHECK_IN_WINDOW_MINUTES,
+    gracePeriodMinutes: DEFAULT_GRACE_PERIOD_MINUTES,
+    leaveCutoffMinutes: DEFAULT_LEAVE_CUTOFF_MINUTES,
     matchDetails: '',
     rules: '',
     status: 'upcoming',
@@ -42,20 +117,7 @@ function TournamentManagement() {
 
   // Fetch tournaments when component mounts and initialize Cloudinary
   useEffect(() => {
-    // Migrate any existing live tournaments to have statusUpdatedAt field
-    TournamentStatusService.migrateLiveTournaments()
-      .then(result => {
-        if (result.migratedCount > 0) {
-          console.log(`Migrated ${result.migratedCount} live tournaments`);
-        }
-      })
-      .catch(error => {
-        console.error('Error migrating live tournaments:', error);
-      })
-      .finally(() => {
-        // Fetch tournaments after migration attempt
-        fetchTournaments();
-      });
+    fetchTournaments();
     
     // Initialize Cloudinary when component mounts with multiple retries
     const initCloudinaryWithRetries = (maxRetries = 5, delay = 1500) => {
@@ -142,9 +204,6 @@ function TournamentManagement() {
     try {
       setLoading(true);
       
-      // Check and update tournament statuses before fetching
-      await TournamentStatusService.checkAndUpdateTournamentStatuses();
-      
       const tournamentsCollection = collection(db, 'tournaments');
       const tournamentsSnapshot = await getDocs(tournamentsCollection);
       const tournamentsList = tournamentsSnapshot.docs.map(doc => ({
@@ -163,7 +222,10 @@ function TournamentManagement() {
     const { name, value } = e.target;
     setFormData({
       ...formData,
-      [name]: name === 'entryFee' || name === 'maxParticipants' || name === 'perKillAmount'
+      [name]: name === 'entryFee' || name === 'maxParticipants' || name === 'minParticipants' || name === 'perKillAmount' ||
+        name === 'matchDurationMinutes' || name === 'checkInWindowMinutes' || name === 'gracePeriodMinutes' ||
+        name === 'leaveCutoffMinutes' || name === 'commissionPercent' || name === 'teamSize' ||
+        name === 'killPoints' || name === 'roundDays'
         ? Number(value) 
         : value
     });
@@ -173,12 +235,28 @@ function TournamentManagement() {
     setFormData({
       gameName: '',
       gameType: 'PUBG',
+      format: 'standard',
+      seeding: 'random',
+      teamSize: 1,
+      placementPoints: formatPlacementPoints(DEFAULT_PLACEMENT_POINTS),
+      killPoints: DEFAULT_KILL_POINTS,
+      roundDays: DEFAULT_ROUND_DAYS,
       tournamentDate: '',
       tournamentTime: '',
+      timezone: getBrowserTimeZone(),
       entryFee: 0,
+      prizePoolType: 'guaranteed',
       prizePool: '',
+      commissionPercent: DEFAULT_COMMISSION_PERCENT,
       perKillAmount: 0,
+    prizeSplitType: 'percentage',
+    prizeSplitAmounts: '',
       maxParticipants: 100,
+      minParticipants: DEFAULT_MIN_PARTICIPANTS,
+      matchDurationMinutes: DEFAULT_MATCH_DURATION_MINUTES,
+      checkInWindowMinutes: DEFAULT_CHECK_IN_WINDOW_MINUTES,
+      gracePeriodMinutes: DEFAULT_GRACE_PERIOD_MINUTES,
+      leaveCutoffMinutes: DEFAULT_LEAVE_CUTOFF_MINUTES,
       matchDetails: '',
       rules: '',
       status: 'upcoming',
@@ -192,23 +270,38 @@ function TournamentManagement() {
   }
 
   function openEditModal(tournament) {
-    // Format date for the date input
-    const tournamentDate = tournament.tournamentDate?.toDate 
-      ? tournament.tournamentDate.toDate().toISOString().split('T')[0]
-      : '';
-    
-    // Format time for the time input
-    const tournamentTime = tournament.tournamentTime || '';
+    // Format date and time for the inputs in the organizer's timezone
+    const timezone = tournament.timezone || getBrowserTimeZone();
+    const startTime = getTournamentStartTime(tournament);
+    const { date: tournamentDate, time: tournamentTime } = startTime
+      ? utcToZonedInputs(startTime, timezone)
+      : { date: '', time: '' };
     
     setFormData({
       gameName: tournament.gameName || '',
       gameType: tournament.gameType || 'PUBG',
+      format: tournament.format || 'standard',
+      seeding: tournament.seeding || 'random',
+      teamSize: tournament.teamSize || 1,
+      placementPoints: formatPlacementPoints(getPointsTable(tournament).placementPoints),
+      killPoints: getPointsTable(tournament).killPoints,
+      roundDays: getRoundDays(tournament),
       tournamentDate,
       tournamentTime,
+      timezone,
       entryFee: tournament.entryFee || 0,
+      prizePoolType: tournament.prizePoolType || 'guaranteed',
       prizePool: tournament.prizePool || '',
+      commissionPercent: tournament.commissionPercent ?? DEFAULT_COMMISSION_PERCENT,
       perKillAmount: tournament.perKillAmount || 0,
+      prizeSplitType: tournament.prizeSplit?.type || 'percentage',
+      prizeSplitAmounts: formatPrizeSplitAmounts(tournament.prizeSplit),
       maxParticipants: tournament.maxParticipants || 100,
+      minParticipants: tournament.minParticipants ?? DEFAULT_MIN_PARTICIPANTS,
+      matchDurationMinutes: tournament.matchDurationMinutes ?? DEFAULT_MATCH_DURATION_MINUTES,
+      checkInWindowMinutes: tournament.checkInWindowMinutes ?? DEFAULT_CHECK_IN_WINDOW_MINUTES,
+      gracePeriodMinutes: tournament.gracePeriodMinutes ?? DEFAULT_GRACE_PERIOD_MINUTES,
+      leaveCutoffMinutes: tournament.leaveCutoffMinutes ?? DEFAULT_LEAVE_CUTOFF_MINUTES,
       matchDetails: tournament.matchDetails || '',
       rules: tournament.rules || '',
       status: tournament.status || 'upcoming',
@@ -228,8 +321,83 @@ function TournamentManagement() {
     setShowResultModal(true);
   }
   
+  function openResultsEditor(tournament) {
+    setSelectedTournament(tournament);
+    setResultRows(buildResultRows(tournament));
+    setResultsError('');
+    setShowResultsEditor(true);
+  }
+  
+  function handleResultRowChange(index, field, value) {
+    setResultRows(rows => rows.map((row, rowIndex) => 
+      rowIndex === index ? { ...row, [field]: value } : row
+    ));
+  }
+  
+  async function handleSaveResults() {
+    if (!selectedTournament) return;
+    
+    if (selectedTournament.prizesDistributedAt) {
+      setResultsError('Results cannot be changed after prizes have been distributed');
+      return;
+    }
+    
+    try {
+      setSavingResults(true);
+      setResultsError('');
+      
+      const playerResults = normalizeResults(resultRows.map(row => ({
+        ...row,
+        disqualificationReason: DOMPurify.sanitize(row.disqualificationReason.trim())
+      })));
+      
+      const tournamentRef = doc(db, 'tournaments', selectedTournament.id);
+      await updateDoc(tournamentRef, {
+        playerResults,
+        resultsUpdatedAt: Timestamp.now(),
+        updatedAt: Timestamp.now()
+      });
+      
+      toast.success('Results saved successfully');
+      fetchTournaments();
+      setShowResultsEditor(false);
+    } catch (error) {
+      setResultsError('Failed to save results: ' + error.message);
+    } finally {
+      setSavingResults(false);
+    }
+  }
+  
+  function openPrizeModal(tournament) {
+    setSelectedTournament(tournament);
+    setShowPrizeModal(true);
+  }
+  
+  async function handleDistributePrizes() {
+    if (!selectedTournament) return;
+    
+    try {
+      setDistributingPrizes(true);
+      
+      const { paidCount, paidTotal } = await TournamentService.distributePrizes(
+        selectedTournament.id,
+        currentUser.uid
+      );
+      
+      toast.success(`Prizes distributed. Paid Rs. ${paidTotal} to ${paidCount} players.`);
+      setShowPrizeModal(false);
+      fetchTournaments();
+    } catch (error) {
+      console.error('Error distributing prizes:', error);
+      toast.error('Failed to distribute prizes: ' + error.message);
+    } finally {
+      setDistributingPrizes(false);
+    }
+  }
+  
   function openParticipantsModal(tournament) {
     setSelectedTournament(tournament);
+    setParticipantToRemove(null);
     setShowParticipantsModal(true);
     
     // Log access for security auditing
@@ -260,15 +428,25 @@ function TournamentManagement() {
     
     // Create CSV content
     const headers = ['No.', 'Email', 'Game Username', 'Joined At'];
-    const csvContent = [
-      headers.join(','),
-      ...selectedTournament.participants.map((participant, index) => {
-        const email = participant.email || 'N/A';
-        const username = participant.username || 'N/A';
-        const joinedAt = new Date(participant.joinedAt).toLocaleString();
-        return [index + 1, `"${email}"`, `"${username}"`, `"${joinedAt}"`].join(',');
-      })
-    ].join('\n');
+    const rows = selectedTournament.participants.map((participant, index) => {
+      const email = participant.email || 'N/A';
+      const username = participant.username || 'N/A';
+      const joinedAt = new Date(participant.joinedAt).toLocaleString();
+      return [index + 1, `"${email}"`, `"${username}"`, `"${joinedAt}"`].join(',');
+    });
+    
+    // Team tournaments list every rostered player, including those without an account
+    const teamHeaders = ['No.', 'Team', 'Role', 'Email', 'Game Username', 'Entry Fee Paid', 'Joined At'];
+    const teamRows = buildTeamRosterRows(selectedTournament).map(({ teamName, member, participant }, index) => {
+      const email = member.email || 'N/A';
+      const joinedAt = participant ? new Date(participant.joinedAt).toLocaleString() : 'N/A';
+      const paid = participant ? getEntryFeePaid(selectedTournament, participant) : 0;
+      return [index + 1, `"${teamName}"`, `"${TEAM_MEMBER_STATUS_LABELS[member.status]}"`, `"${email}"`, `"${member.inGameId}"`, paid, `"${joinedAt}"`].join(',');
+    });
+    
+    const csvContent = isTeamTournament(selectedTournament)
+      ? [teamHeaders.join(','), ...teamRows].join('\n')
+      : [headers.join(','), ...rows].join('\n');
     
     // Create a blob and download link
     const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
@@ -282,46 +460,131 @@ function TournamentManagement() {
     document.body.removeChild(link);
   }
   
-  async function handleRemoveParticipant(participantIndex) {
-    if (!selectedTournament || !selectedTournament.participants) {
+  function openRemoveParticipant(participant) {
+    setParticipantToRemove(participant);
+    setRemovalRefund('full');
+    setRemovalReason('');
+  }
+
+  async function handleRemoveParticipant() {
+    if (!selectedTournament || !participantToRemove) {
       return;
     }
     
-    if (window.confirm('Are you sure you want to remove this participant from the tournament?')) {
-      try {
-        // Create a new array without the participant to be removed
-        const updatedParticipants = [...selectedTournament.participants];
-        updatedParticipants.splice(participantIndex, 1);
-        
-        // Update the tournament document in Firestore
-        const tournamentRef = doc(db, 'tournaments', selectedTournament.id);
-        await updateDoc(tournamentRef, {
-          participants: updatedParticipants
-        });
-        
-        // Update the local state
-        setSelectedTournament({
-          ...selectedTournament,
-          participants: updatedParticipants
-        });
-        
-        // Refresh the tournaments list
-        fetchTournaments();
-        
-        // Show success message
-        toast.success('Participant removed successfully');
-      } catch (error) {
-        console.error('Error removing participant:', error);
-        toast.error('Failed to remove participant: ' + error.message);
-      }
+    try {
+      setRemoving(true);
+      
+      // Removal, refund and notification happen in one transaction
+      const { refundedAmount } = await TournamentService.removeParticipant(
+        selectedTournament.id,
+        participantToRemove.userId,
+        {
+          refund: removalRefund === 'full',
+          reason: DOMPurify.sanitize(removalReason.trim())
+        },
+        currentUser.uid
+      );
+      
+      // Update the local state
+      setSelectedTournament({
+        ...selectedTournament,
+        participants: selectedTournament.participants.filter(entry => entry.userId !== participantToRemove.userId),
+        teams: (selectedTournament.teams || []).map(team => ({
+          ...team,
+          members: team.members.map(member => member.userId === participantToRemove.userId ? { ...member, status: 'removed' } : member)
+        }))
+      });
+      setParticipantToRemove(null);
+      
+      // Refresh the tournaments list
+      fetchTournaments();
+      
+      // Show success message
+      toast.success(refundedAmount > 0
+        ? `Participant removed and refunded Rs. ${refundedAmount}`
+        : 'Participant removed, entry fee forfeited');
+    } catch (error) {
+      console.error('Error removing participant:', error);
+      toast.error('Failed to remove participant: ' + error.message);
+    } finally {
+      setRemoving(false);
     }
   }
 
+  function openBracketModal(tournament) {
+    setSelectedTournament(tournament);
+    setShowBracketModal(true);
+  }
+  
+  function handleTournamentSaved(tournament) {
+    setSelectedTournament(tournament);
+    fetchTournaments();
+  }
+
+  function openLeagueModal(tournament) {
+    setSelectedTournament(tournament);
+    setShowLeagueModal(true);
+  }
+  
+  function openSeriesModal(tournament) {
+    setSelectedTournament(tournament);
+    setShowSeriesModal(true);
+  }
+
   async function handleSubmit(e) {
     e.preventDefault();
     try {
       setError('');
       
+      if (formData.minParticipants > formData.maxParticipants) {
+        setError('Min participants cannot be more than max participants');
+        return;
+      }
+      
+      // Switching format would leave the drawn bracket and its results behind
+      const editedTournament = editMode && tournaments.find(tournament => tournament.id === currentTournamentId);
+      if (editedTournament?.bracket && (editedTournament.format || 'standard') !== formData.format) {
+        setError('The format cannot be changed after the bracket has been drawn');
+        return;
+      }
+      if (editedTournament?.matches?.some(match => match.results) && !isSeriesTournament(formData)) {
+        setError('The format cannot be changed after match results have been entered');
+        return;
+      }
+      if (editedTournament?.league && !isLeagueTournament(formData)) {
+        setError('The format cannot be changed after the fixtures have been generated');
+        return;
+      }
+      if (isLeagueTournament(formData) && (!Number.isInteger(formData.roundDays) || formData.roundDays < 1 || formData.roundDays > 30)) {
+        setError('Days per round must be between 1 and 30');
+        return;
+      }
+      
+      if (formData.teamSize < 1 || formData.teamSize > MAX_TEAM_SIZE) {
+        setError(`Team size must be between 1 and ${MAX_TEAM_SIZE}`);
+        return;
+      }
+      if (isTeamTournament(formData) && (isBracketTournament(formData) || isLeagueTournament(formData))) {
+        setError('Brackets and leagues are for solo players; use the standard or series format for team tournaments');
+        return;
+      }
+      // Registered teams were formed and paid for at the old size
+      if ((editedTournament?.teams?.length || editedTournament?.participants?.length) && (editedTournament.teamSize || 1) !== formData.teamSize) {
+        setError('The team size cannot be changed after players have registered');
+        return;
+      }
+      
+      const dynamicPool = isDynamicPrizePool(formData);
+      if (dynamicPool && (formData.commissionPercent < 0 || formData.commissionPercent > 100)) {
+        setError('Platform commission must be between 0 and 100%');
+        return;
+      }
+      // A dynamic pool is unknown until players join, so fixed prizes could exceed it
+      if (dynamicPool && formData.prizeSplitType !== 'percentage') {
+        setError('Dynamic prize pools need a percentage prize split');
+        return;
+      }
+      
       // Sanitize user inputs
       const sanitizedFormData = {
         ...formData,
@@ -331,22 +594,59 @@ function TournamentManagement() {
         gameLogo: formData.gameLogo // Include game logo URL
       };
       
+      // The date and time inputs are wall-clock values in the organizer's timezone
+      const { tournamentDate, tournamentTime, prizeSplitType, prizeSplitAmounts, placementPoints, killPoints, roundDays, ...tournamentFields } = sanitizedFormData;
+      const startAt = zonedTimeToUtc(tournamentDate, tournamentTime, sanitizedFormData.timezone);
+      
+      let prizeSplit;
+      try {
+        prizeSplit = parsePrizeSplit(prizeSplitType, prizeSplitAmounts, dynamicPool ? undefined : sanitizedFormData.prizePool);
+      } catch (splitError) {
+        setError(splitError.message);
+        return;
+      }
+      
+      let pointsTable;
+      if (isSeriesTournament(formData)) {
+        if (!Number.isFinite(killPoints) || killPoints < 0) {
+          setError('Kill points must be 0 or more');
+          return;
+        }
+        try {
+          pointsTable = { placementPoints: parsePlacementPoints(placementPoints), killPoints };
+        } catch (pointsError) {
+          setError(pointsError.message);
+          return;
+        }
+      }
+      
       // Base tournament data
       const baseTournamentData = {
-        ...sanitizedFormData,
-        tournamentDate: Timestamp.fromDate(new Date(sanitizedFormData.tournamentDate)),
+        ...tournamentFields,
+        prizePool: dynamicPool ? 0 : tournamentFields.prizePool,
+        prizeSplit,
+        ...(pointsTable && { pointsTable }),
+        ...(isLeagueTournament(formData) && { roundDays }),
+        startAt: Timestamp.fromDate(startAt),
         updatedAt: Timestamp.now()
       };
       
       if (editMode && currentTournamentId) {
         // Update existing tournament - don't modify participants
         const tournamentRef = doc(db, 'tournaments', currentTournamentId);
-        await updateDoc(tournamentRef, baseTournamentData);
+        await updateDoc(tournamentRef, {
+          ...baseTournamentData,
+          // Drop the pre-timezone date and time fields if they are still present
+          tournamentDate: deleteField(),
+          tournamentTime: deleteField()
+        });
       } else {
         // Create new tournament - initialize with empty participants array
         const newTournamentData = {
           ...baseTournamentData,
           participants: [],
+          ...(isTeamTournament(baseTournamentData) && { teams: [] }),
+          ...(isSeriesTournament(baseTournamentData) && { matches: [] }),
           createdAt: Timestamp.now()
         };
         await addDoc(collection(db, 'tournaments'), newTournamentData);
@@ -382,10 +682,49 @@ function TournamentManagement() {
     }
   }
 
-  async function handleDelete(tournamentId) {
+  function openCancelModal(tournament) {
+    setSelectedTournament(tournament);
+    setCancellationReason('');
+    setShowCancelModal(true);
+  }
+
+  async function handleCancelTournament() {
+    if (!selectedTournament) return;
+    
+    try {
+      setCancelling(true);
+      
+      const sanitizedReason = DOMPurify.sanitize(cancellationReason.trim());
+      const { refundedCount, refundedTotal } = await TournamentService.cancelTournament(
+        selectedTournament.id,
+        sanitizedReason,
+        currentUser.uid
+      );
+      
+      toast.success(`Tournament cancelled. Refunded Rs. ${refundedTotal} to ${refundedCount} participants.`);
+      setShowCancelModal(false);
+      fetchTournaments();
+    } catch (error) {
+      console.error('Error cancelling tournament:', error);
+      toast.error('Failed to cancel tournament: ' + error.message);
+    } finally {
+      setCancelling(false);
+    }
+  }
+
+  async function handleDelete(tournament) {
+    // Deleting a tournament with paid entries would destroy them without a refund
+    const hasPaidEntries = tournament.participants?.some(participant => 
+      getEntryFeePaid(tournament, participant) > 0
+    );
+    if (hasPaidEntries && tournament.status !== 'cancelled') {
+      setError('This tournament has paid entries. Cancel it instead so participants are refunded.');
+      return;
+    }
+    
     if (window.confirm('Are you sure you want to delete this tournament?')) {
       try {
-        await deleteDoc(doc(db, 'tournaments', tournamentId));
+        await deleteDoc(doc(db, 'tournaments', tournament.id));
         fetchTournaments();
       } catch (error) {
         setError('Failed to delete tournament: ' + error.message);
@@ -444,18 +783,18 @@ function TournamentManagement() {
                   </td>
                   <td>{tournament.gameName}</td>
                   <td>{tournament.gameType}</td>
+                  <td>{formatTournamentStart(tournament)}</td>
+                  <td>Rs. {tournament.entryFee}</td>
                   <td>
-                    {tournament.tournamentDate?.toDate 
-                      ? tournament.tournamentDate.toDate().toLocaleDateString() 
-                      : 'N/A'}
-                    {' '}
-                    {tournament.tournamentTime ? new Date(`2000-01-01T${tournament.tournamentTime}`).toLocaleTimeString('en-US', { hour: 'numeric', minute: 'numeric', hour12: true }) : ''}
+                    Rs. {getPrizePool(tournament)}
+                    {isDynamicPrizePool(tournament) && <div className="small text-muted">Dynamic</div>}
+                  </td>
+                  <td>
+                    {getEntryCount(tournament)} / {tournament.maxParticipants}
+                    {isTeamTournament(tournament) && <div className="small text-muted">{getTeamSizeLabel(tournament.teamSize)}</div>}
                   </td>
-                  <td>Rs. {tournament.entryFee}</td>
-                  <td>Rs. {tournament.prizePool}</td>
-                  <td>{tournament.participants?.length || 0} / {tournament.maxParticipants}</td>
                   <td>
-                    <span className={`badge bg-${tournament.status === 'completed' ? 'secondary' : tournament.status === 'live' ? 'success' : 'primary'}`}>
+                    <span className={`badge bg-${tournament.status === 'completed' ? 'secondary' : tournament.status === 'live' ? 'success' : tournament.status === 'cancelled' ? 'danger' : 'primary'}`}>
                       {tournament.status}
                     </span>
                   </td>
@@ -497,10 +836,72 @@ function TournamentManagement() {
                     >
                       Upload Result
                     </Button>
+                    {isBracketTournament(tournament) ? (
+                      <Button 
+                        variant="outline-warning" 
+                        size="sm" 
+                        className="me-2 mb-1"
+                        onClick={() => openBracketModal(tournament)}
+                      >
+                        Bracket
+                      </Button>
+                    ) : isLeagueTournament(tournament) ? (
+                      <Button 
+                        variant="outline-warning" 
+                        size="sm" 
+                        className="me-2 mb-1"
+                        onClick={() => openLeagueModal(tournament)}
+                      >
+                        Fixtures
+                      </Button>
+                    ) : isSeriesTournament(tournament) ? (
+                      <Button 
+                        variant="outline-warning" 
+                        size="sm" 
+                        className="me-2 mb-1"
+                        onClick={() => openSeriesModal(tournament)}
+                      >
+                        Matches
+                      </Button>
+                    ) : (
+                      <Button 
+                        variant="outline-warning" 
+                        size="sm" 
+                        className="me-2 mb-1"
+                        onClick={() => openResultsEditor(tournament)}
+                        disabled={!tournament.participants?.length}
+                      >
+                        Enter Results
+                      </Button>
+                    )}
+                    {tournament.status === 'completed' && tournament.playerResults?.length > 0 && (
+                      tournament.prizesDistributedAt ? (
+                        <span className="badge bg-success me-2 mb-1">Prizes paid</span>
+                      ) : (
+                        <Button 
+                          variant="success" 
+                          size="sm" 
+                          className="me-2 mb-1"
+                          onClick={() => openPrizeModal(tournament)}
+                        >
+                          Distribute Prizes
+                        </Button>
+                      )
+                    )}
+                    {tournament.status !== 'completed' && tournament.status !== 'cancelled' && (
+                      <Button 
+                        variant="outline-danger" 
+                        size="sm" 
+                        className="me-2 mb-1"
+                        onClick={() => openCancelModal(tournament)}
+                      >
+                        Cancel Tournament
+                      </Button>
+                    )}
                     <Button 
                       variant="danger" 
                       size="sm"
-                      onClick={() => handleDelete(tournament.id)}
+                      onClick={() => handleDelete(tournament)}
                     >
                       Delete
                     </Button>
@@ -606,6 +1007,114 @@ function TournamentManagement() {
               </Form.Select>
             </Form.Group>
             
+            <div className="row">
+              <div className="col-md-6">
+                <Form.Group className="mb-3">
+                  <Form.Label>Format</Form.Label>
+                  <Form.Select 
+                    name="format" 
+                    value={formData.format} 
+                    onChange={handleInputChange}
+                  >
+                    {Object.entries(TOURNAMENT_FORMATS).map(([format, label]) => (
+                      <option key={format} value={format}>{label}</option>
+                    ))}
+                  </Form.Select>
+                  <Form.Text className="text-muted">
+                    Brackets and leagues are for head-to-head games such as 8 Ball Pool
+                  </Form.Text>
+                </Form.Group>
+              </div>
+              {isLeagueTournament(formData) && (
+                <div className="col-md-6">
+                  <Form.Group className="mb-3">
+                    <Form.Label>Days per Round</Form.Label>
+                    <Form.Control 
+                      type="number" 
+                      name="roundDays" 
+                      value={formData.roundDays} 
+                      onChange={handleInputChange} 
+                      min="1" 
+                      max="30" 
+                    />
+                    <Form.Text className="text-muted">
+                      Every player plays once per round; fixtures not reported by the end of their round are forfeited
+                    </Form.Text>
+                  </Form.Group>
+                </div>
+              )}
+              {!isBracketTournament(formData) && !isLeagueTournament(formData) && (
+                <div className="col-md-6">
+                  <Form.Group className="mb-3">
+                    <Form.Label>Team Size</Form.Label>
+                    <Form.Select 
+                      name="teamSize" 
+                      value={formData.teamSize} 
+                      onChange={handleInputChange}
+                    >
+                      {Array.from({ length: MAX_TEAM_SIZE }, (_, index) => index + 1).map(size => (
+                        <option key={size} value={size}>{getTeamSizeLabel(size)}</option>
+                      ))}
+                    </Form.Select>
+                    <Form.Text className="text-muted">
+                      Team tournaments charge the entry fee per team
+                    </Form.Text>
+                  </Form.Group>
+                </div>
+              )}
+              {isBracketTournament(formData) && (
+                <div className="col-md-6">
+                  <Form.Group className="mb-3">
+                    <Form.Label>Seeding</Form.Label>
+                    <Form.Select 
+                      name="seeding" 
+                      value={formData.seeding} 
+                      onChange={handleInputChange}
+                    >
+                      {Object.entries(SEEDING_METHODS).map(([method, label]) => (
+                        <option key={method} value={method}>{label}</option>
+                      ))}
+                    </Form.Select>
+                    <Form.Text className="text-muted">
+                      Rating is the bracket matches a player has won in past tournaments of this game
+                    </Form.Text>
+                  </Form.Group>
+                </div>
+              )}
+            </div>
+            
+            {isSeriesTournament(formData) && (
+              <div className="row">
+                <div className="col-md-8">
+                  <Form.Group className="mb-3">
+                    <Form.Label>Placement Points</Form.Label>
+                    <Form.Control 
+                      type="text" 
+                      name="placementPoints" 
+                      value={formData.placementPoints} 
+                      onChange={handleInputChange} 
+                      placeholder="e.g. 15, 12, 10, 8, 6, 4, 2, 1" 
+                    />
+                    <Form.Text className="text-muted">
+                      Points per match for 1st place, 2nd place and so on; lower placements score nothing
+                    </Form.Text>
+                  </Form.Group>
+                </div>
+                <div className="col-md-4">
+                  <Form.Group className="mb-3">
+                    <Form.Label>Points per Kill</Form.Label>
+                    <Form.Control 
+                      type="number" 
+                      name="killPoints" 
+                      value={formData.killPoints} 
+                      onChange={handleInputChange} 
+                      min="0" 
+                    />
+                  </Form.Group>
+                </div>
+              </div>
+            )}
+            
             <div className="row">
               <div className="col-md-6">
                 <Form.Group className="mb-3">
@@ -634,7 +1143,7 @@ function TournamentManagement() {
             </div>
             
             <div className="row">
-              <div className="col-md-6">
+              <div className="col-md-4">
                 <Form.Group className="mb-3">
                   <Form.Label>Tournament Date</Form.Label>
                   <Form.Control 
@@ -646,7 +1155,7 @@ function TournamentManagement() {
                   />
                 </Form.Group>
               </div>
-              <div className="col-md-6">
+              <div className="col-md-4">
                 <Form.Group className="mb-3">
                   <Form.Label>Tournament Time</Form.Label>
                   <Form.Control 
@@ -658,37 +1167,142 @@ function TournamentManagement() {
                   />
                 </Form.Group>
               </div>
+              <div className="col-md-4">
+                <Form.Group className="mb-3">
+                  <Form.Label>Timezone</Form.Label>
+                  <Form.Select 
+                    name="timezone" 
+                    value={formData.timezone} 
+                    onChange={handleInputChange} 
+                    required
+                  >
+                    {[...new Set([formData.timezone, ...TIMEZONE_OPTIONS])].map(timezone => (
+                      <option key={timezone} value={timezone}>{timezone}</option>
+                    ))}
+                  </Form.Select>
+                  <Form.Text className="text-muted">
+                    Date and time are in this timezone
+                  </Form.Text>
+                </Form.Group>
+              </div>
             </div>
             
             <div className="row">
               <div className="col-md-4">
                 <Form.Group className="mb-3">
-                  <Form.Label>Entry Fee (Rs.)</Form.Label>
+                  <Form.Label>Match Duration (minutes)</Form.Label>
                   <Form.Control 
                     type="number" 
-                    name="entryFee" 
-                    value={formData.entryFee} 
+                    name="matchDurationMinutes" 
+                    value={formData.matchDurationMinutes} 
                     onChange={handleInputChange} 
-                    min="0" 
+                    min="1" 
                     required 
                   />
+                  <Form.Text className="text-muted">
+                    {isLeagueTournament(formData)
+                      ? 'Leagues stay live until every fixture has a result or a forfeit'
+                      : isSeriesTournament(formData)
+                        ? 'Expected length of the whole series once it goes live'
+                        : 'Expected length of the match once it goes live'}
+                  </Form.Text>
                 </Form.Group>
               </div>
               <div className="col-md-4">
                 <Form.Group className="mb-3">
-                  <Form.Label>Prize Pool (Rs.)</Form.Label>
+                  <Form.Label>Check-in Window (minutes)</Form.Label>
                   <Form.Control 
-                    type="text" 
-                    name="prizePool" 
-                    value={formData.prizePool} 
+                    type="number" 
+                    name="checkInWindowMinutes" 
+                    value={formData.checkInWindowMinutes} 
                     onChange={handleInputChange} 
-                    required 
+                    min="0" 
                   />
+                  <Form.Text className="text-muted">
+                    Registration closes this long before the start time
+                  </Form.Text>
                 </Form.Group>
               </div>
               <div className="col-md-4">
                 <Form.Group className="mb-3">
-                  <Form.Label>Max Participants</Form.Label>
+                  <Form.Label>Grace Period (minutes)</Form.Label>
+                  <Form.Control 
+                    type="number" 
+                    name="gracePeriodMinutes" 
+                    value={formData.gracePeriodMinutes} 
+                    onChange={handleInputChange} 
+                    min="0" 
+                  />
+                  <Form.Text className="text-muted">
+                    Extra time allowed before the tournament is marked completed
+                  </Form.Text>
+                </Form.Group>
+              </div>
+            </div>
+            
+            <div className="row">
+              <div className="col-md-3">
+                <Form.Group className="mb-3">
+                  <Form.Label>Entry Fee (Rs.)</Form.Label>
+                  <Form.Control 
+                    type="number" 
+                    name="entryFee" 
+                    value={formData.entryFee} 
+                    onChange={handleInputChange} 
+                    min="0" 
+                    required 
+                  />
+                </Form.Group>
+              </div>
+              <div className="col-md-3">
+                <Form.Group className="mb-3">
+                  <Form.Label>Prize Pool Type</Form.Label>
+                  <Form.Select 
+                    name="prizePoolType" 
+                    value={formData.prizePoolType} 
+                    onChange={handleInputChange}
+                  >
+                    {PRIZE_POOL_TYPES.map(type => (
+                      <option key={type} value={type}>
+                        {type === 'guaranteed' ? 'Guaranteed' : 'Dynamic (entry fees)'}
+                      </option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </div>
+              <div className="col-md-3">
+                {isDynamicPrizePool(formData) ? (
+                  <Form.Group className="mb-3">
+                    <Form.Label>Platform Commission (%)</Form.Label>
+                    <Form.Control 
+                      type="number" 
+                      name="commissionPercent" 
+                      value={formData.commissionPercent} 
+                      onChange={handleInputChange} 
+                      min="0" 
+                      max="100" 
+                      required 
+                    />
+                    <Form.Text className="text-muted">
+                      The prize pool is the entry fees collected minus this commission
+                    </Form.Text>
+                  </Form.Group>
+                ) : (
+                  <Form.Group className="mb-3">
+                    <Form.Label>Prize Pool (Rs.)</Form.Label>
+                    <Form.Control 
+                      type="text" 
+                      name="prizePool" 
+                      value={formData.prizePool} 
+                      onChange={handleInputChange} 
+                      required 
+                    />
+                  </Form.Group>
+                )}
+              </div>
+              <div className="col-md-3">
+                <Form.Group className="mb-3">
+                  <Form.Label>{isTeamTournament(formData) ? 'Max Teams' : 'Max Participants'}</Form.Label>
                   <Form.Control 
                     type="number" 
                     name="maxParticipants" 
@@ -717,6 +1331,70 @@ function TournamentManagement() {
                   </Form.Text>
                 </Form.Group>
               </div>
+              <div className="col-md-4">
+                <Form.Group className="mb-3">
+                  <Form.Label>{isTeamTournament(formData) ? 'Min Teams' : 'Min Participants'}</Form.Label>
+                  <Form.Control 
+                    type="number" 
+                    name="minParticipants" 
+                    value={formData.minParticipants} 
+                    onChange={handleInputChange} 
+                    min="0" 
+                  />
+                  <Form.Text className="text-muted">
+                    Cancelled with refunds if fewer {isTeamTournament(formData) ? 'teams' : 'players'} have joined at the start time (0 for no minimum)
+                  </Form.Text>
+                </Form.Group>
+              </div>
+              <div className="col-md-4">
+                <Form.Group className="mb-3">
+                  <Form.Label>Leave Cutoff (minutes)</Form.Label>
+                  <Form.Control 
+                    type="number" 
+                    name="leaveCutoffMinutes" 
+                    value={formData.leaveCutoffMinutes} 
+                    onChange={handleInputChange} 
+                    min="0" 
+                  />
+                  <Form.Text className="text-muted">
+                    Players can leave with a refund until this long before the start time
+                  </Form.Text>
+                </Form.Group>
+              </div>
+            </div>
+            
+            <div className="row">
+              <div className="col-md-4">
+                <Form.Group className="mb-3">
+                  <Form.Label>Prize Split</Form.Label>
+                  <Form.Select 
+                    name="prizeSplitType" 
+                    value={formData.prizeSplitType} 
+                    onChange={handleInputChange}
+                  >
+                    {PRIZE_SPLIT_TYPES.map(type => (
+                      <option key={type} value={type}>
+                        {type === 'percentage' ? 'Percentage of prize pool' : 'Fixed amounts (Rs.)'}
+                      </option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </div>
+              <div className="col-md-8">
+                <Form.Group className="mb-3">
+                  <Form.Label>Prizes by Position</Form.Label>
+                  <Form.Control 
+                    type="text" 
+                    name="prizeSplitAmounts" 
+                    value={formData.prizeSplitAmounts} 
+                    onChange={handleInputChange} 
+                    placeholder={formData.prizeSplitType === 'percentage' ? 'e.g. 50, 30, 20' : 'e.g. 500, 300, 200'}
+                  />
+                  <Form.Text className="text-muted">
+                    Comma separated, starting from 1st position. Leave empty to pay only per-kill prizes.
+                  </Form.Text>
+                </Form.Group>
+              </div>
             </div>
             
             <Form.Group className="mb-3">
@@ -771,6 +1449,31 @@ function TournamentManagement() {
         </Modal.Body>
       </Modal>
       
+      {/* Bracket Modal */}
+      <BracketEditor
+        show={showBracketModal}
+        tournament={selectedTournament}
+        tournaments={tournaments}
+        onHide={() => setShowBracketModal(false)}
+        onSaved={handleTournamentSaved}
+      />
+      
+      {/* League Fixtures Modal */}
+      <LeagueEditor
+        show={showLeagueModal}
+        tournament={selectedTournament}
+        onHide={() => setShowLeagueModal(false)}
+        onSaved={handleTournamentSaved}
+      />
+      
+      {/* Series Matches Modal */}
+      <SeriesEditor
+        show={showSeriesModal}
+        tournament={selectedTournament}
+        onHide={() => setShowSeriesModal(false)}
+        onSaved={handleTournamentSaved}
+      />
+      
       {/* Result Image Upload Modal */}
       <Modal show={showResultModal} onHide={() => {
         // Clean up any active widget when modal is closed
@@ -1045,7 +1748,92 @@ function TournamentManagement() {
           </Modal.Title>
         </Modal.Header>
         <Modal.Body>
-          {selectedTournament && selectedTournament.participants && selectedTournament.participants.length > 0 ? (
+          {participantToRemove && (
+            <Alert variant="warning">
+              <p className="mb-2">
+                Remove <strong>{DOMPurify.sanitize(participantToRemove.username || participantToRemove.email)}</strong> from this tournament?
+              </p>
+              <Form.Group className="mb-2">
+                <Form.Check
+                  inline
+                  type="radio"
+                  id="removal-refund-full"
+                  label={`Full refund (Rs. ${getEntryFeePaid(selectedTournament, participantToRemove)})`}
+                  checked={removalRefund === 'full'}
+                  onChange={() => setRemovalRefund('full')}
+                />
+                <Form.Check
+                  inline
+                  type="radio"
+                  id="removal-refund-forfeit"
+                  label="Forfeit entry fee"
+                  checked={removalRefund === 'forfeit'}
+                  onChange={() => setRemovalRefund('forfeit')}
+                />
+              </Form.Group>
+              <Form.Group className="mb-2">
+                <Form.Control
+                  as="textarea"
+                  rows={2}
+                  value={removalReason}
+                  onChange={(e) => setRemovalReason(e.target.value)}
+                  placeholder="Reason for removal, shown to the player"
+                />
+              </Form.Group>
+              <Button variant="secondary" size="sm" className="me-2" onClick={() => setParticipantToRemove(null)}>
+                Keep Player
+              </Button>
+              <Button
+                variant="danger"
+                size="sm"
+                onClick={handleRemoveParticipant}
+                disabled={!removalReason.trim() || removing}
+              >
+                {removing ? 'Removing...' : 'Remove Player'}
+              </Button>
+            </Alert>
+          )}
+          {selectedTournament && isTeamTournament(selectedTournament) && (selectedTournament.teams || []).length > 0 ? (
+            <Table striped bordered hover responsive>
+              <thead>
+                <tr>
+                  <th>Team</th>
+                  <th>Game Username</th>
+                  <th>Email</th>
+                  <th>Status</th>
+                  <th>Paid</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {buildTeamRosterRows(selectedTournament).map(({ teamId, teamName, member, participant }) => (
+                  <tr key={`${teamId}-${member.inGameId}`}>
+                    <td>{DOMPurify.sanitize(teamName)}</td>
+                    <td>
+                      <span className="badge bg-info text-dark">
+                        {DOMPurify.sanitize(member.inGameId)}
+                      </span>
+                    </td>
+                    <td>{member.email ? DOMPurify.sanitize(member.email) : <span className="text-muted">No account</span>}</td>
+                    <td>{TEAM_MEMBER_STATUS_LABELS[member.status]}</td>
+                    <td>{participant ? `Rs. ${getEntryFeePaid(selectedTournament, participant)}` : '-'}</td>
+                    <td>
+                      {participant && (
+                        <Button 
+                          variant="danger" 
+                          size="sm"
+                          onClick={() => openRemoveParticipant(participant)}
+                          disabled={['cancelled', 'completed'].includes(selectedTournament.status)}
+                        >
+                          Remove
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          ) : selectedTournament && selectedTournament.participants && selectedTournament.participants.length > 0 ? (
             <Table striped bordered hover responsive>
               <thead>
                 <tr>
@@ -1075,7 +1863,8 @@ function TournamentManagement() {
                       <Button 
                         variant="danger" 
                         size="sm"
-                        onClick={() => handleRemoveParticipant(index)}
+                        onClick={() => openRemoveParticipant(participant)}
+                        disabled={['cancelled', 'completed'].includes(selectedTournament.status)}
                       >
                         Remove
                       </Button>
@@ -1099,6 +1888,188 @@ function TournamentManagement() {
           </Button>
         </Modal.Footer>
       </Modal>
+
+      {/* Results Editor Modal */}
+      <Modal show={showResultsEditor} onHide={() => setShowResultsEditor(false)} size="xl">
+        <Modal.Header closeButton>
+          <Modal.Title>
+            {selectedTournament ? `Results - ${selectedTournament.gameName}` : 'Results'}
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {resultsError && <Alert variant="danger">{resultsError}</Alert>}
+          <p className="small text-muted">
+            Leave the placement empty for players who were not placed. Disqualified players are listed last and keep no placement.
+          </p>
+          <Table striped bordered hover responsive size="sm">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Game Username</th>
+                <th style={{ width: '110px' }}>Placement</th>
+                <th style={{ width: '100px' }}>Kills</th>
+                <th>Disqualified</th>
+                <th>Disqualification Reason</th>
+              </tr>
+            </thead>
+            <tbody>
+              {resultRows.map((row, index) => (
+                <tr key={row.userId}>
+                  <td>{index + 1}</td>
+                  <td>{DOMPurify.sanitize(row.username)}</td>
+                  <td>
+                    <Form.Control 
+                      type="number" 
+                      size="sm" 
+                      min="1" 
+                      max={resultRows.length} 
+                      value={row.placement} 
+                      onChange={(e) => handleResultRowChange(index, 'placement', e.target.value)}
+                      disabled={row.disqualified}
+                      aria-label={`Placement for ${row.username}`}
+                    />
+                  </td>
+                  <td>
+                    <Form.Control 
+                      type="number" 
+                      size="sm" 
+                      min="0" 
+                      value={row.kills} 
+                      onChange={(e) => handleResultRowChange(index, 'kills', e.target.value)}
+                      aria-label={`Kills for ${row.username}`}
+                    />
+                  </td>
+                  <td className="text-center">
+                    <Form.Check 
+                      type="checkbox" 
+                      checked={row.disqualified} 
+                      onChange={(e) => handleResultRowChange(index, 'disqualified', e.target.checked)}
+                      aria-label={`Disqualify ${row.username}`}
+                    />
+                  </td>
+                  <td>
+                    <Form.Control 
+                      type="text" 
+                      size="sm" 
+                      value={row.disqualificationReason} 
+                      onChange={(e) => handleResultRowChange(index, 'disqualificationReason', e.target.value)}
+                      disabled={!row.disqualified}
+                      aria-label={`Disqualification reason for ${row.username}`}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setShowResultsEditor(false)}>
+            Close
+          </Button>
+          <Button variant="primary" onClick={handleSaveResults} disabled={savingResults}>
+            {savingResults ? 'Saving...' : 'Save Results'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
+      {/* Distribute Prizes Modal */}
+      <Modal show={showPrizeModal} onHide={() => setShowPrizeModal(false)} size="lg">
+        <Modal.Header closeButton>
+          <Modal.Title>
+            {selectedTournament ? `Distribute Prizes - ${selectedTournament.gameName}` : 'Distribute Prizes'}
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {selectedTournament && (calculatePayouts(selectedTournament).length > 0 ? (
+            <>
+              <p className="small text-muted">
+                The following amounts will be credited to the players&apos; wallets and recorded in their rewards history.
+                Prizes can only be distributed once.
+              </p>
+              <Table striped bordered hover responsive size="sm">
+                <thead>
+                  <tr>
+                    <th>Position</th>
+                    <th>Player</th>
+                    <th>Placement Prize</th>
+                    <th>Kills</th>
+                    <th>Kill Prize</th>
+                    <th>Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {calculatePayouts(selectedTournament).map(payout => (
+                    <tr key={payout.userId}>
+                      <td>{payout.placement ? getOrdinal(payout.placement) : '-'}</td>
+                      <td>{DOMPurify.sanitize(payout.username)}</td>
+                      <td>Rs. {payout.placementPrize}</td>
+                      <td>{payout.kills}</td>
+                      <td>Rs. {payout.killPrize}</td>
+                      <td><strong>Rs. {payout.amount}</strong></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </>
+          ) : (
+            <Alert variant="warning">
+              No player is owed a prize. Check the tournament&apos;s prize split, per-kill amount and results.
+            </Alert>
+          ))}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setShowPrizeModal(false)}>
+            Close
+          </Button>
+          <Button 
+            variant="success" 
+            onClick={handleDistributePrizes}
+            disabled={distributingPrizes || !selectedTournament || calculatePayouts(selectedTournament).length === 0}
+          >
+            {distributingPrizes ? 'Distributing...' : 'Distribute Prizes'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
+
+      {/* Cancel Tournament Modal */}
+      <Modal show={showCancelModal} onHide={() => setShowCancelModal(false)}>
+        <Modal.Header closeButton>
+          <Modal.Title>
+            {selectedTournament ? `Cancel Tournament - ${selectedTournament.gameName}` : 'Cancel Tournament'}
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {selectedTournament && (
+            <Alert variant="warning" className="small">
+              {selectedTournament.participants?.length || 0} participants will be refunded their entry fee and notified.
+              The tournament will be kept with the status &quot;cancelled&quot;.
+            </Alert>
+          )}
+          <Form.Group>
+            <Form.Label>Cancellation Reason</Form.Label>
+            <Form.Control 
+              as="textarea" 
+              rows={3} 
+              value={cancellationReason} 
+              onChange={(e) => setCancellationReason(e.target.value)}
+              placeholder="Explain to participants why this tournament is cancelled"
+              required
+            />
+          </Form.Group>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setShowCancelModal(false)}>
+            Close
+          </Button>
+          <Button 
+            variant="danger" 
+            onClick={handleCancelTournament}
+            disabled={!cancellationReason.trim() || cancelling}
+          >
+            {cancelling ? 'Cancelling...' : 'Cancel Tournament'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
     </Container>
   );
 }
@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Table, Button, Modal, Form, Alert, InputGroup } from 'react-bootstrap';
-import { collection, getDocs, doc, updateDoc, getDoc, addDoc, serverTimestamp, deleteDoc } from 'firebase/firestore';
+import { Container, Table, Button, Modal, Form, Alert, InputGroup, Card, Badge } from 'react-bootstrap';
+import { collection, getDocs, doc, getDoc, deleteDoc } from 'firebase/firestore';
 import { db } from '../../firebase/config';
+import { useAuth } from '../../contexts/AuthContext';
+import WalletService, { ADJUSTMENT_REASON_CODES, DEFAULT_ADJUSTMENT_APPROVAL_THRESHOLD } from '../../services/WalletService';
 import { sanitizeInput } from '../../utils/security';
 
 function UserManagement() {
@@ -9,19 +11,29 @@ function UserManagement() {
   const [filteredUsers, setFilteredUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
   const [showModal, setShowModal] = useState(false);
+  const { currentUser } = useAuth();
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [currentUserId, setCurrentUserId] = useState(null);
   const [currentUserEmail, setCurrentUserEmail] = useState('');
-  const [walletAmount, setWalletAmount] = useState(0);
   const [currentBalance, setCurrentBalance] = useState(0);
   const [searchQuery, setSearchQuery] = useState('');
-  const [gameName, setGameName] = useState('');
-  const [position, setPosition] = useState('');
+  const [adjustmentForm, setAdjustmentForm] = useState({
+    direction: 'credit',
+    amount: 0,
+    reasonCode: '',
+    note: '',
+    gameName: '',
+    position: ''
+  });
+  const [approvalThreshold, setApprovalThreshold] = useState(DEFAULT_ADJUSTMENT_APPROVAL_THRESHOLD);
+  const [pendingAdjustments, setPendingAdjustments] = useState([]);
 
-  // Fetch users on component mount
+  // Fetch users and adjustments awaiting confirmation on component mount
   useEffect(() => {
     fetchUsers();
+    fetchPendingAdjustments();
   }, []);
   
   // Filter users when search query changes
@@ -49,6 +61,19 @@ function UserManagement() {
     }
   }
   
+  async function fetchPendingAdjustments() {
+    try {
+      const [pending, threshold] = await Promise.all([
+        WalletService.getPendingAdjustments(),
+        WalletService.getAdjustmentApprovalThreshold()
+      ]);
+      setPendingAdjustments(pending);
+      setApprovalThreshold(threshold);
+    } catch (error) {
+      setError('Failed to fetch pending wallet adjustments: ' + error.message);
+    }
+  }
+
   function filterUsers() {
     const query = sanitizeInput(searchQuery.toLowerCase().trim());
     if (!query) {
@@ -86,10 +111,9 @@ function UserManagement() {
       if (userDoc.exists()) {
         const userData = userDoc.data();
         setCurrentUserId(userId);
+        setCurrentUserEmail(userData.email || '');
         setCurrentBalance(userData.walletBalance || 0);
-        setWalletAmount(0);
-        setGameName('');
-        setPosition('');
+        setAdjustmentForm({ direction: 'credit', amount: 0, reasonCode: '', note: '', gameName: '', position: '' });
         setShowModal(true);
       } else {
         setError('User not found');
@@ -99,55 +123,62 @@ function UserManagement() {
     }
   }
 
-  async function handleAddFunds() {
-    if (!currentUserId || walletAmount <= 0) return;
+  function handleAdjustmentChange(e) {
+    const { name, value } = e.target;
+    setAdjustmentForm(prev => ({ ...prev, [name]: name === 'amount' ? Number(value) : value }));
+  }
+
+  async function handleAdjustWallet() {
+    if (!currentUserId || adjustmentForm.amount <= 0) return;
 
     try {
-      const userRef = doc(db, 'users', currentUserId);
-      const userDoc = await getDoc(userRef);
-      
-      if (userDoc.exists()) {
-        const userData = userDoc.data();
-        const newBalance = (userData.walletBalance || 0) + Number(walletAmount);
-        
-        // Update user's wallet balance
-        await updateDoc(userRef, {
-          walletBalance: newBalance,
-          lastUpdated: new Date().toISOString()
-        });
-        
-        // Create description based on game name and position
-        let description = 'Reward added by administrator';
-        if (gameName) {
-          description = `Reward for ${gameName}`;
-          if (position) {
-            description += ` - ${position} position`;
-          }
-        }
-        
-        // Add record to rewards collection for history tracking
-        await addDoc(collection(db, 'rewards'), {
-          userId: currentUserId,
-          userEmail: userData.email,
-          amount: Number(walletAmount),
-          description: description,
-          gameName: gameName || null,
-          position: position || null,
-          addedBy: 'Administrator',
-          timestamp: serverTimestamp(),
-          previousBalance: userData.walletBalance || 0,
-          newBalance: newBalance
-        });
-        
-        // Refresh users list and reset form fields
-        fetchUsers();
-        setShowModal(false);
-        setGameName('');
-        setPosition('');
-      }
+      const isPrize = adjustmentForm.direction === 'credit' && adjustmentForm.reasonCode === 'prize';
+
+      const { status } = await WalletService.requestAdjustment(
+        currentUserId,
+        {
+          direction: adjustmentForm.direction,
+          amount: adjustmentForm.amount,
+          reasonCode: adjustmentForm.reasonCode,
+          note: sanitizeInput(adjustmentForm.note.trim()),
+          gameName: isPrize ? sanitizeInput(adjustmentForm.gameName.trim()) : '',
+          position: isPrize ? adjustmentForm.position : ''
+        },
+        currentUser
+      );
+
+      setSuccess(status === 'applied'
+        ? `Wallet of ${currentUserEmail} adjusted successfully.`
+        : `Adjustment of Rs. ${adjustmentForm.amount} for ${currentUserEmail} is waiting for a second admin to confirm it.`);
+
+      // Refresh users list and pending adjustments
+      fetchUsers();
+      fetchPendingAdjustments();
+      setShowModal(false);
+    } catch (error) {
+      setError('Failed to adjust wallet: ' + error.message);
+    }
+  }
+
+  async function handleConfirmAdjustment(adjustment) {
+    try {
+      await WalletService.approveAdjustment(adjustment.id, currentUser);
+      setSuccess(`Adjustment for ${adjustment.userEmail} confirmed and applied.`);
     } catch (error) {
-      setError('Failed to update wallet: ' + error.message);
+      setError('Failed to confirm adjustment: ' + error.message);
     }
+    fetchUsers();
+    fetchPendingAdjustments();
+  }
+
+  async function handleRejectAdjustment(adjustment) {
+    try {
+      await WalletService.rejectAdjustment(adjustment.id, currentUser);
+      setSuccess(`Adjustment for ${adjustment.userEmail} rejected.`);
+    } catch (error) {
+      setError('Failed to reject adjustment: ' + error.message);
+    }
+    fetchPendingAdjustments();
   }
 
   function openDeleteModal(userId, userEmail) {
@@ -176,7 +207,63 @@ function UserManagement() {
     <Container className="py-5">
       <h1 className="mb-4">User Management</h1>
       
-      {error && <Alert variant="danger">{error}</Alert>}
+      {error && <Alert variant="danger" onClose={() => setError('')} dismissible>{error}</Alert>}
+      {success && <Alert variant="success" onClose={() => setSuccess('')} dismissible>{success}</Alert>}
+      
+      {pendingAdjustments.length > 0 && (
+        <Card className="mb-4 border-warning">
+          <Card.Header>
+            Wallet adjustments awaiting a second admin <Badge bg="warning" text="dark">{pendingAdjustments.length}</Badge>
+          </Card.Header>
+          <Card.Body className="p-0">
+            <Table size="sm" className="mb-0" responsive>
+              <thead>
+                <tr>
+                  <th>User</th>
+                  <th>Adjustment</th>
+                  <th>Reason</th>
+                  <th>Requested By</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {pendingAdjustments.map(adjustment => (
+                  <tr key={adjustment.id}>
+                    <td>{adjustment.userEmail}</td>
+                    <td className={adjustment.direction === 'debit' ? 'text-danger' : 'text-success'}>
+                      {adjustment.direction === 'debit' ? '-' : '+'}Rs. {adjustment.amount}
+                    </td>
+                    <td>
+                      <Badge bg="secondary" className="me-1">{adjustment.reasonCode}</Badge>
+                      {adjustment.note}
+                    </td>
+                    <td>{adjustment.requestedByEmail || adjustment.requestedBy}</td>
+                    <td>
+                      <Button
+                        variant="success"
+                        size="sm"
+                        className="me-2"
+                        onClick={() => handleConfirmAdjustment(adjustment)}
+                        disabled={adjustment.requestedBy === currentUser?.uid}
+                        title={adjustment.requestedBy === currentUser?.uid ? 'A different admin has to confirm this adjustment' : undefined}
+                      >
+                        Confirm
+                      </Button>
+                      <Button
+                        variant="outline-danger"
+                        size="sm"
+                        onClick={() => handleRejectAdjustment(adjustment)}
+                      >
+                        Reject
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </Card.Body>
+        </Card>
+      )}
       
       <Form className="mb-4">
         <InputGroup>
@@ -233,7 +320,7 @@ function UserManagement() {
                       onClick={() => openWalletModal(user.id)}
                       className="me-2"
                     >
-                      Add Rewards
+                      Adjust Wallet
                     </Button>
                     <Button 
                       variant="danger" 
@@ -250,10 +337,10 @@ function UserManagement() {
         </Table>
       )}
       
-      {/* Add Funds Modal */}
+      {/* Wallet Adjustment Modal */}
       <Modal show={showModal} onHide={() => setShowModal(false)}>
         <Modal.Header closeButton>
-          <Modal.Title>Add Funds to Wallet (Rewards)</Modal.Title>
+          <Modal.Title>Adjust Wallet</Modal.Title>
         </Modal.Header>
         <Modal.Body>
           <Form>
@@ -267,47 +354,114 @@ function UserManagement() {
             </Form.Group>
             
             <Form.Group className="mb-3">
-              <Form.Label>Game Name</Form.Label>
-              <Form.Control 
-                type="text" 
-                value={gameName} 
-                onChange={(e) => setGameName(e.target.value)} 
-                placeholder="Enter game name (optional)" 
-              />
+              <Form.Label>Type</Form.Label>
+              <div>
+                <Form.Check
+                  inline
+                  type="radio"
+                  id="adjustment-credit"
+                  label="Credit"
+                  name="direction"
+                  value="credit"
+                  checked={adjustmentForm.direction === 'credit'}
+                  onChange={handleAdjustmentChange}
+                />
+                <Form.Check
+                  inline
+                  type="radio"
+                  id="adjustment-debit"
+                  label="Debit"
+                  name="direction"
+                  value="debit"
+                  checked={adjustmentForm.direction === 'debit'}
+                  onChange={handleAdjustmentChange}
+                />
+              </div>
             </Form.Group>
             
             <Form.Group className="mb-3">
-              <Form.Label>Position</Form.Label>
+              <Form.Label>Reason</Form.Label>
               <Form.Select
-                value={position}
-                onChange={(e) => setPosition(e.target.value)}
+                name="reasonCode"
+                value={adjustmentForm.reasonCode}
+                onChange={handleAdjustmentChange}
+                required
               >
-                <option value="">Select position (optional)</option>
-                <option value="1st">1st Position</option>
-                <option value="2nd">2nd Position</option>
-                <option value="3rd">3rd Position</option>
+                <option value="">Select a reason</option>
+                {ADJUSTMENT_REASON_CODES.map(code => (
+                  <option key={code} value={code}>{code.charAt(0).toUpperCase() + code.slice(1)}</option>
+                ))}
               </Form.Select>
             </Form.Group>
             
+            {adjustmentForm.direction === 'credit' && adjustmentForm.reasonCode === 'prize' && (
+              <>
+                <Form.Group className="mb-3">
+                  <Form.Label>Game Name</Form.Label>
+                  <Form.Control 
+                    type="text" 
+                    name="gameName"
+                    value={adjustmentForm.gameName} 
+                    onChange={handleAdjustmentChange} 
+                    placeholder="Enter game name (optional)" 
+                  />
+                </Form.Group>
+                
+                <Form.Group className="mb-3">
+                  <Form.Label>Position</Form.Label>
+                  <Form.Select
+                    name="position"
+                    value={adjustmentForm.position}
+                    onChange={handleAdjustmentChange}
+                  >
+                    <option value="">Select position (optional)</option>
+                    <option value="1st">1st Position</option>
+                    <option value="2nd">2nd Position</option>
+                    <option value="3rd">3rd Position</option>
+                  </Form.Select>
+                </Form.Group>
+              </>
+            )}
+            
             <Form.Group className="mb-3">
-              <Form.Label>Reward Amount to Add (Rs.)</Form.Label>
+              <Form.Label>Amount (Rs.)</Form.Label>
               <Form.Control 
                 type="number" 
-                value={walletAmount} 
-                onChange={(e) => setWalletAmount(Number(e.target.value))} 
+                name="amount"
+                value={adjustmentForm.amount} 
+                onChange={handleAdjustmentChange} 
                 min="1" 
                 required 
               />
             </Form.Group>
             
+            <Form.Group className="mb-3">
+              <Form.Label>Note</Form.Label>
+              <Form.Control 
+                as="textarea"
+                rows={2}
+                name="note"
+                value={adjustmentForm.note} 
+                onChange={handleAdjustmentChange} 
+                placeholder="Why is this wallet being adjusted?" 
+                required
+              />
+            </Form.Group>
+            
             <Form.Group className="mb-3">
               <Form.Label>New Balance</Form.Label>
               <Form.Control 
                 type="text" 
-                value={`Rs. ${currentBalance + Number(walletAmount)}`} 
+                value={`Rs. ${currentBalance + (adjustmentForm.direction === 'debit' ? -adjustmentForm.amount : adjustmentForm.amount)}`} 
                 disabled 
               />
             </Form.Group>
+            
+            {adjustmentForm.amount >= approvalThreshold && (
+              <Alert variant="warning" className="small mb-0">
+                Adjustments of Rs. {approvalThreshold} or more are applied only after a second admin confirms them.
+              </Alert>
+            )}
           </Form>
         </Modal.Body>
         <Modal.Footer>
@@ -316,10 +470,15 @@ function UserManagement() {
           </Button>
           <Button 
             variant="primary" 
-            onClick={handleAddFunds}
-            disabled={walletAmount <= 0}
+            onClick={handleAdjustWallet}
+            disabled={
+              adjustmentForm.amount <= 0 ||
+              !adjustmentForm.reasonCode ||
+              !adjustmentForm.note.trim() ||
+              currentBalance + (adjustmentForm.direction === 'debit' ? -adjustmentForm.amount : adjustmentForm.amount) < 0
+            }
           >
-            Add Rewards
+            {adjustmentForm.amount >= approvalThreshold ? 'Submit for Confirmation' : 'Apply Adjustment'}
           </Button>
         </Modal.Footer>
       </Modal>
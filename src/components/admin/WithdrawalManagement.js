@@ -1,10 +1,13 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Container, Table, Button, Modal, Form, Alert, Badge, Image } from 'react-bootstrap';
-import { collection, getDocs, doc, updateDoc, getDoc } from 'firebase/firestore';
+import { collection, getDocs } from 'firebase/firestore';
 import { db } from '../../firebase/config';
+import { useAuth } from '../../contexts/AuthContext';
+import WalletService from '../../services/WalletService';
 import { sanitizeInput } from '../../utils/security';
 import DOMPurify from 'dompurify';
 import initCloudinary from '../../utils/cloudinaryConfig';
+import { PAYOUT_METHOD_LABELS, getPayoutAccountKey, getPayoutAccountUsage } from '../../utils/payoutMethods';
 
 function WithdrawalManagement() {
   const [withdrawalRequests, setWithdrawalRequests] = useState([]);
@@ -14,6 +17,7 @@ function WithdrawalManagement() {
   const [showModal, setShowModal] = useState(false);
   const [currentRequest, setCurrentRequest] = useState(null);
   const [adminNotes, setAdminNotes] = useState('');
+  const { currentUser } = useAuth();
   
   const [imageUrl, setImageUrl] = useState('');
   const [uploading, setUploading] = useState(false);
@@ -192,29 +196,15 @@ function WithdrawalManagement() {
     if (!currentRequest) return;
 
     try {
-      // Update the withdrawal request status
-      const requestRef = doc(db, 'withdrawalRequests', currentRequest.id);
-      await updateDoc(requestRef, {
-        status: 'approved',
-        processedDate: new Date().toISOString(),
-        notes: sanitizeInput(adminNotes),
-        proofImageUrl: imageUrl || null
-      });
-      
-      // Update user's wallet balance
-      const userRef = doc(db, 'users', currentRequest.userId);
-      const userDoc = await getDoc(userRef);
-      
-      if (userDoc.exists()) {
-        const userData = userDoc.data();
-        const currentBalance = userData.walletBalance || 0;
-        const newBalance = Math.max(0, currentBalance - currentRequest.amount);
-        
-        await updateDoc(userRef, {
-          walletBalance: newBalance,
-          lastUpdated: new Date().toISOString()
-        });
-      }
+      // Approve the request and debit the user's wallet through the ledger
+      await WalletService.approveWithdrawal(
+        currentRequest.id,
+        {
+          notes: sanitizeInput(adminNotes),
+          proofImageUrl: imageUrl || null
+        },
+        currentUser.uid
+      );
       
       // Show success message and refresh the list
       setSuccess('Withdrawal request approved successfully');
@@ -232,11 +222,8 @@ function WithdrawalManagement() {
     if (!currentRequest) return;
 
     try {
-      // Update the withdrawal request status
-      const requestRef = doc(db, 'withdrawalRequests', currentRequest.id);
-      await updateDoc(requestRef, {
-        status: 'rejected',
-        processedDate: new Date().toISOString(),
+      // Reject the request and release the hold on the user's wallet
+      await WalletService.rejectWithdrawal(currentRequest.id, {
         notes: sanitizeInput(adminNotes),
         proofImageUrl: imageUrl || null
       });
@@ -253,6 +240,28 @@ function WithdrawalManagement() {
     }
   }
 
+  // How many different users have withdrawn to the same account, across every request
+  const accountUsage = getPayoutAccountUsage(withdrawalRequests);
+
+  function getAccountUsage(request) {
+    return accountUsage.get(request.accountKey || getPayoutAccountKey(request));
+  }
+
+  function renderAccountUsage(request) {
+    const usage = getAccountUsage(request);
+    if (!usage) return null;
+
+    return usage.userIds.size > 1 ? (
+      <Badge bg="danger" title={[...usage.userEmails].join(', ')}>
+        Shared by {usage.userIds.size} users
+      </Badge>
+    ) : (
+      <Badge bg="light" text="dark">
+        Used {usage.requestCount} {usage.requestCount === 1 ? 'time' : 'times'}
+      </Badge>
+    );
+  }
+
   function getStatusBadge(status) {
     switch (status) {
       case 'pending': return <Badge bg="warning">Pending</Badge>;
@@ -295,9 +304,14 @@ function WithdrawalManagement() {
                   <td>{request.userEmail}</td>
                   <td>Rs. {request.amount}</td>
                   <td>
+                    {request.payoutMethodType && request.payoutMethodType !== 'bank' ? (
+                      <><strong>Method:</strong> {PAYOUT_METHOD_LABELS[request.payoutMethodType]}<br /></>
+                    ) : (
+                      <><strong>Bank:</strong> {request.bankName}<br /></>
+                    )}
                     <strong>Name:</strong> {request.accountName}<br />
-                    <strong>Bank:</strong> {request.bankName}<br />
-                    <strong>Account:</strong> {request.accountNumber}
+                    <strong>Account:</strong> {request.accountNumber}<br />
+                    {renderAccountUsage(request)}
                   </td>
                   <td>{new Date(request.requestDate).toLocaleString()}</td>
                   <td>{getStatusBadge(request.status)}</td>
@@ -362,11 +376,21 @@ function WithdrawalManagement() {
               
               <div className="mb-3">
                 <strong>Account Details:</strong><br />
+                {currentRequest.payoutMethodType && currentRequest.payoutMethodType !== 'bank'
+                  ? <>Method: {PAYOUT_METHOD_LABELS[currentRequest.payoutMethodType]}<br /></>
+                  : <>Bank: {currentRequest.bankName}<br /></>}
                 Name: {currentRequest.accountName}<br />
-                Bank: {currentRequest.bankName}<br />
-                Account Number: {currentRequest.accountNumber}
+                Account Number: {currentRequest.accountNumber}<br />
+                {renderAccountUsage(currentRequest)}
               </div>
               
+              {getAccountUsage(currentRequest)?.userIds.size > 1 && (
+                <Alert variant="warning">
+                  This account has received withdrawal requests from {getAccountUsage(currentRequest).userIds.size} different
+                  users: {[...getAccountUsage(currentRequest).userEmails].join(', ')}
+                </Alert>
+              )}
+              
               <div className="mb-3">
                 <strong>Request Date:</strong> {new Date(currentRequest.requestDate).toLocaleString()}
               </div>
@@ -3,7 +3,7 @@ import { Button, Spinner } from 'react-bootstrap';
 import { useAuth } from '../../contexts/AuthContext';
 import { useNavigate } from 'react-router-dom';
 
-function GoogleSignInButton({ className, onSuccess }) {
+function GoogleSignInButton({ className, onSuccess, referralCode }) {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const { loginWithGoogle } = useAuth();
@@ -13,7 +13,7 @@ function GoogleSignInButton({ className, onSuccess }) {
     try {
       setError('');
       setLoading(true);
-      await loginWithGoogle();
+      await loginWithGoogle(referralCode);
       
       // Call onSuccess callback if provided
       if (onSuccess) {
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { Form, Button, Card, Alert, Container } from 'react-bootstrap';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import GoogleSignInButton from './GoogleSignInButton';
 import CSRFToken from '../security/CSRFToken';
@@ -10,6 +10,9 @@ function Signup() {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
+  const [searchParams] = useSearchParams();
+  // Referral links are /signup?ref=CODE
+  const [referralCode, setReferralCode] = useState(searchParams.get('ref') || '');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const { signup } = useAuth();
@@ -24,11 +27,12 @@ function Signup() {
     
     // Sanitize inputs
     const sanitizedEmail = sanitizeInput(email.trim().toLowerCase());
+    const sanitizedReferralCode = sanitizeInput(referralCode.trim());
 
     try {
       setError('');
       setLoading(true);
-      await signup(sanitizedEmail, password);
+      await signup(sanitizedEmail, password, sanitizedReferralCode);
       navigate('/');
     } catch (error) {
       setError('Failed to create an account: ' + error.message);
@@ -76,6 +80,15 @@ function Signup() {
                   required 
                 />
               </Form.Group>
+              <Form.Group id="referral-code" className="mb-3">
+                <Form.Label>Referral Code (optional)</Form.Label>
+                <Form.Control 
+                  type="text" 
+                  value={referralCode}
+                  onChange={(e) => setReferralCode(e.target.value)}
+                  placeholder="e.g. ABCD2345"
+                />
+              </Form.Group>
               <Button disabled={loading} className="w-100" type="submit">
                 Sign Up
               </Button>
@@ -86,7 +99,7 @@ function Signup() {
                 <span className="mx-2 text-muted">OR</span>
                 <hr className="flex-grow-1" />
               </div>
-              <GoogleSignInButton className="w-100" />
+              <GoogleSignInButton className="w-100" referralCode={sanitizeInput(referralCode.trim())} />
             </div>
           </Card.Body>
         </Card>
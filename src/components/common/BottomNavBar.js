@@ -22,7 +22,7 @@ function BottomNavBar() {
   };
 
   return (
-    <Navbar className="bottom-navbar d-lg-none" fixed="bottom">
+    <Navbar className="bottom-navbar d-lg-none d-print-none" fixed="bottom">
       <Nav className="w-100 justify-content-around">
         <Nav.Link 
           className={`bottom-nav-item ${isActive('/')}`}
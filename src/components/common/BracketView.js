@@ -0,0 +1,77 @@
+import React from 'react';
+import { Card, Badge, Button } from 'react-bootstrap';
+import { sanitizeInput } from '../../utils/security';
+import { MATCH_STATUS_LABELS, groupMatchesByRound } from '../../utils/brackets';
+
+const STATUS_VARIANTS = {
+  waiting: 'light',
+  ready: 'primary',
+  completed: 'success',
+  bye: 'secondary',
+  void: 'light'
+};
+
+/**
+ * Shows an elimination bracket one round per column. With `onRecordWinner`,
+ * admins can pick the winner of every match whose players are known.
+ */
+function BracketView({ matches, currentUserId, onRecordWinner, recordingMatchId }) {
+  if (matches.length === 0) {
+    return <p className="small text-muted">The bracket has not been drawn yet.</p>;
+  }
+
+  function renderPlayer(match, player) {
+    if (!player) {
+      return <span className="text-muted">{match.status === 'waiting' ? 'TBD' : match.status === 'void' ? '-' : 'Bye'}</span>;
+    }
+
+    const isWinner = match.winnerId === player.userId;
+    const canRecord = onRecordWinner && ['ready', 'completed'].includes(match.status) && !isWinner;
+
+    return (
+      <div className="d-flex justify-content-between align-items-center gap-2">
+        <span className={`${isWinner ? 'fw-bold text-success' : ''} ${player.userId === currentUserId ? 'text-decoration-underline' : ''}`}>
+          <span className="text-muted me-1">{player.seed}</span>
+          {sanitizeInput(player.username)}
+        </span>
+        {canRecord && (
+          <Button
+            variant="outline-success"
+            size="sm"
+            className="py-0 px-1"
+            onClick={() => onRecordWinner(match.id, player.userId)}
+            disabled={recordingMatchId === match.id}
+          >
+            Won
+          </Button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="d-flex gap-3 overflow-auto pb-2">
+      {groupMatchesByRound(matches).map(round => (
+        <div key={round.key} style={{ minWidth: '200px' }}>
+          <h6 className="small fw-bold mb-2">{round.name}</h6>
+          {round.matches.map(match => (
+            <Card key={match.id} className={`mb-2 small ${match.status === 'void' ? 'opacity-50' : ''}`}>
+              <Card.Header className="d-flex justify-content-between align-items-center py-1 px-2">
+                <span className="text-muted">{match.id}</span>
+                <Badge bg={STATUS_VARIANTS[match.status]} text={['waiting', 'void'].includes(match.status) ? 'dark' : undefined}>
+                  {MATCH_STATUS_LABELS[match.status]}
+                </Badge>
+              </Card.Header>
+              <Card.Body className="py-1 px-2">
+                <div className="border-bottom py-1">{renderPlayer(match, match.players[0])}</div>
+                <div className="py-1">{renderPlayer(match, match.players[1])}</div>
+              </Card.Body>
+            </Card>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default BracketView;
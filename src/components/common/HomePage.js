@@ -4,6 +4,8 @@ import { Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { doc, getDoc } from 'firebase/firestore';
 import { db } from '../../firebase/config';
+import { formatTournamentStart } from '../../utils/tournamentSchedule';
+import { getPrizePool } from '../../utils/prizeDistribution';
 
 // Import placeholder image
 import heroPlaceholder from '../../assets/hero-background-optimized.jpg';
@@ -50,7 +52,24 @@ function HomePage() {
         const featuredData = featuredSnapshot.data();
         // Sort by displayOrder
         const sortedFeatured = featuredData.tournaments.sort((a, b) => a.displayOrder - b.displayOrder);
-        setFeaturedTournaments(sortedFeatured);
+        
+        // Featured entries are copies without a schedule, so read the start time and
+        // current prize pool from each tournament
+        const withSchedule = await Promise.all(sortedFeatured.map(async (tournament) => {
+          try {
+            const tournamentSnapshot = await getDoc(doc(db, 'tournaments', tournament.id));
+            if (!tournamentSnapshot.exists()) return tournament;
+            
+            const tournamentData = tournamentSnapshot.data();
+            const { startAt, timezone, tournamentDate, tournamentTime } = tournamentData;
+            return { ...tournament, startAt, timezone, tournamentDate, tournamentTime, prizePool: getPrizePool(tournamentData) };
+          } catch (error) {
+            console.error('Error fetching featured tournament schedule:', error);
+            return tournament;
+          }
+        }));
+        
+        setFeaturedTournaments(withSchedule);
       } else {
         setFeaturedTournaments([]);
       }
@@ -140,8 +159,11 @@ function HomePage() {
                           <Card.Title>Rs. {tournament.prizePool} Prize Pool</Card.Title>
                           <Card.Text>
                             {tournament.gameType} tournament with exciting prizes!
+                            <div className="mt-2">
+                              <strong>Starts:</strong> {formatTournamentStart(tournament)}
+                            </div>
                             {tournament.map && (
-                              <div className="mt-2">
+                              <div>
                                 <strong>Map:</strong> {tournament.map}
                               </div>
                             )}
@@ -0,0 +1,45 @@
+import React from 'react';
+import { Table } from 'react-bootstrap';
+import { sanitizeInput } from '../../utils/security';
+
+/**
+ * Shows a round-robin league table
+ */
+function LeagueTable({ rows, currentUserId }) {
+  if (rows.length === 0) {
+    return <p className="small text-muted">No players in the league yet.</p>;
+  }
+
+  return (
+    <Table striped bordered hover responsive size="sm" className="small">
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Player</th>
+          <th title="Played">P</th>
+          <th title="Won">W</th>
+          <th title="Lost">L</th>
+          <th title="Forfeited">FF</th>
+          <th title="Score for and against">Score</th>
+          <th>Points</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.userId} className={row.userId === currentUserId ? 'table-info' : ''}>
+            <td>{row.rank}</td>
+            <td>{sanitizeInput(row.name)}</td>
+            <td>{row.played}</td>
+            <td>{row.wins}</td>
+            <td>{row.losses}</td>
+            <td>{row.forfeits}</td>
+            <td>{row.scoreFor}-{row.scoreAgainst}</td>
+            <td className="fw-bold">{row.points}</td>
+          </tr>
+        ))}
+      </tbody>
+    </Table>
+  );
+}
+
+export default LeagueTable;
@@ -17,7 +17,7 @@ function NavigationBar() {
   }
 
   return (
-    <Navbar className="navbar-gradient" variant="dark" expand="lg" sticky="top">
+    <Navbar className="navbar-gradient d-print-none" variant="dark" expand="lg" sticky="top">
       <Container>
         <Navbar.Brand as={Link} to="/" className="py-2">
           Game Arena
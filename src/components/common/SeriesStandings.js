@@ -0,0 +1,52 @@
+import React from 'react';
+import { Table } from 'react-bootstrap';
+import { sanitizeInput } from '../../utils/security';
+
+/**
+ * Shows the cumulative standings of a multi-match series, with the points
+ * scored in each match that has results
+ */
+function SeriesStandings({ standings, matches, highlightEntryId, entryLabel = 'Player' }) {
+  const playedMatches = matches.filter(match => match.results);
+
+  if (playedMatches.length === 0) {
+    return <p className="small text-muted">No match results yet.</p>;
+  }
+
+  return (
+    <Table striped bordered hover responsive size="sm" className="small">
+      <thead>
+        <tr>
+          <th>Rank</th>
+          <th>{entryLabel}</th>
+          {playedMatches.map(match => (
+            <th key={match.id} title={match.map || undefined}>{match.name}</th>
+          ))}
+          <th>Wins</th>
+          <th>Placement Pts</th>
+          <th>Kills</th>
+          <th>Total</th>
+        </tr>
+      </thead>
+      <tbody>
+        {standings.map(standing => (
+          <tr key={standing.entryId} className={standing.entryId === highlightEntryId ? 'table-info' : ''}>
+            <td>{standing.rank}</td>
+            <td>{sanitizeInput(standing.name)}</td>
+            {standing.matches.map(match => (
+              <td key={match.matchId} title={match.placement ? `#${match.placement}, ${match.kills} kills` : 'Did not play'}>
+                {match.placement ? match.points : '-'}
+              </td>
+            ))}
+            <td>{standing.wins}</td>
+            <td>{standing.placementPoints}</td>
+            <td>{standing.kills}</td>
+            <td className="fw-bold">{standing.points}</td>
+          </tr>
+        ))}
+      </tbody>
+    </Table>
+  );
+}
+
+export default SeriesStandings;
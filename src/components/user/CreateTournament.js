@@ -5,6 +5,15 @@ import { db } from '../../firebase/config';
 import { useAuth } from '../../contexts/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import DOMPurify from 'dompurify';
+import {
+  DEFAULT_MATCH_DURATION_MINUTES,
+  DEFAULT_CHECK_IN_WINDOW_MINUTES,
+  DEFAULT_GRACE_PERIOD_MINUTES,
+  DEFAULT_MIN_PARTICIPANTS,
+  DEFAULT_LEAVE_CUTOFF_MINUTES
+} from '../../utils/tournamentSchedule';
+import { TIMEZONE_OPTIONS, getBrowserTimeZone, zonedTimeToUtc } from '../../utils/timezone';
+import { PRIZE_POOL_TYPES, DEFAULT_COMMISSION_PERCENT, isDynamicPrizePool } from '../../utils/prizeDistribution';
 
 function CreateTournament() {
   const [formData, setFormData] = useState({
@@ -12,9 +21,16 @@ function CreateTournament() {
     gameType: 'PUBG',
     tournamentDate: '',
     tournamentTime: '',
+    timezone: getBrowserTimeZone(),
     entryFee: 0,
+    prizePoolType: 'guaranteed',
     prizePool: 0,
     maxParticipants: 100,
+    minParticipants: DEFAULT_MIN_PARTICIPANTS,
+    matchDurationMinutes: DEFAULT_MATCH_DURATION_MINUTES,
+    checkInWindowMinutes: DEFAULT_CHECK_IN_WINDOW_MINUTES,
+    gracePeriodMinutes: DEFAULT_GRACE_PERIOD_MINUTES,
+    leaveCutoffMinutes: DEFAULT_LEAVE_CUTOFF_MINUTES,
     matchDetails: '',
     rules: '',
     isPrivate: true, // Default to private tournament
@@ -31,7 +47,9 @@ function CreateTournament() {
     setFormData({
       ...formData,
       [name]: type === 'checkbox' ? checked : 
-             (name === 'entryFee' || name === 'prizePool' || name === 'maxParticipants') ? 
+             (name === 'entryFee' || name === 'prizePool' || name === 'maxParticipants' || name === 'minParticipants' ||
+              name === 'matchDurationMinutes' || name === 'checkInWindowMinutes' || name === 'gracePeriodMinutes' ||
+              name === 'leaveCutoffMinutes') ? 
              Number(value) : value
     });
   }
@@ -52,6 +70,10 @@ function CreateTournament() {
         throw new Error('Tournament date and time are required');
       }
       
+      if (formData.minParticipants > formData.maxParticipants) {
+        throw new Error('Min participants cannot be more than max participants');
+      }
+      
       // Sanitize user inputs
       const sanitizedFormData = {
         ...formData,
@@ -60,10 +82,16 @@ function CreateTournament() {
         rules: DOMPurify.sanitize(formData.rules.trim())
       };
       
+      // The date and time inputs are wall-clock values in the organizer's timezone
+      const { tournamentDate, tournamentTime, ...tournamentFields } = sanitizedFormData;
+      const startAt = zonedTimeToUtc(tournamentDate, tournamentTime, sanitizedFormData.timezone);
+      
       // Create tournament data
+      // Dynamic pools use the platform's default commission until an admin changes it
       const tournamentData = {
-        ...sanitizedFormData,
-        tournamentDate: Timestamp.fromDate(new Date(sanitizedFormData.tournamentDate)),
+        ...tournamentFields,
+        prizePool: isDynamicPrizePool(tournamentFields) ? 0 : tournamentFields.prizePool,
+        startAt: Timestamp.fromDate(startAt),
         status: 'pending', // Pending admin approval
         createdBy: currentUser.uid,
         creatorEmail: currentUser.email,
@@ -84,9 +112,16 @@ function CreateTournament() {
         gameType: 'PUBG',
         tournamentDate: '',
         tournamentTime: '',
+        timezone: getBrowserTimeZone(),
         entryFee: 0,
+        prizePoolType: 'guaranteed',
         prizePool: 0,
         maxParticipants: 100,
+        minParticipants: DEFAULT_MIN_PARTICIPANTS,
+        matchDurationMinutes: DEFAULT_MATCH_DURATION_MINUTES,
+        checkInWindowMinutes: DEFAULT_CHECK_IN_WINDOW_MINUTES,
+        gracePeriodMinutes: DEFAULT_GRACE_PERIOD_MINUTES,
+        leaveCutoffMinutes: DEFAULT_LEAVE_CUTOFF_MINUTES,
         matchDetails: '',
         rules: '',
         isPrivate: true,
@@ -157,7 +192,7 @@ function CreateTournament() {
         </Form.Group>
         
         <div className="row">
-          <div className="col-md-6">
+          <div className="col-md-4">
             <Form.Group className="mb-3">
               <Form.Label>Tournament Date</Form.Label>
               <Form.Control 
@@ -169,7 +204,7 @@ function CreateTournament() {
               />
             </Form.Group>
           </div>
-          <div className="col-md-6">
+          <div className="col-md-4">
             <Form.Group className="mb-3">
               <Form.Label>Tournament Time</Form.Label>
               <Form.Control 
@@ -181,36 +216,129 @@ function CreateTournament() {
               />
             </Form.Group>
           </div>
+          <div className="col-md-4">
+            <Form.Group className="mb-3">
+              <Form.Label>Timezone</Form.Label>
+              <Form.Select 
+                name="timezone" 
+                value={formData.timezone} 
+                onChange={handleInputChange} 
+                required
+              >
+                {[...new Set([formData.timezone, ...TIMEZONE_OPTIONS])].map(timezone => (
+                  <option key={timezone} value={timezone}>{timezone}</option>
+                ))}
+              </Form.Select>
+              <Form.Text className="text-muted small">
+                Players see the start time in their own timezone.
+              </Form.Text>
+            </Form.Group>
+          </div>
         </div>
         
         <div className="row">
           <div className="col-md-4">
             <Form.Group className="mb-3">
-              <Form.Label>Entry Fee (Rs.)</Form.Label>
+              <Form.Label>Match Duration (minutes)</Form.Label>
               <Form.Control 
                 type="number" 
-                name="entryFee" 
-                value={formData.entryFee} 
+                name="matchDurationMinutes" 
+                value={formData.matchDurationMinutes} 
                 onChange={handleInputChange} 
-                min="0" 
+                min="1" 
                 required 
               />
+              <Form.Text className="text-muted small">
+                How long the match runs once it goes live.
+              </Form.Text>
             </Form.Group>
           </div>
           <div className="col-md-4">
             <Form.Group className="mb-3">
-              <Form.Label>Prize Pool (Rs.)</Form.Label>
+              <Form.Label>Check-in Window (minutes)</Form.Label>
               <Form.Control 
                 type="number" 
-                name="prizePool" 
-                value={formData.prizePool} 
+                name="checkInWindowMinutes" 
+                value={formData.checkInWindowMinutes} 
                 onChange={handleInputChange} 
                 min="0" 
-                required 
               />
+              <Form.Text className="text-muted small">
+                Registration closes this many minutes before the start time.
+              </Form.Text>
             </Form.Group>
           </div>
           <div className="col-md-4">
+            <Form.Group className="mb-3">
+              <Form.Label>Grace Period (minutes)</Form.Label>
+              <Form.Control 
+                type="number" 
+                name="gracePeriodMinutes" 
+                value={formData.gracePeriodMinutes} 
+                onChange={handleInputChange} 
+                min="0" 
+              />
+              <Form.Text className="text-muted small">
+                Extra time after the match before it is marked completed.
+              </Form.Text>
+            </Form.Group>
+          </div>
+        </div>
+        
+        <div className="row">
+          <div className="col-md-3">
+            <Form.Group className="mb-3">
+              <Form.Label>Entry Fee (Rs.)</Form.Label>
+              <Form.Control 
+                type="number" 
+                name="entryFee" 
+                value={formData.entryFee} 
+                onChange={handleInputChange} 
+                min="0" 
+                required 
+              />
+            </Form.Group>
+          </div>
+          <div className="col-md-3">
+            <Form.Group className="mb-3">
+              <Form.Label>Prize Pool Type</Form.Label>
+              <Form.Select 
+                name="prizePoolType" 
+                value={formData.prizePoolType} 
+                onChange={handleInputChange}
+              >
+                {PRIZE_POOL_TYPES.map(type => (
+                  <option key={type} value={type}>
+                    {type === 'guaranteed' ? 'Guaranteed' : 'Dynamic (entry fees)'}
+                  </option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+          </div>
+          <div className="col-md-3">
+            {isDynamicPrizePool(formData) ? (
+              <Form.Group className="mb-3">
+                <Form.Label>Prize Pool</Form.Label>
+                <Form.Control plaintext readOnly value="Grows as players join" />
+                <Form.Text className="text-muted">
+                  Entry fees collected minus a {DEFAULT_COMMISSION_PERCENT}% platform commission
+                </Form.Text>
+              </Form.Group>
+            ) : (
+              <Form.Group className="mb-3">
+                <Form.Label>Prize Pool (Rs.)</Form.Label>
+                <Form.Control 
+                  type="number" 
+                  name="prizePool" 
+                  value={formData.prizePool} 
+                  onChange={handleInputChange} 
+                  min="0" 
+                  required 
+                />
+              </Form.Group>
+            )}
+          </div>
+          <div className="col-md-3">
             <Form.Group className="mb-3">
               <Form.Label>Max Participants</Form.Label>
               <Form.Control 
@@ -225,6 +353,39 @@ function CreateTournament() {
           </div>
         </div>
         
+        <div className="row">
+          <div className="col-md-4">
+            <Form.Group className="mb-3">
+              <Form.Label>Min Participants</Form.Label>
+              <Form.Control 
+                type="number" 
+                name="minParticipants" 
+                value={formData.minParticipants} 
+                onChange={handleInputChange} 
+                min="0" 
+              />
+              <Form.Text className="text-muted small">
+                The tournament is cancelled and entry fees refunded if fewer players have joined by the start time. Use 0 for no minimum.
+              </Form.Text>
+            </Form.Group>
+          </div>
+          <div className="col-md-4">
+            <Form.Group className="mb-3">
+              <Form.Label>Leave Cutoff (minutes)</Form.Label>
+              <Form.Control 
+                type="number" 
+                name="leaveCutoffMinutes" 
+                value={formData.leaveCutoffMinutes} 
+                onChange={handleInputChange} 
+                min="0" 
+              />
+              <Form.Text className="text-muted small">
+                Players can leave with a full refund until this many minutes before the start time.
+              </Form.Text>
+            </Form.Group>
+          </div>
+        </div>
+        
         <Form.Group className="mb-3">
           <Form.Label>Match Details (Room ID, Password, etc.)</Form.Label>
           <Form.Control 
@@ -1,46 +1,86 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Badge, Alert, Button } from 'react-bootstrap';
+import { Container, Row, Col, Card, Badge, Alert, Button, Modal, Form, Image } from 'react-bootstrap';
 import { collection, getDocs } from 'firebase/firestore';
 import { db } from '../../firebase/config';
 import { useAuth } from '../../contexts/AuthContext';
-import TournamentStatusService from '../../services/TournamentStatusService';
 import { useNavigate } from 'react-router-dom';
+import DOMPurify from 'dompurify';
+import { getTournamentStartTime, formatTournamentStart, getTournamentSchedule, canLeaveTournament } from '../../utils/tournamentSchedule';
+import TournamentService from '../../services/TournamentService';
+import { getPrizePool, getEntryFeePaid } from '../../utils/prizeDistribution';
+import { isTeamTournament, getEntryCount } from '../../utils/teams';
+import LeagueService from '../../services/LeagueService';
+import MatchReportService from '../../services/MatchReportService';
+import { isLeagueTournament } from '../../utils/league';
+import {
+  getMatchReportId,
+  getPlayerReport,
+  getOpponentReport,
+  getDisputeReason,
+  getReportableMatches
+} from '../../utils/matchReports';
 import './MyTournaments.css'; // Import the new CSS file
 
 function MyTournaments() {
   const [tournaments, setTournaments] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [leavingId, setLeavingId] = useState(null);
+  const [teamInvites, setTeamInvites] = useState([]);
+  const [respondingInviteId, setRespondingInviteId] = useState(null);
+  const [reportableMatches, setReportableMatches] = useState([]);
+  const [matchReports, setMatchReports] = useState([]);
+  const [reportingMatch, setReportingMatch] = useState(null);
+  const [reportForm, setReportForm] = useState({ homeScore: '', awayScore: '', screenshotUrl: '' });
+  const [reportError, setReportError] = useState('');
+  const [uploadingScreenshot, setUploadingScreenshot] = useState(false);
+  const [submittingReport, setSubmittingReport] = useState(false);
   const { currentUser } = useAuth();
   const navigate = useNavigate();
 
   // Fetch user's tournaments on component mount
   useEffect(() => {
     if (currentUser) {
-      // Migrate any existing live tournaments to have statusUpdatedAt field
-      TournamentStatusService.migrateLiveTournaments()
-        .then(result => {
-          if (result.migratedCount > 0) {
-            console.log(`Migrated ${result.migratedCount} live tournaments`);
-          }
-        })
-        .catch(error => {
-          console.error('Error migrating live tournaments:', error);
-        })
-        .finally(() => {
-          // Fetch tournaments after migration attempt
-          fetchMyTournaments();
-        });
+      fetchMyTournaments();
+      fetchTeamInvites();
     }
   }, [currentUser]);
 
+  async function fetchTeamInvites() {
+    try {
+      setTeamInvites(await TournamentService.getTeamInvites(currentUser.email));
+    } catch (error) {
+      console.error('Error fetching team invitations:', error);
+    }
+  }
+
+  async function handleTeamInvite(invite, accept) {
+    try {
+      setRespondingInviteId(invite.id);
+      setError('');
+      setSuccess('');
+
+      if (accept) {
+        const { entryFeePaid } = await TournamentService.acceptTeamInvite(invite.id, currentUser);
+        setSuccess(`You joined ${invite.teamName} in ${invite.gameName}.${entryFeePaid > 0 ? ` Rs. ${entryFeePaid} was deducted from your wallet.` : ''}`);
+      } else {
+        await TournamentService.declineTeamInvite(invite.id, currentUser);
+        setSuccess(`You declined the invitation to ${invite.teamName}.`);
+      }
+
+      await Promise.all([fetchMyTournaments(), fetchTeamInvites()]);
+    } catch (error) {
+      setError('Failed to respond to the invitation: ' + error.message);
+    } finally {
+      setRespondingInviteId(null);
+    }
+  }
+
   async function fetchMyTournaments() {
     try {
       setLoading(true);
       
-      // Check and update tournament statuses before fetching
-      await TournamentStatusService.checkAndUpdateTournamentStatuses();
-      
       const tournamentsCollection = collection(db, 'tournaments');
       const tournamentsSnapshot = await getDocs(tournamentsCollection);
       
@@ -55,14 +95,15 @@ function MyTournaments() {
           tournament.createdBy === currentUser.uid
         );
       
-      // Sort tournaments by date (newest first)
+      // Sort tournaments by start time (newest first)
       myTournaments.sort((a, b) => {
-        const dateA = a.tournamentDate?.toDate ? a.tournamentDate.toDate() : new Date();
-        const dateB = b.tournamentDate?.toDate ? b.tournamentDate.toDate() : new Date();
+        const dateA = getTournamentStartTime(a) || new Date();
+        const dateB = getTournamentStartTime(b) || new Date();
         return dateB - dateA;
       });
       
       setTournaments(myTournaments);
+      await fetchMatchReports(myTournaments);
     } catch (error) {
       setError('Failed to fetch tournaments: ' + error.message);
     } finally {
@@ -70,12 +111,178 @@ function MyTournaments() {
     }
   }
 
+  // 1v1 matches the player still has to report: ready bracket matches and open league fixtures
+  async function fetchMatchReports(myTournaments) {
+    try {
+      const headToHead = myTournaments.filter(tournament =>
+        tournament.status === 'live' &&
+        (tournament.bracket || isLeagueTournament(tournament)) &&
+        tournament.participants?.some(p => p.userId === currentUser.uid)
+      );
+
+      const [reports, matchLists] = await Promise.all([
+        MatchReportService.getReportsForUser(currentUser.uid),
+        Promise.all(headToHead.map(async tournament => {
+          const fixtures = isLeagueTournament(tournament) ? await LeagueService.getFixtures(tournament.id) : [];
+          return getReportableMatches(tournament, fixtures, currentUser.uid);
+        }))
+      ]);
+
+      setMatchReports(reports);
+      setReportableMatches(matchLists.flat());
+    } catch (error) {
+      console.error('Error fetching match reports:', error);
+    }
+  }
+
+  function getReport(match) {
+    return matchReports.find(report => report.id === getMatchReportId(match)) || null;
+  }
+
+  function openReportModal(match) {
+    const ownReport = getPlayerReport(getReport(match), currentUser.uid);
+
+    setReportingMatch(match);
+    setReportForm({
+      homeScore: ownReport?.homeScore ?? '',
+      awayScore: ownReport?.awayScore ?? '',
+      screenshotUrl: ownReport?.screenshotUrl || ''
+    });
+    setReportError('');
+  }
+
+  async function handleScreenshotUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    // Validate file type
+    const validTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+    if (!validTypes.includes(file.type)) {
+      setReportError('Please upload a valid image file (JPEG, PNG, GIF, WEBP)');
+      return;
+    }
+
+    // Validate file size (max 5MB)
+    if (file.size > 5 * 1024 * 1024) {
+      setReportError('Image size should not exceed 5MB');
+      return;
+    }
+
+    try {
+      setUploadingScreenshot(true);
+      setReportError('');
+
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('upload_preset', process.env.REACT_APP_CLOUDINARY_UPLOAD_PRESET);
+
+      const response = await fetch(
+        `https://api.cloudinary.com/v1_1/${process.env.REACT_APP_CLOUDINARY_CLOUD_NAME}/image/upload`,
+        {
+          method: 'POST',
+          body: formData,
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error('Image upload failed');
+      }
+
+      const data = await response.json();
+      setReportForm(prev => ({ ...prev, screenshotUrl: DOMPurify.sanitize(data.secure_url) }));
+    } catch (error) {
+      setReportError('Failed to upload screenshot: ' + error.message);
+    } finally {
+      setUploadingScreenshot(false);
+    }
+  }
+
+  async function handleSubmitReport() {
+    if (!reportingMatch) return;
+
+    try {
+      setSubmittingReport(true);
+      setReportError('');
+      setSuccess('');
+
+      const status = await MatchReportService.submitReport(reportingMatch, currentUser, reportForm);
+
+      const opponentName = reportingMatch.homeId === currentUser.uid ? reportingMatch.awayName : reportingMatch.homeName;
+      if (status === 'confirmed' && reportingMatch.source === 'bracket') {
+        setSuccess(`Your score matches ${opponentName}'s report. The result will be added to the bracket within a minute.`);
+      } else if (status === 'confirmed') {
+        setSuccess(`Your score matches ${opponentName}'s report. The result has been recorded.`);
+      } else if (status === 'disputed') {
+        setSuccess(`Your score does not match ${opponentName}'s report. An admin will review both reports.`);
+      } else {
+        setSuccess(`Score reported. It will be confirmed once ${opponentName} reports the same score.`);
+      }
+
+      setReportingMatch(null);
+      await fetchMyTournaments();
+    } catch (error) {
+      setReportError('Failed to report score: ' + error.message);
+    } finally {
+      setSubmittingReport(false);
+    }
+  }
+
+  function renderReportState(match) {
+    const report = getReport(match);
+    const ownReport = getPlayerReport(report, currentUser.uid);
+    const opponentName = match.homeId === currentUser.uid ? match.awayName : match.homeName;
+
+    if (report?.status === 'disputed') {
+      return <span className="text-danger">Disputed: {getDisputeReason(report).toLowerCase()}. An admin will decide the result.</span>;
+    }
+    if (report?.status === 'confirmed') {
+      return <span className="text-success">Both players reported the same score. The result will be added to the bracket shortly.</span>;
+    }
+    if (ownReport) {
+      return (
+        <span className="text-muted">
+          You reported {match.homeName} {ownReport.homeScore} - {ownReport.awayScore} {match.awayName}. Waiting for {opponentName} to report.
+        </span>
+      );
+    }
+    if (getOpponentReport(report, currentUser.uid)) {
+      return <span className="text-warning">{opponentName} has reported. Report your score to confirm the result.</span>;
+    }
+    return <span className="text-muted">Not reported yet.</span>;
+  }
+
+  async function handleLeaveTournament(tournament) {
+    const participant = tournament.participants.find(p => p.userId === currentUser.uid);
+    const message = participant.isCaptain
+      ? `Withdraw ${participant.teamName} from ${tournament.gameName}? Your entry fee of Rs. ${getEntryFeePaid(tournament, participant)} will be refunded to your wallet and pending invitations will be cancelled.`
+      : `Leave ${tournament.gameName}? Your entry fee of Rs. ${getEntryFeePaid(tournament, participant)} will be refunded to your wallet.`;
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    try {
+      setLeavingId(tournament.id);
+      setError('');
+      setSuccess('');
+
+      const { refundedAmount } = await TournamentService.leaveTournament(tournament.id, currentUser);
+
+      setSuccess(`You left ${tournament.gameName}. Rs. ${refundedAmount} has been refunded to your wallet.`);
+      await fetchMyTournaments();
+    } catch (error) {
+      setError('Failed to leave tournament: ' + error.message);
+    } finally {
+      setLeavingId(null);
+    }
+  }
+
   function getStatusBadgeVariant(status) {
     switch (status) {
       case 'upcoming': return 'primary';
       case 'live': return 'success';
       case 'completed': return 'secondary';
       case 'pending': return 'warning';
+      case 'cancelled': return 'danger';
       default: return 'primary';
     }
   }
@@ -94,6 +301,84 @@ function MyTournaments() {
       </div>
       
       {error && <Alert variant="danger" className="p-2 small">{error}</Alert>}
+      {success && <Alert variant="success" className="p-2 small">{success}</Alert>}
+      
+      {teamInvites.length > 0 && (
+        <Card className="mb-4">
+          <Card.Header className="py-2">Team Invitations</Card.Header>
+          <Card.Body className="p-3">
+            {teamInvites.map(invite => (
+              <div key={invite.id} className="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-2">
+                <div className="small">
+                  <strong>{invite.captainEmail}</strong> invited you to play for <strong>{invite.teamName}</strong> in {invite.gameName} as {invite.inGameId}.
+                  {invite.share > 0 && <span className="text-muted"> Your share of the entry fee is Rs. {invite.share}.</span>}
+                </div>
+                <div className="d-flex gap-2">
+                  <Button
+                    variant="success"
+                    size="sm"
+                    onClick={() => handleTeamInvite(invite, true)}
+                    disabled={respondingInviteId === invite.id}
+                  >
+                    Accept
+                  </Button>
+                  <Button
+                    variant="outline-danger"
+                    size="sm"
+                    onClick={() => handleTeamInvite(invite, false)}
+                    disabled={respondingInviteId === invite.id}
+                  >
+                    Decline
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </Card.Body>
+        </Card>
+      )}
+      
+      {(reportableMatches.length > 0 || matchReports.some(report => report.status === 'disputed')) && (
+        <Card className="mb-4">
+          <Card.Header className="py-2">Match Results</Card.Header>
+          <Card.Body className="p-3">
+            <p className="small text-muted">
+              Both players report the score of every 1v1 match. Matching scores are confirmed straight away;
+              different scores go to an admin, who reviews both reports and any screenshots.
+            </p>
+            {reportableMatches.map(match => (
+              <div key={`${match.tournamentId}-${match.matchId}`} className="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-2">
+                <div className="small">
+                  <strong>{match.gameName}</strong> - {match.matchLabel}: {match.homeName} vs {match.awayName}
+                  {match.deadline && <span className="text-muted"> (report by {match.deadline.toLocaleString()})</span>}
+                  <br />
+                  {renderReportState(match)}
+                </div>
+                {!['disputed', 'confirmed'].includes(getReport(match)?.status) && (
+                  <Button
+                    variant={getPlayerReport(getReport(match), currentUser.uid) ? 'outline-primary' : 'primary'}
+                    size="sm"
+                    onClick={() => openReportModal(match)}
+                  >
+                    {getPlayerReport(getReport(match), currentUser.uid) ? 'Change Report' : 'Report Score'}
+                  </Button>
+                )}
+              </div>
+            ))}
+            {matchReports
+              .filter(report =>
+                report.status === 'disputed' &&
+                !reportableMatches.some(match => getMatchReportId(match) === report.id)
+              )
+              .map(report => (
+                <div key={report.id} className="small mb-2">
+                  <strong>{report.gameName}</strong> - {report.matchLabel}: {report.homeName} vs {report.awayName}
+                  <br />
+                  <span className="text-danger">Disputed: {getDisputeReason(report).toLowerCase()}. An admin will decide the result.</span>
+                </div>
+              ))}
+          </Card.Body>
+        </Card>
+      )}
       
       {loading ? (
         <p className="small">Loading your tournaments...</p>
@@ -137,16 +422,19 @@ function MyTournaments() {
                       </div>
                     )}
                     <Card.Title className="mb-3">{tournament.gameName}</Card.Title>
+                    {tournament.participants?.find(p => p.userId === currentUser.uid)?.teamName && (
+                      <Badge bg="info" className="mb-2">
+                        Team {tournament.participants.find(p => p.userId === currentUser.uid).teamName}
+                      </Badge>
+                    )}
                     <Card.Text>
-                      <strong>Date & Time:</strong> {tournament.tournamentDate?.toDate 
-                        ? tournament.tournamentDate.toDate().toLocaleDateString() 
-                        : 'N/A'} {tournament.tournamentTime ? new Date(`2000-01-01T${tournament.tournamentTime}`).toLocaleTimeString('en-US', { hour: 'numeric', minute: 'numeric', hour12: true }) : ''}
+                      <strong>Date & Time:</strong> {formatTournamentStart(tournament)}
                       <br />
                       <strong>Entry Fee:</strong> Rs. {tournament.entryFee}
                       <br />
-                      <strong>Prize Pool:</strong> Rs. {tournament.prizePool}
+                      <strong>Prize Pool:</strong> Rs. {getPrizePool(tournament)}
                       <br />
-                      <strong>Participants:</strong> {tournament.participants?.length || 0} / {tournament.maxParticipants}
+                      <strong>{isTeamTournament(tournament) ? 'Teams' : 'Participants'}:</strong> {getEntryCount(tournament)} / {tournament.maxParticipants}
                       {tournament.perKillAmount > 0 && (
                         <>
                           <br />
@@ -201,10 +489,25 @@ function MyTournaments() {
                       >
                         View Details
                       </Button>
+                      {tournament.participants?.some(p => p.userId === currentUser.uid) && canLeaveTournament(tournament) && (
+                        <>
+                          <Button
+                            variant="outline-danger"
+                            onClick={() => handleLeaveTournament(tournament)}
+                            disabled={leavingId === tournament.id}
+                            className="w-100 mt-2"
+                          >
+                            {leavingId === tournament.id ? 'Leaving...' : tournament.participants.find(p => p.userId === currentUser.uid).isCaptain ? 'Withdraw Team' : 'Leave Tournament'}
+                          </Button>
+                          <div className="text-muted small text-center mt-1">
+                            Full refund until {getTournamentSchedule(tournament).leaveClosesAt.toLocaleString()}
+                          </div>
+                        </>
+                      )}
                     </div>
                   </Card.Body>
-                  <Card.Footer className={`py-2 small ${tournament.status === 'live' ? 'bg-success text-white' : tournament.status === 'completed' ? 'bg-secondary text-white' : ''}`}>
-                    {tournament.status === 'upcoming' ? 'Registration open' : tournament.status === 'live' ? 'Tournament in progress' : 'Tournament ended'}
+                  <Card.Footer className={`py-2 small ${tournament.status === 'live' ? 'bg-success text-white' : tournament.status === 'completed' ? 'bg-secondary text-white' : tournament.status === 'cancelled' ? 'bg-danger text-white' : ''}`}>
+                    {tournament.status === 'upcoming' ? 'Registration open' : tournament.status === 'live' ? 'Tournament in progress' : tournament.status === 'cancelled' ? 'Tournament cancelled' : 'Tournament ended'}
                   </Card.Footer>
                 </Card>
               </Col>
@@ -212,6 +515,77 @@ function MyTournaments() {
           )}
         </Row>
       )}
+      
+      <Modal show={!!reportingMatch} onHide={() => setReportingMatch(null)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Report Score</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {reportError && <Alert variant="danger" className="p-2 small">{reportError}</Alert>}
+          {reportingMatch && (
+            <>
+              <p className="small mb-3">
+                <strong>{reportingMatch.gameName}</strong> - {reportingMatch.matchLabel}
+              </p>
+              <Row className="mb-3">
+                <Col>
+                  <Form.Group>
+                    <Form.Label className="small">{reportingMatch.homeName}</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      value={reportForm.homeScore}
+                      onChange={(e) => setReportForm({ ...reportForm, homeScore: e.target.value })}
+                    />
+                  </Form.Group>
+                </Col>
+                <Col>
+                  <Form.Group>
+                    <Form.Label className="small">{reportingMatch.awayName}</Form.Label>
+                    <Form.Control
+                      type="number"
+                      min="0"
+                      value={reportForm.awayScore}
+                      onChange={(e) => setReportForm({ ...reportForm, awayScore: e.target.value })}
+                    />
+                  </Form.Group>
+                </Col>
+              </Row>
+              <Form.Group className="mb-2">
+                <Form.Label className="small">Screenshot of the result (optional)</Form.Label>
+                <Form.Control
+                  type="file"
+                  accept="image/jpeg,image/png,image/gif,image/webp"
+                  onChange={handleScreenshotUpload}
+                  disabled={uploadingScreenshot}
+                />
+                <Form.Text className="text-muted">
+                  Admins look at screenshots if your report and your opponent&apos;s do not match.
+                </Form.Text>
+              </Form.Group>
+              {uploadingScreenshot && <p className="small">Uploading screenshot...</p>}
+              {reportForm.screenshotUrl && (
+                <div className="text-center">
+                  <Image src={reportForm.screenshotUrl} alt="Result screenshot" fluid style={{ maxHeight: '200px' }} />
+                  <div>
+                    <Button variant="link" size="sm" onClick={() => setReportForm({ ...reportForm, screenshotUrl: '' })}>
+                      Remove screenshot
+                    </Button>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setReportingMatch(null)}>
+            Cancel
+          </Button>
+          <Button variant="primary" onClick={handleSubmitReport} disabled={submittingReport || uploadingScreenshot}>
+            {submittingReport ? 'Submitting...' : 'Submit Score'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
     </Container>
   );
 }
@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { Form, Button, Alert } from 'react-bootstrap';
+import PayoutMethodService from '../../services/PayoutMethodService';
+import { sanitizeInput } from '../../utils/security';
+import { PAYOUT_METHOD_TYPES, PAYOUT_METHOD_LABELS } from '../../utils/payoutMethods';
+
+const ACCOUNT_NUMBER_PLACEHOLDERS = {
+  bank: 'IBAN (PK...) or account number',
+  easypaisa: 'EasyPaisa mobile number, e.g. 03001234567',
+  jazzcash: 'JazzCash mobile number, e.g. 03001234567'
+};
+
+function PayoutMethodForm({ userId, onSaved, onCancel }) {
+  const [type, setType] = useState('bank');
+  const [accountName, setAccountName] = useState('');
+  const [bankName, setBankName] = useState('');
+  const [accountNumber, setAccountNumber] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  async function handleSave() {
+    try {
+      setSaving(true);
+      setError('');
+
+      const method = await PayoutMethodService.addPayoutMethod(userId, {
+        type,
+        accountName: sanitizeInput(accountName),
+        bankName: sanitizeInput(bankName),
+        accountNumber: sanitizeInput(accountNumber)
+      });
+
+      onSaved(method);
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="border rounded p-2 mb-3">
+      {error && <Alert variant="danger" className="p-2 small">{error}</Alert>}
+
+      <Form.Group className="mb-2">
+        <Form.Label className="small">Method</Form.Label>
+        <Form.Select size="sm" value={type} onChange={(e) => setType(e.target.value)}>
+          {PAYOUT_METHOD_TYPES.map(methodType => (
+            <option key={methodType} value={methodType}>{PAYOUT_METHOD_LABELS[methodType]}</option>
+          ))}
+        </Form.Select>
+      </Form.Group>
+
+      <Form.Group className="mb-2">
+        <Form.Label className="small">Account Holder Name</Form.Label>
+        <Form.Control
+          type="text"
+          size="sm"
+          placeholder="Name as it appears on the account"
+          value={accountName}
+          onChange={(e) => setAccountName(e.target.value)}
+        />
+      </Form.Group>
+
+      {type === 'bank' && (
+        <Form.Group className="mb-2">
+          <Form.Label className="small">Bank Name</Form.Label>
+          <Form.Control
+            type="text"
+            size="sm"
+            placeholder="Enter bank name"
+            value={bankName}
+            onChange={(e) => setBankName(e.target.value)}
+          />
+        </Form.Group>
+      )}
+
+      <Form.Group className="mb-2">
+        <Form.Label className="small">{type === 'bank' ? 'Account Number' : 'Mobile Number'}</Form.Label>
+        <Form.Control
+          type="text"
+          size="sm"
+          placeholder={ACCOUNT_NUMBER_PLACEHOLDERS[type]}
+          value={accountNumber}
+          onChange={(e) => setAccountNumber(e.target.value)}
+        />
+      </Form.Group>
+
+      <div className="d-flex gap-2">
+        <Button
+          variant="primary"
+          size="sm"
+          onClick={handleSave}
+          disabled={saving || !accountName || !accountNumber || (type === 'bank' && !bankName)}
+        >
+          {saving ? 'Saving...' : 'Save Method'}
+        </Button>
+        {onCancel && (
+          <Button variant="outline-secondary" size="sm" onClick={onCancel}>
+            Cancel
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PayoutMethodForm;
@@ -1,49 +1,44 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { Modal, Button, Form, Alert, Image, Card } from 'react-bootstrap';
-import { collection, addDoc, doc, getDoc } from 'firebase/firestore';
-import { db } from '../../firebase/config';
 import { sanitizeInput } from '../../utils/security';
 import CSRFToken from '../security/CSRFToken';
 import DOMPurify from 'dompurify';
 import initCloudinary from '../../utils/cloudinaryConfig';
+import { computeImageHash } from '../../utils/imageHash';
+import { normalizeTransactionId } from '../../utils/rechargeDuplicates';
+import { describePromoCode, calculateRechargeBonus } from '../../utils/promoCodes';
+import PromoCodeService from '../../services/PromoCodeService';
+import WalletService from '../../services/WalletService';
+import DepositAccountService from '../../services/DepositAccountService';
+import { getAvailableDepositMethods } from '../../utils/depositAccounts';
+import { PAYOUT_METHOD_LABELS } from '../../utils/payoutMethods';
 
 function RechargeModal({ show, onHide, currentUser, onSuccess }) {
   const [amount, setAmount] = useState('');
   const [transactionId, setTransactionId] = useState('');
   const [paymentMethod, setPaymentMethod] = useState('');
   const [imageUrl, setImageUrl] = useState('');
+  const [imageHash, setImageHash] = useState(null);
   const [uploading, setUploading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [promoCode, setPromoCode] = useState('');
+  const [appliedPromo, setAppliedPromo] = useState(null);
+  const [promoError, setPromoError] = useState('');
+  const [checkingPromo, setCheckingPromo] = useState(false);
   const fileInputRef = useRef(null);
   const [activeWidget, setActiveWidget] = useState(null);
-  const [paymentAccounts, setPaymentAccounts] = useState({
-    bankAccountName: '',
-    bankAccountNumber: '',
-    bankName: '',
-    easyPasaOwnerName: '',
-    easyPasaInfo: ''
-  });
+  const [depositMethods, setDepositMethods] = useState([]);
+  const [depositAccount, setDepositAccount] = useState(null);
   const [loadingAccounts, setLoadingAccounts] = useState(true);
 
-  // Fetch admin payment account information
+  // Fetch the payment methods admins have enabled deposit accounts for
   useEffect(() => {
-    async function fetchPaymentAccounts() {
+    async function fetchDepositMethods() {
       try {
         setLoadingAccounts(true);
-        const paymentSettingsRef = doc(db, 'adminSettings', 'paymentAccounts');
-        const docSnap = await getDoc(paymentSettingsRef);
-
-        if (docSnap.exists()) {
-          const data = docSnap.data();
-          setPaymentAccounts({
-            bankAccountName: data.bankAccountName || '',
-            bankAccountNumber: data.bankAccountNumber || '',
-            bankName: data.bankName || '',
-            easyPasaOwnerName: data.easyPasaOwnerName || '',
-            easyPasaInfo: data.easyPasaInfo || ''
-          });
-        }
+        const { accounts } = await DepositAccountService.getSettings();
+        setDepositMethods(getAvailableDepositMethods(accounts));
       } catch (error) {
         console.error('Error fetching payment accounts:', error);
       } finally {
@@ -52,10 +47,41 @@ function RechargeModal({ show, onHide, currentUser, onSuccess }) {
     }
 
     if (show) {
-      fetchPaymentAccounts();
+      fetchDepositMethods();
     }
   }, [show]);
 
+  // The account to pay depends on the method and amount, because of daily limits
+  useEffect(() => {
+    let cancelled = false;
+    const parsedAmount = parseFloat(amount);
+
+    async function fetchDepositAccount() {
+      try {
+        setLoadingAccounts(true);
+        const account = await DepositAccountService.pickAccount(paymentMethod, parsedAmount);
+        if (!cancelled) {
+          setDepositAccount(account);
+        }
+      } catch (error) {
+        console.error('Error picking payment account:', error);
+      } finally {
+        if (!cancelled) {
+          setLoadingAccounts(false);
+        }
+      }
+    }
+
+    setDepositAccount(null);
+    if (show && paymentMethod && parsedAmount > 0) {
+      fetchDepositAccount();
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [show, paymentMethod, amount]);
+
   // Reset form when modal is opened
   useEffect(() => {
     if (show) {
@@ -80,8 +106,42 @@ function RechargeModal({ show, onHide, currentUser, onSuccess }) {
     setTransactionId('');
     setPaymentMethod('');
     setImageUrl('');
+    setImageHash(null);
     setError('');
     setSuccess('');
+    setPromoCode('');
+    setAppliedPromo(null);
+    setPromoError('');
+  };
+
+  // Wallet credit codes are redeemed straight away, recharge bonuses are added when the recharge is approved
+  const handleApplyPromo = async () => {
+    try {
+      setCheckingPromo(true);
+      setPromoError('');
+      setSuccess('');
+
+      const promo = await PromoCodeService.checkPromoCode(promoCode, {
+        userId: currentUser.uid,
+        types: ['recharge_bonus', 'wallet_credit']
+      });
+
+      if (promo.type === 'wallet_credit') {
+        const { amount: credited } = await WalletService.redeemPromoCredit(promo.code, currentUser);
+        setPromoCode('');
+        setSuccess(`Promo code redeemed. Rs. ${credited} has been added to your wallet.`);
+        if (onSuccess) {
+          onSuccess();
+        }
+      } else {
+        setAppliedPromo(promo);
+      }
+    } catch (error) {
+      setAppliedPromo(null);
+      setPromoError(error.message);
+    } finally {
+      setCheckingPromo(false);
+    }
   };
 
   const handleFileUpload = async (event) => {
@@ -105,6 +165,9 @@ function RechargeModal({ show, onHide, currentUser, onSuccess }) {
       setUploading(true);
       setError('');
 
+      // Fingerprint the proof so admins can spot the same screenshot submitted twice
+      const hash = await computeImageHash(file).catch(() => null);
+
       // Create FormData for upload
       const formData = new FormData();
       formData.append('file', file);
@@ -128,6 +191,7 @@ function RechargeModal({ show, onHide, currentUser, onSuccess }) {
       // Sanitize the URL
       const sanitizedUrl = DOMPurify.sanitize(data.secure_url);
       setImageUrl(sanitizedUrl);
+      setImageHash(hash);
     } catch (error) {
       setError('Failed to upload image: ' + error.message);
     } finally {
@@ -186,6 +250,12 @@ function RechargeModal({ show, onHide, currentUser, onSuccess }) {
             const sanitizedUrl = DOMPurify.sanitize(result.info.secure_url);
             setImageUrl(sanitizedUrl);
             setError('');
+
+            // Fingerprint the proof so admins can spot the same screenshot submitted twice
+            setImageHash(null);
+            computeImageHash(sanitizedUrl)
+              .then(setImageHash)
+              .catch(() => setImageHash(null));
           }
         }
       );
@@ -222,25 +292,25 @@ function RechargeModal({ show, onHide, currentUser, onSuccess }) {
         return;
       }
 
+      if (!depositAccount) {
+        setError('There is no account to pay this amount into right now');
+        return;
+      }
+
       // Sanitize inputs
       const sanitizedTransactionId = sanitizeInput(transactionId);
-      const sanitizedPaymentMethod = sanitizeInput(paymentMethod);
       const sanitizedImageUrl = sanitizeInput(imageUrl);
       const parsedAmount = parseFloat(amount);
 
-      // Create recharge request in Firestore
-      await addDoc(collection(db, 'rechargeRequests'), {
-        userId: currentUser.uid,
-        userEmail: currentUser.email,
+      // Create the recharge request, recording the account the player was told to pay
+      await DepositAccountService.requestRecharge(currentUser, {
         amount: parsedAmount,
         transactionId: sanitizedTransactionId,
-        paymentMethod: sanitizedPaymentMethod,
+        normalizedTransactionId: normalizeTransactionId(sanitizedTransactionId),
         proofImageUrl: sanitizedImageUrl,
-        status: 'pending',
-        requestDate: new Date().toISOString(),
-        processedDate: null,
-        notes: ''
-      });
+        proofImageHash: imageHash,
+        promoCode: appliedPromo ? appliedPromo.code : null
+      }, depositAccount);
 
       // Show success message
       setSuccess('Recharge request submitted successfully. The admin will review your request.');
@@ -274,10 +344,6 @@ function RechargeModal({ show, onHide, currentUser, onSuccess }) {
         <Form>
           <CSRFToken />
           
-          <Alert variant="danger" className="p-2 small mb-3">
-            <span style={{ color: 'red', fontWeight: 'bold' }}>jazzcash payment will not be accepted.</span>
-          </Alert>
-
           <Form.Group className="mb-3">
             <Form.Label className="small">Amount (Rs.)</Form.Label>
             <Form.Control
@@ -300,8 +366,9 @@ function RechargeModal({ show, onHide, currentUser, onSuccess }) {
               required
             >
               <option value="">Select payment method</option>
-              {(paymentAccounts.easyPasaInfo || paymentAccounts.easyPasaOwnerName) && <option value="Easy Pasa">Easy Pasa</option>}
-              {paymentAccounts.bankAccountNumber && <option value="Bank Transfer">Bank Transfer</option>}
+              {depositMethods.map(method => (
+                <option key={method} value={method}>{PAYOUT_METHOD_LABELS[method] || method}</option>
+              ))}
             </Form.Select>
           </Form.Group>
           
@@ -313,21 +380,19 @@ function RechargeModal({ show, onHide, currentUser, onSuccess }) {
                 <p className="small text-muted">Loading payment information...</p>
               ) : (
                 <div className="small">
-                  {paymentMethod === 'Easy Pasa' && paymentAccounts.easyPasaInfo && (
+                  {depositAccount ? (
                     <div>
-                      {paymentAccounts.easyPasaOwnerName && (
-                        <div><strong>Account Owner:</strong> {paymentAccounts.easyPasaOwnerName}</div>
+                      {depositAccount.bankName && (
+                        <div><strong>Bank Name:</strong> {depositAccount.bankName}</div>
                       )}
-                      <strong>Easy Pasa:</strong> {paymentAccounts.easyPasaInfo}
+                      <strong>Account Name:</strong> {depositAccount.accountName}<br />
+                      <strong>{depositAccount.method === 'bank' ? 'Account Number' : PAYOUT_METHOD_LABELS[depositAccount.method]}:</strong> {depositAccount.accountNumber}
                     </div>
-                  )}
-                  {paymentMethod === 'Bank Transfer' && paymentAccounts.bankAccountNumber && (
-                    <div>
-                      {paymentAccounts.bankName && (
-                        <div><strong>Bank Name:</strong> {paymentAccounts.bankName}</div>
-                      )}
-                      <strong>Account Name:</strong> {paymentAccounts.bankAccountName}<br />
-                      <strong>Account Number:</strong> {paymentAccounts.bankAccountNumber}
+                  ) : (
+                    <div className="text-muted">
+                      {paymentMethod && parseFloat(amount) > 0
+                        ? `No ${PAYOUT_METHOD_LABELS[paymentMethod] || paymentMethod} account can take this amount today. Try a smaller amount or another payment method.`
+                        : 'Enter the amount and choose a payment method to see the account to pay.'}
                     </div>
                   )}
                   <p className="text-muted mt-2 mb-0">
@@ -350,6 +415,39 @@ function RechargeModal({ show, onHide, currentUser, onSuccess }) {
             />
           </Form.Group>
 
+          <Form.Group className="mb-3">
+            <Form.Label className="small">Promo Code</Form.Label>
+            <div className="d-flex gap-2">
+              <Form.Control
+                type="text"
+                placeholder="Optional"
+                value={promoCode}
+                onChange={(e) => {
+                  setPromoCode(e.target.value);
+                  setAppliedPromo(null);
+                  setPromoError('');
+                }}
+                isInvalid={!!promoError}
+                className="form-control-sm"
+              />
+              <Button
+                variant="outline-primary"
+                onClick={handleApplyPromo}
+                disabled={!promoCode.trim() || checkingPromo || !!appliedPromo}
+                size="sm"
+              >
+                {checkingPromo ? 'Checking...' : 'Apply'}
+              </Button>
+            </div>
+            {promoError && <div className="text-danger small mt-1">{promoError}</div>}
+            {appliedPromo && (
+              <div className="text-success small mt-1">
+                {describePromoCode(appliedPromo)} applied
+                {amount > 0 && ` - you will get a Rs. ${calculateRechargeBonus(appliedPromo, amount)} bonus when this recharge is approved`}
+              </div>
+            )}
+          </Form.Group>
+
           <Form.Group className="mb-3">
             <Form.Label className="small">Payment Proof</Form.Label>
             {imageUrl && (
@@ -396,7 +494,7 @@ function RechargeModal({ show, onHide, currentUser, onSuccess }) {
         <Button
           variant="primary"
           onClick={handleSubmit}
-          disabled={!amount || amount <= 0 || !transactionId || !imageUrl || uploading}
+          disabled={!amount || amount <= 0 || !transactionId || !imageUrl || !depositAccount || uploading}
           size="sm"
           className="px-3"
         >
@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Card, Table, Alert, Button, Spinner } from 'react-bootstrap';
+import { collection, query, where, getDocs } from 'firebase/firestore';
+import { db } from '../../firebase/config';
+import { useAuth } from '../../contexts/AuthContext';
+import { Link } from 'react-router-dom';
+
+function RefundHistory() {
+  const [refundHistory, setRefundHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const { currentUser } = useAuth();
+
+  useEffect(() => {
+    if (currentUser) {
+      fetchRefundHistory();
+    }
+  }, [currentUser]);
+
+  async function fetchRefundHistory() {
+    try {
+      setLoading(true);
+
+      // Query refunds for the current user
+      const refundsQuery = query(
+        collection(db, 'refunds'),
+        where('userId', '==', currentUser.uid)
+      );
+
+      const querySnapshot = await getDocs(refundsQuery);
+      const history = querySnapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+
+      // Sort in memory (newest first) to avoid requiring a composite index
+      history.sort((a, b) => (b.timestamp?.toMillis?.() || 0) - (a.timestamp?.toMillis?.() || 0));
+
+      setRefundHistory(history);
+    } catch (error) {
+      setError('Failed to load refund history: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function formatDate(timestamp) {
+    if (!timestamp) return 'N/A';
+    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+    return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+  }
+
+  return (
+    <Container className="py-3 px-3 px-md-4">
+      <Card>
+        <Card.Header className="d-flex justify-content-between align-items-center py-2 px-3">
+          <h5 className="mb-0 fs-5">Refund History</h5>
+          <Link to="/profile">
+            <Button variant="outline-primary" size="sm" className="px-2 py-1">Back to Profile</Button>
+          </Link>
+        </Card.Header>
+        <Card.Body className="p-2 p-md-3">
+          {error && <Alert variant="danger" className="p-2 small">{error}</Alert>}
+
+          {loading ? (
+            <div className="text-center py-3">
+              <Spinner animation="border" role="status" size="sm">
+                <span className="visually-hidden">Loading...</span>
+              </Spinner>
+              <p className="mt-2 small">Loading refund history...</p>
+            </div>
+          ) : refundHistory.length > 0 ? (
+            <div className="table-responsive">
+              <Table striped bordered hover size="sm" className="small">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Amount</th>
+                    <th>Tournament</th>
+                    <th>Reason</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {refundHistory.map(refund => (
+                    <tr key={refund.id}>
+                      <td>{formatDate(refund.timestamp)}</td>
+                      <td>Rs. {refund.amount}</td>
+                      <td>
+                        <Link to={`/tournaments/${refund.tournamentId}`}>{refund.gameName || 'Tournament'}</Link>
+                      </td>
+                      <td>{refund.reason || 'Tournament cancelled'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </div>
+          ) : (
+            <Alert variant="info" className="p-2 small">
+              You haven&apos;t received any refunds. Entry fees are refunded to your wallet automatically if a tournament you joined is cancelled.
+            </Alert>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+}
+
+export default RefundHistory;
@@ -1,63 +1,81 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Badge, Alert, Button, Image, Modal } from 'react-bootstrap';
+import { Container, Row, Col, Card, Badge, Alert, Button, Image, Modal, Table } from 'react-bootstrap';
 import { useParams, useNavigate } from 'react-router-dom';
-import { doc, getDoc } from 'firebase/firestore';
+import { doc, onSnapshot } from 'firebase/firestore';
 import { db } from '../../firebase/config';
 import { useAuth } from '../../contexts/AuthContext';
 import { sanitizeInput } from '../../utils/security';
-import TournamentStatusService from '../../services/TournamentStatusService';
+import { getLifecycleSettings, formatTournamentStart, isCheckInOpen, getEntriesNeeded } from '../../utils/tournamentSchedule';
+import { getBrowserTimeZone, formatDateTime } from '../../utils/timezone';
+import { rankResults } from '../../utils/tournamentResults';
+import { getPrizePool, isDynamicPrizePool, getCommissionPercent } from '../../utils/prizeDistribution';
+import { TOURNAMENT_FORMATS, isBracketTournament, buildBracket } from '../../utils/brackets';
+import BracketView from '../common/BracketView';
+import { isTeamTournament, getTeamSizeLabel, getEntryCount, getEntryUnit } from '../../utils/teams';
+import { TIE_BREAKERS, isSeriesTournament, getPointsTable, getMatchStartTime, calculateStandings } from '../../utils/series';
+import SeriesStandings from '../common/SeriesStandings';
+import LeagueTable from '../common/LeagueTable';
+import LeagueService from '../../services/LeagueService';
+import {
+  LEAGUE_POINTS,
+  isLeagueTournament,
+  getRoundDays,
+  getFixtureStatusLabel,
+  calculateLeagueTable,
+  groupFixturesByRound
+} from '../../utils/league';
 
 function TournamentDetails() {
   const [tournament, setTournament] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [showImageModal, setShowImageModal] = useState(false);
+  const [fixtures, setFixtures] = useState([]);
+  const [fixtureError, setFixtureError] = useState('');
   const { tournamentId } = useParams();
   const navigate = useNavigate();
   const { currentUser } = useAuth();
+  
+  const isLeague = isLeagueTournament(tournament);
+  const fixturesGeneratedAt = tournament?.league?.generatedAt?.seconds;
 
+  // Listen to the tournament so the participant count and a dynamic prize pool stay current
   useEffect(() => {
-    // Migrate any existing live tournaments to have statusUpdatedAt field
-    TournamentStatusService.migrateLiveTournaments()
-      .then(result => {
-        if (result.migratedCount > 0) {
-          console.log(`Migrated ${result.migratedCount} live tournaments`);
-        }
-      })
-      .catch(error => {
-        console.error('Error migrating live tournaments:', error);
-      })
-      .finally(() => {
-        // Fetch tournament details after migration attempt
-        fetchTournamentDetails();
-      });
-  }, [tournamentId]);
-
-  async function fetchTournamentDetails() {
-    try {
-      setLoading(true);
-      
-      const tournamentRef = doc(db, 'tournaments', tournamentId);
-      const tournamentSnap = await getDoc(tournamentRef);
-      
-      if (tournamentSnap.exists()) {
-        const tournamentData = {
-          id: tournamentSnap.id,
-          ...tournamentSnap.data(),
-          // Check if current user has joined this tournament
-          hasJoined: currentUser ? 
-            tournamentSnap.data().participants?.some(p => p.userId === currentUser.uid) : 
-            false
-        };
-        setTournament(tournamentData);
-      } else {
-        setError('Tournament not found');
-      }
-    } catch (error) {
+    setLoading(true);
+    
+    const tournamentRef = doc(db, 'tournaments', tournamentId);
+    const unsubscribe = onSnapshot(tournamentRef, handleTournamentSnapshot, (error) => {
       setError('Failed to fetch tournament details: ' + error.message);
-    } finally {
       setLoading(false);
+    });
+    
+    return unsubscribe;
+  }, [tournamentId]);
+
+  // League fixtures live in their own collection; reload them when they are regenerated
+  useEffect(() => {
+    if (!isLeague) return;
+    
+    LeagueService.getFixtures(tournamentId)
+      .then(setFixtures)
+      .catch(error => setFixtureError('Failed to load fixtures: ' + error.message));
+  }, [tournamentId, isLeague, fixturesGeneratedAt]);
+
+  function handleTournamentSnapshot(tournamentSnap) {
+    if (tournamentSnap.exists()) {
+      const tournamentData = {
+        id: tournamentSnap.id,
+        ...tournamentSnap.data(),
+        // Check if current user has joined this tournament
+        hasJoined: currentUser ? 
+          tournamentSnap.data().participants?.some(p => p.userId === currentUser.uid) : 
+          false
+      };
+      setTournament(tournamentData);
+    } else {
+      setError('Tournament not found');
     }
+    setLoading(false);
   }
 
   function getStatusBadgeVariant(status) {
@@ -65,6 +83,7 @@ function TournamentDetails() {
       case 'upcoming': return 'primary';
       case 'live': return 'success';
       case 'completed': return 'secondary';
+      case 'cancelled': return 'danger';
       default: return 'primary';
     }
   }
@@ -138,17 +157,47 @@ function TournamentDetails() {
             <Col xs={12} md={6}>
               <h5 className="fs-5">Tournament Information</h5>
               <p className="small mb-2">
-                <strong>Date:</strong> {tournament.tournamentDate?.toDate 
-                  ? tournament.tournamentDate.toDate().toLocaleDateString() 
-                  : 'N/A'}
+                <strong>Starts:</strong> {formatTournamentStart(tournament)}
                 <br />
-                <strong>Time:</strong> {tournament.tournamentTime ? new Date(`2000-01-01T${tournament.tournamentTime}`).toLocaleTimeString('en-US', { hour: 'numeric', minute: 'numeric', hour12: true }) : 'N/A'}
+                {tournament.timezone && tournament.timezone !== getBrowserTimeZone() && (
+                  <>
+                    <strong>Organizer Time:</strong> {formatTournamentStart(tournament, tournament.timezone)} ({tournament.timezone})
+                    <br />
+                  </>
+                )}
+                {(isBracketTournament(tournament) || isSeriesTournament(tournament) || isLeague) && (
+                  <>
+                    <strong>Format:</strong> {TOURNAMENT_FORMATS[tournament.format]}
+                    <br />
+                  </>
+                )}
+                {isTeamTournament(tournament) && (
+                  <>
+                    <strong>Teams:</strong> {getTeamSizeLabel(tournament.teamSize)}
+                    <br />
+                  </>
+                )}
+                <strong>Match Duration:</strong> {getLifecycleSettings(tournament).matchDurationMinutes} minutes
                 <br />
-                <strong>Entry Fee:</strong> Rs. {tournament.entryFee}
+                <strong>Entry Fee:</strong> Rs. {tournament.entryFee}{isTeamTournament(tournament) && ' per team'}
                 <br />
-                <strong>Prize Pool:</strong> Rs. {tournament.prizePool}
+                <strong>Prize Pool:</strong> Rs. {getPrizePool(tournament)}
+                {isDynamicPrizePool(tournament) && (
+                  <span className="text-muted small ms-1">
+                    (entry fees collected minus {getCommissionPercent(tournament)}% platform commission)
+                  </span>
+                )}
                 <br />
-                <strong>Participants:</strong> {tournament.participants?.length || 0} / {tournament.maxParticipants}
+                <strong>{isTeamTournament(tournament) ? 'Registered Teams' : 'Participants'}:</strong> {getEntryCount(tournament)} / {tournament.maxParticipants}
+                {tournament.status === 'upcoming' && !isCheckInOpen(tournament) && getEntriesNeeded(tournament) > 0 && (
+                  <span className="text-warning ms-1">({getEntriesNeeded(tournament)} more {getEntryUnit(tournament)} needed)</span>
+                )}
+                {tournament.minParticipants > 0 && (
+                  <>
+                    <br />
+                    <strong>{isTeamTournament(tournament) ? 'Minimum Teams' : 'Minimum Players'}:</strong> {tournament.minParticipants} (cancelled with refunds if not reached by the start time)
+                  </>
+                )}
                 {tournament.perKillAmount > 0 && (
                   <>
                     <br />
@@ -196,10 +245,155 @@ function TournamentDetails() {
             </div>
           )}
           
+          {tournament.status === 'cancelled' && (
+            <div className="alert alert-danger mt-3 p-2 small">
+              <h5 className="fs-5">Tournament Cancelled</h5>
+              <p className="mb-1">{tournament.cancellationReason || 'This tournament has been cancelled.'}</p>
+              {tournament.hasJoined && tournament.entryFee > 0 && (
+                <p className="mb-0">Your entry fee has been refunded to your wallet.</p>
+              )}
+            </div>
+          )}
+          
+          {isBracketTournament(tournament) && tournament.status !== 'cancelled' && (
+            <div className="mt-3">
+              <h5 className="fs-5">Bracket</h5>
+              <BracketView matches={buildBracket(tournament.bracket)} currentUserId={currentUser?.uid} />
+            </div>
+          )}
+          
+          {isSeriesTournament(tournament) && tournament.status !== 'cancelled' && (
+            <div className="mt-3">
+              <h5 className="fs-5">Matches</h5>
+              {(tournament.matches || []).length === 0 ? (
+                <p className="small text-muted">The match schedule has not been posted yet.</p>
+              ) : (
+                <ul className="list-group list-group-sm mb-3">
+                  {tournament.matches.map(match => (
+                    <li key={match.id} className="list-group-item py-2 px-3 small">
+                      <div className="d-flex justify-content-between align-items-center">
+                        <div>
+                          <strong>{match.name}</strong> - {match.map}
+                          <div className="text-muted">{formatDateTime(getMatchStartTime(match))}</div>
+                        </div>
+                        <Badge bg={match.results ? 'success' : 'secondary'}>
+                          {match.results ? 'Results in' : 'Scheduled'}
+                        </Badge>
+                      </div>
+                      {match.matchDetails && (tournament.status === 'live' || tournament.hasJoined) && !match.results && (
+                        <div className="alert alert-info mt-2 mb-0 p-2">
+                          <strong>Room Details:</strong> {match.matchDetails}
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              
+              <h5 className="fs-5">Standings</h5>
+              <p className="small text-muted mb-2">
+                Placement points {getPointsTable(tournament).placementPoints.join(', ')} plus {getPointsTable(tournament).killPoints} per kill.
+                Ties are broken by {TIE_BREAKERS.slice(1).join(', ').toLowerCase()}.
+              </p>
+              <SeriesStandings 
+                standings={calculateStandings(tournament)} 
+                matches={tournament.matches || []} 
+                highlightEntryId={isTeamTournament(tournament)
+                  ? tournament.participants?.find(p => p.userId === currentUser?.uid)?.teamId
+                  : currentUser?.uid} 
+                entryLabel={isTeamTournament(tournament) ? 'Team' : 'Player'} 
+              />
+            </div>
+          )}
+          
+          {isLeague && tournament.status !== 'cancelled' && (
+            <div className="mt-3">
+              <h5 className="fs-5">League Table</h5>
+              <p className="small text-muted mb-2">
+                Everyone plays everyone once, one round every {getRoundDays(tournament)} days. A win is worth {LEAGUE_POINTS.win} points;
+                ties are broken by score difference, then scores for. Both players report the score from My Tournaments
+                before the round&apos;s deadline, or the fixture is forfeited by both players.
+              </p>
+              {fixtureError && <Alert variant="danger" className="small">{fixtureError}</Alert>}
+              <LeagueTable rows={calculateLeagueTable(tournament.participants || [], fixtures)} currentUserId={currentUser?.uid} />
+              
+              <h5 className="fs-5">Fixtures</h5>
+              {fixtures.length === 0 ? (
+                <p className="small text-muted">The fixtures are drawn once registration closes.</p>
+              ) : (
+                groupFixturesByRound(fixtures).map(round => (
+                  <div key={round.round} className="mb-3">
+                    <h6 className="mb-1">
+                      Round {round.round}
+                      <span className="small text-muted ms-2">Deadline {formatDateTime(round.deadline)}</span>
+                    </h6>
+                    <ul className="list-group list-group-sm">
+                      {round.fixtures.map(fixture => (
+                        <li 
+                          key={fixture.id} 
+                          className={`list-group-item py-2 px-3 small ${[fixture.homeId, fixture.awayId].includes(currentUser?.uid) ? 'list-group-item-info' : ''}`}
+                        >
+                          <div className="d-flex justify-content-between align-items-center flex-wrap gap-2">
+                            <div>
+                              <span className={fixture.winnerId === fixture.homeId ? 'fw-bold' : ''}>{sanitizeInput(fixture.homeName)}</span>
+                              {fixture.status === 'completed' ? ` ${fixture.homeScore} - ${fixture.awayScore} ` : ' vs '}
+                              <span className={fixture.winnerId === fixture.awayId ? 'fw-bold' : ''}>{sanitizeInput(fixture.awayName)}</span>
+                            </div>
+                            <Badge bg={fixture.status === 'completed' ? 'success' : fixture.status === 'forfeited' ? 'danger' : 'secondary'}>
+                              {getFixtureStatusLabel(fixture.status)}
+                            </Badge>
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))
+              )}
+            </div>
+          )}
+          
           {tournament.status === 'completed' && (
             <div className="mt-3">
               <h5 className="fs-5">Results</h5>
               {tournament.results && <p className="small">{tournament.results}</p>}
+              {tournament.playerResults?.length > 0 && (
+                <Table striped bordered hover responsive size="sm" className="small">
+                  <thead>
+                    <tr>
+                      <th>Rank</th>
+                      <th>Player</th>
+                      <th>Kills</th>
+                      {tournament.prizePayouts && <th>Prize</th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rankResults(tournament.playerResults).map(result => (
+                      <tr 
+                        key={result.userId} 
+                        className={result.userId === currentUser?.uid ? 'table-info' : ''}
+                      >
+                        <td>
+                          {result.disqualified ? (
+                            <Badge bg="danger" title={result.disqualificationReason || undefined}>DQ</Badge>
+                          ) : (result.placement ?? '-')}
+                        </td>
+                        <td>
+                          {result.username}
+                          {result.disqualified && result.disqualificationReason && (
+                            <div className="text-muted">{result.disqualificationReason}</div>
+                          )}
+                        </td>
+                        <td>{result.kills}</td>
+                        {tournament.prizePayouts && (
+                          <td>
+                            Rs. {tournament.prizePayouts.find(payout => payout.userId === result.userId)?.amount || 0}
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
               {tournament.resultImage && (
                 <div className="mt-3">
                   <Image 
@@ -237,7 +431,32 @@ function TournamentDetails() {
             </div>
           )}
           
-          {tournament.participants && tournament.participants.length > 0 && (
+          {isTeamTournament(tournament) && (tournament.teams || []).length > 0 && (
+            <div className="mt-3">
+              <h5 className="fs-5">Teams ({tournament.teams.length})</h5>
+              <ul className="list-group list-group-sm">
+                {tournament.teams.map(team => (
+                  <li key={team.id} className="list-group-item py-2 px-3 small">
+                    <div className="fw-bold mb-1">
+                      {sanitizeInput(team.name)}
+                      {team.members.some(member => member.userId === currentUser?.uid) && (
+                        <Badge bg="success" className="ms-2">Your team</Badge>
+                      )}
+                    </div>
+                    {team.members
+                      .filter(member => !['declined', 'left', 'removed'].includes(member.status))
+                      .map(member => (
+                        <span key={member.inGameId} className={`badge ${member.status === 'invited' ? 'bg-light text-muted' : 'bg-info text-dark'} me-1`}>
+                          {sanitizeInput(member.inGameId)}{member.status === 'captain' && ' (C)'}
+                        </span>
+                      ))}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          
+          {!isTeamTournament(tournament) && tournament.participants && tournament.participants.length > 0 && (
             <div className="mt-3">
               <h5 className="fs-5">Participants ({tournament.participants.length})</h5>
               <ul className="list-group list-group-sm">
@@ -277,8 +496,8 @@ function TournamentDetails() {
             </div>
           )}
         </Card.Body>
-        <Card.Footer className={`py-2 px-3 small ${tournament.status === 'live' ? 'bg-success text-white' : tournament.status === 'completed' ? 'bg-secondary text-white' : ''}`}>
-          {tournament.status === 'upcoming' ? 'Registration open' : tournament.status === 'live' ? 'Tournament in progress' : 'Tournament ended'}
+        <Card.Footer className={`py-2 px-3 small ${tournament.status === 'live' ? 'bg-success text-white' : tournament.status === 'completed' ? 'bg-secondary text-white' : tournament.status === 'cancelled' ? 'bg-danger text-white' : ''}`}>
+          {tournament.status === 'upcoming' ? 'Registration open' : tournament.status === 'live' ? 'Tournament in progress' : tournament.status === 'cancelled' ? 'Tournament cancelled' : 'Tournament ended'}
         </Card.Footer>
       </Card>
     </Container>
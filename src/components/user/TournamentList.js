@@ -1,11 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Badge, Button, Alert, Modal, Form, Nav, Spinner } from 'react-bootstrap';
-import { collection, getDocs, doc, updateDoc, arrayUnion } from 'firebase/firestore';
+import { collection, onSnapshot } from 'firebase/firestore';
 import { db } from '../../firebase/config';
 import { useAuth } from '../../contexts/AuthContext';
-import TournamentStatusService from '../../services/TournamentStatusService';
 import { useNavigate } from 'react-router-dom';
 import DOMPurify from 'dompurify';
+import { isCheckInOpen, formatTournamentStart, getEntriesNeeded } from '../../utils/tournamentSchedule';
+import TournamentService from '../../services/TournamentService';
+import WalletService from '../../services/WalletService';
+import PromoCodeService from '../../services/PromoCodeService';
+import { describePromoCode } from '../../utils/promoCodes';
+import { getPrizePool, isDynamicPrizePool } from '../../utils/prizeDistribution';
+import { TEAM_FEE_MODES, isTeamTournament, getTeamSizeLabel, getEntryCount, getEntryUnit, calculateFeeShares } from '../../utils/teams';
 import './Tournaments.css';
 
 function TournamentList() {
@@ -20,62 +26,54 @@ function TournamentList() {
   const [walletBalance, setWalletBalance] = useState(0);
   const [username, setUsername] = useState('');
   const [usernameError, setUsernameError] = useState('');
+  const [promoCode, setPromoCode] = useState('');
+  const [appliedPromo, setAppliedPromo] = useState(null);
+  const [promoError, setPromoError] = useState('');
+  const [checkingPromo, setCheckingPromo] = useState(false);
+  const [teamName, setTeamName] = useState('');
+  const [teamFeeMode, setTeamFeeMode] = useState('captain');
+  const [teammates, setTeammates] = useState([]);
+  const [teamError, setTeamError] = useState('');
   const { currentUser, getUserData } = useAuth();
   const navigate = useNavigate();
 
-  // Fetch tournaments and user data on component mount
+  // Listen to tournaments so participant counts and dynamic prize pools stay current,
+  // and fetch user data on component mount
   useEffect(() => {
-    // Migrate any existing live tournaments to have statusUpdatedAt field
-    TournamentStatusService.migrateLiveTournaments()
-      .then(result => {
-        if (result.migratedCount > 0) {
-          console.log(`Migrated ${result.migratedCount} live tournaments`);
-        }
-      })
-      .catch(error => {
-        console.error('Error migrating live tournaments:', error);
-      })
-      .finally(() => {
-        // Fetch tournaments after migration attempt
-        fetchTournaments();
-      });
+    const unsubscribe = onSnapshot(collection(db, 'tournaments'), handleTournamentsSnapshot, (error) => {
+      setError('Failed to fetch tournaments: ' + error.message);
+      setLoading(false);
+    });
     
     if (currentUser) {
       fetchUserWalletBalance();
     }
+    
+    return unsubscribe;
   }, [currentUser]);
 
-  async function fetchTournaments() {
-    try {
-      setLoading(true);
-      
-      // Check and update tournament statuses before fetching
-      await TournamentStatusService.checkAndUpdateTournamentStatuses();
-      
-      const tournamentsCollection = collection(db, 'tournaments');
-      const tournamentsSnapshot = await getDocs(tournamentsCollection);
-      const tournamentsList = tournamentsSnapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        // Check if current user has joined this tournament
-        hasJoined: currentUser ? 
-          doc.data().participants?.some(p => p.userId === currentUser.uid) : 
-          false
-      }));
-      
-      // Sort tournaments: upcoming first, then live, then completed
-      tournamentsList.sort((a, b) => {
-        const statusOrder = { 'upcoming': 0, 'live': 1, 'completed': 2 };
-        return statusOrder[a.status] - statusOrder[b.status];
-      });
-      
-      setTournaments(tournamentsList);
-      filterTournaments(tournamentsList, activeCategory);
-    } catch (error) {
-      setError('Failed to fetch tournaments: ' + error.message);
-    } finally {
-      setLoading(false);
-    }
+  useEffect(() => {
+    filterTournaments(tournaments, activeCategory);
+  }, [tournaments, activeCategory]);
+
+  function handleTournamentsSnapshot(tournamentsSnapshot) {
+    const tournamentsList = tournamentsSnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data(),
+      // Check if current user has joined this tournament
+      hasJoined: currentUser ? 
+        doc.data().participants?.some(p => p.userId === currentUser.uid) : 
+        false
+    }));
+    
+    // Sort tournaments: upcoming first, then live, then completed, then cancelled
+    tournamentsList.sort((a, b) => {
+      const statusOrder = { 'upcoming': 0, 'live': 1, 'completed': 2, 'cancelled': 3 };
+      return statusOrder[a.status] - statusOrder[b.status];
+    });
+    
+    setTournaments(tournamentsList);
+    setLoading(false);
   }
 
   function filterTournaments(tournamentsList, category) {
@@ -88,14 +86,13 @@ function TournamentList() {
 
   function handleCategoryChange(category) {
     setActiveCategory(category);
-    filterTournaments(tournaments, category);
   }
 
   async function fetchUserWalletBalance() {
     try {
       const userData = await getUserData(currentUser.uid);
       if (userData) {
-        setWalletBalance(userData.walletBalance || 0);
+        setWalletBalance(WalletService.getAvailableBalance(userData));
       }
     } catch (error) {
       console.error('Error fetching wallet balance:', error);
@@ -106,9 +103,63 @@ function TournamentList() {
     setCurrentTournament(tournament);
     setUsername('');
     setUsernameError('');
+    setPromoCode('');
+    setAppliedPromo(null);
+    setPromoError('');
+    setTeamName('');
+    setTeamFeeMode('captain');
+    setTeammates(Array.from({ length: Math.max(Number(tournament.teamSize) - 1, 0) }, () => ({ inGameId: '', email: '' })));
+    setTeamError('');
     setShowJoinModal(true);
   }
 
+  function updateTeammate(index, changes) {
+    setTeammates(teammates.map((teammate, i) => (i === index ? { ...teammate, ...changes } : teammate)));
+    setTeamError('');
+  }
+
+  async function handleApplyPromo() {
+    try {
+      setCheckingPromo(true);
+      setPromoError('');
+
+      const promo = await PromoCodeService.checkPromoCode(promoCode, {
+        userId: currentUser.uid,
+        types: ['free_entry'],
+        tournament: currentTournament
+      });
+      setAppliedPromo(promo);
+    } catch (error) {
+      setAppliedPromo(null);
+      setPromoError(error.message);
+    } finally {
+      setCheckingPromo(false);
+    }
+  }
+
+  function getEntryFeeDue(tournament) {
+    if (isTeamTournament(tournament)) {
+      const invitedCount = teammates.filter(teammate => teammate.email.trim()).length;
+      return calculateFeeShares(tournament.entryFee, Number(tournament.teamSize), teamFeeMode, invitedCount).captainShare;
+    }
+    return appliedPromo ? 0 : tournament.entryFee;
+  }
+
+  // Teammates left blank are not registered; the team plays short-handed
+  function getTeamDetails(captainInGameId) {
+    return {
+      name: DOMPurify.sanitize(teamName.trim()),
+      captainInGameId,
+      feeMode: teamFeeMode,
+      members: teammates
+        .filter(teammate => teammate.inGameId.trim())
+        .map(teammate => ({
+          inGameId: DOMPurify.sanitize(teammate.inGameId.trim()),
+          email: DOMPurify.sanitize(teammate.email.trim())
+        }))
+    };
+  }
+
   async function handleJoinTournament() {
     if (!currentUser || !currentTournament || isJoining) return;
 
@@ -133,54 +184,32 @@ function TournamentList() {
         return;
       }
 
-      // Check if username is already taken in this tournament
-      if (currentTournament.participants && currentTournament.participants.some(p => 
-          p.username && p.username.toLowerCase() === sanitizedUsername.toLowerCase())) {
-        setUsernameError('This username is already taken in this tournament. Please choose a different one.');
-        setIsJoining(false);
-        return;
-      }
-
-      // Check if user has enough balance
-      if (walletBalance < currentTournament.entryFee) {
-        setError('Insufficient wallet balance');
-        setIsJoining(false);
-        return;
-      }
-
-      // Check if tournament is full
-      if (currentTournament.participants?.length >= currentTournament.maxParticipants) {
-        setError('Tournament is full');
-        setIsJoining(false);
-        return;
-      }
-
-      // Update user's wallet balance
-      const userRef = doc(db, 'users', currentUser.uid);
-      const newBalance = walletBalance - currentTournament.entryFee;
-      
-      await updateDoc(userRef, {
-        walletBalance: newBalance,
-        joinedTournaments: arrayUnion(currentTournament.id)
-      });
-
-      // Add user to tournament participants
-      const tournamentRef = doc(db, 'tournaments', currentTournament.id);
-      await updateDoc(tournamentRef, {
-        participants: arrayUnion({
-          userId: currentUser.uid,
-          email: currentUser.email,
-          username: sanitizedUsername,
-          joinedAt: new Date().toISOString()
-        })
-      });
+      // Capacity, balance and duplicates are rechecked against the current data in a transaction
+      const { availableBalance } = isTeamTournament(currentTournament)
+        ? await TournamentService.registerTeam(currentTournament.id, currentUser, getTeamDetails(sanitizedUsername))
+        : await TournamentService.joinTournament(
+          currentTournament.id,
+          currentUser,
+          sanitizedUsername,
+          appliedPromo?.code
+        );
 
       // Update local state
-      setWalletBalance(newBalance);
-      fetchTournaments();
+      setWalletBalance(availableBalance);
       setShowJoinModal(false);
     } catch (error) {
-      setError('Failed to join tournament: ' + error.message);
+      if (error.code === 'username-taken') {
+        setUsernameError(error.message);
+      } else if (error.code === 'invalid-team') {
+        setTeamError(error.message);
+      } else if (error.code === 'invalid-promo') {
+        setAppliedPromo(null);
+        setPromoError(error.message);
+      } else {
+        setError('Failed to join tournament: ' + error.message);
+      }
+      // Refresh so the modal reflects the current balance
+      fetchUserWalletBalance();
     } finally {
       // Reset joining state regardless of success or failure
       setIsJoining(false);
@@ -192,6 +221,7 @@ function TournamentList() {
       case 'upcoming': return 'primary';
       case 'live': return 'success';
       case 'completed': return 'secondary';
+      case 'cancelled': return 'danger';
       default: return 'primary';
     }
   }
@@ -205,7 +235,7 @@ function TournamentList() {
         </div>
         {currentUser && (
           <div className="text-start text-md-end wallet-balance">
-            Wallet Balance: <span className="balance-amount">Rs. {walletBalance}</span>
+            Available Balance: <span className="balance-amount">Rs. {walletBalance}</span>
           </div>
         )}
       </div>
@@ -246,6 +276,14 @@ function TournamentList() {
             Completed
           </Nav.Link>
         </Nav.Item>
+        <Nav.Item>
+          <Nav.Link 
+            className={activeCategory === 'cancelled' ? 'active' : ''}
+            onClick={() => handleCategoryChange('cancelled')}
+          >
+            Cancelled
+          </Nav.Link>
+        </Nav.Item>
       </Nav>
       
       {loading ? (
@@ -279,15 +317,27 @@ function TournamentList() {
                     )}
                     <Card.Title>{tournament.gameName}</Card.Title>
                     <Card.Text>
-                      <strong>Date & Time:</strong> {tournament.tournamentDate?.toDate 
-                        ? tournament.tournamentDate.toDate().toLocaleDateString() 
-                        : 'N/A'} {tournament.tournamentTime ? new Date(`2000-01-01T${tournament.tournamentTime}`).toLocaleTimeString('en-US', { hour: 'numeric', minute: 'numeric', hour12: true }) : ''}
+                      <strong>Date & Time:</strong> {formatTournamentStart(tournament)}
                       <br />
                       <strong>Entry Fee:</strong> Rs. {tournament.entryFee}
                       <br />
-                      <strong>Prize Pool:</strong> Rs. {tournament.prizePool}
+                      <strong>Prize Pool:</strong> Rs. {getPrizePool(tournament)}
+                      {isDynamicPrizePool(tournament) && (
+                        <span className="text-muted small ms-1">(grows as players join)</span>
+                      )}
                       <br />
-                      <strong>Participants:</strong> {tournament.participants?.length || 0} / {tournament.maxParticipants}
+                      {isTeamTournament(tournament) ? (
+                        <>
+                          <strong>Format:</strong> {getTeamSizeLabel(tournament.teamSize)}
+                          <br />
+                          <strong>Teams:</strong> {getEntryCount(tournament)} / {tournament.maxParticipants}
+                        </>
+                      ) : (
+                        <><strong>Participants:</strong> {tournament.participants?.length || 0} / {tournament.maxParticipants}</>
+                      )}
+                      {tournament.status === 'upcoming' && !isCheckInOpen(tournament) && getEntriesNeeded(tournament) > 0 && (
+                        <span className="text-warning ms-1">({getEntriesNeeded(tournament)} more {getEntryUnit(tournament)} needed)</span>
+                      )}
                       {tournament.perKillAmount > 0 && (
                         <>
                           <br />
@@ -336,10 +386,10 @@ function TournamentList() {
                           <Button 
                             variant="primary"
                             className="w-100"
-                            disabled={tournament.status !== 'upcoming' || tournament.participants?.length >= tournament.maxParticipants}
+                            disabled={tournament.status !== 'upcoming' || getEntryCount(tournament) >= tournament.maxParticipants || isCheckInOpen(tournament)}
                             onClick={() => openJoinModal(tournament)}
                           >
-                            Join Tournament
+                            {isTeamTournament(tournament) ? 'Register Team' : 'Join Tournament'}
                           </Button>
                         )
                       ) : (
@@ -357,8 +407,11 @@ function TournamentList() {
                       </Button>
                     </div>
                   </Card.Body>
-                  <Card.Footer className={`py-2 px-3 small ${tournament.status === 'live' ? 'bg-success text-white' : tournament.status === 'completed' ? 'bg-secondary text-white' : ''}`}>
-                    {tournament.status === 'upcoming' ? 'Registration open' : tournament.status === 'live' ? 'Tournament in progress' : 'Tournament ended'}
+                  <Card.Footer className={`py-2 px-3 small ${tournament.status === 'live' ? 'bg-success text-white' : tournament.status === 'completed' ? 'bg-secondary text-white' : tournament.status === 'cancelled' ? 'bg-danger text-white' : ''}`}>
+                    {tournament.status === 'upcoming'
+                      ? (isCheckInOpen(tournament) ? 'Check-in open, registration closed' : 'Registration open')
+                      : tournament.status === 'live' ? 'Tournament in progress'
+                      : tournament.status === 'cancelled' ? 'Tournament cancelled' : 'Tournament ended'}
                   </Card.Footer>
                 </Card>
               </Col>
@@ -379,17 +432,112 @@ function TournamentList() {
               <p className="mb-3 small">Are you sure you want to join this tournament?</p>
               
               <Form.Group className="mb-3">
-                <Form.Label className="small">Entry Fee</Form.Label>
+                <Form.Label className="small">{isTeamTournament(currentTournament) ? 'Entry Fee per Team' : 'Entry Fee'}</Form.Label>
                 <Form.Control 
                   type="text" 
-                  value={`Rs. ${currentTournament.entryFee}`} 
+                  value={appliedPromo ? `Free (was Rs. ${currentTournament.entryFee})` : `Rs. ${currentTournament.entryFee}`} 
                   disabled 
                   className="form-control-sm"
                 />
               </Form.Group>
               
+              {isTeamTournament(currentTournament) && (
+                <>
+                  <Form.Group className="mb-3">
+                    <Form.Label className="small">Team Name <span className="text-danger">*</span></Form.Label>
+                    <Form.Control 
+                      type="text" 
+                      placeholder="3 to 30 characters" 
+                      value={teamName}
+                      onChange={(e) => {
+                        setTeamName(e.target.value);
+                        setTeamError('');
+                      }}
+                      className="form-control-sm"
+                    />
+                  </Form.Group>
+
+                  <Form.Group className="mb-3">
+                    <Form.Label className="small">Teammates</Form.Label>
+                    {teammates.map((teammate, index) => (
+                      <div key={index} className="d-flex gap-2 mb-2">
+                        <Form.Control 
+                          type="text" 
+                          placeholder={`Player ${index + 2} in-game ID`} 
+                          value={teammate.inGameId}
+                          onChange={(e) => updateTeammate(index, { inGameId: e.target.value })}
+                          className="form-control-sm"
+                        />
+                        <Form.Control 
+                          type="email" 
+                          placeholder="Email to invite (optional)" 
+                          value={teammate.email}
+                          onChange={(e) => updateTeammate(index, { email: e.target.value })}
+                          className="form-control-sm"
+                        />
+                      </div>
+                    ))}
+                    <Form.Text className="text-muted" style={{fontSize: '0.75rem'}}>
+                      Teammates you add by email are invited to join with their own account. Teammates without an email play on your entry.
+                    </Form.Text>
+                  </Form.Group>
+
+                  <Form.Group className="mb-3">
+                    <Form.Label className="small">Entry Fee Payment</Form.Label>
+                    <Form.Select 
+                      value={teamFeeMode}
+                      onChange={(e) => setTeamFeeMode(e.target.value)}
+                      className="form-select-sm"
+                    >
+                      {Object.entries(TEAM_FEE_MODES).map(([mode, label]) => (
+                        <option key={mode} value={mode}>{label}</option>
+                      ))}
+                    </Form.Select>
+                    {teamFeeMode === 'split' && (
+                      <Form.Text className="text-muted" style={{fontSize: '0.75rem'}}>
+                        Invited teammates pay Rs. {calculateFeeShares(currentTournament.entryFee, Number(currentTournament.teamSize), 'split', 1).memberShare} each when they accept. You pay the rest now.
+                      </Form.Text>
+                    )}
+                  </Form.Group>
+
+                  {teamError && (
+                    <Alert variant="danger" className="p-2 small">{teamError}</Alert>
+                  )}
+                </>
+              )}
+              
+              {!isTeamTournament(currentTournament) && (
+                <Form.Group className="mb-3">
+                  <Form.Label className="small">Promo Code</Form.Label>
+                  <div className="d-flex gap-2">
+                    <Form.Control 
+                      type="text" 
+                      placeholder="Optional" 
+                      value={promoCode}
+                      onChange={(e) => {
+                        setPromoCode(e.target.value);
+                        setAppliedPromo(null);
+                        setPromoError('');
+                      }}
+                      isInvalid={!!promoError}
+                      className="form-control-sm"
+                    />
+                    <Button 
+                      variant="outline-primary" 
+                      size="sm" 
+                      onClick={handleApplyPromo} 
+                      disabled={!promoCode.trim() || checkingPromo || !!appliedPromo}
+                    >
+                      {checkingPromo ? 'Checking...' : 'Apply'}
+                    </Button>
+                  </div>
+                  {promoError && <div className="text-danger small mt-1">{promoError}</div>}
+                  {appliedPromo && <div className="text-success small mt-1">{describePromoCode(appliedPromo)} applied</div>}
+                </Form.Group>
+              )}
+              
               <Form.Group className="mb-3">
-                <Form.Label className="small">Your Wallet Balance</Form.Label>
+                <Form.Label className="small">Your Available Balance</Form.Label>
                 <Form.Control 
                   type="text" 
                   value={`Rs. ${walletBalance}`} 
@@ -402,14 +550,14 @@ function TournamentList() {
                 <Form.Label className="small">Balance After Joining</Form.Label>
                 <Form.Control 
                   type="text" 
-                  value={`Rs. ${walletBalance - currentTournament.entryFee}`} 
+                  value={`Rs. ${walletBalance - getEntryFeeDue(currentTournament)}`} 
                   disabled 
                   className="form-control-sm"
                 />
               </Form.Group>
               
               <Form.Group className="mb-3">
-                <Form.Label className="small">Game UserName <span className="text-danger">*</span></Form.Label>
+                <Form.Label className="small">{isTeamTournament(currentTournament) ? 'Your In-Game ID' : 'Game UserName'} <span className="text-danger">*</span></Form.Label>
                 <Form.Control 
                   type="text" 
                   placeholder="Enter your correct in-game username" 
@@ -430,7 +578,7 @@ function TournamentList() {
                 </Form.Text>
               </Form.Group>
               
-              {walletBalance < currentTournament.entryFee && (
+              {walletBalance < getEntryFeeDue(currentTournament) && (
                 <Alert variant="danger" className="p-2 small">
                   Insufficient balance. Please add funds to your wallet.
                 </Alert>
@@ -445,7 +593,7 @@ function TournamentList() {
           <Button 
             variant="primary" 
             onClick={handleJoinTournament}
-            disabled={!currentTournament || walletBalance < currentTournament.entryFee || isJoining}
+            disabled={!currentTournament || walletBalance < getEntryFeeDue(currentTournament) || isJoining}
             size="sm"
             className="px-3"
           >
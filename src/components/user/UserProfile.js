@@ -1,12 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { Container, Card, Row, Col, ListGroup, Badge, Button, Modal, Form, Alert } from 'react-bootstrap';
 import { useAuth } from '../../contexts/AuthContext';
-import { collection, addDoc } from 'firebase/firestore';
-import { db } from '../../firebase/config';
-import { sanitizeInput } from '../../utils/security';
+import WalletService from '../../services/WalletService';
+import ReferralService from '../../services/ReferralService';
+import { buildReferralLink, REFERRAL_STATUS_LABELS } from '../../utils/referrals';
 import CSRFToken from '../security/CSRFToken';
 import { useNavigate } from 'react-router-dom';
 import RechargeModal from './RechargeModal';
+import PayoutMethodForm from './PayoutMethodForm';
+import PayoutMethodService from '../../services/PayoutMethodService';
+import { describePayoutMethod, PAYOUT_METHOD_LABELS } from '../../utils/payoutMethods';
 
 function UserProfile() {
   const [userData, setUserData] = useState(null);
@@ -14,11 +17,13 @@ function UserProfile() {
   const [showWithdrawModal, setShowWithdrawModal] = useState(false);
   const [showRechargeModal, setShowRechargeModal] = useState(false);
   const [withdrawAmount, setWithdrawAmount] = useState('');
-  const [accountName, setAccountName] = useState('');
-  const [accountNumber, setAccountNumber] = useState('');
-  const [bankName, setBankName] = useState('');
+  const [payoutMethodId, setPayoutMethodId] = useState('');
+  const [showPayoutMethodForm, setShowPayoutMethodForm] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [referralCode, setReferralCode] = useState('');
+  const [referrals, setReferrals] = useState([]);
+  const [referralMessage, setReferralMessage] = useState('');
   const { currentUser, getUserData } = useAuth();
   const navigate = useNavigate();
 
@@ -38,8 +43,70 @@ function UserProfile() {
 
     fetchUserData();
   }, [currentUser, getUserData]);
-  
 
+  useEffect(() => {
+    async function fetchReferrals() {
+      if (currentUser) {
+        try {
+          // Accounts created before the referral program get their code here
+          setReferralCode(await ReferralService.getOrCreateReferralCode(currentUser.uid));
+          setReferrals(await ReferralService.getReferralsByReferrer(currentUser.uid));
+        } catch (error) {
+          console.error('Error fetching referrals:', error);
+        }
+      }
+    }
+
+    fetchReferrals();
+  }, [currentUser]);
+
+  async function refreshUserData() {
+    if (currentUser) {
+      setUserData(await getUserData(currentUser.uid));
+    }
+  }
+
+  async function handlePayoutMethodSaved(method) {
+    setShowPayoutMethodForm(false);
+    setPayoutMethodId(method.id);
+    await refreshUserData();
+  }
+
+  function closeWithdrawModal() {
+    setShowWithdrawModal(false);
+    setShowPayoutMethodForm(false);
+  }
+
+  async function handleRemovePayoutMethod(method) {
+    if (!window.confirm(`Remove ${describePayoutMethod(method)}?`)) return;
+
+    try {
+      await PayoutMethodService.removePayoutMethod(currentUser.uid, method.id);
+      if (payoutMethodId === method.id) {
+        setPayoutMethodId('');
+      }
+      await refreshUserData();
+    } catch (error) {
+      console.error('Error removing payout method:', error);
+    }
+  }
+
+  async function handleCopyReferralLink() {
+    try {
+      await navigator.clipboard.writeText(buildReferralLink(referralCode));
+      setReferralMessage('Referral link copied');
+    } catch (error) {
+      setReferralMessage('Could not copy the link, copy it from the box instead');
+    }
+  }
+  
+  // Pending withdrawals hold part of the balance until they are processed
+  const availableBalance = WalletService.getAvailableBalance(userData);
+  const heldBalance = userData?.heldBalance || 0;
+  const payoutMethods = userData?.payoutMethods || [];
+  const referralRewardsEarned = referrals
+    .filter(referral => referral.status === 'rewarded')
+    .reduce((sum, referral) => sum + (referral.rewardAmount || 0), 0);
 
   if (loading) {
     return <Container className="py-5"><p>Loading profile...</p></Container>;
@@ -70,9 +137,15 @@ function UserProfile() {
                 
                 <ListGroup variant="flush" className="mt-3">
                   <ListGroup.Item className="d-flex justify-content-between align-items-center py-2">
-                    <span className="small">Wallet Balance</span>
-                    <span className="text-success fw-bold">Rs. {userData?.walletBalance || 0}</span>
+                    <span className="small">Available Balance</span>
+                    <span className="text-success fw-bold">Rs. {availableBalance}</span>
                   </ListGroup.Item>
+                  {heldBalance > 0 && (
+                    <ListGroup.Item className="d-flex justify-content-between align-items-center py-2">
+                      <span className="small">On Hold</span>
+                      <span className="text-warning fw-bold">Rs. {heldBalance}</span>
+                    </ListGroup.Item>
+                  )}
                   <ListGroup.Item className="d-flex justify-content-between align-items-center py-2">
                     <span className="small">Joined Tournaments</span>
                     <span>{userData?.joinedTournaments?.length || 0}</span>
@@ -107,8 +180,11 @@ function UserProfile() {
                 
                 <h6 className="fs-6">Wallet Information</h6>
                 <p className="small">
-                  Your current balance is <strong className="text-success">Rs. {userData?.walletBalance || 0}</strong>.
+                  Your available balance is <strong className="text-success">Rs. {availableBalance}</strong>.
                   This balance can be used to join tournaments.
+                  {heldBalance > 0 && (
+                    <> A further <strong className="text-warning">Rs. {heldBalance}</strong> is on hold for your pending withdrawal requests and is released if a request is rejected.</>
+                  )}
                 </p>
                 
                 <div className="d-flex mt-3 flex-wrap gap-2">
@@ -124,11 +200,23 @@ function UserProfile() {
                     variant="outline-primary" 
                     size="sm"
                     className="me-2 mb-2"
-                    onClick={() => setShowWithdrawModal(true)}
-                    disabled={!userData?.walletBalance || userData?.walletBalance <= 0}
+                    onClick={() => {
+                      // Players without a saved method add one in the modal
+                      setShowPayoutMethodForm(payoutMethods.length === 0);
+                      setShowWithdrawModal(true);
+                    }}
+                    disabled={availableBalance <= 0}
                   >
                     Withdraw Funds
                   </Button>
+                  <Button 
+                    variant="outline-success"
+                    size="sm"
+                    className="me-2 mb-2"
+                    onClick={() => navigate('/wallet')}
+                  >
+                    Wallet Statement
+                  </Button>
                   <Button 
                     variant="outline-secondary"
                     size="sm"
@@ -148,15 +236,55 @@ function UserProfile() {
                   <Button 
                     variant="outline-info"
                     size="sm"
-                    className="mb-2"
+                    className="me-2 mb-2"
                     onClick={() => navigate('/rewards-history')}
                   >
                     Rewards History
                   </Button>
+                  <Button 
+                    variant="outline-secondary"
+                    size="sm"
+                    className="mb-2"
+                    onClick={() => navigate('/refund-history')}
+                  >
+                    Refund History
+                  </Button>
                 </div>
                 
                 <hr />
                 
+                <h6 className="fs-6">Payout Methods</h6>
+                {payoutMethods.length > 0 ? (
+                  <ListGroup className="mb-2">
+                    {payoutMethods.map(method => (
+                      <ListGroup.Item key={method.id} className="d-flex justify-content-between align-items-center py-2">
+                        <span className="small">
+                          <Badge bg="light" text="dark" className="me-2">{PAYOUT_METHOD_LABELS[method.type]}</Badge>
+                          {describePayoutMethod(method)}
+                        </span>
+                        <Button variant="outline-danger" size="sm" onClick={() => handleRemovePayoutMethod(method)}>
+                          Remove
+                        </Button>
+                      </ListGroup.Item>
+                    ))}
+                  </ListGroup>
+                ) : (
+                  <p className="small text-muted">Save a bank account, EasyPaisa or JazzCash number to withdraw to.</p>
+                )}
+                {showPayoutMethodForm && !showWithdrawModal ? (
+                  <PayoutMethodForm
+                    userId={currentUser.uid}
+                    onSaved={handlePayoutMethodSaved}
+                    onCancel={() => setShowPayoutMethodForm(false)}
+                  />
+                ) : (
+                  <Button variant="outline-primary" size="sm" className="mb-2" onClick={() => setShowPayoutMethodForm(true)}>
+                    Add Payout Method
+                  </Button>
+                )}
+                
+                <hr />
+                
                 <h6 className="fs-6">Rewards</h6>
                 <p className="small">
                   Any rewards or bonuses added to your account by administrators will be reflected in your wallet balance.
@@ -165,6 +293,37 @@ function UserProfile() {
                 
                 <hr />
                 
+                <h6 className="fs-6">Refer a Friend</h6>
+                {referralCode ? (
+                  <>
+                    <p className="small">
+                      Share your code <strong>{referralCode}</strong> or link. When a friend signs up with it and makes their
+                      first recharge or paid tournament entry, you get a reward in your wallet once it has been checked.
+                    </p>
+                    <div className="d-flex gap-2 mb-2">
+                      <Form.Control size="sm" type="text" value={buildReferralLink(referralCode)} readOnly />
+                      <Button variant="outline-primary" size="sm" onClick={handleCopyReferralLink}>
+                        Copy
+                      </Button>
+                    </div>
+                    {referralMessage && <p className="small text-muted mb-2">{referralMessage}</p>}
+                    {referrals.length > 0 ? (
+                      <p className="small">
+                        You have referred {referrals.length} {referrals.length === 1 ? 'player' : 'players'}
+                        {' '}({referrals.filter(referral => referral.status === 'pending').length} {REFERRAL_STATUS_LABELS.pending.toLowerCase()},
+                        {' '}{referrals.filter(referral => referral.status === 'qualified').length} {REFERRAL_STATUS_LABELS.qualified.toLowerCase()})
+                        and earned <strong className="text-success">Rs. {referralRewardsEarned}</strong>.
+                      </p>
+                    ) : (
+                      <p className="small text-muted">No one has signed up with your code yet.</p>
+                    )}
+                  </>
+                ) : (
+                  <p className="small text-muted">Loading your referral code...</p>
+                )}
+                
+                <hr />
+                
                 <h6 className="fs-6">Tournament History</h6>
                 {userData?.joinedTournaments?.length > 0 ? (
                   <p className="small">You have joined {userData.joinedTournaments.length} tournaments. View details in the My Tournaments section.</p>
@@ -180,7 +339,7 @@ function UserProfile() {
       </Container>
       
       {/* Withdraw Modal */}
-      <Modal show={showWithdrawModal} onHide={() => setShowWithdrawModal(false)} centered className="responsive-modal">
+      <Modal show={showWithdrawModal} onHide={closeWithdrawModal} centered className="responsive-modal">
         <Modal.Header closeButton>
           <Modal.Title className="fs-5">Withdraw Funds</Modal.Title>
         </Modal.Header>
@@ -191,54 +350,42 @@ function UserProfile() {
           <Form>
             <CSRFToken />
             
-            <Alert variant="danger" className="p-2 small mb-3">
-              <span style={{ color: 'red', fontWeight: 'bold' }}>payment will not be sent on jazzcash.</span>
-            </Alert>
-            
             <Form.Group className="mb-3">
               <Form.Label className="small">Available Balance</Form.Label>
               <Form.Control 
                 type="text" 
-                value={`Rs. ${userData?.walletBalance || 0}`} 
+                value={`Rs. ${availableBalance}`} 
                 disabled 
                 className="form-control-sm"
               />
             </Form.Group>
             
             <Form.Group className="mb-3">
-              <Form.Label className="small">Account Owner Name</Form.Label>
-              <Form.Control 
-                type="text" 
-                placeholder="Enter account owner name" 
-                value={accountName}
-                onChange={(e) => setAccountName(e.target.value)}
-                required 
-                className="form-control-sm"
-              />
-            </Form.Group>
-            
-            <Form.Group className="mb-3">
-              <Form.Label className="small">Bank Name</Form.Label>
-              <Form.Control 
-                type="text" 
-                placeholder="Enter bank name" 
-                value={bankName}
-                onChange={(e) => setBankName(e.target.value)}
-                required 
-                className="form-control-sm"
-              />
-            </Form.Group>
-            
-            <Form.Group className="mb-3">
-              <Form.Label className="small">Account Number</Form.Label>
-              <Form.Control 
-                type="text" 
-                placeholder="Enter account number" 
-                value={accountNumber}
-                onChange={(e) => setAccountNumber(e.target.value)}
-                required 
-                className="form-control-sm"
-              />
+              <Form.Label className="small">Pay To</Form.Label>
+              {payoutMethods.length > 0 && (
+                <Form.Select 
+                  value={payoutMethodId}
+                  onChange={(e) => setPayoutMethodId(e.target.value)}
+                  required 
+                  className="form-select-sm mb-2"
+                >
+                  <option value="">Choose a saved payout method</option>
+                  {payoutMethods.map(method => (
+                    <option key={method.id} value={method.id}>{describePayoutMethod(method)}</option>
+                  ))}
+                </Form.Select>
+              )}
+              {showPayoutMethodForm ? (
+                <PayoutMethodForm
+                  userId={currentUser.uid}
+                  onSaved={handlePayoutMethodSaved}
+                  onCancel={payoutMethods.length > 0 ? () => setShowPayoutMethodForm(false) : null}
+                />
+              ) : (
+                <Button variant="link" size="sm" className="p-0" onClick={() => setShowPayoutMethodForm(true)}>
+                  Add a new payout method
+                </Button>
+              )}
             </Form.Group>
             
             <Form.Group className="mb-3">
@@ -249,7 +396,7 @@ function UserProfile() {
                 value={withdrawAmount}
                 onChange={(e) => setWithdrawAmount(e.target.value)}
                 min="300"
-                max={userData?.walletBalance || 0}
+                max={availableBalance}
                 required 
                 className="form-control-sm"
               />
@@ -260,13 +407,13 @@ function UserProfile() {
           </Form>
         </Modal.Body>
         <Modal.Footer className="px-3 py-2 d-flex justify-content-between">
-          <Button variant="secondary" onClick={() => setShowWithdrawModal(false)} size="sm" className="px-3">
+          <Button variant="secondary" onClick={closeWithdrawModal} size="sm" className="px-3">
             Cancel
           </Button>
           <Button 
             variant="primary" 
             onClick={handleWithdrawRequest}
-            disabled={!withdrawAmount || withdrawAmount < 300 || withdrawAmount > userData?.walletBalance || !accountName || !accountNumber || !bankName}
+            disabled={!withdrawAmount || withdrawAmount < 300 || withdrawAmount > availableBalance || !payoutMethodId}
             size="sm"
             className="px-3"
           >
@@ -306,34 +453,22 @@ function UserProfile() {
         return;
       }
       
-      if (withdrawAmount > userData?.walletBalance) {
-        setError('Withdrawal amount cannot exceed your balance');
+      if (withdrawAmount > availableBalance) {
+        setError('Withdrawal amount cannot exceed your available balance');
         return;
       }
       
-      if (!accountName || !accountNumber || !bankName) {
-        setError('Please fill in all required fields');
+      if (!payoutMethodId) {
+        setError('Please choose where to send the withdrawal');
         return;
       }
       
-      // Sanitize inputs
-      const sanitizedAccountName = sanitizeInput(accountName);
-      const sanitizedAccountNumber = sanitizeInput(accountNumber);
-      const sanitizedBankName = sanitizeInput(bankName);
       const amount = parseFloat(withdrawAmount);
       
-      // Create withdrawal request in Firestore
-      await addDoc(collection(db, 'withdrawalRequests'), {
-        userId: currentUser.uid,
-        userEmail: currentUser.email,
-        accountName: sanitizedAccountName,
-        accountNumber: sanitizedAccountNumber,
-        bankName: sanitizedBankName,
-        amount: amount,
-        status: 'pending',
-        requestDate: new Date().toISOString(),
-        processedDate: null,
-        notes: ''
+      // Create the withdrawal request and hold the amount until it is processed
+      await WalletService.requestWithdrawal(currentUser, {
+        payoutMethodId,
+        amount
       });
       
       // Show success message
@@ -341,9 +476,7 @@ function UserProfile() {
       
       // Reset form
       setWithdrawAmount('');
-      setAccountName('');
-      setAccountNumber('');
-      setBankName('');
+      setPayoutMethodId('');
       setError('');
       
       // No need to refresh withdrawal history here as we'll redirect to the history page
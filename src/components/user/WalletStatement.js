@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Card, Table, Alert, Button, Spinner, Form, Row, Col, Badge } from 'react-bootstrap';
+import { doc, getDoc } from 'firebase/firestore';
+import { db } from '../../firebase/config';
+import { useAuth } from '../../contexts/AuthContext';
+import { Link } from 'react-router-dom';
+import WalletService from '../../services/WalletService';
+import {
+  TRANSACTION_TYPE_LABELS,
+  getTransactionTypeLabel,
+  getEntryDate,
+  filterStatement,
+  summarizeStatement,
+  buildStatementCsv
+} from '../../utils/walletStatement';
+
+function WalletStatement() {
+  const [entries, setEntries] = useState([]);
+  const [currentBalance, setCurrentBalance] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [filters, setFilters] = useState({ from: '', to: '', type: 'all' });
+  const { currentUser } = useAuth();
+
+  useEffect(() => {
+    if (currentUser) {
+      fetchStatement();
+    }
+  }, [currentUser]);
+
+  async function fetchStatement() {
+    try {
+      setLoading(true);
+
+      const [ledger, userDoc] = await Promise.all([
+        WalletService.getTransactions(currentUser.uid),
+        getDoc(doc(db, 'users', currentUser.uid))
+      ]);
+
+      setEntries(ledger);
+      setCurrentBalance(userDoc.exists() ? userDoc.data().walletBalance || 0 : 0);
+    } catch (error) {
+      setError('Failed to load wallet statement: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function handleFilterChange(e) {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  }
+
+  function handleDownloadCsv() {
+    const blob = new Blob([buildStatementCsv(statement)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `wallet-statement-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+
+    URL.revokeObjectURL(url);
+  }
+
+  function formatDate(entry) {
+    const date = getEntryDate(entry);
+    return date ? date.toLocaleDateString() + ' ' + date.toLocaleTimeString() : 'Pending';
+  }
+
+  const statement = filterStatement(entries, filters);
+  // Balances and totals cover the whole period, whichever type is shown
+  const summary = summarizeStatement(filterStatement(entries, { ...filters, type: 'all' }));
+
+  return (
+    <Container className="py-3 px-3 px-md-4">
+      <Card>
+        <Card.Header className="d-flex justify-content-between align-items-center py-2 px-3">
+          <h5 className="mb-0 fs-5">Wallet Statement</h5>
+          <Link to="/profile" className="d-print-none">
+            <Button variant="outline-primary" size="sm" className="px-2 py-1">Back to Profile</Button>
+          </Link>
+        </Card.Header>
+        <Card.Body className="p-2 p-md-3">
+          {error && <Alert variant="danger" className="p-2 small">{error}</Alert>}
+
+          <Form className="d-print-none mb-3">
+            <Row className="g-2 align-items-end">
+              <Col xs={6} md={3}>
+                <Form.Label className="small mb-1">From</Form.Label>
+                <Form.Control type="date" size="sm" name="from" value={filters.from} onChange={handleFilterChange} />
+              </Col>
+              <Col xs={6} md={3}>
+                <Form.Label className="small mb-1">To</Form.Label>
+                <Form.Control type="date" size="sm" name="to" value={filters.to} onChange={handleFilterChange} />
+              </Col>
+              <Col xs={12} md={3}>
+                <Form.Label className="small mb-1">Type</Form.Label>
+                <Form.Select size="sm" name="type" value={filters.type} onChange={handleFilterChange}>
+                  <option value="all">All transactions</option>
+                  {Object.entries(TRANSACTION_TYPE_LABELS).map(([type, label]) => (
+                    <option key={type} value={type}>{label}</option>
+                  ))}
+                </Form.Select>
+              </Col>
+              <Col xs={12} md={3} className="d-flex gap-2">
+                <Button variant="outline-success" size="sm" onClick={handleDownloadCsv} disabled={statement.length === 0}>
+                  Download CSV
+                </Button>
+                <Button variant="outline-secondary" size="sm" onClick={() => window.print()} disabled={statement.length === 0}>
+                  Print / PDF
+                </Button>
+              </Col>
+            </Row>
+          </Form>
+
+          {loading ? (
+            <div className="text-center py-3">
+              <Spinner animation="border" role="status" size="sm">
+                <span className="visually-hidden">Loading...</span>
+              </Spinner>
+              <p className="mt-2 small">Loading wallet statement...</p>
+            </div>
+          ) : statement.length > 0 ? (
+            <>
+              <Row className="g-2 mb-3 small">
+                <Col xs={6} md={3}><strong>Opening balance:</strong> Rs. {summary.openingBalance}</Col>
+                <Col xs={6} md={3}><strong>Credits:</strong> Rs. {summary.totalCredits}</Col>
+                <Col xs={6} md={3}><strong>Debits:</strong> Rs. {summary.totalDebits}</Col>
+                <Col xs={6} md={3}><strong>Closing balance:</strong> Rs. {summary.closingBalance}</Col>
+              </Row>
+
+              <div className="table-responsive">
+                <Table striped bordered hover size="sm" className="small">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Type</th>
+                      <th>Description</th>
+                      <th>Amount</th>
+                      <th>Balance</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {statement.map(entry => (
+                      <tr key={entry.id}>
+                        <td>{formatDate(entry)}</td>
+                        <td>
+                          <Badge bg={entry.amount < 0 ? 'danger' : 'success'}>
+                            {getTransactionTypeLabel(entry.type)}
+                          </Badge>
+                        </td>
+                        <td>
+                          {entry.referenceType === 'tournament' ? (
+                            <Link to={`/tournaments/${entry.referenceId}`}>{entry.description}</Link>
+                          ) : entry.description}
+                        </td>
+                        <td className={entry.amount < 0 ? 'text-danger' : 'text-success'}>
+                          {entry.amount < 0 ? '-' : '+'}Rs. {Math.abs(entry.amount)}
+                        </td>
+                        <td>Rs. {entry.balanceAfter}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </div>
+            </>
+          ) : entries.length > 0 ? (
+            <Alert variant="info" className="p-2 small">
+              No transactions match these filters.
+            </Alert>
+          ) : (
+            <Alert variant="info" className="p-2 small">
+              Your statement starts with your next wallet transaction. Your current balance is Rs. {currentBalance}.
+            </Alert>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+}
+
+export default WalletStatement;
@@ -129,7 +129,7 @@ function WithdrawalHistory() {
                       <td>Rs. {withdrawal.amount}</td>
                       <td>
                         <div className="mb-1 small"><strong>Name:</strong> {withdrawal.accountName}</div>
-                        <div className="mb-1 small"><strong>Bank:</strong> {withdrawal.bankName}</div>
+                        <div className="mb-1 small"><strong>{withdrawal.payoutMethodType && withdrawal.payoutMethodType !== 'bank' ? 'Method' : 'Bank'}:</strong> {withdrawal.bankName}</div>
                         <div className="small"><strong>Account:</strong> {withdrawal.accountNumber.substring(0, 4)}****</div>
                       </td>
                       <td>
@@ -13,6 +13,7 @@ import {
 } from 'firebase/auth';
 import { doc, setDoc, getDoc, collection, query, where, getDocs } from 'firebase/firestore';
 import { auth, db } from '../firebase/config';
+import ReferralService from '../services/ReferralService';
 import DOMPurify from 'dompurify';
 import validator from 'validator';
 
@@ -59,13 +60,31 @@ export function AuthProvider({ children }) {
     return input;
   }
 
-  async function signup(email, password) {
+  // Give a new account its own referral code and record who referred it.
+  // The account already exists by now, so a failure here must not fail the signup.
+  async function setUpReferral(user, referralCode) {
+    try {
+      await ReferralService.getOrCreateReferralCode(user.uid);
+      if (referralCode) {
+        await ReferralService.recordReferral(user, referralCode);
+      }
+    } catch (error) {
+      console.error('Error setting up referral:', error);
+    }
+  }
+
+  async function signup(email, password, referralCode = '') {
     // Sanitize inputs
     const sanitizedEmail = sanitizeInput(email);
     
     // Validate credentials
     validateCredentials(sanitizedEmail, password);
     
+    // Reject a mistyped referral code before the account is created
+    if (referralCode) {
+      await ReferralService.checkReferralCode(referralCode);
+    }
+    
     const userCredential = await createUserWithEmailAndPassword(auth, sanitizedEmail, password);
     
     // Send email verification
@@ -83,6 +102,8 @@ export function AuthProvider({ children }) {
       loginAttempts: 0
     });
 
+    await setUpReferral(userCredential.user, referralCode);
+
     return userCredential;
   }
 
@@ -141,8 +162,13 @@ export function AuthProvider({ children }) {
     }
   }
   
-  async function loginWithGoogle() {
+  async function loginWithGoogle(referralCode = '') {
     try {
+      // A referral code only applies if this sign-in creates the account
+      if (referralCode) {
+        await ReferralService.checkReferralCode(referralCode);
+      }
+      
       const provider = new GoogleAuthProvider();
       // Add scopes for additional user info if needed
       provider.addScope('profile');
@@ -202,6 +228,8 @@ export function AuthProvider({ children }) {
           loginAttempts: 0,
           authProvider: 'google'
         });
+        
+        await setUpReferral(result.user, referralCode);
       } else {
         // Update existing user's last login
         await setDoc(userRef, {
@@ -0,0 +1,129 @@
+import { collection, doc, getDoc, runTransaction, setDoc } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { PAYOUT_METHOD_LABELS } from '../utils/payoutMethods';
+import {
+  DEPOSIT_SELECTION_STRATEGIES,
+  DEFAULT_DEPOSIT_SELECTION_STRATEGY,
+  getDepositAccounts,
+  getUsageDateKey,
+  getAccountUsage,
+  pickDepositAccount
+} from '../utils/depositAccounts';
+
+/**
+ * Service for the accounts players pay recharges into
+ *
+ * Each recharge request records the account the player was shown and counts
+ * its amount against that account's usage for the day, so the next player
+ * is shown the account the admin's selection strategy picks.
+ */
+class DepositAccountService {
+  /**
+   * Get the deposit accounts and how players are assigned to them
+   * @returns {Promise<{accounts: Array<Object>, selectionStrategy: string}>}
+   */
+  static async getSettings() {
+    const settingsDoc = await getDoc(doc(db, 'adminSettings', 'paymentAccounts'));
+    const data = settingsDoc.exists() ? settingsDoc.data() : {};
+
+    return {
+      accounts: getDepositAccounts(data),
+      selectionStrategy: Object.keys(DEPOSIT_SELECTION_STRATEGIES).includes(data.selectionStrategy)
+        ? data.selectionStrategy
+        : DEFAULT_DEPOSIT_SELECTION_STRATEGY
+    };
+  }
+
+  /**
+   * Save the deposit accounts
+   * @param {Array<Object>} accounts - The accounts, already sanitized
+   * @param {string} selectionStrategy - One of DEPOSIT_SELECTION_STRATEGIES
+   * @returns {Promise<void>}
+   */
+  static async saveSettings(accounts, selectionStrategy) {
+    await setDoc(doc(db, 'adminSettings', 'paymentAccounts'), {
+      accounts,
+      selectionStrategy,
+      updatedAt: new Date().toISOString()
+    }, { merge: true });
+  }
+
+  /**
+   * Get what has been requested into each account on a day
+   * @param {Date} [date] - Any time on the UTC day
+   * @returns {Promise<Object>} - The depositAccountUsage document data
+   */
+  static async getUsage(date = new Date()) {
+    const usageDoc = await getDoc(doc(db, 'depositAccountUsage', getUsageDateKey(date)));
+    return usageDoc.exists() ? usageDoc.data() : {};
+  }
+
+  /**
+   * Pick the account to show a player for a recharge
+   * @param {string} method - The payment method the player chose
+   * @param {number} amount - The amount they will pay
+   * @returns {Promise<Object|null>} - null if no account of the method can take the amount today
+   */
+  static async pickAccount(method, amount) {
+    const [{ accounts, selectionStrategy }, usage] = await Promise.all([
+      DepositAccountService.getSettings(),
+      DepositAccountService.getUsage()
+    ]);
+
+    return pickDepositAccount(accounts, usage, { method, amount }, selectionStrategy);
+  }
+
+  /**
+   * Create a recharge request that records the account the player was told to
+   * pay, and count its amount against that account for the day. The player has
+   * already paid by now, so an account that was disabled or went over its limit
+   * in the meantime is still recorded.
+   * @param {Object} user - The requesting user ({ uid, email })
+   * @param {Object} details - The recharge, already sanitized
+   * @param {Object} account - The deposit account the player was shown
+   * @returns {Promise<string>} - The recharge request ID
+   */
+  static async requestRecharge(user, details, account) {
+    const requestRef = doc(collection(db, 'rechargeRequests'));
+    const usageRef = doc(db, 'depositAccountUsage', getUsageDateKey());
+
+    await runTransaction(db, async (transaction) => {
+      const usageDoc = await transaction.get(usageRef);
+      const usage = getAccountUsage(usageDoc.exists() ? usageDoc.data() : {}, account.id);
+
+      transaction.set(requestRef, {
+        ...details,
+        userId: user.uid,
+        userEmail: user.email,
+        paymentMethod: PAYOUT_METHOD_LABELS[account.method] || account.method,
+        depositAccountId: account.id,
+        depositAccount: {
+          method: account.method,
+          label: account.label,
+          accountName: account.accountName,
+          accountNumber: account.accountNumber,
+          bankName: account.bankName || null
+        },
+        status: 'pending',
+        requestDate: new Date().toISOString(),
+        processedDate: null,
+        notes: ''
+      });
+
+      // The security rules match the usage increase against this request
+      transaction.set(usageRef, {
+        accounts: {
+          [account.id]: {
+            requestedAmount: usage.requestedAmount + details.amount,
+            requestCount: usage.requestCount + 1
+          }
+        },
+        lastRechargeRequestId: requestRef.id
+      }, { merge: true });
+    });
+
+    return requestRef.id;
+  }
+}
+
+export default DepositAccountService;
@@ -0,0 +1,165 @@
+import { collection, doc, getDocs, query, where, runTransaction, writeBatch, updateDoc, serverTimestamp, Timestamp } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { getTournamentStartTime } from '../utils/tournamentSchedule';
+import {
+  getRoundDays,
+  buildFixtures,
+  getScoreError,
+  getFixtureWinner,
+  calculateLeagueTable,
+  isLeagueComplete
+} from '../utils/league';
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 500;
+
+async function commitInBatches(writes) {
+  for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+    const batch = writeBatch(db);
+    writes.slice(i, i + BATCH_SIZE).forEach(write => write(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * Service for round-robin league fixtures
+ *
+ * Fixtures are `leagueFixtures` documents rather than part of the tournament,
+ * so the two players of a fixture can record its confirmed score (see
+ * MatchReportService) without being able to touch the rest of the tournament.
+ * Fixtures whose deadline passes without a result are forfeited by the scheduler.
+ */
+class LeagueService {
+  /**
+   * Get the fixtures of a league
+   * @param {string} tournamentId - The league tournament
+   * @returns {Promise<Array<Object>>} - Ordered by round
+   */
+  static async getFixtures(tournamentId) {
+    const snapshot = await getDocs(query(collection(db, 'leagueFixtures'), where('tournamentId', '==', tournamentId)));
+
+    return snapshot.docs
+      .map(fixtureDoc => ({ id: fixtureDoc.id, ...fixtureDoc.data() }))
+      .sort((a, b) => a.round - b.round || a.match - b.match);
+  }
+
+  /**
+   * Generate the fixtures of a league from its current participants, replacing
+   * any fixtures generated before. The first round starts at the tournament's
+   * start time, or now if that has passed. Large leagues take more than one
+   * batch, so the tournament's `league` summary is written last, once every
+   * fixture is in place.
+   * @param {Object} tournament - The tournament, with `id`
+   * @param {string} generatedBy - The uid of the admin
+   * @returns {Promise<number>} - The number of fixtures
+   */
+  static async generateFixtures(tournament, generatedBy) {
+    const existing = await LeagueService.getFixtures(tournament.id);
+    if (existing.some(fixture => fixture.status !== 'scheduled')) {
+      throw new Error('Fixtures cannot be regenerated once a fixture has been played or forfeited');
+    }
+
+    const startTime = getTournamentStartTime(tournament);
+    const startsAt = startTime && startTime > new Date() ? startTime : new Date();
+    const roundDays = getRoundDays(tournament);
+    const fixtures = buildFixtures(tournament.participants || [], startsAt, roundDays);
+
+    const writes = [
+      ...existing.map(fixture => batch => batch.delete(doc(db, 'leagueFixtures', fixture.id))),
+      ...fixtures.map(fixture => batch => batch.set(doc(collection(db, 'leagueFixtures')), {
+        ...fixture,
+        tournamentId: tournament.id,
+        gameName: tournament.gameName || null,
+        deadline: Timestamp.fromDate(fixture.deadline),
+        status: 'scheduled',
+        homeScore: null,
+        awayScore: null,
+        winnerId: null,
+        createdAt: serverTimestamp()
+      }))
+    ];
+    await commitInBatches(writes);
+
+    await updateDoc(doc(db, 'tournaments', tournament.id), {
+      league: {
+        roundDays,
+        roundCount: Math.max(0, ...fixtures.map(fixture => fixture.round)),
+        fixtureCount: fixtures.length,
+        startsAt: Timestamp.fromDate(startsAt),
+        generatedAt: Timestamp.now(),
+        generatedBy
+      },
+      updatedAt: Timestamp.now()
+    });
+    return fixtures.length;
+  }
+
+  /**
+   * Enter or correct the score of a fixture as an admin, including fixtures
+   * that were forfeited
+   * @param {string} fixtureId - The fixture
+   * @param {{homeScore: number, awayScore: number}} score - The score
+   * @param {string} adminId - The uid of the admin
+   * @returns {Promise<void>}
+   */
+  static async setScore(fixtureId, { homeScore, awayScore }, adminId) {
+    const scoreError = getScoreError(homeScore, awayScore);
+    if (scoreError) {
+      throw new Error(scoreError);
+    }
+
+    const fixtureRef = doc(db, 'leagueFixtures', fixtureId);
+
+    await runTransaction(db, async (transaction) => {
+      const fixtureDoc = await transaction.get(fixtureRef);
+      if (!fixtureDoc.exists()) {
+        throw new Error('Fixture not found');
+      }
+
+      transaction.update(fixtureRef, {
+        status: 'completed',
+        homeScore: Number(homeScore),
+        awayScore: Number(awayScore),
+        winnerId: getFixtureWinner(fixtureDoc.data(), Number(homeScore), Number(awayScore)),
+        reportedBy: adminId,
+        reportedAt: serverTimestamp(),
+        resolvedBy: 'admin'
+      });
+    });
+  }
+
+  /**
+   * Save the final league table as the tournament results, so prizes can be
+   * distributed like any other tournament
+   * @param {Object} tournament - The tournament, with `id`
+   * @param {Array<Object>} fixtures - The league's fixtures
+   * @returns {Promise<Array<Object>>} - The saved `playerResults`
+   */
+  static async saveFinalStandings(tournament, fixtures) {
+    if (tournament.prizesDistributedAt) {
+      throw new Error('Results cannot be changed after prizes have been distributed');
+    }
+    if (!isLeagueComplete(fixtures)) {
+      throw new Error('Every fixture needs a result or a forfeit first');
+    }
+
+    const playerResults = calculateLeagueTable(tournament.participants || [], fixtures).map(row => ({
+      userId: row.userId,
+      username: row.name,
+      placement: row.rank,
+      kills: 0,
+      disqualified: false,
+      disqualificationReason: ''
+    }));
+
+    await updateDoc(doc(db, 'tournaments', tournament.id), {
+      playerResults,
+      resultsUpdatedAt: Timestamp.now(),
+      updatedAt: Timestamp.now()
+    });
+
+    return playerResults;
+  }
+}
+
+export default LeagueService;
@@ -0,0 +1,297 @@
+import { collection, doc, getDocs, query, where, runTransaction, serverTimestamp, deleteField, Timestamp } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { buildBracket, recordMatchWinner, buildBracketPlayerResults, getReadyMatches } from '../utils/brackets';
+import { getFixtureDeadline, getScoreError, getFixtureWinner } from '../utils/league';
+import { getMatchReportId, getOpponentReport, reportsAgree } from '../utils/matchReports';
+
+/**
+ * Reads the match a report is about inside a transaction and checks it can
+ * still take a player's result
+ * @returns {Promise<{matchRef: Object, matchData: Object}>}
+ */
+async function getOpenMatch(transaction, match) {
+  if (match.source === 'league') {
+    const matchRef = doc(db, 'leagueFixtures', match.matchId);
+    const fixtureDoc = await transaction.get(matchRef);
+    if (!fixtureDoc.exists()) {
+      throw new Error('Fixture not found');
+    }
+
+    const fixture = fixtureDoc.data();
+    if (fixture.status !== 'scheduled') {
+      throw new Error('This fixture already has a result');
+    }
+    if (getFixtureDeadline(fixture) <= new Date()) {
+      throw new Error('The deadline for this fixture has passed');
+    }
+
+    return { matchRef, matchData: fixture };
+  }
+
+  const matchRef = doc(db, 'tournaments', match.tournamentId);
+  const tournamentDoc = await transaction.get(matchRef);
+  if (!tournamentDoc.exists()) {
+    throw new Error('Tournament not found');
+  }
+
+  const tournament = tournamentDoc.data();
+  const bracketMatch = buildBracket(tournament.bracket).find(entry => entry.id === match.matchId);
+  if (tournament.status !== 'live' || tournament.prizesDistributedAt) {
+    throw new Error('Results can only be reported while the tournament is live');
+  }
+  if (bracketMatch?.status !== 'ready') {
+    throw new Error('This match already has a result');
+  }
+  if (bracketMatch.players[0].userId !== match.homeId || bracketMatch.players[1].userId !== match.awayId) {
+    throw new Error('The players of this match have changed, reload the page');
+  }
+
+  return { matchRef, matchData: tournament };
+}
+
+/**
+ * Records the agreed or decided result on the fixture or the bracket. Players
+ * only record league scores; confirmed bracket results are recorded by the
+ * scheduler, and admins record both.
+ */
+function recordResult(transaction, report, { matchRef, matchData }, result) {
+  if (report.source === 'league') {
+    transaction.update(matchRef, {
+      status: 'completed',
+      homeScore: result.homeScore,
+      awayScore: result.awayScore,
+      winnerId: result.winnerId,
+      reportedBy: result.recordedBy,
+      reportedAt: serverTimestamp(),
+      resolvedBy: result.resolvedBy
+    });
+    return;
+  }
+
+  if (matchData.prizesDistributedAt) {
+    throw new Error('Results cannot be changed after prizes have been distributed');
+  }
+
+  const bracket = recordMatchWinner(matchData.bracket, report.matchId, result.winnerId, { reportId: result.reportId });
+
+  // Once the final is decided the placements feed prize distribution like any other results
+  transaction.update(matchRef, {
+    bracket,
+    readyMatches: getReadyMatches(bracket),
+    playerResults: buildBracketPlayerResults(bracket) || deleteField(),
+    resultsUpdatedAt: Timestamp.now(),
+    updatedAt: Timestamp.now()
+  });
+}
+
+/**
+ * Service for player-reported 1v1 results and their disputes
+ */
+class MatchReportService {
+  /**
+   * Get the reports of every match a player is in
+   * @param {string} userId - The player
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getReportsForUser(userId) {
+    const snapshot = await getDocs(query(collection(db, 'matchReports'), where('playerIds', 'array-contains', userId)));
+    return snapshot.docs.map(reportDoc => ({ id: reportDoc.id, ...reportDoc.data() }));
+  }
+
+  /**
+   * Get the reports waiting for an admin to settle them
+   * @returns {Promise<Array<Object>>} - Oldest dispute first
+   */
+  static async getDisputes() {
+    const snapshot = await getDocs(query(collection(db, 'matchReports'), where('status', '==', 'disputed')));
+
+    return snapshot.docs
+      .map(reportDoc => ({ id: reportDoc.id, ...reportDoc.data() }))
+      .sort((a, b) => (a.disputedAt?.toMillis?.() || 0) - (b.disputedAt?.toMillis?.() || 0));
+  }
+
+  /**
+   * Report the score of one of the player's 1v1 matches. The first report waits
+   * for the opponent's; a matching second report confirms the result and a
+   * conflicting one opens a dispute. A confirmed league score is recorded on
+   * the fixture straight away, a bracket result by the scheduler's next run.
+   * A player can change their report until the opponent has reported.
+   * @param {Object} match - From getReportableMatches
+   * @param {Object} user - The reporting player ({ uid })
+   * @param {{homeScore: number, awayScore: number, screenshotUrl: string|null}} score - The score and optional proof
+   * @returns {Promise<string>} - The report status: 'pending', 'confirmed' or 'disputed'
+   */
+  static async submitReport(match, user, { homeScore, awayScore, screenshotUrl }) {
+    const scoreError = getScoreError(homeScore, awayScore);
+    if (scoreError) {
+      throw new Error(scoreError);
+    }
+    if (match.homeId !== user.uid && match.awayId !== user.uid) {
+      throw new Error('You can only report your own matches');
+    }
+
+    const reportId = getMatchReportId(match);
+    const reportRef = doc(db, 'matchReports', reportId);
+
+    return runTransaction(db, async (transaction) => {
+      const reportDoc = await transaction.get(reportRef);
+      const openMatch = await getOpenMatch(transaction, match);
+
+      const existing = reportDoc.exists() ? reportDoc.data() : null;
+      if (existing && existing.status !== 'pending') {
+        throw new Error(existing.status === 'disputed'
+          ? 'This result is disputed and waiting for an admin'
+          : 'This result has already been confirmed');
+      }
+
+      const ownReport = {
+        userId: user.uid,
+        homeScore: Number(homeScore),
+        awayScore: Number(awayScore),
+        screenshotUrl: screenshotUrl || null,
+        reportedAt: Timestamp.now()
+      };
+      const opponentReport = getOpponentReport(existing, user.uid);
+
+      if (!existing) {
+        transaction.set(reportRef, {
+          tournamentId: match.tournamentId,
+          gameName: match.gameName || null,
+          source: match.source,
+          matchId: match.matchId,
+          matchLabel: match.matchLabel,
+          homeId: match.homeId,
+          homeName: match.homeName,
+          awayId: match.awayId,
+          awayName: match.awayName,
+          playerIds: [match.homeId, match.awayId],
+          reports: { [user.uid]: ownReport },
+          status: 'pending',
+          createdAt: serverTimestamp(),
+          updatedAt: serverTimestamp()
+        });
+        return 'pending';
+      }
+
+      // Only the player's own entry is written, the opponent's report is left as it is
+      const ownReportField = `reports.${user.uid}`;
+
+      if (!opponentReport) {
+        transaction.update(reportRef, {
+          [ownReportField]: ownReport,
+          updatedAt: serverTimestamp()
+        });
+        return 'pending';
+      }
+
+      if (!reportsAgree(opponentReport, ownReport)) {
+        transaction.update(reportRef, {
+          [ownReportField]: ownReport,
+          status: 'disputed',
+          disputeReason: 'conflict',
+          disputedAt: serverTimestamp(),
+          updatedAt: serverTimestamp()
+        });
+        return 'disputed';
+      }
+
+      const winnerId = getFixtureWinner(existing, ownReport.homeScore, ownReport.awayScore);
+
+      if (existing.source === 'league') {
+        recordResult(transaction, existing, openMatch, {
+          homeScore: ownReport.homeScore,
+          awayScore: ownReport.awayScore,
+          winnerId,
+          recordedBy: user.uid,
+          resolvedBy: 'player',
+          reportId
+        });
+      }
+      transaction.update(reportRef, {
+        [ownReportField]: ownReport,
+        status: 'confirmed',
+        homeScore: ownReport.homeScore,
+        awayScore: ownReport.awayScore,
+        winnerId,
+        ...(existing.source === 'bracket' && { recorded: false }),
+        confirmedAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+      return 'confirmed';
+    });
+  }
+
+  /**
+   * Settle a disputed report with the score the admin decided on, record the
+   * result and let both players know
+   * @param {string} reportId - The match report
+   * @param {{homeScore: number, awayScore: number}} score - The decided score
+   * @param {string} adminId - The uid of the admin
+   * @param {string} [note] - Why the admin decided this, shown to the players
+   * @returns {Promise<void>}
+   */
+  static async resolveDispute(reportId, { homeScore, awayScore }, adminId, note = '') {
+    const scoreError = getScoreError(homeScore, awayScore);
+    if (scoreError) {
+      throw new Error(scoreError);
+    }
+
+    const reportRef = doc(db, 'matchReports', reportId);
+
+    await runTransaction(db, async (transaction) => {
+      const reportDoc = await transaction.get(reportRef);
+      if (!reportDoc.exists()) {
+        throw new Error('Report not found');
+      }
+
+      const report = reportDoc.data();
+      if (report.status !== 'disputed') {
+        throw new Error('This report is not disputed');
+      }
+
+      // Admins may settle a match whose deadline has passed or that was decided in the meantime
+      const matchRef = report.source === 'league'
+        ? doc(db, 'leagueFixtures', report.matchId)
+        : doc(db, 'tournaments', report.tournamentId);
+      const matchDoc = await transaction.get(matchRef);
+      if (!matchDoc.exists()) {
+        throw new Error(report.source === 'league' ? 'Fixture not found' : 'Tournament not found');
+      }
+
+      const winnerId = getFixtureWinner(report, Number(homeScore), Number(awayScore));
+
+      recordResult(transaction, report, { matchRef, matchData: matchDoc.data() }, {
+        homeScore: Number(homeScore),
+        awayScore: Number(awayScore),
+        winnerId,
+        recordedBy: adminId,
+        resolvedBy: 'admin',
+        reportId
+      });
+      transaction.update(reportRef, {
+        status: 'resolved',
+        homeScore: Number(homeScore),
+        awayScore: Number(awayScore),
+        winnerId,
+        resolvedBy: adminId,
+        resolvedAt: serverTimestamp(),
+        resolutionNote: note || null,
+        updatedAt: serverTimestamp()
+      });
+
+      report.playerIds.forEach(userId => {
+        transaction.set(doc(collection(db, 'notifications')), {
+          userId,
+          type: 'match_dispute_resolved',
+          tournamentId: report.tournamentId,
+          title: 'Match result decided',
+          message: `An admin settled the disputed ${report.matchLabel} result in ${report.gameName || 'your tournament'}: ${report.homeName} ${homeScore} - ${awayScore} ${report.awayName}.${note ? ` ${note}` : ''}`,
+          read: false,
+          createdAt: serverTimestamp()
+        });
+      });
+    });
+  }
+}
+
+export default MatchReportService;
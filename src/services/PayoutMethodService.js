@@ -0,0 +1,97 @@
+import { doc, getDoc, runTransaction } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import {
+  MAX_PAYOUT_METHODS,
+  normalizeAccountNumber,
+  getPayoutMethodError,
+  getPayoutAccountKey
+} from '../utils/payoutMethods';
+
+/**
+ * Service for the payout methods players save for withdrawals
+ *
+ * Methods live in the `payoutMethods` array on the user document and are
+ * changed in transactions so two tabs cannot overwrite each other's changes.
+ */
+class PayoutMethodService {
+  /**
+   * Get a user's saved payout methods
+   * @param {string} userId - The user
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getPayoutMethods(userId) {
+    const userDoc = await getDoc(doc(db, 'users', userId));
+    return userDoc.exists() ? userDoc.data().payoutMethods || [] : [];
+  }
+
+  /**
+   * Save a new payout method
+   * @param {string} userId - The user
+   * @param {Object} details - The method, already sanitized
+   * @param {string} details.type - One of PAYOUT_METHOD_TYPES
+   * @param {string} details.accountName - The account holder's name
+   * @param {string} details.accountNumber - The IBAN, account number or mobile wallet number
+   * @param {string} [details.bankName] - For bank transfers, the bank
+   * @returns {Promise<Object>} - The saved method
+   * @throws {Error} If the method is invalid, already saved, or the user has too many
+   */
+  static async addPayoutMethod(userId, details) {
+    const method = {
+      id: window.crypto.randomUUID(),
+      type: details.type,
+      accountName: (details.accountName || '').trim(),
+      accountNumber: normalizeAccountNumber(details.type, details.accountNumber),
+      bankName: details.type === 'bank' ? (details.bankName || '').trim() : null,
+      createdAt: new Date().toISOString()
+    };
+
+    const error = getPayoutMethodError(method);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const userRef = doc(db, 'users', userId);
+
+    await runTransaction(db, async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+      if (!userDoc.exists()) {
+        throw new Error('User not found');
+      }
+
+      const methods = userDoc.data().payoutMethods || [];
+      if (methods.length >= MAX_PAYOUT_METHODS) {
+        throw new Error(`You can save up to ${MAX_PAYOUT_METHODS} payout methods, remove one first`);
+      }
+      if (methods.some(saved => getPayoutAccountKey(saved) === getPayoutAccountKey(method))) {
+        throw new Error('You have already saved this account');
+      }
+
+      transaction.update(userRef, { payoutMethods: [...methods, method] });
+    });
+
+    return method;
+  }
+
+  /**
+   * Remove a saved payout method. Withdrawal requests already made keep their copy.
+   * @param {string} userId - The user
+   * @param {string} methodId - The method to remove
+   * @returns {Promise<void>}
+   */
+  static async removePayoutMethod(userId, methodId) {
+    const userRef = doc(db, 'users', userId);
+
+    await runTransaction(db, async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+      if (!userDoc.exists()) {
+        throw new Error('User not found');
+      }
+
+      transaction.update(userRef, {
+        payoutMethods: (userDoc.data().payoutMethods || []).filter(method => method.id !== methodId)
+      });
+    });
+  }
+}
+
+export default PayoutMethodService;
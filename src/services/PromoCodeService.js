@@ -0,0 +1,176 @@
+import { collection, doc, getDoc, getDocs, query, where, runTransaction, updateDoc, serverTimestamp, Timestamp } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { PROMO_CODE_TYPES, normalizePromoCode, getPromoRedemptionId, getPromoCodeError } from '../utils/promoCodes';
+
+/**
+ * Service for admin-managed promo codes
+ *
+ * Codes are documents in `promoCodes` keyed by the normalized code. Every
+ * redemption increments the code's usage counters and is kept in
+ * `promoRedemptions`, written in the same transaction as whatever the code
+ * gave the user, so usage limits hold even when codes are redeemed at once.
+ */
+class PromoCodeService {
+  /**
+   * Create a promo code
+   * @param {Object} details - The promo code, already sanitized
+   * @param {string} details.code - The code users enter
+   * @param {string} details.type - One of PROMO_CODE_TYPES
+   * @param {number} [details.bonusPercent] - For recharge bonuses, the percentage of the recharge
+   * @param {number} [details.maxBonus] - For recharge bonuses, the largest bonus in rupees, 0 for no cap
+   * @param {number} [details.amount] - For wallet credits, the amount in rupees
+   * @param {string} [details.tournamentId] - For free entry, the only tournament it is valid for
+   * @param {string} [details.tournamentName] - The name of that tournament
+   * @param {string} [details.gameType] - For free entry, the only game type it is valid for
+   * @param {number} details.usageLimit - Total redemptions allowed, 0 for no limit
+   * @param {number} details.perUserLimit - Redemptions allowed per user, 0 for no limit
+   * @param {Date|null} details.expiresAt - When the code stops working, or null
+   * @param {Object} admin - The creating admin ({ uid, email })
+   * @returns {Promise<string>} - The normalized code
+   */
+  static async createPromoCode(details, admin) {
+    const code = normalizePromoCode(details.code);
+
+    if (!/^[A-Z0-9_-]{3,20}$/.test(code)) {
+      throw new Error('Codes are 3 to 20 letters, numbers, dashes or underscores');
+    }
+    if (!PROMO_CODE_TYPES.includes(details.type)) {
+      throw new Error('Choose what the promo code gives');
+    }
+    if (details.type === 'recharge_bonus' && !(details.bonusPercent > 0 && details.bonusPercent <= 100)) {
+      throw new Error('The recharge bonus must be between 1 and 100%');
+    }
+    if (details.type === 'wallet_credit' && !(details.amount > 0)) {
+      throw new Error('Enter a wallet credit greater than 0');
+    }
+    if (details.usageLimit < 0 || details.perUserLimit < 0) {
+      throw new Error('Usage limits cannot be negative');
+    }
+
+    const promoRef = doc(db, 'promoCodes', code);
+
+    await runTransaction(db, async (transaction) => {
+      const promoDoc = await transaction.get(promoRef);
+      if (promoDoc.exists()) {
+        throw new Error(`The code ${code} already exists`);
+      }
+
+      transaction.set(promoRef, {
+        code,
+        type: details.type,
+        bonusPercent: details.type === 'recharge_bonus' ? details.bonusPercent : null,
+        maxBonus: details.type === 'recharge_bonus' ? details.maxBonus || 0 : null,
+        amount: details.type === 'wallet_credit' ? details.amount : null,
+        tournamentId: details.type === 'free_entry' ? details.tournamentId || null : null,
+        tournamentName: details.type === 'free_entry' ? details.tournamentName || null : null,
+        gameType: details.type === 'free_entry' ? details.gameType || null : null,
+        usageLimit: details.usageLimit || 0,
+        perUserLimit: details.perUserLimit || 0,
+        usageCount: 0,
+        usageByUser: {},
+        expiresAt: details.expiresAt ? Timestamp.fromDate(details.expiresAt) : null,
+        active: true,
+        createdBy: admin.uid,
+        createdByEmail: admin.email || null,
+        createdAt: serverTimestamp()
+      });
+    });
+
+    return code;
+  }
+
+  /**
+   * Get every promo code, newest first
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getPromoCodes() {
+    const snapshot = await getDocs(collection(db, 'promoCodes'));
+
+    return snapshot.docs
+      .map(promoDoc => ({ id: promoDoc.id, ...promoDoc.data() }))
+      .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+  }
+
+  /**
+   * Turn a promo code on or off
+   * @param {string} code - The normalized code
+   * @param {boolean} active - Whether users can redeem it
+   * @returns {Promise<void>}
+   */
+  static async setPromoCodeActive(code, active) {
+    await updateDoc(doc(db, 'promoCodes', code), { active });
+  }
+
+  /**
+   * Get the redemptions of a promo code, newest first
+   * @param {string} code - The normalized code
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getRedemptions(code) {
+    const redemptionsQuery = query(collection(db, 'promoRedemptions'), where('code', '==', code));
+    const snapshot = await getDocs(redemptionsQuery);
+
+    return snapshot.docs
+      .map(redemptionDoc => ({ id: redemptionDoc.id, ...redemptionDoc.data() }))
+      .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+  }
+
+  /**
+   * Look up a promo code and check the user can redeem it here, without redeeming it
+   * @param {string} code - The code as entered
+   * @param {Object} context - See getPromoCodeError
+   * @returns {Promise<Object>} - The promo code document data
+   * @throws {Error} If the code cannot be redeemed
+   */
+  static async checkPromoCode(code, context) {
+    const normalized = normalizePromoCode(code);
+    if (!normalized) {
+      throw new Error('Enter a promo code');
+    }
+
+    const promoDoc = await getDoc(doc(db, 'promoCodes', normalized));
+    const promo = promoDoc.exists() ? promoDoc.data() : null;
+
+    const error = getPromoCodeError(promo, context);
+    if (error) {
+      throw new Error(error);
+    }
+
+    return promo;
+  }
+
+  /**
+   * Counts a redemption against a promo code and records it inside a Firestore transaction.
+   * The promo code document must have been read and checked in the same transaction.
+   * @param {Object} transaction - The Firestore transaction
+   * @param {Object} promoDoc - The promo code's document snapshot, read in this transaction
+   * @param {Object} redemption - What was redeemed
+   * @param {string} redemption.userId - The redeeming user
+   * @param {string} [redemption.userEmail] - Their email
+   * @param {number} redemption.amount - The rupees credited or waived
+   * @param {string} redemption.referenceType - 'recharge', 'tournament' or 'promoCode'
+   * @param {string} redemption.referenceId - The ID of the referenced document
+   */
+  static recordRedemption(transaction, promoDoc, redemption) {
+    const promo = promoDoc.data();
+    const useCount = (promo.usageByUser?.[redemption.userId] || 0) + 1;
+
+    transaction.update(promoDoc.ref, {
+      usageCount: (promo.usageCount || 0) + 1,
+      [`usageByUser.${redemption.userId}`]: useCount
+    });
+
+    transaction.set(doc(db, 'promoRedemptions', getPromoRedemptionId(promoDoc.id, redemption.userId, useCount)), {
+      code: promoDoc.id,
+      type: promo.type,
+      userId: redemption.userId,
+      userEmail: redemption.userEmail || null,
+      amount: redemption.amount,
+      referenceType: redemption.referenceType,
+      referenceId: redemption.referenceId,
+      createdAt: serverTimestamp()
+    });
+  }
+}
+
+export default PromoCodeService;
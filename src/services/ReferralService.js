@@ -0,0 +1,266 @@
+import { collection, doc, getDoc, getDocs, query, where, runTransaction, setDoc, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import { normalizeReferralCode, generateReferralCode, getReferralSettings } from '../utils/referrals';
+
+const MAX_CODE_ATTEMPTS = 5;
+
+// Referral codes are public, so the emails behind them are looked up from the users, admins only
+async function getUserEmails() {
+  const snapshot = await getDocs(collection(db, 'users'));
+  return new Map(snapshot.docs.map(userDoc => [userDoc.id, userDoc.data().email || null]));
+}
+
+/**
+ * Service for the referral program
+ *
+ * The app captures referrals at signup and marks them qualified in the same
+ * transaction as the referred user's first qualifying recharge or entry fee.
+ * Rewards are credited by the scheduler's referralRewards job after the hold
+ * period, which is also where the per-referrer limit and blocks are enforced.
+ */
+class ReferralService {
+  /**
+   * Get the referral program settings, with defaults for anything not configured
+   * @returns {Promise<Object>}
+   */
+  static async getSettings() {
+    const settingsDoc = await getDoc(doc(db, 'adminSettings', 'referrals'));
+    return getReferralSettings(settingsDoc.exists() ? settingsDoc.data() : {});
+  }
+
+  /**
+   * Save the referral program settings
+   * @param {Object} settings - The settings, already validated
+   * @returns {Promise<void>}
+   */
+  static async saveSettings(settings) {
+    await setDoc(doc(db, 'adminSettings', 'referrals'), {
+      ...getReferralSettings(settings),
+      updatedAt: serverTimestamp()
+    });
+  }
+
+  /**
+   * Get a user's referral code, creating one if they do not have one yet
+   * @param {string} userId - The user
+   * @returns {Promise<string>}
+   */
+  static async getOrCreateReferralCode(userId) {
+    const userRef = doc(db, 'users', userId);
+    const userDoc = await getDoc(userRef);
+    if (userDoc.exists() && userDoc.data().referralCode) {
+      return userDoc.data().referralCode;
+    }
+
+    for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+      const code = generateReferralCode();
+
+      const created = await runTransaction(db, async (transaction) => {
+        const codeRef = doc(db, 'referralCodes', code);
+        const codeDoc = await transaction.get(codeRef);
+        if (codeDoc.exists()) {
+          return false;
+        }
+
+        transaction.set(codeRef, {
+          userId,
+          blocked: false,
+          rewardedCount: 0,
+          rewardedTotal: 0,
+          createdAt: serverTimestamp()
+        });
+        transaction.update(userRef, { referralCode: code });
+        return true;
+      });
+
+      if (created) {
+        return code;
+      }
+    }
+
+    throw new Error('Could not create a referral code, please try again');
+  }
+
+  /**
+   * Check that a referral code can be used to sign up
+   * @param {string} code - The code as entered
+   * @returns {Promise<string>} - The normalized code
+   * @throws {Error} If the code does not exist or is blocked
+   */
+  static async checkReferralCode(code) {
+    const normalized = normalizeReferralCode(code);
+    const codeDoc = await getDoc(doc(db, 'referralCodes', normalized));
+
+    if (!codeDoc.exists()) {
+      throw new Error('This referral code does not exist');
+    }
+    if (codeDoc.data().blocked) {
+      throw new Error('This referral code can no longer be used');
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Record that a new user signed up with a referral code
+   * @param {Object} user - The new user ({ uid, email })
+   * @param {string} code - The referral code as entered
+   * @returns {Promise<Object|null>} - The referral, or null if the program is turned off
+   * @throws {Error} If the code cannot be used
+   */
+  static async recordReferral(user, code) {
+    const settings = await ReferralService.getSettings();
+    if (!settings.enabled) {
+      return null;
+    }
+
+    const normalized = normalizeReferralCode(code);
+    const referralRef = doc(db, 'referrals', user.uid);
+
+    return runTransaction(db, async (transaction) => {
+      const codeDoc = await transaction.get(doc(db, 'referralCodes', normalized));
+      const referralDoc = await transaction.get(referralRef);
+
+      if (!codeDoc.exists() || codeDoc.data().blocked) {
+        throw new Error('This referral code can no longer be used');
+      }
+      if (codeDoc.data().userId === user.uid) {
+        throw new Error('You cannot use your own referral code');
+      }
+      if (referralDoc.exists()) {
+        throw new Error('You have already been referred');
+      }
+
+      const referral = {
+        referrerId: codeDoc.data().userId,
+        code: normalized,
+        referredUserId: user.uid,
+        referredEmail: user.email || null,
+        status: 'pending',
+        createdAt: serverTimestamp()
+      };
+
+      transaction.set(referralRef, referral);
+      transaction.update(doc(db, 'users', user.uid), {
+        referredBy: referral.referrerId,
+        referredByCode: normalized
+      });
+
+      return referral;
+    });
+  }
+
+  /**
+   * Marks a pending referral qualified inside a Firestore transaction.
+   * Both documents must have been read in the same transaction.
+   * @param {Object} transaction - The Firestore transaction
+   * @param {Object} referralDoc - The referred user's referral snapshot
+   * @param {Object} settingsDoc - The adminSettings/referrals snapshot
+   * @param {Object} qualification - What qualified the referral
+   * @param {string} qualification.qualifiedBy - 'recharge' or 'tournament_entry'
+   * @param {string} qualification.referenceId - The recharge request or tournament ID
+   * @param {number} qualification.amount - The rupees recharged or paid
+   * @returns {boolean} - Whether the referral was qualified
+   */
+  static qualifyReferral(transaction, referralDoc, settingsDoc, qualification) {
+    if (!referralDoc.exists() || referralDoc.data().status !== 'pending') {
+      return false;
+    }
+
+    const settings = getReferralSettings(settingsDoc.exists() ? settingsDoc.data() : {});
+    if (!settings.enabled || qualification.amount <= 0 || qualification.amount < settings.minQualifyingAmount) {
+      return false;
+    }
+
+    transaction.update(referralDoc.ref, {
+      status: 'qualified',
+      qualifiedBy: qualification.qualifiedBy,
+      qualifyingReferenceId: qualification.referenceId,
+      qualifyingAmount: qualification.amount,
+      qualifiedAt: serverTimestamp()
+    });
+
+    return true;
+  }
+
+  /**
+   * Get the referrals a user has made, newest first
+   * @param {string} userId - The referrer
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getReferralsByReferrer(userId) {
+    const referralsQuery = query(collection(db, 'referrals'), where('referrerId', '==', userId));
+    const snapshot = await getDocs(referralsQuery);
+
+    return snapshot.docs
+      .map(referralDoc => ({ id: referralDoc.id, ...referralDoc.data() }))
+      .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+  }
+
+  /**
+   * Get every referral with its referrer's email, newest first
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getAllReferrals() {
+    const [snapshot, emails] = await Promise.all([getDocs(collection(db, 'referrals')), getUserEmails()]);
+
+    return snapshot.docs
+      .map(referralDoc => ({
+        id: referralDoc.id,
+        ...referralDoc.data(),
+        referrerEmail: emails.get(referralDoc.data().referrerId) || null
+      }))
+      .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+  }
+
+  /**
+   * Get every referral code with its owner's email and reward counters
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getReferralCodes() {
+    const [snapshot, emails] = await Promise.all([getDocs(collection(db, 'referralCodes')), getUserEmails()]);
+    return snapshot.docs.map(codeDoc => ({
+      id: codeDoc.id,
+      ...codeDoc.data(),
+      userEmail: emails.get(codeDoc.data().userId) || null
+    }));
+  }
+
+  /**
+   * Reject a referral that has not been rewarded yet, so the referrer is never paid for it
+   * @param {string} referralId - The referral, keyed by the referred user's uid
+   * @param {string} reason - Why the referral was rejected, already sanitized
+   * @param {Object} admin - The rejecting admin ({ uid, email })
+   * @returns {Promise<void>}
+   */
+  static async rejectReferral(referralId, reason, admin) {
+    const referralRef = doc(db, 'referrals', referralId);
+
+    await runTransaction(db, async (transaction) => {
+      const referralDoc = await transaction.get(referralRef);
+      if (!referralDoc.exists() || !['pending', 'qualified'].includes(referralDoc.data().status)) {
+        throw new Error('This referral has already been processed');
+      }
+
+      transaction.update(referralRef, {
+        status: 'rejected',
+        rejectionReason: reason,
+        rejectedBy: admin.uid,
+        processedAt: serverTimestamp()
+      });
+    });
+  }
+
+  /**
+   * Block or unblock a referral code. Blocked codes cannot be used to sign up
+   * and their referrer is not rewarded for referrals still awaiting payment.
+   * @param {string} code - The referral code
+   * @param {boolean} blocked - Whether the code is blocked
+   * @returns {Promise<void>}
+   */
+  static async setCodeBlocked(code, blocked) {
+    await updateDoc(doc(db, 'referralCodes', code), { blocked });
+  }
+}
+
+export default ReferralService;
@@ -0,0 +1,843 @@
+import { collection, doc, getDocs, query, where, runTransaction, serverTimestamp, arrayUnion, arrayRemove } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import WalletService, { TRANSACTION_TYPES } from './WalletService';
+import PromoCodeService from './PromoCodeService';
+import ReferralService from './ReferralService';
+import { calculatePayouts, getOrdinal, getEntryFeePaid } from '../utils/prizeDistribution';
+import { isCheckInOpen, canLeaveTournament } from '../utils/tournamentSchedule';
+import { normalizePromoCode, getPromoCodeError } from '../utils/promoCodes';
+import { isTeamTournament, getEntryCount, calculateFeeShares, getTeamError } from '../utils/teams';
+
+function joinError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Removes a participant's entry from a tournament inside a transaction,
+ * optionally refunding their entry fee with a matching `refunds` record.
+ * A forfeited entry fee is kept in the tournament's `forfeitedEntries`, so
+ * every fee paid stays traceable to a record.
+ * @returns {number} - The amount refunded
+ */
+function removeEntry(transaction, { tournamentRef, tournament, participant, userDoc, refund, reason, refundType, actor }) {
+  const entryFeePaid = getEntryFeePaid(tournament, participant);
+
+  const tournamentUpdates = {
+    participants: tournament.participants.filter(entry => entry.userId !== participant.userId),
+    participantIds: (tournament.participantIds || []).filter(userId => userId !== participant.userId),
+    usernames: (tournament.usernames || []).filter(username => username !== participant.username?.toLowerCase())
+  };
+  if (tournament.playerResults) {
+    tournamentUpdates.playerResults = tournament.playerResults.filter(result => result.userId !== participant.userId);
+  }
+  if (participant.teamId && tournament.teams && participant.isCaptain && refundType === 'left_tournament') {
+    // A captain can only leave before any teammate joined, which withdraws the team
+    tournamentUpdates.teams = tournament.teams.filter(team => team.id !== participant.teamId);
+  } else if (participant.teamId && tournament.teams) {
+    const status = refundType === 'left_tournament' ? 'left' : 'removed';
+    tournamentUpdates.teams = tournament.teams.map(team => team.id !== participant.teamId ? team : {
+      ...team,
+      members: team.members.map(member => member.userId === participant.userId ? { ...member, status } : member)
+    });
+  }
+  if (!refund && entryFeePaid > 0) {
+    tournamentUpdates.forfeitedEntries = [...(tournament.forfeitedEntries || []), {
+      userId: participant.userId,
+      email: participant.email || null,
+      entryFeePaid,
+      reason,
+      removedBy: actor,
+      removedAt: new Date().toISOString()
+    }];
+  }
+  transaction.update(tournamentRef, tournamentUpdates);
+
+  if (!userDoc.exists()) return 0;
+
+  transaction.update(userDoc.ref, {
+    joinedTournaments: arrayRemove(tournamentRef.id)
+  });
+
+  const amount = refund ? entryFeePaid : 0;
+  if (amount <= 0) return 0;
+
+  const userData = userDoc.data();
+  const newBalance = WalletService.recordEntry(transaction, userDoc, {
+    amount,
+    type: TRANSACTION_TYPES.TOURNAMENT_REFUND,
+    referenceType: 'tournament',
+    referenceId: tournamentRef.id,
+    actor,
+    description: refundType === 'left_tournament'
+      ? `Refund for leaving ${tournament.gameName}`
+      : `Refund for removal from ${tournament.gameName}`
+  });
+
+  transaction.set(doc(collection(db, 'refunds')), {
+    userId: participant.userId,
+    userEmail: participant.email || userData.email || null,
+    tournamentId: tournamentRef.id,
+    gameName: tournament.gameName || 'Unknown',
+    amount,
+    reason,
+    type: refundType,
+    previousBalance: userData.walletBalance || 0,
+    newBalance,
+    processedBy: actor,
+    timestamp: serverTimestamp()
+  });
+
+  return amount;
+}
+
+/**
+ * Service for tournament actions that move money
+ */
+class TournamentService {
+  /**
+   * Join a tournament, paying the entry fee from the user's wallet.
+   * Capacity, available balance, registration status and duplicate entries are checked
+   * against the current documents inside a transaction, so the fee is charged
+   * if and only if the player is registered.
+   * A free entry promo code waives the entry fee and is redeemed in the same transaction.
+   * A paid entry also qualifies the user's referral, if they were referred.
+   * @param {string} tournamentId - The tournament to join
+   * @param {Object} user - The joining user ({ uid, email })
+   * @param {string} username - The player's in-game username, already sanitized
+   * @param {string} [promoCode] - A free entry promo code as entered
+   * @returns {Promise<{newBalance: number, availableBalance: number, entryFeePaid: number}>}
+   * @throws {Error} With `code` set to 'already-joined', 'username-taken', 'tournament-full',
+   *   'registration-closed', 'insufficient-balance', 'invalid-promo', 'team-required' or 'not-found'
+   */
+  static async joinTournament(tournamentId, user, username, promoCode = null) {
+    const tournamentRef = doc(db, 'tournaments', tournamentId);
+    const userRef = doc(db, 'users', user.uid);
+    const promoRef = promoCode ? doc(db, 'promoCodes', normalizePromoCode(promoCode)) : null;
+
+    return runTransaction(db, async (transaction) => {
+      const tournamentDoc = await transaction.get(tournamentRef);
+      const userDoc = await transaction.get(userRef);
+      const promoDoc = promoRef ? await transaction.get(promoRef) : null;
+      const referralDoc = await transaction.get(doc(db, 'referrals', user.uid));
+      const referralSettingsDoc = await transaction.get(doc(db, 'adminSettings', 'referrals'));
+      if (!tournamentDoc.exists() || !userDoc.exists()) {
+        throw joinError('Tournament not found', 'not-found');
+      }
+
+      const tournament = tournamentDoc.data();
+      const participants = tournament.participants || [];
+
+      if (isTeamTournament(tournament)) {
+        throw joinError('This tournament is played in teams. Register a team or accept a team invitation to join.', 'team-required');
+      }
+
+      if (promoDoc) {
+        const promoError = getPromoCodeError(promoDoc.exists() ? promoDoc.data() : null, {
+          userId: user.uid,
+          types: ['free_entry'],
+          tournament: { id: tournamentId, gameType: tournament.gameType }
+        });
+        if (promoError) {
+          throw joinError(promoError, 'invalid-promo');
+        }
+      }
+
+      const tournamentFee = Number(tournament.entryFee) || 0;
+      const entryFee = promoDoc ? 0 : tournamentFee;
+      const availableBalance = WalletService.getAvailableBalance(userDoc.data());
+
+      if (tournament.status !== 'upcoming' || isCheckInOpen(tournament)) {
+        throw joinError('Registration has closed for this tournament', 'registration-closed');
+      }
+      if (participants.some(participant => participant.userId === user.uid)) {
+        throw joinError('You have already joined this tournament', 'already-joined');
+      }
+      if (participants.some(participant => 
+          participant.username && participant.username.toLowerCase() === username.toLowerCase())) {
+        throw joinError('This username is already taken in this tournament. Please choose a different one.', 'username-taken');
+      }
+      if (participants.length >= tournament.maxParticipants) {
+        throw joinError('Tournament is full', 'tournament-full');
+      }
+      if (availableBalance < entryFee) {
+        throw joinError('Insufficient wallet balance', 'insufficient-balance');
+      }
+
+      const newBalance = WalletService.recordEntry(transaction, userDoc, {
+        amount: -entryFee,
+        type: TRANSACTION_TYPES.TOURNAMENT_ENTRY,
+        referenceType: 'tournament',
+        referenceId: tournamentId,
+        actor: user.uid,
+        description: promoDoc
+          ? `Free entry to ${tournament.gameName} (${promoDoc.id})`
+          : `Entry fee for ${tournament.gameName}`
+      });
+
+      if (promoDoc) {
+        PromoCodeService.recordRedemption(transaction, promoDoc, {
+          userId: user.uid,
+          userEmail: user.email,
+          amount: tournamentFee,
+          referenceType: 'tournament',
+          referenceId: tournamentId
+        });
+      }
+
+      // A paid entry can qualify the user's referral; free entries never do
+      ReferralService.qualifyReferral(transaction, referralDoc, referralSettingsDoc, {
+        qualifiedBy: 'tournament_entry',
+        referenceId: tournamentId,
+        amount: entryFee
+      });
+
+      transaction.update(userRef, {
+        joinedTournaments: arrayUnion(tournamentId)
+      });
+
+      transaction.update(tournamentRef, {
+        participants: arrayUnion({
+          userId: user.uid,
+          email: user.email,
+          username,
+          entryFeePaid: entryFee,
+          ...(promoDoc && { promoCode: promoDoc.id }),
+          joinedAt: new Date().toISOString()
+        }),
+        participantIds: arrayUnion(user.uid),
+        usernames: arrayUnion(username.toLowerCase())
+      });
+
+      return { newBalance, availableBalance: availableBalance - entryFee, entryFeePaid: entryFee };
+    });
+  }
+
+  /**
+   * Register a team for a team tournament, with the user as its captain.
+   * The captain pays their share of the team's entry fee straight away and each
+   * teammate invited by email gets a `teamInvites` invitation to join and pay
+   * theirs. Capacity counts teams.
+   * @param {string} tournamentId - The tournament to join
+   * @param {Object} user - The captain ({ uid, email })
+   * @param {Object} team - The team, already sanitized
+   * @param {string} team.name - The team name
+   * @param {string} team.captainInGameId - The captain's in-game ID
+   * @param {string} team.feeMode - One of TEAM_FEE_MODES
+   * @param {Array<{inGameId: string, email: string}>} team.members - The teammates; those without
+   *   an email are listed on the roster without an account
+   * @returns {Promise<{teamId: string, availableBalance: number, entryFeePaid: number}>}
+   * @throws {Error} With `code` set to 'already-joined', 'invalid-team', 'tournament-full',
+   *   'registration-closed', 'insufficient-balance' or 'not-found'
+   */
+  static async registerTeam(tournamentId, user, team) {
+    const tournamentRef = doc(db, 'tournaments', tournamentId);
+    const userRef = doc(db, 'users', user.uid);
+    const members = team.members.map(member => ({
+      inGameId: member.inGameId.trim(),
+      email: member.email.trim().toLowerCase() || null
+    }));
+    const invites = members.map(member => ({
+      member,
+      inviteRef: member.email ? doc(collection(db, 'teamInvites')) : null
+    }));
+
+    return runTransaction(db, async (transaction) => {
+      const tournamentDoc = await transaction.get(tournamentRef);
+      const userDoc = await transaction.get(userRef);
+      const referralDoc = await transaction.get(doc(db, 'referrals', user.uid));
+      const referralSettingsDoc = await transaction.get(doc(db, 'adminSettings', 'referrals'));
+      if (!tournamentDoc.exists() || !userDoc.exists()) {
+        throw joinError('Tournament not found', 'not-found');
+      }
+
+      const tournament = tournamentDoc.data();
+      if (!isTeamTournament(tournament)) {
+        throw joinError('This tournament is not played in teams', 'invalid-team');
+      }
+      if (tournament.status !== 'upcoming' || isCheckInOpen(tournament)) {
+        throw joinError('Registration has closed for this tournament', 'registration-closed');
+      }
+      if ((tournament.participants || []).some(participant => participant.userId === user.uid)) {
+        throw joinError('You have already joined this tournament', 'already-joined');
+      }
+      if (getEntryCount(tournament) >= tournament.maxParticipants) {
+        throw joinError('Tournament is full', 'tournament-full');
+      }
+
+      const teamError = getTeamError({ ...team, members }, tournament, user.email);
+      if (teamError) {
+        throw joinError(teamError, 'invalid-team');
+      }
+
+      const { captainShare, memberShare } = calculateFeeShares(
+        tournament.entryFee,
+        Number(tournament.teamSize),
+        team.feeMode,
+        members.filter(member => member.email).length
+      );
+      const availableBalance = WalletService.getAvailableBalance(userDoc.data());
+      if (availableBalance < captainShare) {
+        throw joinError('Insufficient wallet balance', 'insufficient-balance');
+      }
+
+      const teamId = window.crypto.randomUUID();
+
+      WalletService.recordEntry(transaction, userDoc, {
+        amount: -captainShare,
+        type: TRANSACTION_TYPES.TOURNAMENT_ENTRY,
+        referenceType: 'tournament',
+        referenceId: tournamentId,
+        actor: user.uid,
+        description: `Entry fee for ${tournament.gameName} (team ${team.name})`
+      });
+
+      ReferralService.qualifyReferral(transaction, referralDoc, referralSettingsDoc, {
+        qualifiedBy: 'tournament_entry',
+        referenceId: tournamentId,
+        amount: captainShare
+      });
+
+      invites.forEach(({ member, inviteRef }) => {
+        if (!inviteRef) return;
+
+        transaction.set(inviteRef, {
+          tournamentId,
+          gameName: tournament.gameName || null,
+          teamId,
+          teamName: team.name,
+          captainId: user.uid,
+          captainEmail: user.email,
+          inviteeEmail: member.email,
+          inGameId: member.inGameId,
+          share: memberShare,
+          status: 'pending',
+          createdAt: serverTimestamp()
+        });
+      });
+
+      transaction.update(userRef, {
+        joinedTournaments: arrayUnion(tournamentId)
+      });
+
+      const joinedAt = new Date().toISOString();
+
+      transaction.update(tournamentRef, {
+        participants: arrayUnion({
+          userId: user.uid,
+          email: user.email,
+          username: team.captainInGameId,
+          teamId,
+          teamName: team.name,
+          isCaptain: true,
+          entryFeePaid: captainShare,
+          joinedAt
+        }),
+        participantIds: arrayUnion(user.uid),
+        teams: arrayUnion({
+          id: teamId,
+          name: team.name,
+          captainId: user.uid,
+          captainEmail: user.email,
+          feeMode: team.feeMode,
+          entryFee: Number(tournament.entryFee) || 0,
+          memberShare,
+          createdAt: joinedAt,
+          members: [
+            { inGameId: team.captainInGameId, email: user.email, userId: user.uid, status: 'captain', inviteId: null },
+            ...invites.map(({ member, inviteRef }) => ({
+              inGameId: member.inGameId,
+              email: member.email,
+              userId: null,
+              status: inviteRef ? 'invited' : 'listed',
+              inviteId: inviteRef?.id || null
+            }))
+          ]
+        })
+      });
+
+      return { teamId, availableBalance: availableBalance - captainShare, entryFeePaid: captainShare };
+    });
+  }
+
+  /**
+   * Get the pending team invitations sent to an email address
+   * @param {string} email - The invited player's account email
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getTeamInvites(email) {
+    const invitesQuery = query(
+      collection(db, 'teamInvites'),
+      where('inviteeEmail', '==', email.toLowerCase()),
+      where('status', '==', 'pending')
+    );
+    const snapshot = await getDocs(invitesQuery);
+
+    return snapshot.docs.map(inviteDoc => ({
+      id: inviteDoc.id,
+      ...inviteDoc.data()
+    }));
+  }
+
+  /**
+   * Accept a team invitation: join the tournament as a member of the team and
+   * pay the invitation's share of the entry fee
+   * @param {string} inviteId - The invitation
+   * @param {Object} user - The invited user ({ uid, email })
+   * @returns {Promise<{availableBalance: number, entryFeePaid: number}>}
+   * @throws {Error} With `code` set to 'invalid-invite', 'already-joined', 'registration-closed',
+   *   'insufficient-balance' or 'not-found'
+   */
+  static async acceptTeamInvite(inviteId, user) {
+    const inviteRef = doc(db, 'teamInvites', inviteId);
+    const userRef = doc(db, 'users', user.uid);
+
+    return runTransaction(db, async (transaction) => {
+      const inviteDoc = await transaction.get(inviteRef);
+      if (!inviteDoc.exists() || inviteDoc.data().status !== 'pending') {
+        throw joinError('This invitation is no longer open', 'invalid-invite');
+      }
+
+      const invite = inviteDoc.data();
+      if (invite.inviteeEmail !== user.email.toLowerCase()) {
+        throw joinError('This invitation was sent to a different account', 'invalid-invite');
+      }
+
+      const tournamentRef = doc(db, 'tournaments', invite.tournamentId);
+      const tournamentDoc = await transaction.get(tournamentRef);
+      const userDoc = await transaction.get(userRef);
+      const referralDoc = await transaction.get(doc(db, 'referrals', user.uid));
+      const referralSettingsDoc = await transaction.get(doc(db, 'adminSettings', 'referrals'));
+      if (!tournamentDoc.exists() || !userDoc.exists()) {
+        throw joinError('Tournament not found', 'not-found');
+      }
+
+      const tournament = tournamentDoc.data();
+      const team = (tournament.teams || []).find(entry => entry.id === invite.teamId);
+      const member = team?.members.find(entry => entry.inviteId === inviteId && entry.status === 'invited');
+      if (!member) {
+        throw joinError('This team is no longer registered in the tournament', 'invalid-invite');
+      }
+      if (tournament.status !== 'upcoming' || isCheckInOpen(tournament)) {
+        throw joinError('Registration has closed for this tournament', 'registration-closed');
+      }
+      if ((tournament.participants || []).some(participant => participant.userId === user.uid)) {
+        throw joinError('You have already joined this tournament', 'already-joined');
+      }
+
+      const share = Number(invite.share) || 0;
+      const availableBalance = WalletService.getAvailableBalance(userDoc.data());
+      if (availableBalance < share) {
+        throw joinError('Insufficient wallet balance', 'insufficient-balance');
+      }
+
+      WalletService.recordEntry(transaction, userDoc, {
+        amount: -share,
+        type: TRANSACTION_TYPES.TOURNAMENT_ENTRY,
+        referenceType: 'tournament',
+        referenceId: invite.tournamentId,
+        actor: user.uid,
+        description: `Entry fee share for ${tournament.gameName} (team ${team.name})`
+      });
+
+      ReferralService.qualifyReferral(transaction, referralDoc, referralSettingsDoc, {
+        qualifiedBy: 'tournament_entry',
+        referenceId: invite.tournamentId,
+        amount: share
+      });
+
+      transaction.update(userRef, {
+        joinedTournaments: arrayUnion(invite.tournamentId)
+      });
+
+      transaction.update(tournamentRef, {
+        participants: arrayUnion({
+          userId: user.uid,
+          email: user.email,
+          username: member.inGameId,
+          teamId: team.id,
+          teamName: team.name,
+          isCaptain: false,
+          entryFeePaid: share,
+          joinedAt: new Date().toISOString()
+        }),
+        participantIds: arrayUnion(user.uid),
+        teams: tournament.teams.map(entry => entry.id !== team.id ? entry : {
+          ...entry,
+          members: entry.members.map(teammate => teammate.inviteId === inviteId
+            ? { ...teammate, userId: user.uid, status: 'accepted' }
+            : teammate)
+        })
+      });
+
+      transaction.update(inviteRef, {
+        status: 'accepted',
+        userId: user.uid,
+        respondedAt: serverTimestamp()
+      });
+
+      return { availableBalance: availableBalance - share, entryFeePaid: share };
+    });
+  }
+
+  /**
+   * Decline a team invitation. The team keeps playing without the player.
+   * @param {string} inviteId - The invitation
+   * @param {Object} user - The invited user ({ uid, email })
+   * @returns {Promise<void>}
+   */
+  static async declineTeamInvite(inviteId, user) {
+    const inviteRef = doc(db, 'teamInvites', inviteId);
+
+    await runTransaction(db, async (transaction) => {
+      const inviteDoc = await transaction.get(inviteRef);
+      if (!inviteDoc.exists() || inviteDoc.data().status !== 'pending') {
+        throw new Error('This invitation is no longer open');
+      }
+
+      const invite = inviteDoc.data();
+      if (invite.inviteeEmail !== user.email.toLowerCase()) {
+        throw new Error('This invitation was sent to a different account');
+      }
+
+      const tournamentRef = doc(db, 'tournaments', invite.tournamentId);
+      const tournamentDoc = await transaction.get(tournamentRef);
+
+      // Rosters only change while registration is open
+      if (tournamentDoc.exists() && tournamentDoc.data().status === 'upcoming') {
+        transaction.update(tournamentRef, {
+          teams: (tournamentDoc.data().teams || []).map(team => team.id !== invite.teamId ? team : {
+            ...team,
+            members: team.members.map(member => member.inviteId === inviteId ? { ...member, status: 'declined' } : member)
+          })
+        });
+      }
+
+      transaction.update(inviteRef, {
+        status: 'declined',
+        respondedAt: serverTimestamp()
+      });
+    });
+  }
+
+  /**
+   * Remove a participant from a tournament as an admin, either refunding their
+   * entry fee in full or keeping it as forfeited, and notify them.
+   * @param {string} tournamentId - The tournament
+   * @param {string} userId - The participant to remove
+   * @param {Object} options - How to remove them
+   * @param {boolean} options.refund - Whether to refund the entry fee; it is forfeited otherwise
+   * @param {string} options.reason - Why the participant was removed, shown to them
+   * @param {string} removedBy - The uid of the admin removing the participant
+   * @returns {Promise<{refundedAmount: number}>}
+   */
+  static async removeParticipant(tournamentId, userId, { refund, reason }, removedBy) {
+    const tournamentRef = doc(db, 'tournaments', tournamentId);
+
+    return runTransaction(db, async (transaction) => {
+      const tournamentDoc = await transaction.get(tournamentRef);
+      if (!tournamentDoc.exists()) {
+        throw new Error('Tournament not found');
+      }
+
+      const tournament = tournamentDoc.data();
+      if (tournament.status === 'cancelled' || tournament.status === 'completed') {
+        throw new Error(`Participants cannot be removed from ${tournament.status} tournaments`);
+      }
+
+      const participant = (tournament.participants || []).find(entry => entry.userId === userId);
+      if (!participant) {
+        throw new Error('This player is no longer in the tournament');
+      }
+
+      const userDoc = await transaction.get(doc(db, 'users', userId));
+
+      const refundedAmount = removeEntry(transaction, {
+        tournamentRef,
+        tournament,
+        participant,
+        userDoc,
+        refund,
+        reason,
+        refundType: 'participant_removed',
+        actor: removedBy
+      });
+
+      transaction.set(doc(collection(db, 'notifications')), {
+        userId,
+        type: 'participant_removed',
+        tournamentId,
+        title: 'Removed from tournament',
+        message: refundedAmount > 0
+          ? `You were removed from ${tournament.gameName}: ${reason}. Your entry fee of Rs. ${refundedAmount} has been refunded to your wallet.`
+          : `You were removed from ${tournament.gameName}: ${reason}. Your entry fee was forfeited.`,
+        read: false,
+        createdAt: serverTimestamp()
+      });
+
+      return { refundedAmount };
+    });
+  }
+
+  /**
+   * Leave an upcoming tournament and get the entry fee back.
+   * Players can leave until the tournament's leave cutoff before the start time.
+   * A team member gets their own share back; a captain can withdraw their team
+   * until a teammate has joined.
+   * @param {string} tournamentId - The tournament to leave
+   * @param {Object} user - The leaving user ({ uid, email })
+   * @returns {Promise<{refundedAmount: number}>}
+   */
+  static async leaveTournament(tournamentId, user) {
+    const tournamentRef = doc(db, 'tournaments', tournamentId);
+    const userRef = doc(db, 'users', user.uid);
+
+    return runTransaction(db, async (transaction) => {
+      const tournamentDoc = await transaction.get(tournamentRef);
+      const userDoc = await transaction.get(userRef);
+      if (!tournamentDoc.exists()) {
+        throw new Error('Tournament not found');
+      }
+
+      const tournament = tournamentDoc.data();
+      const participant = (tournament.participants || []).find(entry => entry.userId === user.uid);
+      if (!participant) {
+        throw new Error('You have not joined this tournament');
+      }
+      if (!canLeaveTournament(tournament)) {
+        throw new Error('It is too close to the start time to leave this tournament');
+      }
+
+      const team = participant.isCaptain
+        ? (tournament.teams || []).find(entry => entry.id === participant.teamId)
+        : null;
+      if (team && team.members.some(member => member.status === 'accepted')) {
+        throw new Error('Your teammates have joined, so the team can no longer be withdrawn');
+      }
+
+      const refundedAmount = removeEntry(transaction, {
+        tournamentRef,
+        tournament,
+        participant,
+        userDoc,
+        refund: true,
+        reason: 'Left the tournament',
+        refundType: 'left_tournament',
+        actor: user.uid
+      });
+
+      // Withdrawing the team closes its open invitations
+      (team?.members || [])
+        .filter(member => member.status === 'invited' && member.inviteId)
+        .forEach(member => transaction.update(doc(db, 'teamInvites', member.inviteId), {
+          status: 'cancelled',
+          respondedAt: serverTimestamp()
+        }));
+
+      return { refundedAmount };
+    });
+  }
+
+  /**
+   * Cancel a tournament, refund every participant's entry fee to their wallet,
+   * record the refunds and notify the participants.
+   * Everything is written in a single transaction so a tournament is never left
+   * cancelled with only some participants refunded.
+   * @param {string} tournamentId - The tournament to cancel
+   * @param {string} reason - Why the tournament was cancelled, shown to participants
+   * @param {string} cancelledBy - The uid of the admin cancelling the tournament
+   * @returns {Promise<{refundedCount: number, refundedTotal: number}>}
+   */
+  static async cancelTournament(tournamentId, reason, cancelledBy) {
+    const tournamentRef = doc(db, 'tournaments', tournamentId);
+
+    return runTransaction(db, async (transaction) => {
+      const tournamentDoc = await transaction.get(tournamentRef);
+      if (!tournamentDoc.exists()) {
+        throw new Error('Tournament not found');
+      }
+
+      const tournament = tournamentDoc.data();
+      if (tournament.status === 'cancelled') {
+        throw new Error('Tournament is already cancelled');
+      }
+      if (tournament.status === 'completed') {
+        throw new Error('Completed tournaments cannot be cancelled');
+      }
+
+      // All reads have to happen before the first write in a transaction
+      const participants = tournament.participants || [];
+      const userDocs = await Promise.all(
+        participants.map(participant => transaction.get(doc(db, 'users', participant.userId)))
+      );
+
+      let refundedCount = 0;
+      let refundedTotal = 0;
+
+      participants.forEach((participant, index) => {
+        const amount = getEntryFeePaid(tournament, participant);
+
+        if (amount > 0 && userDocs[index].exists()) {
+          const userData = userDocs[index].data();
+
+          const newBalance = WalletService.recordEntry(transaction, userDocs[index], {
+            amount,
+            type: TRANSACTION_TYPES.TOURNAMENT_REFUND,
+            referenceType: 'tournament',
+            referenceId: tournamentId,
+            actor: cancelledBy,
+            description: `Refund for cancelled ${tournament.gameName}`
+          });
+
+          transaction.set(doc(collection(db, 'refunds')), {
+            userId: participant.userId,
+            userEmail: participant.email || userData.email || null,
+            tournamentId,
+            gameName: tournament.gameName || 'Unknown',
+            amount,
+            reason,
+            type: 'tournament_cancelled',
+            previousBalance: userData.walletBalance || 0,
+            newBalance,
+            processedBy: cancelledBy,
+            timestamp: serverTimestamp()
+          });
+
+          refundedCount++;
+          refundedTotal += amount;
+        }
+
+        transaction.set(doc(collection(db, 'notifications')), {
+          userId: participant.userId,
+          type: 'tournament_cancelled',
+          tournamentId,
+          title: 'Tournament cancelled',
+          message: amount > 0
+            ? `${tournament.gameName} was cancelled: ${reason}. Your entry fee of Rs. ${amount} has been refunded to your wallet.`
+            : `${tournament.gameName} was cancelled: ${reason}.`,
+          read: false,
+          createdAt: serverTimestamp()
+        });
+      });
+
+      transaction.update(tournamentRef, {
+        status: 'cancelled',
+        statusUpdatedAt: serverTimestamp(),
+        cancellationReason: reason,
+        cancelledAt: serverTimestamp(),
+        cancelledBy,
+        refundedCount,
+        refundedTotal
+      });
+
+      // Log the status change for security audit
+      transaction.set(doc(collection(db, 'status_change_logs')), {
+        tournamentId,
+        tournamentName: tournament.gameName || 'Unknown',
+        previousStatus: tournament.status,
+        newStatus: 'cancelled',
+        changedAt: serverTimestamp(),
+        changedBy: cancelledBy,
+        reason
+      });
+
+      return { refundedCount, refundedTotal };
+    });
+  }
+
+  /**
+   * Pay out a completed tournament's prizes from its structured results.
+   * Each winner receives their placement prize plus the per-kill amount for
+   * their kills, with a matching `rewards` entry for their history.
+   * A tournament can only be paid once; the transaction refuses if
+   * `prizesDistributedAt` is already set.
+   * @param {string} tournamentId - The tournament to pay out
+   * @param {string} distributedBy - The uid of the admin distributing the prizes
+   * @returns {Promise<{paidCount: number, paidTotal: number}>}
+   */
+  static async distributePrizes(tournamentId, distributedBy) {
+    const tournamentRef = doc(db, 'tournaments', tournamentId);
+
+    return runTransaction(db, async (transaction) => {
+      const tournamentDoc = await transaction.get(tournamentRef);
+      if (!tournamentDoc.exists()) {
+        throw new Error('Tournament not found');
+      }
+
+      const tournament = tournamentDoc.data();
+      if (tournament.prizesDistributedAt) {
+        throw new Error('Prizes for this tournament have already been distributed');
+      }
+      if (tournament.status !== 'completed') {
+        throw new Error('Prizes can only be distributed for completed tournaments');
+      }
+      if (!tournament.playerResults?.length) {
+        throw new Error('Enter the tournament results before distributing prizes');
+      }
+
+      // All reads have to happen before the first write in a transaction
+      const payouts = calculatePayouts(tournament);
+      const userDocs = await Promise.all(
+        payouts.map(payout => transaction.get(doc(db, 'users', payout.userId)))
+      );
+
+      const paid = [];
+
+      payouts.forEach((payout, index) => {
+        if (!userDocs[index].exists()) return;
+
+        const userData = userDocs[index].data();
+        const position = payout.placement ? getOrdinal(payout.placement) : null;
+
+        let description = `Reward for ${tournament.gameName}`;
+        if (position) {
+          description += ` - ${position} position`;
+        }
+        if (payout.killPrize > 0) {
+          description += ` (${payout.kills} kills)`;
+        }
+
+        const newBalance = WalletService.recordEntry(transaction, userDocs[index], {
+          amount: payout.amount,
+          type: TRANSACTION_TYPES.PRIZE,
+          referenceType: 'tournament',
+          referenceId: tournamentId,
+          actor: distributedBy,
+          description
+        });
+
+        transaction.set(doc(collection(db, 'rewards')), {
+          userId: payout.userId,
+          userEmail: userData.email || null,
+          amount: payout.amount,
+          description,
+          gameName: tournament.gameName || null,
+          position,
+          tournamentId,
+          placementPrize: payout.placementPrize,
+          killPrize: payout.killPrize,
+          addedBy: 'Prize distribution',
+          timestamp: serverTimestamp(),
+          previousBalance: userData.walletBalance || 0,
+          newBalance
+        });
+
+        paid.push(payout);
+      });
+
+      transaction.update(tournamentRef, {
+        prizePayouts: paid,
+        prizesDistributedAt: serverTimestamp(),
+        prizesDistributedBy: distributedBy
+      });
+
+      return {
+        paidCount: paid.length,
+        paidTotal: paid.reduce((sum, payout) => sum + payout.amount, 0)
+      };
+    });
+  }
+}
+
+export default TournamentService;
@@ -0,0 +1,671 @@
+import { collection, doc, getDoc, getDocs, query, where, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { db } from '../firebase/config';
+import PromoCodeService from './PromoCodeService';
+import ReferralService from './ReferralService';
+import { normalizePromoCode, getPromoCodeError, calculateRechargeBonus } from '../utils/promoCodes';
+import { PAYOUT_METHOD_LABELS, getPayoutAccountKey } from '../utils/payoutMethods';
+
+/**
+ * Ledger entry types. Credits are positive amounts, debits negative.
+ */
+export const TRANSACTION_TYPES = {
+  OPENING_BALANCE: 'opening_balance',
+  RECHARGE: 'recharge',
+  WITHDRAWAL: 'withdrawal',
+  TOURNAMENT_ENTRY: 'tournament_entry',
+  TOURNAMENT_REFUND: 'tournament_refund',
+  PRIZE: 'prize',
+  ADMIN_ADJUSTMENT: 'admin_adjustment',
+  PROMO: 'promo',
+  REFERRAL_REWARD: 'referral_reward'
+};
+
+export const ADJUSTMENT_REASON_CODES = ['prize', 'correction', 'chargeback', 'goodwill', 'refund'];
+
+// Adjustments of this amount or more need a second admin unless adminSettings/walletAdjustments overrides it
+export const DEFAULT_ADJUSTMENT_APPROVAL_THRESHOLD = 1000;
+
+/**
+ * Gets a view of a user snapshot after an earlier ledger entry in the same
+ * transaction, so a second recordEntry starts from the updated balance.
+ */
+function afterEntry(userDoc, balanceAfter) {
+  const userData = userDoc.data();
+
+  return {
+    id: userDoc.id,
+    ref: userDoc.ref,
+    data: () => ({ ...userData, walletBalance: balanceAfter, ledgerOpenedAt: userData.ledgerOpenedAt || true })
+  };
+}
+
+/**
+ * Applies an admin adjustment to the user's wallet and marks its audit record applied.
+ * Prize credits are also recorded in the user's rewards history.
+ */
+function applyAdjustment(transaction, adjustmentRef, adjustment, userDoc, actor) {
+  const userData = userDoc.data();
+  const signedAmount = adjustment.direction === 'debit' ? -adjustment.amount : adjustment.amount;
+
+  const newBalance = WalletService.recordEntry(transaction, userDoc, {
+    amount: signedAmount,
+    type: TRANSACTION_TYPES.ADMIN_ADJUSTMENT,
+    referenceType: 'adjustment',
+    referenceId: adjustmentRef.id,
+    actor,
+    description: `${adjustment.direction === 'debit' ? 'Debit' : 'Credit'} (${adjustment.reasonCode}): ${adjustment.note}`
+  });
+
+  if (adjustment.direction === 'credit' && adjustment.reasonCode === 'prize') {
+    let description = 'Reward added by administrator';
+    if (adjustment.gameName) {
+      description = `Reward for ${adjustment.gameName}`;
+      if (adjustment.position) {
+        description += ` - ${adjustment.position} position`;
+      }
+    }
+
+    transaction.set(doc(collection(db, 'rewards')), {
+      userId: userDoc.id,
+      userEmail: userData.email,
+      amount: adjustment.amount,
+      description,
+      gameName: adjustment.gameName || null,
+      position: adjustment.position || null,
+      addedBy: 'Administrator',
+      timestamp: serverTimestamp(),
+      previousBalance: userData.walletBalance || 0,
+      newBalance
+    });
+  }
+
+  transaction.set(adjustmentRef, {
+    status: 'applied',
+    signedAmount,
+    previousBalance: userData.walletBalance || 0,
+    newBalance,
+    appliedAt: serverTimestamp()
+  }, { merge: true });
+
+  return newBalance;
+}
+
+/**
+ * Service for the wallet ledger
+ *
+ * Every change to a user's wallet is an append-only entry in the `transactions`
+ * collection with its type, the document it relates to, the actor and the
+ * balance before and after. `walletBalance` on the user document is a cached
+ * projection of that ledger and is only ever written together with an entry,
+ * inside the same Firestore transaction. `lastTransactionId` on the user
+ * document points at the entry that produced the current balance.
+ *
+ * Pending withdrawals place a hold on the wallet: `heldBalance` is the total
+ * of the user's pending withdrawal requests, and only the balance above it is
+ * available to spend or withdraw. Holds are not ledger entries, the money only
+ * leaves the wallet when the withdrawal is approved.
+ */
+class WalletService {
+  /**
+   * Gets the part of a user's balance that is not held for pending withdrawals
+   * @param {Object} userData - The user document data
+   * @returns {number}
+   */
+  static getAvailableBalance(userData) {
+    return Math.max(0, (userData?.walletBalance || 0) - (userData?.heldBalance || 0));
+  }
+
+  /**
+   * Records a ledger entry and updates the cached balance inside a Firestore transaction.
+   * The user document must have been read in the same transaction.
+   *
+   * Users whose balance predates the ledger get an opening balance entry
+   * first, so the ledger always adds up to `walletBalance`.
+   * @param {Object} transaction - The Firestore transaction
+   * @param {Object} userDoc - The user's document snapshot, read in this transaction
+   * @param {Object} entry - The ledger entry
+   * @param {number} entry.amount - Positive for credits, negative for debits
+   * @param {string} entry.type - One of TRANSACTION_TYPES
+   * @param {string} entry.actor - The uid of the user or admin causing the change, or 'system'
+   * @param {string} [entry.referenceType] - 'tournament', 'recharge', 'withdrawal', 'adjustment' or 'promoCode'
+   * @param {string} [entry.referenceId] - The ID of the referenced document
+   * @param {string} [entry.description] - A human readable description
+   * @returns {number} - The balance after the entry
+   * @throws {Error} If a debit would make the balance negative
+   */
+  static recordEntry(transaction, userDoc, entry) {
+    const userData = userDoc.data();
+    const balanceBefore = userData.walletBalance || 0;
+    const balanceAfter = balanceBefore + entry.amount;
+
+    if (balanceAfter < 0) {
+      throw new Error('Insufficient wallet balance');
+    }
+
+    const userUpdates = {
+      walletBalance: balanceAfter,
+      lastUpdated: new Date().toISOString()
+    };
+
+    if (!userData.ledgerOpenedAt) {
+      userUpdates.ledgerOpenedAt = serverTimestamp();
+
+      if (balanceBefore !== 0) {
+        transaction.set(doc(collection(db, 'transactions')), {
+          userId: userDoc.id,
+          type: TRANSACTION_TYPES.OPENING_BALANCE,
+          amount: balanceBefore,
+          balanceBefore: 0,
+          balanceAfter: balanceBefore,
+          referenceType: null,
+          referenceId: null,
+          actor: 'system',
+          description: 'Balance before the wallet ledger was introduced',
+          createdAt: serverTimestamp()
+        });
+      }
+    }
+
+    const entryRef = doc(collection(db, 'transactions'));
+    transaction.set(entryRef, {
+      userId: userDoc.id,
+      type: entry.type,
+      amount: entry.amount,
+      balanceBefore,
+      balanceAfter,
+      referenceType: entry.referenceType || null,
+      referenceId: entry.referenceId || null,
+      actor: entry.actor,
+      description: entry.description || '',
+      createdAt: serverTimestamp()
+    });
+
+    // The security rules match the balance change against this entry
+    transaction.update(userDoc.ref, { ...userUpdates, lastTransactionId: entryRef.id });
+
+    return balanceAfter;
+  }
+
+  /**
+   * Approve a pending recharge request and credit the user's wallet.
+   * A recharge bonus code on the request is checked again and its bonus
+   * credited as a separate promo entry; a code that can no longer be redeemed
+   * is skipped and the reason kept on the request. The user's first qualifying
+   * recharge also qualifies their referral, if they were referred.
+   * @param {string} requestId - The recharge request ID
+   * @param {string} notes - Admin notes, already sanitized
+   * @param {string} actor - The uid of the approving admin
+   * @returns {Promise<{newBalance: number, promoBonus: number, promoError: string|null}>}
+   */
+  static async approveRecharge(requestId, notes, actor) {
+    const requestRef = doc(db, 'rechargeRequests', requestId);
+
+    return runTransaction(db, async (transaction) => {
+      const requestDoc = await transaction.get(requestRef);
+      if (!requestDoc.exists() || requestDoc.data().status !== 'pending') {
+        throw new Error('This recharge request has already been processed');
+      }
+
+      const request = requestDoc.data();
+      const userDoc = await transaction.get(doc(db, 'users', request.userId));
+      if (!userDoc.exists()) {
+        throw new Error('User not found');
+      }
+
+      const promoDoc = request.promoCode
+        ? await transaction.get(doc(db, 'promoCodes', request.promoCode))
+        : null;
+      const referralDoc = await transaction.get(doc(db, 'referrals', request.userId));
+      const referralSettingsDoc = await transaction.get(doc(db, 'adminSettings', 'referrals'));
+
+      let newBalance = WalletService.recordEntry(transaction, userDoc, {
+        amount: Number(request.amount),
+        type: TRANSACTION_TYPES.RECHARGE,
+        referenceType: 'recharge',
+        referenceId: requestId,
+        actor,
+        description: 'Wallet recharge'
+      });
+
+      ReferralService.qualifyReferral(transaction, referralDoc, referralSettingsDoc, {
+        qualifiedBy: 'recharge',
+        referenceId: requestId,
+        amount: Number(request.amount)
+      });
+
+      let promoBonus = 0;
+      let promoError = null;
+
+      if (promoDoc) {
+        const promo = promoDoc.exists() ? promoDoc.data() : null;
+        promoError = getPromoCodeError(promo, { userId: request.userId, types: ['recharge_bonus'] });
+
+        if (!promoError) {
+          promoBonus = calculateRechargeBonus(promo, request.amount);
+        }
+
+        if (promoBonus > 0) {
+          newBalance = WalletService.recordEntry(transaction, afterEntry(userDoc, newBalance), {
+            amount: promoBonus,
+            type: TRANSACTION_TYPES.PROMO,
+            referenceType: 'recharge',
+            referenceId: requestId,
+            actor,
+            description: `Recharge bonus (${request.promoCode})`
+          });
+
+          PromoCodeService.recordRedemption(transaction, promoDoc, {
+            userId: request.userId,
+            userEmail: request.userEmail,
+            amount: promoBonus,
+            referenceType: 'recharge',
+            referenceId: requestId
+          });
+        }
+      }
+
+      transaction.update(requestRef, {
+        status: 'approved',
+        processedDate: new Date().toISOString(),
+        notes,
+        ...(promoDoc && { promoBonus, promoError })
+      });
+
+      return { newBalance, promoBonus, promoError };
+    });
+  }
+
+  /**
+   * Redeem a wallet credit promo code, crediting its amount straight away
+   * @param {string} code - The code as entered
+   * @param {Object} user - The redeeming user ({ uid, email })
+   * @returns {Promise<{amount: number, newBalance: number}>}
+   * @throws {Error} If the code cannot be redeemed
+   */
+  static async redeemPromoCredit(code, user) {
+    const promoRef = doc(db, 'promoCodes', normalizePromoCode(code));
+    const userRef = doc(db, 'users', user.uid);
+
+    return runTransaction(db, async (transaction) => {
+      const promoDoc = await transaction.get(promoRef);
+      const userDoc = await transaction.get(userRef);
+      if (!userDoc.exists()) {
+        throw new Error('User not found');
+      }
+
+      const promo = promoDoc.exists() ? promoDoc.data() : null;
+      const error = getPromoCodeError(promo, { userId: user.uid, types: ['wallet_credit'] });
+      if (error) {
+        throw new Error(error);
+      }
+
+      const newBalance = WalletService.recordEntry(transaction, userDoc, {
+        amount: promo.amount,
+        type: TRANSACTION_TYPES.PROMO,
+        referenceType: 'promoCode',
+        referenceId: promoDoc.id,
+        actor: user.uid,
+        description: `Promo code ${promoDoc.id}`
+      });
+
+      PromoCodeService.recordRedemption(transaction, promoDoc, {
+        userId: user.uid,
+        userEmail: user.email,
+        amount: promo.amount,
+        referenceType: 'promoCode',
+        referenceId: promoDoc.id
+      });
+
+      return { amount: promo.amount, newBalance };
+    });
+  }
+
+  /**
+   * Request a withdrawal to one of the user's saved payout methods and hold
+   * the amount until an admin processes it. The request keeps a copy of the method.
+   * @param {Object} user - The requesting user ({ uid, email })
+   * @param {Object} details - The withdrawal
+   * @param {string} details.payoutMethodId - The saved payout method to pay to
+   * @param {number} details.amount - The amount in rupees
+   * @returns {Promise<{requestId: string}>}
+   * @throws {Error} If the method is not saved or the amount is more than the available balance
+   */
+  static async requestWithdrawal(user, { payoutMethodId, amount }) {
+    const userRef = doc(db, 'users', user.uid);
+    const requestRef = doc(collection(db, 'withdrawalRequests'));
+
+    return runTransaction(db, async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+      if (!userDoc.exists()) {
+        throw new Error('User not found');
+      }
+
+      const userData = userDoc.data();
+      if (amount > WalletService.getAvailableBalance(userData)) {
+        throw new Error('Withdrawal amount cannot exceed your available balance');
+      }
+
+      const method = (userData.payoutMethods || []).find(saved => saved.id === payoutMethodId);
+      if (!method) {
+        throw new Error('Choose one of your saved payout methods');
+      }
+
+      transaction.set(requestRef, {
+        userId: user.uid,
+        userEmail: user.email,
+        payoutMethodId: method.id,
+        payoutMethodType: method.type,
+        accountName: method.accountName,
+        accountNumber: method.accountNumber,
+        // Mobile wallets are shown by provider wherever requests show the bank
+        bankName: method.type === 'bank' ? method.bankName : PAYOUT_METHOD_LABELS[method.type],
+        accountKey: getPayoutAccountKey(method),
+        amount,
+        holdAmount: amount,
+        status: 'pending',
+        requestDate: new Date().toISOString(),
+        processedDate: null,
+        notes: ''
+      });
+
+      transaction.update(userRef, {
+        heldBalance: (userData.heldBalance || 0) + amount,
+        lastWithdrawalRequestId: requestRef.id,
+        lastUpdated: new Date().toISOString()
+      });
+
+      return { requestId: requestRef.id };
+    });
+  }
+
+  /**
+   * Approve a pending withdrawal request, debit the user's wallet and release its hold
+   * @param {string} requestId - The withdrawal request ID
+   * @param {Object} updates - Admin notes and proof image, already sanitized
+   * @param {string} actor - The uid of the approving admin
+   * @returns {Promise<{newBalance: number}>}
+   */
+  static async approveWithdrawal(requestId, { notes, proofImageUrl }, actor) {
+    const requestRef = doc(db, 'withdrawalRequests', requestId);
+
+    return runTransaction(db, async (transaction) => {
+      const requestDoc = await transaction.get(requestRef);
+      if (!requestDoc.exists() || requestDoc.data().status !== 'pending') {
+        throw new Error('This withdrawal request has already been processed');
+      }
+
+      const request = requestDoc.data();
+      const userDoc = await transaction.get(doc(db, 'users', request.userId));
+      if (!userDoc.exists()) {
+        throw new Error('User not found');
+      }
+
+      const newBalance = WalletService.recordEntry(transaction, userDoc, {
+        amount: -Number(request.amount),
+        type: TRANSACTION_TYPES.WITHDRAWAL,
+        referenceType: 'withdrawal',
+        referenceId: requestId,
+        actor,
+        description: `Withdrawal to ${request.bankName || 'bank account'}`
+      });
+
+      WalletService.releaseHold(transaction, userDoc, request);
+
+      transaction.update(requestRef, {
+        status: 'approved',
+        processedDate: new Date().toISOString(),
+        notes,
+        proofImageUrl
+      });
+
+      return { newBalance };
+    });
+  }
+
+  /**
+   * Reject a pending withdrawal request and release its hold
+   * @param {string} requestId - The withdrawal request ID
+   * @param {Object} updates - Admin notes and proof image, already sanitized
+   * @returns {Promise<void>}
+   */
+  static async rejectWithdrawal(requestId, { notes, proofImageUrl }) {
+    const requestRef = doc(db, 'withdrawalRequests', requestId);
+
+    return runTransaction(db, async (transaction) => {
+      const requestDoc = await transaction.get(requestRef);
+      if (!requestDoc.exists() || requestDoc.data().status !== 'pending') {
+        throw new Error('This withdrawal request has already been processed');
+      }
+
+      const request = requestDoc.data();
+      const userDoc = await transaction.get(doc(db, 'users', request.userId));
+
+      if (userDoc.exists()) {
+        WalletService.releaseHold(transaction, userDoc, request);
+      }
+
+      transaction.update(requestRef, {
+        status: 'rejected',
+        processedDate: new Date().toISOString(),
+        notes,
+        proofImageUrl
+      });
+    });
+  }
+
+  /**
+   * Releases the hold a withdrawal request placed on the wallet.
+   * Requests made before holds were introduced have no `holdAmount` and release nothing.
+   * @param {Object} transaction - The Firestore transaction
+   * @param {Object} userDoc - The user's document snapshot, read in this transaction
+   * @param {Object} request - The withdrawal request data
+   */
+  static releaseHold(transaction, userDoc, request) {
+    const holdAmount = Number(request.holdAmount) || 0;
+    if (holdAmount <= 0) return;
+
+    transaction.update(userDoc.ref, {
+      heldBalance: Math.max(0, (userDoc.data().heldBalance || 0) - holdAmount)
+    });
+  }
+
+  /**
+   * Get the amount at or above which an admin adjustment needs a second admin's confirmation
+   * @returns {Promise<number>}
+   */
+  static async getAdjustmentApprovalThreshold() {
+    const settingsDoc = await getDoc(doc(db, 'adminSettings', 'walletAdjustments'));
+    const threshold = Number(settingsDoc.exists() ? settingsDoc.data().approvalThreshold : NaN);
+    return Number.isFinite(threshold) && threshold > 0 ? threshold : DEFAULT_ADJUSTMENT_APPROVAL_THRESHOLD;
+  }
+
+  /**
+   * Credit or debit a user's wallet as an admin adjustment.
+   * Adjustments below the approval threshold are applied straight away; larger
+   * ones are stored as pending until a different admin confirms them.
+   * Every adjustment is kept in `walletAdjustments` as its audit record.
+   * @param {string} userId - The user whose wallet is adjusted
+   * @param {Object} details - The adjustment, already sanitized
+   * @param {string} details.direction - 'credit' or 'debit'
+   * @param {number} details.amount - The amount in rupees, always positive
+   * @param {string} details.reasonCode - One of ADJUSTMENT_REASON_CODES
+   * @param {string} details.note - Why the adjustment is made
+   * @param {string} [details.gameName] - For prize credits, the game the prize is for
+   * @param {string} [details.position] - For prize credits, the position, e.g. "1st"
+   * @param {Object} admin - The requesting admin ({ uid, email })
+   * @returns {Promise<{adjustmentId: string, status: string}>}
+   */
+  static async requestAdjustment(userId, details, admin) {
+    const { direction, amount, reasonCode, note } = details;
+
+    if (!['credit', 'debit'].includes(direction)) {
+      throw new Error('Choose whether to credit or debit the wallet');
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error('Enter an amount greater than 0');
+    }
+    if (!ADJUSTMENT_REASON_CODES.includes(reasonCode)) {
+      throw new Error('Choose a reason for the adjustment');
+    }
+    if (!note) {
+      throw new Error('Describe why the wallet is being adjusted');
+    }
+
+    const threshold = await WalletService.getAdjustmentApprovalThreshold();
+    const userRef = doc(db, 'users', userId);
+    const adjustmentRef = doc(collection(db, 'walletAdjustments'));
+
+    return runTransaction(db, async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+      if (!userDoc.exists()) {
+        throw new Error('User not found');
+      }
+
+      const adjustment = {
+        userId,
+        userEmail: userDoc.data().email || null,
+        direction,
+        amount,
+        reasonCode,
+        note,
+        gameName: details.gameName || null,
+        position: details.position || null,
+        approvalRequired: amount >= threshold,
+        approvalThreshold: threshold,
+        requestedBy: admin.uid,
+        requestedByEmail: admin.email || null,
+        requestedAt: serverTimestamp()
+      };
+
+      if (adjustment.approvalRequired) {
+        transaction.set(adjustmentRef, { ...adjustment, status: 'pending_approval' });
+        return { adjustmentId: adjustmentRef.id, status: 'pending_approval' };
+      }
+
+      transaction.set(adjustmentRef, adjustment);
+      applyAdjustment(transaction, adjustmentRef, adjustment, userDoc, admin.uid);
+
+      return { adjustmentId: adjustmentRef.id, status: 'applied' };
+    });
+  }
+
+  /**
+   * Confirm a pending adjustment and apply it to the user's wallet.
+   * The confirming admin must be a different admin from the one who requested it.
+   * @param {string} adjustmentId - The adjustment to confirm
+   * @param {Object} admin - The confirming admin ({ uid, email })
+   * @returns {Promise<{newBalance: number}>}
+   */
+  static async approveAdjustment(adjustmentId, admin) {
+    const adjustmentRef = doc(db, 'walletAdjustments', adjustmentId);
+
+    return runTransaction(db, async (transaction) => {
+      const adjustmentDoc = await transaction.get(adjustmentRef);
+      if (!adjustmentDoc.exists() || adjustmentDoc.data().status !== 'pending_approval') {
+        throw new Error('This adjustment has already been processed');
+      }
+
+      const adjustment = adjustmentDoc.data();
+      if (adjustment.requestedBy === admin.uid) {
+        throw new Error('A different admin has to confirm this adjustment');
+      }
+
+      const userDoc = await transaction.get(doc(db, 'users', adjustment.userId));
+      if (!userDoc.exists()) {
+        throw new Error('User not found');
+      }
+
+      const newBalance = applyAdjustment(transaction, adjustmentRef, adjustment, userDoc, admin.uid);
+
+      transaction.update(adjustmentRef, {
+        approvedBy: admin.uid,
+        approvedByEmail: admin.email || null,
+        approvedAt: serverTimestamp()
+      });
+
+      return { newBalance };
+    });
+  }
+
+  /**
+   * Reject a pending adjustment, leaving the wallet unchanged
+   * @param {string} adjustmentId - The adjustment to reject
+   * @param {Object} admin - The rejecting admin ({ uid, email })
+   * @returns {Promise<void>}
+   */
+  static async rejectAdjustment(adjustmentId, admin) {
+    const adjustmentRef = doc(db, 'walletAdjustments', adjustmentId);
+
+    return runTransaction(db, async (transaction) => {
+      const adjustmentDoc = await transaction.get(adjustmentRef);
+      if (!adjustmentDoc.exists() || adjustmentDoc.data().status !== 'pending_approval') {
+        throw new Error('This adjustment has already been processed');
+      }
+
+      transaction.update(adjustmentRef, {
+        status: 'rejected',
+        rejectedBy: admin.uid,
+        rejectedByEmail: admin.email || null,
+        rejectedAt: serverTimestamp()
+      });
+    });
+  }
+
+  /**
+   * Get the adjustments waiting for a second admin's confirmation, oldest first
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getPendingAdjustments() {
+    const pendingQuery = query(collection(db, 'walletAdjustments'), where('status', '==', 'pending_approval'));
+    const snapshot = await getDocs(pendingQuery);
+
+    return snapshot.docs
+      .map(adjustmentDoc => ({ id: adjustmentDoc.id, ...adjustmentDoc.data() }))
+      .sort((a, b) => (a.requestedAt?.toMillis?.() || 0) - (b.requestedAt?.toMillis?.() || 0));
+  }
+
+  /**
+   * Get a user's ledger entries, newest first
+   * @param {string} userId - The user
+   * @returns {Promise<Array<Object>>}
+   */
+  static async getTransactions(userId) {
+    const transactionsQuery = query(collection(db, 'transactions'), where('userId', '==', userId));
+    const snapshot = await getDocs(transactionsQuery);
+
+    const entries = snapshot.docs.map(entryDoc => ({
+      id: entryDoc.id,
+      ...entryDoc.data()
+    }));
+
+    // Sort in memory to avoid requiring a composite index. Entries written in
+    // the same transaction share a timestamp, so fall back to the running balance order.
+    return entries.sort((a, b) =>
+      (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0) ||
+      (a.balanceBefore === b.balanceAfter ? -1 : 0) - (b.balanceBefore === a.balanceAfter ? -1 : 0)
+    );
+  }
+
+  /**
+   * Derive a user's balance from their ledger and compare it with the cached `walletBalance`
+   * @param {string} userId - The user
+   * @returns {Promise<{ledgerBalance: number, cachedBalance: number, inSync: boolean}>}
+   */
+  static async getLedgerBalance(userId) {
+    const [entries, userDoc] = await Promise.all([
+      WalletService.getTransactions(userId),
+      getDoc(doc(db, 'users', userId))
+    ]);
+
+    const cachedBalance = userDoc.exists() ? userDoc.data().walletBalance || 0 : 0;
+
+    // Users who have never had a ledger entry still hold their pre-ledger balance
+    const ledgerBalance = entries.length > 0
+      ? entries.reduce((sum, entry) => sum + entry.amount, 0)
+      : cachedBalance;
+
+    return { ledgerBalance, cachedBalance, inSync: ledgerBalance === cachedBalance };
+  }
+}
+
+export default WalletService;
@@ -0,0 +1,395 @@
+/**
+ * Elimination bracket helpers
+ *
+ * A bracket tournament stores its `format` and `seeding` and, once generated,
+ * a `bracket` map on the tournament document:
+ *   { format, seeding, seeds: [{ userId, username, seed }], results: [{ matchId, winnerId, reportId }],
+ *     generatedAt, generatedBy }
+ * `reportId` is only set on results the two players confirmed themselves (see
+ * utils/matchReports).
+ * The matches are never stored. They are rebuilt from the seeds and the
+ * recorded winners, so byes and advancement always follow from the results and
+ * changing a result drops any later result it invalidates. Only the players of
+ * the ready matches are kept, in the tournament's `readyMatches` map from
+ * getReadyMatches, rewritten with every bracket change, so security rules can
+ * check which two players a match report is about.
+ *
+ * Matches are identified by bracket, round and position: `W2-1` is the first
+ * match of the second winners round, `L1-3` the third match of the first
+ * losers round and `GF-1`/`GF-2` the grand final and its reset.
+ */
+
+export const TOURNAMENT_FORMATS = {
+  standard: 'Standard (results table)',
+  single_elimination: 'Single elimination bracket',
+  double_elimination: 'Double elimination bracket',
+  series: 'Multi-match series (points table)',
+  league: 'Round-robin league (fixtures)'
+};
+
+export const SEEDING_METHODS = {
+  random: 'Random',
+  rating: 'By rating'
+};
+
+export const MATCH_STATUS_LABELS = {
+  waiting: 'Waiting',
+  ready: 'Ready',
+  completed: 'Completed',
+  bye: 'Bye',
+  void: 'Not played'
+};
+
+/**
+ * Checks whether a tournament is played as an elimination bracket
+ * @param {Object} tournament - The tournament document data
+ * @returns {boolean}
+ */
+export function isBracketTournament(tournament) {
+  return tournament?.format === 'single_elimination' || tournament?.format === 'double_elimination';
+}
+
+/**
+ * Gets each player's rating for a game: the bracket matches they have won in
+ * completed tournaments of that game type. Byes do not count.
+ * @param {Array<Object>} tournaments - Tournaments, each with `id`
+ * @param {string} gameType - The game type to rate players for
+ * @returns {Map<string, number>} - By user ID
+ */
+export function getPlayerRatings(tournaments, gameType) {
+  const ratings = new Map();
+
+  tournaments
+    .filter(tournament => tournament.status === 'completed' && tournament.gameType === gameType && tournament.bracket)
+    .forEach(tournament => {
+      buildBracket(tournament.bracket)
+        .filter(match => match.status === 'completed')
+        .forEach(match => ratings.set(match.winnerId, (ratings.get(match.winnerId) || 0) + 1));
+    });
+
+  return ratings;
+}
+
+/**
+ * Orders participants into seeds
+ * @param {Array<Object>} participants - The tournament's participants
+ * @param {string} method - One of SEEDING_METHODS
+ * @param {Map<string, number>} [ratings] - For rating seeding, from getPlayerRatings
+ * @param {Function} [random] - Returns a number in [0, 1), for tests
+ * @returns {Array<{userId: string, username: string, seed: number}>} - Seed 1 first
+ */
+export function seedParticipants(participants, method, ratings = new Map(), random = Math.random) {
+  // Shuffle first so players with the same rating are seeded randomly between themselves
+  const shuffled = participants
+    .map(participant => ({ participant, key: random() }))
+    .sort((a, b) => a.key - b.key)
+    .map(entry => entry.participant);
+
+  if (method === 'rating') {
+    shuffled.sort((a, b) => (ratings.get(b.userId) || 0) - (ratings.get(a.userId) || 0));
+  }
+
+  return shuffled.map((participant, index) => ({
+    userId: participant.userId,
+    username: participant.username || participant.email || 'Unknown',
+    seed: index + 1
+  }));
+}
+
+// Seed numbers in bracket order, so seed 1 and 2 can only meet in the final
+function getSeedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const next = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, next - seed]);
+  }
+  return order;
+}
+
+function createMatch(id, bracket, round, number, sources) {
+  return { id, bracket, round, number, sources, players: [null, null], winnerId: null, loserId: null, status: 'waiting' };
+}
+
+function winnerOf(matchId) {
+  return { matchId, outcome: 'winner' };
+}
+
+function loserOf(matchId) {
+  return { matchId, outcome: 'loser' };
+}
+
+/**
+ * Creates the empty matches of a bracket in the order they can be played
+ * @param {number} size - A power of two
+ * @param {string} format - 'single_elimination' or 'double_elimination'
+ * @returns {Array<Object>}
+ */
+function createMatches(size, format) {
+  const winnersRounds = Math.log2(size);
+  const matches = [];
+
+  for (let round = 1; round <= winnersRounds; round++) {
+    const count = size / 2 ** round;
+    for (let number = 1; number <= count; number++) {
+      const sources = round === 1
+        ? [null, null]
+        : [winnerOf(`W${round - 1}-${number * 2 - 1}`), winnerOf(`W${round - 1}-${number * 2}`)];
+      matches.push(createMatch(`W${round}-${number}`, 'winners', round, number, sources));
+    }
+  }
+
+  if (format !== 'double_elimination') {
+    return matches;
+  }
+
+  // The losers bracket alternates between rounds of its own survivors and
+  // rounds where they meet the players just knocked out of the winners bracket
+  let losersChampion = loserOf('W1-1');
+  if (winnersRounds > 1) {
+    let round = 1;
+    let previous = [];
+
+    for (let number = 1; number <= size / 4; number++) {
+      matches.push(createMatch(`L1-${number}`, 'losers', 1, number,
+        [loserOf(`W1-${number * 2 - 1}`), loserOf(`W1-${number * 2}`)]));
+      previous.push(`L1-${number}`);
+    }
+
+    for (let winnersRound = 2; winnersRound <= winnersRounds; winnersRound++) {
+      round++;
+      const count = previous.length;
+      // Knocked out players drop in reverse order to avoid immediate rematches
+      const dropRound = previous.map((matchId, index) => {
+        const id = `L${round}-${index + 1}`;
+        matches.push(createMatch(id, 'losers', round, index + 1,
+          [winnerOf(matchId), loserOf(`W${winnersRound}-${count - index}`)]));
+        return id;
+      });
+
+      previous = dropRound;
+      if (previous.length > 1) {
+        round++;
+        const pairs = [];
+        for (let number = 1; number <= previous.length / 2; number++) {
+          const id = `L${round}-${number}`;
+          matches.push(createMatch(id, 'losers', round, number,
+            [winnerOf(previous[number * 2 - 2]), winnerOf(previous[number * 2 - 1])]));
+          pairs.push(id);
+        }
+        previous = pairs;
+      }
+    }
+
+    losersChampion = winnerOf(previous[0]);
+  }
+
+  matches.push(createMatch('GF-1', 'grand_final', 1, 1, [winnerOf(`W${winnersRounds}-1`), losersChampion]));
+  // Only played if the losers bracket champion wins the first grand final
+  matches.push(createMatch('GF-2', 'grand_final', 2, 1, [winnerOf('GF-1'), loserOf('GF-1')]));
+
+  return matches;
+}
+
+/**
+ * Rebuilds a bracket's matches from its seeds and recorded winners
+ * @param {Object} bracket - The tournament's `bracket`
+ * @returns {Array<Object>} - Matches in play order, each with `id`, `bracket` ('winners', 'losers'
+ *   or 'grand_final'), `round`, `number`, `players`, `winnerId`, `loserId` and a `status` from MATCH_STATUS_LABELS
+ */
+export function buildBracket(bracket) {
+  const seeds = bracket?.seeds || [];
+  if (seeds.length < 2) return [];
+
+  let size = 2;
+  while (size < seeds.length) size *= 2;
+
+  const matches = createMatches(size, bracket.format);
+  const byId = new Map(matches.map(match => [match.id, match]));
+  const results = new Map((bracket.results || []).map(result => [result.matchId, result.winnerId]));
+  const seedOrder = getSeedOrder(size);
+
+  matches.filter(match => match.bracket === 'winners' && match.round === 1).forEach(match => {
+    match.players = [
+      seeds.find(seed => seed.seed === seedOrder[match.number * 2 - 2]) || null,
+      seeds.find(seed => seed.seed === seedOrder[match.number * 2 - 1]) || null
+    ];
+  });
+
+  // Matches are in play order, so every source is settled or waiting by the time it is needed
+  matches.forEach(match => {
+    // A player is known, will never come (a bye or a match nobody played), or is still to be decided
+    const [first, second] = match.players;
+    const resolved = match.sources.map((source, index) => {
+      if (!source) {
+        const player = index === 0 ? first : second;
+        return { player, state: player ? 'filled' : 'empty' };
+      }
+
+      const sourceMatch = byId.get(source.matchId);
+      if (!['completed', 'bye', 'void'].includes(sourceMatch.status)) {
+        return { player: null, state: 'waiting' };
+      }
+
+      const userId = source.outcome === 'winner' ? sourceMatch.winnerId : sourceMatch.loserId;
+      const player = sourceMatch.players.find(entry => entry && entry.userId === userId) || null;
+      return { player, state: player ? 'filled' : 'empty' };
+    });
+
+    match.players = resolved.map(slot => slot.player);
+    const slots = resolved.map(slot => slot.state);
+
+    const isUnneededReset = match.id === 'GF-2' && byId.get('GF-1').status === 'completed' &&
+      byId.get('GF-1').winnerId === byId.get('GF-1').players[0]?.userId;
+
+    if (isUnneededReset || (slots[0] === 'empty' && slots[1] === 'empty')) {
+      match.players = [null, null];
+      match.status = 'void';
+    } else if (slots.includes('filled') && slots.includes('empty')) {
+      match.winnerId = match.players.find(Boolean).userId;
+      match.status = 'bye';
+    } else if (slots[0] === 'filled' && slots[1] === 'filled') {
+      const winnerId = results.get(match.id);
+      const winner = match.players.find(player => player.userId === winnerId);
+
+      if (winner) {
+        match.winnerId = winner.userId;
+        match.loserId = match.players.find(player => player !== winner).userId;
+        match.status = 'completed';
+      } else {
+        match.status = 'ready';
+      }
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Records the winner of a ready or completed match. Results of later matches
+ * that no longer have the same players are dropped.
+ * @param {Object} bracket - The tournament's `bracket`
+ * @param {string} matchId - The match
+ * @param {string} winnerId - The winning player
+ * @param {Object} [details] - Extra fields stored with the result
+ * @returns {Object} - The updated bracket
+ * @throws {Error} If the match cannot be decided yet or the winner is not playing in it
+ */
+export function recordMatchWinner(bracket, matchId, winnerId, details = {}) {
+  const match = buildBracket(bracket).find(entry => entry.id === matchId);
+  if (!match || !['ready', 'completed'].includes(match.status)) {
+    throw new Error('This match cannot be decided yet');
+  }
+  if (!match.players.some(player => player?.userId === winnerId)) {
+    throw new Error('The winner must be one of the two players in the match');
+  }
+
+  const updated = {
+    ...bracket,
+    results: [...(bracket.results || []).filter(result => result.matchId !== matchId), { matchId, winnerId, ...details }]
+  };
+
+  // Keep only the results that still decide a match after the change
+  const decided = new Set(buildBracket(updated).filter(entry => entry.status === 'completed').map(entry => entry.id));
+  return { ...updated, results: updated.results.filter(result => decided.has(result.matchId)) };
+}
+
+/**
+ * Gets the players of every match that is ready to be played
+ * @param {Object} bracket - The tournament's `bracket`
+ * @returns {Object<string, Array<string>>} - The home and away user IDs by match ID
+ */
+export function getReadyMatches(bracket) {
+  return Object.fromEntries(buildBracket(bracket)
+    .filter(match => match.status === 'ready')
+    .map(match => [match.id, match.players.map(player => player.userId)]));
+}
+
+/**
+ * Gets the bracket's champion and final placements once its last match is decided
+ * @param {Array<Object>} matches - From buildBracket
+ * @returns {Array<{userId: string, placement: number}>|null} - The champion, runner-up and, for
+ *   double elimination, third place; null while the bracket is still being played
+ */
+export function getBracketPlacements(matches) {
+  if (matches.length === 0) return null;
+
+  const played = matches.filter(match => match.status !== 'void');
+  const final = played[played.length - 1];
+  if (!['completed', 'bye'].includes(final.status)) return null;
+
+  const placements = [{ userId: final.winnerId, placement: 1 }];
+  if (final.loserId) {
+    placements.push({ userId: final.loserId, placement: 2 });
+  }
+
+  const losersFinal = [...played].reverse().find(match => match.bracket === 'losers');
+  if (final.bracket === 'grand_final' && losersFinal?.loserId) {
+    placements.push({ userId: losersFinal.loserId, placement: 3 });
+  }
+
+  return placements;
+}
+
+/**
+ * Turns the bracket's final placements into `playerResults` for prize distribution
+ * @param {Object} bracket - The tournament's `bracket`
+ * @returns {Array<Object>|null} - One result per seed, or null while the bracket is still being played
+ */
+export function buildBracketPlayerResults(bracket) {
+  const placements = getBracketPlacements(buildBracket(bracket));
+  if (!placements) return null;
+
+  return bracket.seeds.map(seed => ({
+    userId: seed.userId,
+    username: seed.username,
+    placement: placements.find(entry => entry.userId === seed.userId)?.placement ?? null,
+    kills: 0,
+    disqualified: false,
+    disqualificationReason: ''
+  }));
+}
+
+/**
+ * Gets the display name of a bracket round
+ * @param {Object} match - A match from buildBracket
+ * @param {Array<Object>} matches - All matches of the bracket
+ * @returns {string} - e.g. "Quarterfinals", "Losers Round 2", "Grand Final Reset"
+ */
+export function getRoundName(match, matches) {
+  if (match.bracket === 'grand_final') {
+    return match.round === 1 ? 'Grand Final' : 'Grand Final Reset';
+  }
+  if (match.bracket === 'losers') {
+    return `Losers Round ${match.round}`;
+  }
+
+  const winnersRounds = Math.max(...matches.filter(entry => entry.bracket === 'winners').map(entry => entry.round));
+  const roundsLeft = winnersRounds - match.round;
+  const isDouble = matches.some(entry => entry.bracket === 'grand_final');
+
+  if (roundsLeft === 0) return isDouble ? 'Winners Final' : 'Final';
+  if (roundsLeft === 1) return isDouble ? 'Winners Semifinals' : 'Semifinals';
+  if (roundsLeft === 2 && !isDouble) return 'Quarterfinals';
+  return isDouble ? `Winners Round ${match.round}` : `Round ${match.round}`;
+}
+
+/**
+ * Groups matches into rounds for display
+ * @param {Array<Object>} matches - From buildBracket
+ * @returns {Array<{key: string, name: string, matches: Array<Object>}>}
+ */
+export function groupMatchesByRound(matches) {
+  const rounds = [];
+
+  matches.forEach(match => {
+    const key = `${match.bracket}-${match.round}`;
+    let round = rounds.find(entry => entry.key === key);
+    if (!round) {
+      round = { key, name: getRoundName(match, matches), matches: [] };
+      rounds.push(round);
+    }
+    round.matches.push(match);
+  });
+
+  return rounds;
+}
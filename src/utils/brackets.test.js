@@ -0,0 +1,190 @@
+import {
+  seedParticipants,
+  buildBracket,
+  recordMatchWinner,
+  getReadyMatches,
+  getBracketPlacements,
+  buildBracketPlayerResults,
+  getPlayerRatings,
+  getRoundName
+} from './brackets';
+
+const seeds = count => Array.from({ length: count }, (_, index) => ({
+  userId: `p${index + 1}`,
+  username: `Player ${index + 1}`,
+  seed: index + 1
+}));
+
+const matchById = (bracket, id) => buildBracket(bracket).find(match => match.id === id);
+
+const play = (bracket, results) => results.reduce((current, [matchId, winnerId]) => recordMatchWinner(current, matchId, winnerId), bracket);
+
+describe('seedParticipants', () => {
+  const participants = [{ userId: 'a', username: 'A' }, { userId: 'b', email: 'b@example.com' }, { userId: 'c' }];
+
+  test('numbers the seeds in shuffled order', () => {
+    const keys = [0.9, 0.1, 0.5];
+    const seeded = seedParticipants(participants, 'random', new Map(), () => keys.shift());
+    expect(seeded).toEqual([
+      { userId: 'b', username: 'b@example.com', seed: 1 },
+      { userId: 'c', username: 'Unknown', seed: 2 },
+      { userId: 'a', username: 'A', seed: 3 }
+    ]);
+  });
+
+  test('seeds by rating, highest first', () => {
+    const ratings = new Map([['c', 5], ['a', 2]]);
+    expect(seedParticipants(participants, 'rating', ratings, () => 0.5).map(seed => seed.userId)).toEqual(['c', 'a', 'b']);
+  });
+});
+
+describe('buildBracket', () => {
+  test('needs at least two players', () => {
+    expect(buildBracket({ format: 'single_elimination', seeds: seeds(1) })).toEqual([]);
+  });
+
+  test('pairs seeds so the top two can only meet in the final', () => {
+    const matches = buildBracket({ format: 'single_elimination', seeds: seeds(8) });
+    expect(matches.filter(match => match.round === 1).map(match => match.players.map(player => player.seed)))
+      .toEqual([[1, 8], [4, 5], [2, 7], [3, 6]]);
+  });
+
+  test('gives the top seeds byes into the next round', () => {
+    const bracket = { format: 'single_elimination', seeds: seeds(3) };
+    const firstMatch = matchById(bracket, 'W1-1');
+    expect(firstMatch).toMatchObject({ status: 'bye', winnerId: 'p1' });
+    expect(matchById(bracket, 'W1-2').status).toBe('ready');
+
+    const final = matchById(bracket, 'W2-1');
+    expect(final.status).toBe('waiting');
+    expect(final.players[0].userId).toBe('p1');
+  });
+
+  test('voids losers matches fed only by byes and gives a bye to a lone dropped player', () => {
+    const bracket = { format: 'double_elimination', seeds: seeds(5) };
+    // W1-3 and W1-4 are byes, so nobody drops out of them
+    expect(matchById(bracket, 'L1-2').status).toBe('void');
+    expect(matchById(bracket, 'L1-1').status).toBe('waiting');
+
+    const played = recordMatchWinner(bracket, 'W1-2', 'p4');
+    expect(matchById(played, 'L1-1')).toMatchObject({ status: 'bye', winnerId: 'p5' });
+  });
+});
+
+describe('recordMatchWinner', () => {
+  const bracket = { format: 'single_elimination', seeds: seeds(4) };
+
+  test('advances the winner', () => {
+    const updated = recordMatchWinner(bracket, 'W1-1', 'p4', { reportId: 'r1' });
+    expect(updated.results).toEqual([{ matchId: 'W1-1', winnerId: 'p4', reportId: 'r1' }]);
+    expect(matchById(updated, 'W2-1').players[0].userId).toBe('p4');
+  });
+
+  test('drops later results that a changed result invalidates', () => {
+    const played = play(bracket, [['W1-1', 'p1'], ['W1-2', 'p2'], ['W2-1', 'p1']]);
+    const changed = recordMatchWinner(played, 'W1-1', 'p4');
+    expect(changed.results.map(result => result.matchId)).toEqual(['W1-2', 'W1-1']);
+    expect(matchById(changed, 'W2-1').status).toBe('ready');
+  });
+
+  test('rejects matches that cannot be decided and winners not in the match', () => {
+    expect(() => recordMatchWinner(bracket, 'W2-1', 'p1')).toThrow('cannot be decided yet');
+    expect(() => recordMatchWinner(bracket, 'W1-1', 'p2')).toThrow('one of the two players');
+  });
+});
+
+describe('getReadyMatches', () => {
+  test('keeps the players of the matches ready to be played', () => {
+    const bracket = { format: 'single_elimination', seeds: seeds(3) };
+    expect(getReadyMatches(bracket)).toEqual({ 'W1-2': ['p2', 'p3'] });
+    expect(getReadyMatches(recordMatchWinner(bracket, 'W1-2', 'p3'))).toEqual({ 'W2-1': ['p1', 'p3'] });
+  });
+});
+
+describe('getBracketPlacements', () => {
+  test('is null while the bracket is being played', () => {
+    const bracket = play({ format: 'single_elimination', seeds: seeds(4) }, [['W1-1', 'p1']]);
+    expect(getBracketPlacements(buildBracket(bracket))).toBeNull();
+    expect(getBracketPlacements([])).toBeNull();
+  });
+
+  test('places the champion and runner-up of a single elimination bracket', () => {
+    const bracket = play({ format: 'single_elimination', seeds: seeds(3) }, [['W1-2', 'p3'], ['W2-1', 'p3']]);
+    expect(getBracketPlacements(buildBracket(bracket))).toEqual([
+      { userId: 'p3', placement: 1 },
+      { userId: 'p1', placement: 2 }
+    ]);
+  });
+
+  describe('double elimination grand final', () => {
+    const bracket = play({ format: 'double_elimination', seeds: seeds(4) }, [
+      ['W1-1', 'p1'],
+      ['W1-2', 'p2'],
+      ['W2-1', 'p1'],
+      ['L1-1', 'p3'],
+      ['L2-1', 'p3']
+    ]);
+
+    test('ends when the winners bracket champion wins the first grand final', () => {
+      const decided = recordMatchWinner(bracket, 'GF-1', 'p1');
+      expect(matchById(decided, 'GF-2').status).toBe('void');
+      expect(getBracketPlacements(buildBracket(decided))).toEqual([
+        { userId: 'p1', placement: 1 },
+        { userId: 'p3', placement: 2 },
+        { userId: 'p2', placement: 3 }
+      ]);
+    });
+
+    test('needs the reset when the losers bracket champion wins the first grand final', () => {
+      const reset = recordMatchWinner(bracket, 'GF-1', 'p3');
+      expect(matchById(reset, 'GF-2').status).toBe('ready');
+      expect(getBracketPlacements(buildBracket(reset))).toBeNull();
+
+      const decided = recordMatchWinner(reset, 'GF-2', 'p3');
+      expect(getBracketPlacements(buildBracket(decided)).slice(0, 2)).toEqual([
+        { userId: 'p3', placement: 1 },
+        { userId: 'p1', placement: 2 }
+      ]);
+    });
+  });
+});
+
+describe('buildBracketPlayerResults', () => {
+  test('gives every seed a result, unplaced players without a placement', () => {
+    const bracket = play({ format: 'single_elimination', seeds: seeds(4) }, [['W1-1', 'p1'], ['W1-2', 'p2'], ['W2-1', 'p2']]);
+    expect(buildBracketPlayerResults(bracket).map(result => [result.userId, result.placement]))
+      .toEqual([['p1', 2], ['p2', 1], ['p3', null], ['p4', null]]);
+  });
+
+  test('is null until there is a champion', () => {
+    expect(buildBracketPlayerResults({ format: 'single_elimination', seeds: seeds(4) })).toBeNull();
+  });
+});
+
+describe('getPlayerRatings', () => {
+  test('counts the matches won in completed tournaments of the game, not byes', () => {
+    const bracket = play({ format: 'single_elimination', seeds: seeds(3) }, [['W1-2', 'p2'], ['W2-1', 'p1']]);
+    const tournaments = [
+      { id: 't1', status: 'completed', gameType: 'PUBG', bracket },
+      { id: 't2', status: 'live', gameType: 'PUBG', bracket },
+      { id: 't3', status: 'completed', gameType: 'Free Fire', bracket }
+    ];
+
+    const ratings = getPlayerRatings(tournaments, 'PUBG');
+    expect(ratings.get('p1')).toBe(1);
+    expect(ratings.get('p2')).toBe(1);
+    expect(ratings.has('p3')).toBe(false);
+  });
+});
+
+describe('getRoundName', () => {
+  test('names single and double elimination rounds', () => {
+    const single = buildBracket({ format: 'single_elimination', seeds: seeds(8) });
+    expect(['W1-1', 'W2-1', 'W3-1'].map(id => getRoundName(single.find(match => match.id === id), single)))
+      .toEqual(['Quarterfinals', 'Semifinals', 'Final']);
+
+    const double = buildBracket({ format: 'double_elimination', seeds: seeds(4) });
+    expect(['W2-1', 'L1-1', 'GF-1', 'GF-2'].map(id => getRoundName(double.find(match => match.id === id), double)))
+      .toEqual(['Winners Final', 'Losers Round 1', 'Grand Final', 'Grand Final Reset']);
+  });
+});
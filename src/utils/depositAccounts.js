@@ -0,0 +1,141 @@
+/**
+ * Deposit account helpers
+ *
+ * Admins keep the accounts players pay recharges into in the `accounts` array
+ * of adminSettings/paymentAccounts. Each account has an `id`, a `method` (one
+ * of PAYOUT_METHOD_TYPES), a `label` for admins, the `accountName`,
+ * `accountNumber` and, for banks, `bankName`, a `dailyLimit` in rupees (0 for
+ * no limit) and an `enabled` flag.
+ *
+ * What has been requested into each account per UTC day is counted in
+ * `depositAccountUsage/{YYYY-MM-DD}` as `accounts.<id>.requestedAmount` and
+ * `accounts.<id>.requestCount`, which is what rotation and limits go by.
+ * `lastRechargeRequestId` is the recharge request counted last.
+ */
+import { PAYOUT_METHOD_LABELS } from './payoutMethods';
+
+export const DEPOSIT_SELECTION_STRATEGIES = {
+  rotation: 'Rotate between accounts',
+  remaining_limit: 'Account with the most daily limit left'
+};
+
+export const DEFAULT_DEPOSIT_SELECTION_STRATEGY = 'rotation';
+
+/**
+ * Gets the deposit accounts from the payment settings. Settings saved before
+ * deposit accounts existed have one bank and one EasyPaisa account in
+ * separate fields, which are read as two accounts without a limit.
+ * @param {Object} [data] - The adminSettings/paymentAccounts document data
+ * @returns {Array<Object>}
+ */
+export function getDepositAccounts(data = {}) {
+  if (Array.isArray(data.accounts)) {
+    return data.accounts;
+  }
+
+  const accounts = [];
+  if (data.bankAccountNumber) {
+    accounts.push({
+      id: 'legacy-bank',
+      method: 'bank',
+      label: data.bankName || 'Bank account',
+      accountName: data.bankAccountName || '',
+      accountNumber: data.bankAccountNumber,
+      bankName: data.bankName || '',
+      dailyLimit: 0,
+      enabled: true
+    });
+  }
+  if (data.easyPasaInfo) {
+    accounts.push({
+      id: 'legacy-easypaisa',
+      method: 'easypaisa',
+      label: 'EasyPaisa',
+      accountName: data.easyPasaOwnerName || '',
+      accountNumber: data.easyPasaInfo,
+      bankName: null,
+      dailyLimit: 0,
+      enabled: true
+    });
+  }
+  return accounts;
+}
+
+/**
+ * Gets the usage document ID for the UTC day of a date
+ * @param {Date} [date] - The date
+ * @returns {string} - YYYY-MM-DD
+ */
+export function getUsageDateKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Gets what has been requested into an account on the day of a usage document
+ * @param {Object} [usage] - The depositAccountUsage document data
+ * @param {string} accountId - The deposit account
+ * @returns {{requestedAmount: number, requestCount: number}}
+ */
+export function getAccountUsage(usage, accountId) {
+  const entry = usage?.accounts?.[accountId];
+  return { requestedAmount: entry?.requestedAmount || 0, requestCount: entry?.requestCount || 0 };
+}
+
+/**
+ * Gets how much more an account can take today
+ * @param {Object} account - The deposit account
+ * @param {Object} [usage] - Today's depositAccountUsage document data
+ * @returns {number} - Infinity for accounts without a daily limit
+ */
+export function getRemainingLimit(account, usage) {
+  if (!(account.dailyLimit > 0)) return Infinity;
+  return Math.max(0, account.dailyLimit - getAccountUsage(usage, account.id).requestedAmount);
+}
+
+/**
+ * Gets the payment methods players can recharge with right now
+ * @param {Array<Object>} accounts - The deposit accounts
+ * @returns {Array<string>} - Methods with at least one enabled account
+ */
+export function getAvailableDepositMethods(accounts) {
+  return [...new Set(accounts.filter(account => account.enabled).map(account => account.method))];
+}
+
+/**
+ * Picks the account a player is told to pay a recharge into
+ * @param {Array<Object>} accounts - The deposit accounts
+ * @param {Object} [usage] - Today's depositAccountUsage document data
+ * @param {Object} recharge - The recharge
+ * @param {string} recharge.method - The payment method the player chose
+ * @param {number} recharge.amount - The amount they will pay
+ * @param {string} [strategy] - One of DEPOSIT_SELECTION_STRATEGIES: 'rotation' picks the
+ *   account given out least today, 'remaining_limit' the one with the most limit left
+ * @returns {Object|null} - null if no enabled account of the method can take the amount today
+ */
+export function pickDepositAccount(accounts, usage, { method, amount }, strategy = DEFAULT_DEPOSIT_SELECTION_STRATEGY) {
+  const candidates = accounts.filter(account =>
+    account.enabled &&
+    account.method === method &&
+    getRemainingLimit(account, usage) >= amount);
+
+  if (candidates.length === 0) return null;
+
+  const byRequestCount = (a, b) => getAccountUsage(usage, a.id).requestCount - getAccountUsage(usage, b.id).requestCount;
+
+  // Array.prototype.sort is stable, so ties keep the admin's order
+  const sorted = strategy === 'remaining_limit'
+    ? [...candidates].sort((a, b) => (getRemainingLimit(b, usage) - getRemainingLimit(a, usage)) || byRequestCount(a, b))
+    : [...candidates].sort(byRequestCount);
+
+  return sorted[0];
+}
+
+/**
+ * Describes a deposit account for admins
+ * @param {Object} account - The deposit account
+ * @returns {string} - e.g. "Main JazzCash (JazzCash 03001234567)"
+ */
+export function describeDepositAccount(account) {
+  const provider = account.method === 'bank' ? account.bankName || PAYOUT_METHOD_LABELS.bank : PAYOUT_METHOD_LABELS[account.method];
+  return `${account.label} (${provider} ${account.accountNumber})`;
+}
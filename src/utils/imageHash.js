@@ -0,0 +1,101 @@
+/**
+ * Perceptual image hashing
+ *
+ * Uses a difference hash (dHash): the image is shrunk to 9x8 greyscale pixels
+ * and each bit records whether a pixel is brighter than its right neighbour.
+ * Re-encoded, resized or lightly cropped copies of the same screenshot produce
+ * hashes only a few bits apart, so near-identical proofs can be matched by
+ * Hamming distance.
+ */
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// Hashes at most this many bits apart (out of 64) are treated as the same image
+export const NEAR_DUPLICATE_DISTANCE = 6;
+
+/**
+ * Computes a difference hash from greyscale pixels
+ * @param {Array<number>} grey - HASH_WIDTH x HASH_HEIGHT brightness values, row by row
+ * @returns {string} - The 64-bit hash as 16 hex characters
+ */
+export function differenceHashFromPixels(grey) {
+  let hash = '';
+
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    let nibble = 0;
+
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const index = y * HASH_WIDTH + x;
+      nibble = (nibble << 1) | (grey[index] > grey[index + 1] ? 1 : 0);
+
+      if (x % 4 === 3) {
+        hash += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Counts the bits that differ between two hashes
+ * @param {string} a - A hash from differenceHashFromPixels
+ * @param {string} b - Another hash
+ * @returns {number} - 0 to 64, or Infinity if either hash is missing
+ */
+export function hammingDistance(a, b) {
+  if (!a || !b || a.length !== b.length) return Infinity;
+
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+
+  return distance;
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new window.Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Could not load image for hashing'));
+    image.src = src;
+  });
+}
+
+/**
+ * Computes the difference hash of an image in the browser
+ * @param {File|string} source - An uploaded file or an image URL that allows cross-origin reads
+ * @returns {Promise<string>} - The 64-bit hash as 16 hex characters
+ */
+export async function computeImageHash(source) {
+  const objectUrl = typeof source === 'string' ? null : URL.createObjectURL(source);
+
+  try {
+    const image = await loadImage(objectUrl || source);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = HASH_WIDTH;
+    canvas.height = HASH_HEIGHT;
+
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0, HASH_WIDTH, HASH_HEIGHT);
+    const { data } = context.getImageData(0, 0, HASH_WIDTH, HASH_HEIGHT);
+
+    const grey = [];
+    for (let i = 0; i < data.length; i += 4) {
+      grey.push(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+    }
+
+    return differenceHashFromPixels(grey);
+  } finally {
+    if (objectUrl) URL.revokeObjectURL(objectUrl);
+  }
+}
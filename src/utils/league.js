@@ -0,0 +1,245 @@
+/**
+ * Round-robin league helpers
+ *
+ * A league tournament (`format: 'league'`) plays every participant against
+ * every other once, one round per `roundDays` days. Each fixture is a
+ * `leagueFixtures` document:
+ *   { tournamentId, round, match, homeId, homeName, awayId, awayName, deadline,
+ *     status, homeScore, awayScore, winnerId, reportedBy, reportedAt, resolvedBy }
+ * A fixture is 'scheduled' until both players report the same score (see
+ * utils/matchReports) or an admin enters it ('completed'). If its deadline
+ * passes with no report at all, the scheduler forfeits it for both players
+ * ('forfeited'): each takes a loss.
+ */
+
+export const DEFAULT_ROUND_DAYS = 7;
+
+export const LEAGUE_POINTS = {
+  win: 3,
+  loss: 0
+};
+
+export const FIXTURE_STATUS_LABELS = {
+  scheduled: 'Scheduled',
+  completed: 'Played',
+  forfeited: 'Forfeited'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks whether a tournament is played as a round-robin league
+ * @param {Object} tournament - The tournament document data
+ * @returns {boolean}
+ */
+export function isLeagueTournament(tournament) {
+  return tournament?.format === 'league';
+}
+
+/**
+ * Resolves the days between rounds of a league
+ * @param {Object} tournament - The tournament document data
+ * @returns {number}
+ */
+export function getRoundDays(tournament) {
+  const days = Number(tournament?.roundDays);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_ROUND_DAYS;
+}
+
+/**
+ * Pairs every player with every other once using the circle method, so each
+ * player plays at most once per round and home and away alternate
+ * @param {Array<Object>} players - The players in any order
+ * @returns {Array<Array<{home: Object, away: Object}>>} - The pairings of each round; a
+ *   player left over in a round with an odd number of players sits it out
+ */
+export function pairRoundRobin(players) {
+  let rotation = players.length % 2 === 0 ? [...players] : [...players, null];
+  const half = rotation.length / 2;
+  const rounds = [];
+
+  for (let round = 0; round < rotation.length - 1; round++) {
+    const top = rotation.slice(0, half);
+    const bottom = rotation.slice(half).reverse();
+
+    rounds.push(top
+      .map((player, position) => {
+        const opponent = bottom.find((_, index) => index === position);
+        // The fixed player alternates every round, the others by board
+        const swap = position === 0 ? round % 2 === 1 : position % 2 === 1;
+        return swap ? { home: opponent, away: player } : { home: player, away: opponent };
+      })
+      .filter(pairing => pairing.home && pairing.away));
+
+    const [fixed, ...rest] = rotation;
+    rotation = [fixed, ...rest.slice(-1), ...rest.slice(0, -1)];
+  }
+
+  return rounds;
+}
+
+/**
+ * Builds the fixtures of a league
+ * @param {Array<Object>} participants - The tournament's participants
+ * @param {Date} startsAt - When the first round starts
+ * @param {number} roundDays - Days per round; each round's deadline is at its end
+ * @returns {Array<{round: number, match: number, homeId: string, homeName: string,
+ *   awayId: string, awayName: string, deadline: Date}>}
+ */
+export function buildFixtures(participants, startsAt, roundDays) {
+  const players = participants.map(participant => ({
+    userId: participant.userId,
+    name: participant.username || participant.email || 'Unknown'
+  }));
+
+  return pairRoundRobin(players).flatMap((pairings, index) =>
+    pairings.map((pairing, position) => ({
+      round: index + 1,
+      match: position + 1,
+      homeId: pairing.home.userId,
+      homeName: pairing.home.name,
+      awayId: pairing.away.userId,
+      awayName: pairing.away.name,
+      deadline: new Date(startsAt.getTime() + (index + 1) * roundDays * DAY_MS)
+    })));
+}
+
+/**
+ * Gets the label of a fixture status
+ * @param {string} status - The fixture status
+ * @returns {string}
+ */
+export function getFixtureStatusLabel(status) {
+  const entry = Object.entries(FIXTURE_STATUS_LABELS).find(([key]) => key === status);
+  return entry ? entry[1] : 'Scheduled';
+}
+
+/**
+ * Gets the deadline of a fixture
+ * @param {Object} fixture - The fixture document data
+ * @returns {Date|null}
+ */
+export function getFixtureDeadline(fixture) {
+  if (!fixture?.deadline) return null;
+  return fixture.deadline.toDate ? fixture.deadline.toDate() : new Date(fixture.deadline);
+}
+
+/**
+ * Checks a reported score
+ * @param {number|string} homeScore - The home player's score
+ * @param {number|string} awayScore - The away player's score
+ * @returns {string|null} - What is wrong with the score, or null if it is valid
+ */
+export function getScoreError(homeScore, awayScore) {
+  const scores = [homeScore, awayScore];
+
+  if (scores.some(score => score === '' || score === null || !Number.isInteger(Number(score)) || Number(score) < 0)) {
+    return 'Scores must be whole numbers of 0 or more';
+  }
+  if (Number(homeScore) === Number(awayScore)) {
+    return '1v1 matches need a winner, scores cannot be level';
+  }
+
+  return null;
+}
+
+/**
+ * Gets the winner of a score
+ * @param {Object} fixture - The fixture document data
+ * @param {number} homeScore - The home player's score
+ * @param {number} awayScore - The away player's score
+ * @returns {string} - The winner's user ID
+ */
+export function getFixtureWinner(fixture, homeScore, awayScore) {
+  return homeScore > awayScore ? fixture.homeId : fixture.awayId;
+}
+
+/**
+ * Calculates the league table from the fixtures: points, then score
+ * difference, then scores for
+ * @param {Array<Object>} participants - The tournament's participants
+ * @param {Array<Object>} fixtures - The league's fixtures
+ * @returns {Array<{userId: string, name: string, rank: number, played: number, wins: number,
+ *   losses: number, forfeits: number, scoreFor: number, scoreAgainst: number, points: number}>}
+ */
+export function calculateLeagueTable(participants, fixtures) {
+  const rows = new Map(participants.map(participant => [participant.userId, {
+    userId: participant.userId,
+    name: participant.username || participant.email || 'Unknown',
+    played: 0,
+    wins: 0,
+    losses: 0,
+    forfeits: 0,
+    scoreFor: 0,
+    scoreAgainst: 0,
+    points: 0
+  }]));
+
+  fixtures.forEach(fixture => {
+    const home = rows.get(fixture.homeId);
+    const away = rows.get(fixture.awayId);
+
+    if (fixture.status === 'forfeited') {
+      [home, away].filter(Boolean).forEach(row => {
+        row.played++;
+        row.losses++;
+        row.forfeits++;
+        row.points += LEAGUE_POINTS.loss;
+      });
+      return;
+    }
+    if (fixture.status !== 'completed') return;
+
+    [[home, fixture.homeScore, fixture.awayScore, fixture.homeId], [away, fixture.awayScore, fixture.homeScore, fixture.awayId]]
+      .filter(([row]) => row)
+      .forEach(([row, scoreFor, scoreAgainst, userId]) => {
+        const won = fixture.winnerId === userId;
+        row.played++;
+        row.scoreFor += scoreFor;
+        row.scoreAgainst += scoreAgainst;
+        row.wins += won ? 1 : 0;
+        row.losses += won ? 0 : 1;
+        row.points += won ? LEAGUE_POINTS.win : LEAGUE_POINTS.loss;
+      });
+  });
+
+  return [...rows.values()]
+    .sort((a, b) =>
+      b.points - a.points ||
+      (b.scoreFor - b.scoreAgainst) - (a.scoreFor - a.scoreAgainst) ||
+      b.scoreFor - a.scoreFor ||
+      a.name.localeCompare(b.name)
+    )
+    .map((row, index) => ({ ...row, rank: index + 1 }));
+}
+
+/**
+ * Checks whether every fixture of a league has been played or forfeited
+ * @param {Array<Object>} fixtures - The league's fixtures
+ * @returns {boolean}
+ */
+export function isLeagueComplete(fixtures) {
+  return fixtures.length > 0 && fixtures.every(fixture => fixture.status !== 'scheduled');
+}
+
+/**
+ * Groups fixtures into rounds for display
+ * @param {Array<Object>} fixtures - The league's fixtures
+ * @returns {Array<{round: number, deadline: Date|null, fixtures: Array<Object>}>}
+ */
+export function groupFixturesByRound(fixtures) {
+  const rounds = [];
+
+  [...fixtures]
+    .sort((a, b) => a.round - b.round || a.match - b.match)
+    .forEach(fixture => {
+      let round = rounds.find(entry => entry.round === fixture.round);
+      if (!round) {
+        round = { round: fixture.round, deadline: getFixtureDeadline(fixture), fixtures: [] };
+        rounds.push(round);
+      }
+      round.fixtures.push(fixture);
+    });
+
+  return rounds;
+}
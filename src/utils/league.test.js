@@ -0,0 +1,183 @@
+import {
+  getRoundDays,
+  pairRoundRobin,
+  buildFixtures,
+  getFixtureStatusLabel,
+  getFixtureDeadline,
+  getScoreError,
+  getFixtureWinner,
+  calculateLeagueTable,
+  isLeagueComplete,
+  groupFixturesByRound
+} from './league';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const players = count => Array.from({ length: count }, (_, index) => ({ userId: `p${index + 1}`, username: `Player ${index + 1}` }));
+
+const pairKey = pairing => [pairing.home.userId, pairing.away.userId].sort().join('-');
+
+describe('getRoundDays', () => {
+  test('defaults to a week per round', () => {
+    expect(getRoundDays({ roundDays: 3 })).toBe(3);
+    expect(getRoundDays({ roundDays: 0 })).toBe(7);
+    expect(getRoundDays({})).toBe(7);
+  });
+});
+
+describe('pairRoundRobin', () => {
+  test.each([4, 5, 6, 7])('pairs each of %i players with every other exactly once', count => {
+    const rounds = pairRoundRobin(players(count).map(player => ({ userId: player.userId })));
+    const pairings = rounds.flat();
+
+    expect(pairings).toHaveLength(count * (count - 1) / 2);
+    expect(new Set(pairings.map(pairKey)).size).toBe(pairings.length);
+  });
+
+  test('plays everyone at most once a round', () => {
+    pairRoundRobin(players(6)).forEach(round => {
+      const ids = round.flatMap(pairing => [pairing.home.userId, pairing.away.userId]);
+      expect(new Set(ids).size).toBe(ids.length);
+    });
+  });
+
+  test('with an odd number of players, sits each player out of exactly one round', () => {
+    const rounds = pairRoundRobin(players(5));
+    expect(rounds).toHaveLength(5);
+
+    const sittingOut = rounds.map(round => {
+      const playing = new Set(round.flatMap(pairing => [pairing.home.userId, pairing.away.userId]));
+      return players(5).filter(player => !playing.has(player.userId)).map(player => player.userId);
+    });
+    expect(sittingOut.every(ids => ids.length === 1)).toBe(true);
+    expect(new Set(sittingOut.flat()).size).toBe(5);
+  });
+
+  test('balances home and away games', () => {
+    const homeGames = new Map();
+    pairRoundRobin(players(6)).flat().forEach(pairing => {
+      homeGames.set(pairing.home.userId, (homeGames.get(pairing.home.userId) || 0) + 1);
+    });
+    expect([...homeGames.values()].every(count => count === 2 || count === 3)).toBe(true);
+  });
+
+  test('has no fixtures for fewer than two players', () => {
+    expect(pairRoundRobin(players(1)).flat()).toEqual([]);
+    expect(pairRoundRobin([])).toEqual([]);
+  });
+});
+
+describe('buildFixtures', () => {
+  const startsAt = new Date('2026-11-01T10:00:00Z');
+
+  test('numbers the rounds and matches and ends each round after its days', () => {
+    const fixtures = buildFixtures(players(3), startsAt, 2);
+
+    expect(fixtures).toHaveLength(3);
+    expect(fixtures.map(fixture => [fixture.round, fixture.match])).toEqual([[1, 1], [2, 1], [3, 1]]);
+    expect(fixtures.map(fixture => fixture.deadline.getTime() - startsAt.getTime()))
+      .toEqual([2 * DAY_MS, 4 * DAY_MS, 6 * DAY_MS]);
+  });
+
+  test('names the players, falling back to their email', () => {
+    const [fixture] = buildFixtures([{ userId: 'a', username: 'Alpha' }, { userId: 'b', email: 'b@example.com' }], startsAt, 7);
+    expect([fixture.homeName, fixture.awayName].sort()).toEqual(['Alpha', 'b@example.com']);
+  });
+});
+
+describe('fixtures', () => {
+  test('label their status', () => {
+    expect(getFixtureStatusLabel('completed')).toBe('Played');
+    expect(getFixtureStatusLabel('unknown')).toBe('Scheduled');
+  });
+
+  test('read their deadline from a timestamp or a date', () => {
+    const deadline = new Date('2026-11-08T10:00:00Z');
+    expect(getFixtureDeadline({ deadline: { toDate: () => deadline } })).toBe(deadline);
+    expect(getFixtureDeadline({ deadline: deadline.toISOString() })).toEqual(deadline);
+    expect(getFixtureDeadline({})).toBeNull();
+  });
+
+  test('are grouped into rounds in order', () => {
+    const rounds = groupFixturesByRound([
+      { id: 'c', round: 2, match: 1 },
+      { id: 'b', round: 1, match: 2 },
+      { id: 'a', round: 1, match: 1 }
+    ]);
+    expect(rounds.map(round => [round.round, round.fixtures.map(fixture => fixture.id)])).toEqual([[1, ['a', 'b']], [2, ['c']]]);
+  });
+});
+
+describe('scores', () => {
+  test('are whole numbers of 0 or more with a winner', () => {
+    expect(getScoreError(3, 1)).toBeNull();
+    expect(getScoreError('2', '0')).toBeNull();
+    expect(getScoreError('', 1)).toBe('Scores must be whole numbers of 0 or more');
+    expect(getScoreError(1.5, 1)).toBe('Scores must be whole numbers of 0 or more');
+    expect(getScoreError(-1, 1)).toBe('Scores must be whole numbers of 0 or more');
+    expect(getScoreError(2, '2')).toBe('1v1 matches need a winner, scores cannot be level');
+  });
+
+  test('decide the winner of a fixture', () => {
+    const fixture = { homeId: 'a', awayId: 'b' };
+    expect(getFixtureWinner(fixture, 3, 1)).toBe('a');
+    expect(getFixtureWinner(fixture, 0, 2)).toBe('b');
+  });
+});
+
+describe('calculateLeagueTable', () => {
+  const participants = [{ userId: 'a', username: 'Alpha' }, { userId: 'b', username: 'Bravo' }, { userId: 'c', username: 'Charlie' }];
+  const played = (homeId, awayId, homeScore, awayScore) => ({
+    status: 'completed',
+    homeId,
+    awayId,
+    homeScore,
+    awayScore,
+    winnerId: homeScore > awayScore ? homeId : awayId
+  });
+
+  test('gives a win three points and counts a forfeit as a loss for both players', () => {
+    const table = calculateLeagueTable(participants, [
+      played('a', 'b', 2, 1),
+      { status: 'forfeited', homeId: 'a', awayId: 'c' },
+      { status: 'scheduled', homeId: 'b', awayId: 'c' }
+    ]);
+
+    expect(table[0]).toMatchObject({ userId: 'a', rank: 1, played: 2, wins: 1, losses: 1, forfeits: 1, scoreFor: 2, scoreAgainst: 1, points: 3 });
+    expect(table.find(row => row.userId === 'c')).toMatchObject({ played: 1, losses: 1, forfeits: 1, points: 0 });
+  });
+
+  test('breaks ties on points by score difference, then scores for, then name', () => {
+    const table = calculateLeagueTable(participants, [
+      played('a', 'b', 5, 1),
+      played('b', 'c', 3, 2),
+      played('c', 'a', 3, 1)
+    ]);
+    // Everyone wins once; a: 6 for 4 against, b: 4 for 7 against, c: 5 for 4 against
+    expect(table.map(row => row.userId)).toEqual(['a', 'c', 'b']);
+
+    const level = calculateLeagueTable(participants, [
+      played('a', 'b', 2, 1),
+      played('b', 'c', 2, 1),
+      played('c', 'a', 2, 1)
+    ]);
+    // Every player has a win, 3 for and 3 against
+    expect(level.map(row => row.name)).toEqual(['Alpha', 'Bravo', 'Charlie']);
+
+    const onScoresFor = calculateLeagueTable(participants, [
+      played('a', 'b', 4, 3),
+      played('b', 'c', 1, 0),
+      played('c', 'a', 4, 3)
+    ]);
+    // a: 7 for 7 against, b: 4 for 4 against, c: 4 for 4 against; a first on scores for, then b and c by name
+    expect(onScoresFor.map(row => row.userId)).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('isLeagueComplete', () => {
+  test('needs every fixture played or forfeited', () => {
+    expect(isLeagueComplete([{ status: 'completed' }, { status: 'forfeited' }])).toBe(true);
+    expect(isLeagueComplete([{ status: 'completed' }, { status: 'scheduled' }])).toBe(false);
+    expect(isLeagueComplete([])).toBe(false);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Player-reported head-to-head results
+ *
+ * Both players of a 1v1 match - a ready bracket match or a scheduled league
+ * fixture - report the score themselves. Their reports are kept in one
+ * `matchReports` document per match and pairing, with the ID from getMatchReportId:
+ *   { tournamentId, gameName, source, matchId, matchLabel, homeId, homeName,
+ *     awayId, awayName, playerIds, reports, status, homeScore, awayScore,
+ *     winnerId, recorded, createdAt, updatedAt, confirmedAt, disputedAt, disputeReason,
+ *     resolvedBy, resolvedAt, resolutionNote }
+ * `source` is 'bracket' or 'league' and `reports` maps each player who reported
+ * to their report, so a player only ever writes their own:
+ *   { [userId]: { userId, homeScore, awayScore, screenshotUrl, reportedAt } }
+ * A report stays 'pending' until the other player reports too. Matching reports
+ * are 'confirmed': a league fixture records the score straight away, a bracket
+ * result is recorded by the scheduler, which sets `recorded`, or voids the report
+ * if the match was decided another way in the meantime. Conflicting reports are
+ * 'disputed' and wait in the admin queue, which 'resolved's them.
+ */
+import { buildBracket, getRoundName } from './brackets.js';
+import { getFixtureDeadline } from './league.js';
+
+export const MATCH_REPORT_STATUS_LABELS = {
+  pending: 'Waiting for opponent',
+  confirmed: 'Confirmed',
+  disputed: 'Disputed',
+  resolved: 'Resolved by admin',
+  void: 'Superseded by an admin result'
+};
+
+export const DISPUTE_REASONS = {
+  conflict: 'The players reported different scores',
+  unconfirmed: 'The opponent did not report before the deadline'
+};
+
+/**
+ * Gets the ID of the report document of a match. The players are part of it:
+ * when an admin changes an earlier bracket result, a later match gets a new
+ * pairing and the reports of the old one do not carry over.
+ * @param {{tournamentId: string, matchId: string, homeId: string, awayId: string}} match - The
+ *   match, with the bracket match ID or the league fixture ID as `matchId`
+ * @returns {string}
+ */
+export function getMatchReportId({ tournamentId, matchId, homeId, awayId }) {
+  return `${tournamentId}_${matchId}_${homeId}_${awayId}`;
+}
+
+/**
+ * Gets the label of a report status
+ * @param {string} status - The report status
+ * @returns {string}
+ */
+export function getMatchReportStatusLabel(status) {
+  const entry = Object.entries(MATCH_REPORT_STATUS_LABELS).find(([key]) => key === status);
+  return entry ? entry[1] : MATCH_REPORT_STATUS_LABELS.pending;
+}
+
+/**
+ * Gets why a report is disputed
+ * @param {Object} report - The match report document data
+ * @returns {string}
+ */
+export function getDisputeReason(report) {
+  return report?.disputeReason === 'unconfirmed' ? DISPUTE_REASONS.unconfirmed : DISPUTE_REASONS.conflict;
+}
+
+/**
+ * Gets a player's own report of a match
+ * @param {Object|null} report - The match report document data
+ * @param {string} userId - The player
+ * @returns {Object|null}
+ */
+export function getPlayerReport(report, userId) {
+  return Object.values(report?.reports || {}).find(entry => entry.userId === userId) || null;
+}
+
+/**
+ * Gets the other player's report of a match
+ * @param {Object|null} report - The match report document data
+ * @param {string} userId - The player
+ * @returns {Object|null}
+ */
+export function getOpponentReport(report, userId) {
+  return Object.values(report?.reports || {}).find(entry => entry.userId !== userId) || null;
+}
+
+/**
+ * Checks whether two reports give the same score
+ * @param {Object} first - A report
+ * @param {Object} second - The other report
+ * @returns {boolean}
+ */
+export function reportsAgree(first, second) {
+  return Number(first.homeScore) === Number(second.homeScore) && Number(first.awayScore) === Number(second.awayScore);
+}
+
+/**
+ * Gets the open 1v1 matches a player has to report in a tournament: their ready
+ * bracket matches, or their league fixtures still before the deadline
+ * @param {Object} tournament - The tournament, with `id`
+ * @param {Array<Object>} fixtures - The league's fixtures, empty for other formats
+ * @param {string} userId - The player
+ * @returns {Array<{tournamentId: string, gameName: string, source: string, matchId: string, matchLabel: string,
+ *   homeId: string, homeName: string, awayId: string, awayName: string, deadline: Date|null}>}
+ */
+export function getReportableMatches(tournament, fixtures, userId) {
+  if (tournament.status !== 'live' || tournament.prizesDistributedAt) return [];
+
+  const base = { tournamentId: tournament.id, gameName: tournament.gameName };
+
+  if (tournament.bracket) {
+    const matches = buildBracket(tournament.bracket);
+
+    return matches
+      .filter(match => match.status === 'ready' && match.players.some(player => player?.userId === userId))
+      .map(match => {
+        const [home, away] = match.players;
+
+        return {
+          ...base,
+          source: 'bracket',
+          matchId: match.id,
+          matchLabel: getRoundName(match, matches),
+          homeId: home.userId,
+          homeName: home.username,
+          awayId: away.userId,
+          awayName: away.username,
+          deadline: null
+        };
+      });
+  }
+
+  return fixtures
+    .filter(fixture =>
+      fixture.status === 'scheduled' &&
+      (fixture.homeId === userId || fixture.awayId === userId) &&
+      getFixtureDeadline(fixture) > new Date()
+    )
+    .map(fixture => ({
+      ...base,
+      source: 'league',
+      matchId: fixture.id,
+      matchLabel: `Round ${fixture.round}`,
+      homeId: fixture.homeId,
+      homeName: fixture.homeName,
+      awayId: fixture.awayId,
+      awayName: fixture.awayName,
+      deadline: getFixtureDeadline(fixture)
+    }));
+}
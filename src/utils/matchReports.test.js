@@ -0,0 +1,94 @@
+import {
+  getMatchReportId,
+  getMatchReportStatusLabel,
+  getDisputeReason,
+  getPlayerReport,
+  getOpponentReport,
+  reportsAgree,
+  getReportableMatches
+} from './matchReports';
+import { recordMatchWinner } from './brackets';
+
+const seeds = count => Array.from({ length: count }, (_, index) => ({
+  userId: `p${index + 1}`,
+  username: `Player ${index + 1}`,
+  seed: index + 1
+}));
+
+describe('getMatchReportId', () => {
+  test('is specific to the match and its pairing', () => {
+    expect(getMatchReportId({ tournamentId: 't1', matchId: 'W2-1', homeId: 'p1', awayId: 'p2' })).toBe('t1_W2-1_p1_p2');
+    expect(getMatchReportId({ tournamentId: 't1', matchId: 'W2-1', homeId: 'p1', awayId: 'p3' })).toBe('t1_W2-1_p1_p3');
+  });
+});
+
+describe('report labels', () => {
+  test('fall back to pending and to a conflict', () => {
+    expect(getMatchReportStatusLabel('void')).toBe('Superseded by an admin result');
+    expect(getMatchReportStatusLabel('other')).toBe('Waiting for opponent');
+    expect(getDisputeReason({ disputeReason: 'unconfirmed' })).toBe('The opponent did not report before the deadline');
+    expect(getDisputeReason({})).toBe('The players reported different scores');
+  });
+});
+
+describe('player reports', () => {
+  const report = {
+    reports: {
+      a: { userId: 'a', homeScore: 2, awayScore: 1 },
+      b: { userId: 'b', homeScore: 2, awayScore: 1 }
+    }
+  };
+
+  test('find the player and opponent reports', () => {
+    expect(getPlayerReport(report, 'a')).toEqual({ userId: 'a', homeScore: 2, awayScore: 1 });
+    expect(getOpponentReport(report, 'a').userId).toBe('b');
+    expect(getOpponentReport({ reports: { a: report.reports.a } }, 'a')).toBeNull();
+    expect(getPlayerReport(null, 'a')).toBeNull();
+  });
+
+  test('agree when both give the same score', () => {
+    expect(reportsAgree(report.reports.a, report.reports.b)).toBe(true);
+    expect(reportsAgree(report.reports.a, { homeScore: '2', awayScore: '1' })).toBe(true);
+    expect(reportsAgree(report.reports.a, { homeScore: 1, awayScore: 2 })).toBe(false);
+  });
+});
+
+describe('getReportableMatches', () => {
+  const tournament = {
+    id: 't1',
+    gameName: 'Cup',
+    status: 'live',
+    bracket: { format: 'single_elimination', seeds: seeds(4), results: [] }
+  };
+
+  test('lists the ready bracket matches of the player', () => {
+    expect(getReportableMatches(tournament, [], 'p4')).toEqual([expect.objectContaining({
+      source: 'bracket',
+      matchId: 'W1-1',
+      homeId: 'p1',
+      awayId: 'p4'
+    })]);
+
+    const played = { ...tournament, bracket: recordMatchWinner(tournament.bracket, 'W1-1', 'p1') };
+    expect(getReportableMatches(played, [], 'p4')).toEqual([]);
+  });
+
+  test('lists the scheduled league fixtures of the player before their deadline', () => {
+    const league = { id: 't2', status: 'live', format: 'league' };
+    const deadline = new Date(Date.now() + 60 * 60 * 1000);
+    const fixtures = [
+      { id: 'f1', round: 1, status: 'scheduled', homeId: 'a', awayId: 'b', deadline },
+      { id: 'f2', round: 1, status: 'completed', homeId: 'a', awayId: 'c', deadline },
+      { id: 'f3', round: 2, status: 'scheduled', homeId: 'c', awayId: 'a', deadline: new Date(Date.now() - 1000) },
+      { id: 'f4', round: 2, status: 'scheduled', homeId: 'b', awayId: 'c', deadline }
+    ];
+
+    expect(getReportableMatches(league, fixtures, 'a').map(match => [match.matchId, match.matchLabel]))
+      .toEqual([['f1', 'Round 1']]);
+  });
+
+  test('lists nothing once the tournament is over or prizes are paid', () => {
+    expect(getReportableMatches({ ...tournament, status: 'completed' }, [], 'p1')).toEqual([]);
+    expect(getReportableMatches({ ...tournament, prizesDistributedAt: new Date() }, [], 'p1')).toEqual([]);
+  });
+});
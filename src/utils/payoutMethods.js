@@ -0,0 +1,116 @@
+/**
+ * Payout method helpers
+ *
+ * Players save the accounts they withdraw to in the `payoutMethods` array on
+ * their user document. Each method has an `id`, a `type`, the `accountName`
+ * and a normalized `accountNumber`; bank transfers also have a `bankName`.
+ * Withdrawal requests copy the chosen method, so editing or removing a method
+ * never changes a request already made.
+ */
+
+export const PAYOUT_METHOD_TYPES = ['bank', 'easypaisa', 'jazzcash'];
+
+export const PAYOUT_METHOD_LABELS = {
+  bank: 'Bank transfer',
+  easypaisa: 'EasyPaisa',
+  jazzcash: 'JazzCash'
+};
+
+export const MAX_PAYOUT_METHODS = 5;
+
+/**
+ * Normalizes an account number as entered: IBANs and account numbers lose
+ * spaces and dashes, and mobile wallet numbers use the local 03XXXXXXXXX form
+ * @param {string} type - One of PAYOUT_METHOD_TYPES
+ * @param {string} accountNumber - The account number as entered
+ * @returns {string}
+ */
+export function normalizeAccountNumber(type, accountNumber) {
+  const compact = String(accountNumber || '').toUpperCase().replace(/[\s-]/g, '');
+
+  if (type === 'bank') {
+    return compact;
+  }
+  return compact.replace(/^(\+92|0092|92)(?=3\d{9}$)/, '0');
+}
+
+/**
+ * Checks a payout method before it is saved
+ * @param {Object} method - The method, with its account number normalized
+ * @returns {string|null} - What is wrong with the method, or null if it is valid
+ */
+export function getPayoutMethodError(method) {
+  if (!PAYOUT_METHOD_TYPES.includes(method.type)) {
+    return 'Choose how you want to be paid';
+  }
+  if (!/^[A-Za-z][A-Za-z .'-]{1,59}$/.test(method.accountName || '')) {
+    return 'Enter the account holder\'s name as it appears on the account';
+  }
+
+  if (method.type === 'bank') {
+    if (!method.bankName || method.bankName.length < 2) {
+      return 'Enter the bank name';
+    }
+    if (!/^PK\d{2}[A-Z]{4}\d{16}$/.test(method.accountNumber) && !/^\d{8,20}$/.test(method.accountNumber)) {
+      return 'Enter a 24 character IBAN (PK...) or an account number of 8 to 20 digits';
+    }
+    return null;
+  }
+
+  if (!/^03\d{9}$/.test(method.accountNumber)) {
+    return `Enter the 11 digit mobile number of your ${PAYOUT_METHOD_LABELS[method.type]} account, e.g. 03001234567`;
+  }
+  return null;
+}
+
+/**
+ * Gets a key identifying the account a payout goes to, so the same account can
+ * be recognised across users. Requests made before payout methods count as bank transfers.
+ * @param {Object} method - A payout method or withdrawal request
+ * @returns {string}
+ */
+export function getPayoutAccountKey(method) {
+  const type = method.payoutMethodType || method.type || 'bank';
+  return `${type}:${normalizeAccountNumber(type, method.accountNumber)}`;
+}
+
+/**
+ * Masks all but the last four characters of an account number
+ * @param {string} accountNumber - The account number
+ * @returns {string}
+ */
+export function maskAccountNumber(accountNumber) {
+  const text = String(accountNumber || '');
+  return text.length > 4 ? `${'*'.repeat(text.length - 4)}${text.slice(-4)}` : text;
+}
+
+/**
+ * Describes a payout method for a picker
+ * @param {Object} method - The payout method
+ * @returns {string} - e.g. "JazzCash - Ali Khan (*******4567)"
+ */
+export function describePayoutMethod(method) {
+  const provider = method.type === 'bank' ? method.bankName : PAYOUT_METHOD_LABELS[method.type];
+  return `${provider} - ${method.accountName} (${maskAccountNumber(method.accountNumber)})`;
+}
+
+/**
+ * Groups withdrawal requests by the account they pay to, to spot accounts shared between users
+ * @param {Array<Object>} requests - Withdrawal requests
+ * @returns {Map<string, {userIds: Set<string>, userEmails: Set<string>, requestCount: number}>} - By account key
+ */
+export function getPayoutAccountUsage(requests) {
+  const usage = new Map();
+
+  requests.forEach(request => {
+    const key = request.accountKey || getPayoutAccountKey(request);
+    const entry = usage.get(key) || { userIds: new Set(), userEmails: new Set(), requestCount: 0 };
+
+    entry.userIds.add(request.userId);
+    if (request.userEmail) entry.userEmails.add(request.userEmail);
+    entry.requestCount++;
+    usage.set(key, entry);
+  });
+
+  return usage;
+}
@@ -0,0 +1,210 @@
+/**
+ * Prize distribution helpers
+ *
+ * A tournament's `prizeSplit` defines the prize for positions 1 to N:
+ *   { type: 'percentage', amounts: [50, 30, 20] }  // percent of the prize pool
+ *   { type: 'fixed', amounts: [500, 300, 200] }    // rupees
+ * Winners receive their placement prize plus `perKillAmount` for every kill.
+ *
+ * The prize pool itself is either guaranteed or dynamic (`prizePoolType`):
+ *   'guaranteed' - `prizePool` rupees, whatever the entry fees collected
+ *   'dynamic'    - the entry fees collected minus `commissionPercent` for the platform
+ */
+
+export const PRIZE_SPLIT_TYPES = ['percentage', 'fixed'];
+
+export const PRIZE_POOL_TYPES = ['guaranteed', 'dynamic'];
+
+export const DEFAULT_COMMISSION_PERCENT = 10;
+
+/**
+ * Gets the ordinal label of a position, e.g. 1 → "1st", 12 → "12th"
+ * @param {number} position - The position
+ * @returns {string}
+ */
+export function getOrdinal(position) {
+  const lastTwo = position % 100;
+  if (lastTwo >= 11 && lastTwo <= 13) return `${position}th`;
+
+  switch (position % 10) {
+    case 1: return `${position}st`;
+    case 2: return `${position}nd`;
+    case 3: return `${position}rd`;
+    default: return `${position}th`;
+  }
+}
+
+/**
+ * Gets the entry fee a participant paid to join a tournament
+ * Participants who joined before the fee was recorded paid the tournament's entry fee
+ * @param {Object} tournament - The tournament document data
+ * @param {Object} participant - The participant entry
+ * @returns {number}
+ */
+export function getEntryFeePaid(tournament, participant) {
+  const paid = Number(participant.entryFeePaid ?? tournament.entryFee);
+  return Number.isFinite(paid) && paid > 0 ? paid : 0;
+}
+
+/**
+ * Gets the entry fees collected from a tournament's current participants
+ * @param {Object} tournament - The tournament document data
+ * @returns {number}
+ */
+export function getEntryFeesCollected(tournament) {
+  return (tournament?.participants || [])
+    .reduce((sum, participant) => sum + getEntryFeePaid(tournament, participant), 0);
+}
+
+/**
+ * Gets the entry fees kept from participants removed without a refund
+ * @param {Object} tournament - The tournament document data
+ * @returns {number}
+ */
+export function getForfeitedEntryFees(tournament) {
+  return (tournament?.forfeitedEntries || [])
+    .reduce((sum, entry) => sum + (Number(entry.entryFeePaid) || 0), 0);
+}
+
+/**
+ * Gets the platform commission percentage of a dynamic prize pool
+ * @param {Object} tournament - The tournament document data
+ * @returns {number} - 0 to 100
+ */
+export function getCommissionPercent(tournament) {
+  const percent = Number(tournament?.commissionPercent ?? DEFAULT_COMMISSION_PERCENT);
+  return Number.isFinite(percent) ? Math.min(Math.max(percent, 0), 100) : DEFAULT_COMMISSION_PERCENT;
+}
+
+/**
+ * Checks whether a tournament's prize pool grows with the entry fees collected
+ * @param {Object} tournament - The tournament document data
+ * @returns {boolean}
+ */
+export function isDynamicPrizePool(tournament) {
+  return tournament?.prizePoolType === 'dynamic';
+}
+
+/**
+ * Gets a tournament's current prize pool
+ * Dynamic pools are rounded down so they never exceed the fees collected after commission
+ * @param {Object} tournament - The tournament document data
+ * @returns {number} - The prize pool in whole rupees
+ */
+export function getPrizePool(tournament) {
+  if (isDynamicPrizePool(tournament)) {
+    return Math.floor(getEntryFeesCollected(tournament) * (100 - getCommissionPercent(tournament)) / 100);
+  }
+
+  return Number(tournament?.prizePool) || 0;
+}
+
+/**
+ * Summarises what a tournament earned and paid out
+ * Revenue is the entry fees of the current participants plus the forfeited
+ * fees of those removed without a refund. Cancelling refunds only the current
+ * participants, so a cancelled tournament still earns its forfeited fees.
+ * @param {Object} tournament - The tournament document data
+ * @returns {{revenue: number, payouts: number, margin: number, marginPercent: number|null}}
+ *   Payouts are the prizes actually distributed; marginPercent is null without revenue
+ */
+export function summarizeTournamentFinances(tournament) {
+  const collected = tournament?.status === 'cancelled' ? 0 : getEntryFeesCollected(tournament);
+  const revenue = collected + getForfeitedEntryFees(tournament);
+  const payouts = (tournament?.prizePayouts || []).reduce((sum, payout) => sum + (payout.amount || 0), 0);
+  const margin = revenue - payouts;
+
+  return {
+    revenue,
+    payouts,
+    margin,
+    marginPercent: revenue > 0 ? Math.round(margin / revenue * 100) : null
+  };
+}
+
+/**
+ * Parses the prize split entered in the tournament form
+ * @param {string} type - 'percentage' or 'fixed'
+ * @param {string} amountsText - Comma separated amounts for positions 1 to N, e.g. "50, 30, 20"
+ * @param {number} prizePool - The tournament's prize pool in rupees
+ * @returns {{type: string, amounts: number[]}|null} - The prize split, or null if no amounts were entered
+ * @throws {Error} If an amount is invalid or the split exceeds the prize pool
+ */
+export function parsePrizeSplit(type, amountsText, prizePool) {
+  if (!PRIZE_SPLIT_TYPES.includes(type)) {
+    throw new Error('Invalid prize split type');
+  }
+
+  const parts = String(amountsText || '').split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  const amounts = parts.map(Number);
+  if (amounts.some(amount => !Number.isFinite(amount) || amount < 0)) {
+    throw new Error('Prize split amounts must be numbers of 0 or more');
+  }
+
+  const total = amounts.reduce((sum, amount) => sum + amount, 0);
+  if (type === 'percentage' && total > 100) {
+    throw new Error(`Prize split percentages add up to ${total}%, which is more than 100%`);
+  }
+  if (type === 'fixed' && Number.isFinite(Number(prizePool)) && total > Number(prizePool)) {
+    throw new Error(`Prize split amounts add up to Rs. ${total}, which is more than the prize pool`);
+  }
+
+  return { type, amounts };
+}
+
+/**
+ * Formats a prize split's amounts for the tournament form
+ * @param {Object} prizeSplit - The tournament's `prizeSplit`
+ * @returns {string} - e.g. "50, 30, 20"
+ */
+export function formatPrizeSplitAmounts(prizeSplit) {
+  return prizeSplit?.amounts?.join(', ') || '';
+}
+
+/**
+ * Gets the prize for a placement
+ * @param {Object} tournament - The tournament document data
+ * @param {number|null} placement - The placement, 1-based
+ * @returns {number} - The prize in whole rupees
+ */
+export function getPlacementPrize(tournament, placement) {
+  const amount = placement ? tournament?.prizeSplit?.amounts?.[placement - 1] : 0;
+  if (!amount) return 0;
+
+  // Percentages are rounded down so the payouts never exceed the prize pool
+  return tournament.prizeSplit.type === 'percentage'
+    ? Math.floor(getPrizePool(tournament) * amount / 100)
+    : amount;
+}
+
+/**
+ * Calculates what each player is owed from a tournament's results.
+ * Disqualified players receive nothing.
+ * @param {Object} tournament - The tournament document data
+ * @returns {Array<{userId: string, username: string, placement: number|null, kills: number, placementPrize: number, killPrize: number, amount: number}>}
+ *   Only players with something to receive, ordered by placement
+ */
+export function calculatePayouts(tournament) {
+  const perKillAmount = Number(tournament?.perKillAmount) || 0;
+
+  return (tournament?.playerResults || [])
+    .filter(result => !result.disqualified)
+    .map(result => {
+      const placementPrize = getPlacementPrize(tournament, result.placement);
+      const killPrize = perKillAmount * (result.kills || 0);
+
+      return {
+        userId: result.userId,
+        username: result.username,
+        placement: result.placement,
+        kills: result.kills || 0,
+        placementPrize,
+        killPrize,
+        amount: placementPrize + killPrize
+      };
+    })
+    .filter(payout => payout.amount > 0)
+    .sort((a, b) => (a.placement ?? Infinity) - (b.placement ?? Infinity) || b.kills - a.kills);
+}
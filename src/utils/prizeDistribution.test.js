@@ -0,0 +1,152 @@
+import {
+  getOrdinal,
+  getEntryFeePaid,
+  getEntryFeesCollected,
+  getForfeitedEntryFees,
+  getCommissionPercent,
+  getPrizePool,
+  summarizeTournamentFinances,
+  parsePrizeSplit,
+  getPlacementPrize,
+  calculatePayouts
+} from './prizeDistribution';
+
+describe('getOrdinal', () => {
+  test('uses st, nd, rd and th, with th for the teens', () => {
+    expect([1, 2, 3, 4, 11, 12, 13, 21, 22, 101, 111].map(getOrdinal))
+      .toEqual(['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd', '101st', '111th']);
+  });
+});
+
+describe('entry fees', () => {
+  const tournament = {
+    entryFee: 100,
+    participants: [{ userId: 'a' }, { userId: 'b', entryFeePaid: 50 }, { userId: 'c', entryFeePaid: 0 }]
+  };
+
+  test('falls back to the tournament fee for participants without a recorded fee', () => {
+    expect(getEntryFeePaid(tournament, tournament.participants[0])).toBe(100);
+    expect(getEntryFeePaid(tournament, tournament.participants[1])).toBe(50);
+    expect(getEntryFeePaid(tournament, tournament.participants[2])).toBe(0);
+  });
+
+  test('adds up the fees of the current participants', () => {
+    expect(getEntryFeesCollected(tournament)).toBe(150);
+    expect(getEntryFeesCollected(null)).toBe(0);
+  });
+
+  test('adds up the forfeited fees', () => {
+    expect(getForfeitedEntryFees({ forfeitedEntries: [{ entryFeePaid: 100 }, { entryFeePaid: 25 }] })).toBe(125);
+    expect(getForfeitedEntryFees({})).toBe(0);
+  });
+});
+
+describe('getCommissionPercent', () => {
+  test('defaults to 10% and stays between 0 and 100', () => {
+    expect(getCommissionPercent({})).toBe(10);
+    expect(getCommissionPercent({ commissionPercent: 150 })).toBe(100);
+    expect(getCommissionPercent({ commissionPercent: -5 })).toBe(0);
+    expect(getCommissionPercent({ commissionPercent: 'abc' })).toBe(10);
+  });
+});
+
+describe('getPrizePool', () => {
+  test('is the stored amount for guaranteed pools', () => {
+    expect(getPrizePool({ prizePool: 1000, participants: [] })).toBe(1000);
+  });
+
+  test('rounds a dynamic pool down to whole rupees', () => {
+    const tournament = {
+      prizePoolType: 'dynamic',
+      commissionPercent: 15,
+      entryFee: 35,
+      participants: [{ userId: 'a' }, { userId: 'b' }, { userId: 'c' }]
+    };
+    // 105 collected minus 15% is 89.25
+    expect(getPrizePool(tournament)).toBe(89);
+  });
+});
+
+describe('getPlacementPrize', () => {
+  test('rounds percentage prizes down so they never exceed the pool', () => {
+    const tournament = { prizePool: 100, prizeSplit: { type: 'percentage', amounts: [33.4, 33.3, 33.3] } };
+    const prizes = [1, 2, 3].map(placement => getPlacementPrize(tournament, placement));
+    expect(prizes).toEqual([33, 33, 33]);
+    expect(prizes.reduce((sum, prize) => sum + prize, 0)).toBeLessThanOrEqual(100);
+  });
+
+  test('pays fixed amounts as they are and nothing outside the split', () => {
+    const tournament = { prizePool: 1000, prizeSplit: { type: 'fixed', amounts: [500, 300] } };
+    expect(getPlacementPrize(tournament, 2)).toBe(300);
+    expect(getPlacementPrize(tournament, 3)).toBe(0);
+    expect(getPlacementPrize(tournament, null)).toBe(0);
+  });
+});
+
+describe('calculatePayouts', () => {
+  const tournament = {
+    prizePool: 1000,
+    perKillAmount: 10,
+    prizeSplit: { type: 'percentage', amounts: [60, 40] },
+    playerResults: [
+      { userId: 'c', username: 'C', placement: null, kills: 3 },
+      { userId: 'b', username: 'B', placement: 2, kills: 1 },
+      { userId: 'a', username: 'A', placement: 1, kills: 0 },
+      { userId: 'd', username: 'D', placement: null, kills: 5 },
+      { userId: 'e', username: 'E', placement: 3, kills: 0 },
+      { userId: 'x', username: 'X', placement: 1, kills: 4, disqualified: true }
+    ]
+  };
+
+  test('adds kill prizes to placement prizes and skips disqualified players', () => {
+    const payouts = calculatePayouts(tournament);
+    expect(payouts.find(payout => payout.userId === 'b')).toMatchObject({ placementPrize: 400, killPrize: 10, amount: 410 });
+    expect(payouts.some(payout => payout.userId === 'x')).toBe(false);
+  });
+
+  test('leaves out players with nothing to receive', () => {
+    expect(calculatePayouts(tournament).some(payout => payout.userId === 'e')).toBe(false);
+  });
+
+  test('orders by placement, then unplaced players by kills', () => {
+    expect(calculatePayouts(tournament).map(payout => payout.userId)).toEqual(['a', 'b', 'd', 'c']);
+  });
+});
+
+describe('parsePrizeSplit', () => {
+  test('parses comma separated amounts', () => {
+    expect(parsePrizeSplit('percentage', '50, 30,20', 0)).toEqual({ type: 'percentage', amounts: [50, 30, 20] });
+    expect(parsePrizeSplit('fixed', ' ', 100)).toBeNull();
+  });
+
+  test('rejects invalid amounts and splits larger than the pool', () => {
+    expect(() => parsePrizeSplit('percentage', '50, abc', 0)).toThrow('numbers of 0 or more');
+    expect(() => parsePrizeSplit('percentage', '60, 50', 0)).toThrow('more than 100%');
+    expect(() => parsePrizeSplit('fixed', '600, 500', 1000)).toThrow('more than the prize pool');
+    expect(() => parsePrizeSplit('other', '1', 0)).toThrow('Invalid prize split type');
+  });
+});
+
+describe('summarizeTournamentFinances', () => {
+  test('counts forfeited fees as revenue', () => {
+    const tournament = {
+      status: 'completed',
+      entryFee: 100,
+      participants: [{ userId: 'a' }, { userId: 'b' }],
+      forfeitedEntries: [{ userId: 'c', entryFeePaid: 100 }],
+      prizePayouts: [{ amount: 150 }]
+    };
+    expect(summarizeTournamentFinances(tournament)).toEqual({ revenue: 300, payouts: 150, margin: 150, marginPercent: 50 });
+  });
+
+  test('keeps only the forfeited fees of a cancelled tournament', () => {
+    const tournament = {
+      status: 'cancelled',
+      entryFee: 100,
+      participants: [{ userId: 'a' }],
+      forfeitedEntries: [{ userId: 'c', entryFeePaid: 40 }]
+    };
+    expect(summarizeTournamentFinances(tournament).revenue).toBe(40);
+    expect(summarizeTournamentFinances({ status: 'cancelled', participants: [] }).marginPercent).toBeNull();
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Promo code helpers
+ *
+ * A promo code document in `promoCodes` is keyed by its normalized code and has a `type`:
+ *   'recharge_bonus' - `bonusPercent` of an approved recharge, capped at `maxBonus` if set
+ *   'free_entry'     - waives the entry fee of `tournamentId`, or of any `gameType` tournament
+ *   'wallet_credit'  - credits `amount` rupees to the wallet straight away
+ * `usageLimit` and `perUserLimit` are 0 for no limit, and `usageCount` and
+ * `usageByUser` count the redemptions so far.
+ */
+
+export const PROMO_CODE_TYPES = ['recharge_bonus', 'free_entry', 'wallet_credit'];
+
+export const PROMO_CODE_TYPE_LABELS = {
+  recharge_bonus: 'Recharge bonus',
+  free_entry: 'Free entry',
+  wallet_credit: 'Wallet credit'
+};
+
+/**
+ * Normalizes a promo code as entered, ignoring case and spaces
+ * @param {string} code - The code as entered
+ * @returns {string}
+ */
+export function normalizePromoCode(code) {
+  return String(code || '').toUpperCase().replace(/\s/g, '');
+}
+
+/**
+ * Gets the ID of the record of a user's redemption of a promo code. The
+ * security rules derive the same ID to check every counted use is recorded.
+ * @param {string} code - The normalized code
+ * @param {string} userId - The redeeming user
+ * @param {number} useCount - How many times the user has redeemed the code, this redemption included
+ * @returns {string}
+ */
+export function getPromoRedemptionId(code, userId, useCount) {
+  return `${code}_${userId}_${useCount}`;
+}
+
+/**
+ * Gets the expiry date of a promo code
+ * @param {Object} promo - The promo code document data
+ * @returns {Date|null} - null if the code never expires
+ */
+export function getPromoExpiry(promo) {
+  return promo?.expiresAt?.toDate ? promo.expiresAt.toDate() : null;
+}
+
+/**
+ * Checks whether a user can redeem a promo code
+ * @param {Object|null} promo - The promo code document data, or null if it does not exist
+ * @param {Object} context - Where the code is being redeemed
+ * @param {string} context.userId - The redeeming user
+ * @param {Array<string>} context.types - The promo code types accepted here
+ * @param {Object} [context.tournament] - The tournament being joined, with its `id`, for free entry codes
+ * @param {Date} [now] - The current time
+ * @returns {string|null} - Why the code cannot be redeemed, or null if it can
+ */
+export function getPromoCodeError(promo, { userId, types, tournament }, now = new Date()) {
+  if (!promo) return 'This promo code does not exist';
+  if (!promo.active) return 'This promo code is no longer active';
+
+  const expiry = getPromoExpiry(promo);
+  if (expiry && now > expiry) return 'This promo code has expired';
+
+  if (!types.includes(promo.type)) {
+    return promo.type === 'free_entry'
+      ? 'This promo code gives free entry, use it when joining a tournament'
+      : 'This promo code cannot be used here';
+  }
+
+  if (promo.usageLimit > 0 && (promo.usageCount || 0) >= promo.usageLimit) {
+    return 'This promo code has been fully redeemed';
+  }
+  if (promo.perUserLimit > 0 && (promo.usageByUser?.[userId] || 0) >= promo.perUserLimit) {
+    return 'You have already used this promo code';
+  }
+
+  if (promo.type === 'free_entry' && tournament) {
+    if (promo.tournamentId && promo.tournamentId !== tournament.id) {
+      return 'This promo code is not valid for this tournament';
+    }
+    if (promo.gameType && promo.gameType !== tournament.gameType) {
+      return `This promo code is only valid for ${promo.gameType} tournaments`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Calculates the bonus a recharge bonus code adds to a recharge
+ * @param {Object} promo - The promo code document data
+ * @param {number} amount - The recharge amount
+ * @returns {number} - The bonus in whole rupees
+ */
+export function calculateRechargeBonus(promo, amount) {
+  const bonus = Math.floor((Number(amount) || 0) * (Number(promo?.bonusPercent) || 0) / 100);
+  return promo?.maxBonus > 0 ? Math.min(bonus, promo.maxBonus) : bonus;
+}
+
+/**
+ * Describes what a promo code gives
+ * @param {Object} promo - The promo code document data
+ * @returns {string} - e.g. "10% bonus on recharges (up to Rs. 200)"
+ */
+export function describePromoCode(promo) {
+  switch (promo?.type) {
+    case 'recharge_bonus':
+      return `${promo.bonusPercent}% bonus on recharges` + (promo.maxBonus > 0 ? ` (up to Rs. ${promo.maxBonus})` : '');
+    case 'free_entry':
+      if (promo.tournamentId) return `Free entry to ${promo.tournamentName || 'one tournament'}`;
+      return promo.gameType ? `Free entry to ${promo.gameType} tournaments` : 'Free entry to any tournament';
+    case 'wallet_credit':
+      return `Rs. ${promo.amount} wallet credit`;
+    default:
+      return 'Unknown promo code';
+  }
+}
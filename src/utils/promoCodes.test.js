@@ -0,0 +1,92 @@
+import { normalizePromoCode, getPromoRedemptionId, getPromoExpiry, getPromoCodeError, calculateRechargeBonus, describePromoCode } from './promoCodes';
+
+const timestamp = date => ({ toDate: () => date });
+
+describe('normalizePromoCode', () => {
+  test('ignores case and spaces', () => {
+    expect(normalizePromoCode(' wel come10 ')).toBe('WELCOME10');
+    expect(normalizePromoCode(null)).toBe('');
+  });
+});
+
+describe('getPromoRedemptionId', () => {
+  test('is unique per use of a code by a user', () => {
+    expect(getPromoRedemptionId('WELCOME10', 'u1', 2)).toBe('WELCOME10_u1_2');
+  });
+});
+
+describe('getPromoExpiry', () => {
+  test('reads the expiry timestamp, or null if the code never expires', () => {
+    const expiry = new Date('2026-12-31T00:00:00Z');
+    expect(getPromoExpiry({ expiresAt: timestamp(expiry) })).toBe(expiry);
+    expect(getPromoExpiry({ expiresAt: null })).toBeNull();
+  });
+});
+
+describe('getPromoCodeError', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const promo = {
+    type: 'wallet_credit',
+    amount: 100,
+    active: true,
+    expiresAt: timestamp(new Date('2026-10-20T00:00:00Z')),
+    usageLimit: 10,
+    perUserLimit: 2,
+    usageCount: 3,
+    usageByUser: { u1: 1 }
+  };
+  const context = { userId: 'u1', types: ['wallet_credit', 'free_entry'] };
+
+  test('accepts a valid code', () => {
+    expect(getPromoCodeError(promo, context, now)).toBeNull();
+  });
+
+  test('rejects missing, inactive and expired codes', () => {
+    expect(getPromoCodeError(null, context, now)).toBe('This promo code does not exist');
+    expect(getPromoCodeError({ ...promo, active: false }, context, now)).toBe('This promo code is no longer active');
+    expect(getPromoCodeError(promo, context, new Date('2026-10-21T00:00:00Z'))).toBe('This promo code has expired');
+  });
+
+  test('rejects codes of a type not accepted here', () => {
+    expect(getPromoCodeError({ ...promo, type: 'free_entry' }, { userId: 'u1', types: ['recharge_bonus'] }, now))
+      .toBe('This promo code gives free entry, use it when joining a tournament');
+    expect(getPromoCodeError({ ...promo, type: 'recharge_bonus' }, context, now)).toBe('This promo code cannot be used here');
+  });
+
+  test('enforces the total and per-user limits', () => {
+    expect(getPromoCodeError({ ...promo, usageCount: 10 }, context, now)).toBe('This promo code has been fully redeemed');
+    expect(getPromoCodeError({ ...promo, usageByUser: { u1: 2 } }, context, now)).toBe('You have already used this promo code');
+    expect(getPromoCodeError({ ...promo, usageLimit: 0, perUserLimit: 0, usageCount: 500, usageByUser: { u1: 50 } }, context, now)).toBeNull();
+  });
+
+  test('checks free entry codes against the tournament', () => {
+    const freeEntry = { ...promo, type: 'free_entry', tournamentId: 't1' };
+    expect(getPromoCodeError(freeEntry, { ...context, tournament: { id: 't1' } }, now)).toBeNull();
+    expect(getPromoCodeError(freeEntry, { ...context, tournament: { id: 't2' } }, now)).toBe('This promo code is not valid for this tournament');
+
+    const byGame = { ...promo, type: 'free_entry', gameType: 'PUBG' };
+    expect(getPromoCodeError(byGame, { ...context, tournament: { id: 't2', gameType: 'Free Fire' } }, now))
+      .toBe('This promo code is only valid for PUBG tournaments');
+  });
+});
+
+describe('calculateRechargeBonus', () => {
+  test('rounds the bonus down to whole rupees', () => {
+    expect(calculateRechargeBonus({ bonusPercent: 15 }, 333)).toBe(49);
+  });
+
+  test('caps the bonus at maxBonus when set', () => {
+    expect(calculateRechargeBonus({ bonusPercent: 10, maxBonus: 200 }, 5000)).toBe(200);
+    expect(calculateRechargeBonus({ bonusPercent: 10, maxBonus: 0 }, 5000)).toBe(500);
+  });
+});
+
+describe('describePromoCode', () => {
+  test('describes each type', () => {
+    expect(describePromoCode({ type: 'recharge_bonus', bonusPercent: 10, maxBonus: 200 })).toBe('10% bonus on recharges (up to Rs. 200)');
+    expect(describePromoCode({ type: 'free_entry', tournamentId: 't1', tournamentName: 'Sunday Cup' })).toBe('Free entry to Sunday Cup');
+    expect(describePromoCode({ type: 'free_entry' })).toBe('Free entry to any tournament');
+    expect(describePromoCode({ type: 'wallet_credit', amount: 50 })).toBe('Rs. 50 wallet credit');
+    expect(describePromoCode({ type: 'other' })).toBe('Unknown promo code');
+  });
+});
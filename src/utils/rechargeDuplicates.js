@@ -0,0 +1,54 @@
+/**
+ * Duplicate recharge detection
+ *
+ * Recharge requests are flagged when they reuse another request's transaction
+ * ID or a near-identical payment proof image, whichever account submitted it.
+ */
+import { hammingDistance, NEAR_DUPLICATE_DISTANCE } from './imageHash';
+
+/**
+ * Normalizes a transaction ID for comparison, ignoring case, spaces and dashes
+ * @param {string} transactionId - The transaction ID as entered
+ * @returns {string}
+ */
+export function normalizeTransactionId(transactionId) {
+  return String(transactionId || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Finds the other requests that collide with a recharge request
+ * @param {Object} request - The recharge request
+ * @param {Array<Object>} requests - All recharge requests
+ * @returns {Array<{request: Object, sameTransactionId: boolean, similarProof: boolean}>}
+ */
+export function findDuplicateRequests(request, requests) {
+  const transactionId = normalizeTransactionId(request.transactionId);
+
+  return requests
+    .filter(other => other.id !== request.id)
+    .map(other => ({
+      request: other,
+      sameTransactionId: transactionId !== '' && normalizeTransactionId(other.transactionId) === transactionId,
+      similarProof: (Boolean(request.proofImageUrl) && request.proofImageUrl === other.proofImageUrl) ||
+        hammingDistance(request.proofImageHash, other.proofImageHash) <= NEAR_DUPLICATE_DISTANCE
+    }))
+    .filter(match => match.sameTransactionId || match.similarProof);
+}
+
+/**
+ * Finds the collisions for every recharge request
+ * @param {Array<Object>} requests - All recharge requests
+ * @returns {Object<string, Array<Object>>} - The matches from findDuplicateRequests, keyed by request ID
+ */
+export function findAllDuplicates(requests) {
+  const duplicates = {};
+
+  requests.forEach(request => {
+    const matches = findDuplicateRequests(request, requests);
+    if (matches.length > 0) {
+      duplicates[request.id] = matches;
+    }
+  });
+
+  return duplicates;
+}
@@ -0,0 +1,81 @@
+/**
+ * Referral program helpers
+ *
+ * Every user has a code in `referralCodes`, keyed by the code. A user who
+ * signs up with someone's code gets a `referrals` document keyed by their own
+ * uid, which moves through these statuses:
+ *   'pending'   - signed up, no qualifying activity yet
+ *   'qualified' - made their first approved recharge or paid tournament entry
+ *                 of at least `minQualifyingAmount`
+ *   'rewarded'  - the scheduler credited the referrer once the hold period passed
+ *   'rejected'  - an admin or the scheduler's abuse checks turned the reward down
+ */
+
+// Used for any setting missing from adminSettings/referrals, by the app and
+// the scheduler's referral rewards job alike
+export const DEFAULT_REFERRAL_SETTINGS = {
+  enabled: true,
+  rewardAmount: 50,
+  minQualifyingAmount: 100,
+  maxRewardsPerReferrer: 20,
+  holdHours: 24
+};
+
+export const REFERRAL_STATUS_LABELS = {
+  pending: 'Pending',
+  qualified: 'Qualified',
+  rewarded: 'Rewarded',
+  rejected: 'Rejected'
+};
+
+// No 0/O or 1/I so codes read back unambiguously
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+/**
+ * Normalizes a referral code as entered, ignoring case and spaces
+ * @param {string} code - The code as entered
+ * @returns {string}
+ */
+export function normalizeReferralCode(code) {
+  return String(code || '').toUpperCase().replace(/\s/g, '');
+}
+
+/**
+ * Generates a random referral code
+ * @returns {string}
+ */
+export function generateReferralCode() {
+  const values = new Uint32Array(CODE_LENGTH);
+  window.crypto.getRandomValues(values);
+  return Array.from(values, value => CODE_ALPHABET[value % CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Builds the signup link that carries a referral code
+ * @param {string} code - The referral code
+ * @returns {string}
+ */
+export function buildReferralLink(code) {
+  return `${window.location.origin}/signup?ref=${encodeURIComponent(code)}`;
+}
+
+/**
+ * Fills in the defaults for any referral setting that is missing or invalid
+ * @param {Object} [data] - The adminSettings/referrals document data
+ * @returns {Object} - Every setting in DEFAULT_REFERRAL_SETTINGS
+ */
+export function getReferralSettings(data = {}) {
+  const toSetting = (value, fallback) => {
+    const number = Number(value);
+    return value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+  };
+
+  return {
+    enabled: data.enabled !== false,
+    rewardAmount: toSetting(data.rewardAmount, DEFAULT_REFERRAL_SETTINGS.rewardAmount),
+    minQualifyingAmount: toSetting(data.minQualifyingAmount, DEFAULT_REFERRAL_SETTINGS.minQualifyingAmount),
+    maxRewardsPerReferrer: toSetting(data.maxRewardsPerReferrer, DEFAULT_REFERRAL_SETTINGS.maxRewardsPerReferrer),
+    holdHours: toSetting(data.holdHours, DEFAULT_REFERRAL_SETTINGS.holdHours)
+  };
+}
@@ -0,0 +1,265 @@
+/**
+ * Multi-match series helpers
+ *
+ * A series tournament (`format: 'series'`) is played over several matches,
+ * usually on different maps, kept in the tournament's `matches` array:
+ *   { id, name, map, startAt, matchDetails, results, resultsUpdatedAt }
+ * `results` is null until the admin enters them, then holds one entry per
+ * team in team tournaments or per player otherwise:
+ *   { entryId, name, placement, kills }
+ * `placement` is null for entries that did not play the match.
+ *
+ * Standings add up the placement points of the tournament's `pointsTable`
+ *   { placementPoints: [15, 12, ...], killPoints }
+ * and kill points over every match with results.
+ */
+import { isTeamTournament } from './teams.js';
+
+// The placement points used in PUBG Mobile esports
+export const DEFAULT_PLACEMENT_POINTS = [15, 12, 10, 8, 6, 4, 2, 1, 1, 1, 1, 1];
+export const DEFAULT_KILL_POINTS = 1;
+export const MAX_SERIES_MATCHES = 10;
+
+export const TIE_BREAKERS = [
+  'Total points',
+  'Match wins',
+  'Placement points',
+  'Kills',
+  'Placement in the latest match'
+];
+
+/**
+ * Checks whether a tournament is played as a multi-match series
+ * @param {Object} tournament - The tournament document data
+ * @returns {boolean}
+ */
+export function isSeriesTournament(tournament) {
+  return tournament?.format === 'series';
+}
+
+/**
+ * Gets a tournament's points table, falling back to the defaults
+ * @param {Object} tournament - The tournament document data
+ * @returns {{placementPoints: Array<number>, killPoints: number}}
+ */
+export function getPointsTable(tournament) {
+  const { placementPoints, killPoints } = tournament?.pointsTable || {};
+
+  return {
+    placementPoints: Array.isArray(placementPoints) ? placementPoints : DEFAULT_PLACEMENT_POINTS,
+    killPoints: Number.isFinite(Number(killPoints)) ? Number(killPoints) : DEFAULT_KILL_POINTS
+  };
+}
+
+/**
+ * Parses the placement points entered by the admin
+ * @param {string} text - Comma separated points, 1st place first
+ * @returns {Array<number>}
+ * @throws {Error} If a value is not a whole number of 0 or more
+ */
+export function parsePlacementPoints(text) {
+  const points = text.split(',').map(value => value.trim()).filter(Boolean).map(Number);
+
+  if (points.length === 0) {
+    throw new Error('Enter the points for at least 1st place');
+  }
+  if (points.some(value => !Number.isInteger(value) || value < 0)) {
+    throw new Error('Placement points must be whole numbers of 0 or more');
+  }
+
+  return points;
+}
+
+/**
+ * Formats placement points for the admin form
+ * @param {Array<number>} placementPoints - The points, 1st place first
+ * @returns {string}
+ */
+export function formatPlacementPoints(placementPoints) {
+  return (placementPoints || DEFAULT_PLACEMENT_POINTS).join(', ');
+}
+
+/**
+ * Gets the points for a placement; placements past the end of the table score nothing
+ * @param {Array<number>} placementPoints - The points, 1st place first
+ * @param {number|null} placement - The placement, 1-based
+ * @returns {number}
+ */
+export function getPlacementPoints(placementPoints, placement) {
+  if (!placement) return 0;
+  return placementPoints.slice(placement - 1, placement)[0] || 0;
+}
+
+/**
+ * Gets what is ranked in a series: the teams in team tournaments, the players otherwise
+ * @param {Object} tournament - The tournament document data
+ * @returns {Array<{entryId: string, name: string}>}
+ */
+export function getSeriesEntries(tournament) {
+  if (isTeamTournament(tournament)) {
+    return (tournament.teams || []).map(team => ({ entryId: team.id, name: team.name }));
+  }
+
+  return (tournament?.participants || []).map(participant => ({
+    entryId: participant.userId,
+    name: participant.username || participant.email || 'Unknown'
+  }));
+}
+
+/**
+ * Gets when a match starts
+ * @param {Object} match - A match of the series
+ * @returns {Date|null}
+ */
+export function getMatchStartTime(match) {
+  if (!match?.startAt) return null;
+  return match.startAt.toDate ? match.startAt.toDate() : new Date(match.startAt);
+}
+
+/**
+ * Builds the editable results of a match: one row per entry, prefilled from
+ * any results already saved
+ * @param {Object} tournament - The tournament document data
+ * @param {Object} match - The match
+ * @returns {Array<{entryId: string, name: string, placement: number|string, kills: number}>}
+ */
+export function buildMatchResultRows(tournament, match) {
+  const saved = match?.results || [];
+
+  return getSeriesEntries(tournament).map(entry => {
+    const result = saved.find(row => row.entryId === entry.entryId) || {};
+
+    return {
+      ...entry,
+      placement: result.placement ?? '',
+      kills: result.kills ?? 0
+    };
+  });
+}
+
+/**
+ * Validates and normalizes the results of a match before they are saved
+ * @param {Array<Object>} rows - The rows from the match results editor
+ * @returns {Array<{entryId: string, name: string, placement: number|null, kills: number}>}
+ * @throws {Error} If a placement or kill count is invalid or a placement is used twice
+ */
+export function normalizeMatchResults(rows) {
+  const usedPlacements = new Set();
+
+  return rows.map(row => {
+    const placement = row.placement === '' || row.placement === null ? null : Number(row.placement);
+    const kills = Number(row.kills) || 0;
+
+    if (placement !== null && (!Number.isInteger(placement) || placement < 1 || placement > rows.length)) {
+      throw new Error(`Placement for ${row.name} must be between 1 and ${rows.length}`);
+    }
+    if (!Number.isInteger(kills) || kills < 0) {
+      throw new Error(`Kills for ${row.name} must be a whole number of 0 or more`);
+    }
+    if (placement !== null && usedPlacements.has(placement)) {
+      throw new Error(`Placement ${placement} is assigned to more than one entry`);
+    }
+    if (placement !== null) usedPlacements.add(placement);
+
+    return { entryId: row.entryId, name: row.name, placement, kills };
+  });
+}
+
+/**
+ * Calculates the cumulative standings of a series over every match with
+ * results, ordered by the TIE_BREAKERS
+ * @param {Object} tournament - The tournament document data
+ * @returns {Array<{entryId: string, name: string, rank: number, matchesPlayed: number, wins: number,
+ *   placementPoints: number, kills: number, killPoints: number, points: number,
+ *   matches: Array<{matchId: string, placement: number|null, kills: number, points: number}>}>}
+ */
+export function calculateStandings(tournament) {
+  const { placementPoints, killPoints } = getPointsTable(tournament);
+  const playedMatches = (tournament?.matches || []).filter(match => match.results);
+
+  const standings = getSeriesEntries(tournament).map(entry => {
+    const matches = playedMatches.map(match => {
+      const result = match.results.find(row => row.entryId === entry.entryId);
+      const placement = result?.placement ?? null;
+      const kills = result?.kills || 0;
+
+      return {
+        matchId: match.id,
+        placement,
+        kills,
+        points: getPlacementPoints(placementPoints, placement) + kills * killPoints
+      };
+    });
+
+    const entryPlacementPoints = matches.reduce((sum, match) => sum + getPlacementPoints(placementPoints, match.placement), 0);
+    const kills = matches.reduce((sum, match) => sum + match.kills, 0);
+
+    return {
+      ...entry,
+      matchesPlayed: matches.filter(match => match.placement !== null).length,
+      wins: matches.filter(match => match.placement === 1).length,
+      placementPoints: entryPlacementPoints,
+      kills,
+      killPoints: kills * killPoints,
+      points: entryPlacementPoints + kills * killPoints,
+      matches
+    };
+  });
+
+  // Entries that did not play the latest match rank behind those that did
+  const latestPlacement = standing => standing.matches.slice(-1)[0]?.placement ?? Infinity;
+
+  return standings
+    .sort((a, b) =>
+      b.points - a.points ||
+      b.wins - a.wins ||
+      b.placementPoints - a.placementPoints ||
+      b.kills - a.kills ||
+      latestPlacement(a) - latestPlacement(b) ||
+      a.name.localeCompare(b.name)
+    )
+    .map((standing, index) => ({ ...standing, rank: index + 1 }));
+}
+
+/**
+ * Checks whether every match of a series has results
+ * @param {Object} tournament - The tournament document data
+ * @returns {boolean}
+ */
+export function isSeriesComplete(tournament) {
+  const matches = tournament?.matches || [];
+  return matches.length > 0 && matches.every(match => match.results);
+}
+
+/**
+ * Turns the final standings into `playerResults` for prize distribution. In
+ * team tournaments the team's rank and kills go to its captain, who receives
+ * the team's prize; if the captain is gone, to the first teammate still in.
+ * @param {Object} tournament - The tournament document data
+ * @returns {Array<Object>} - One result per participant
+ */
+export function buildSeriesPlayerResults(tournament) {
+  const standings = calculateStandings(tournament);
+  const participants = tournament?.participants || [];
+
+  const recipients = new Map(standings.map(standing => {
+    if (!isTeamTournament(tournament)) return [standing.entryId, standing];
+
+    const teammates = participants.filter(participant => participant.teamId === standing.entryId);
+    const recipient = teammates.find(participant => participant.isCaptain) || teammates[0];
+    return [recipient?.userId, standing];
+  }));
+
+  return participants.map(participant => {
+    const standing = recipients.get(participant.userId);
+
+    return {
+      userId: participant.userId,
+      username: participant.username || participant.email || 'Unknown',
+      placement: standing?.rank ?? null,
+      kills: standing?.kills ?? 0,
+      disqualified: false,
+      disqualificationReason: ''
+    };
+  });
+}
@@ -0,0 +1,176 @@
+import {
+  getPointsTable,
+  parsePlacementPoints,
+  getPlacementPoints,
+  getSeriesEntries,
+  buildMatchResultRows,
+  normalizeMatchResults,
+  calculateStandings,
+  isSeriesComplete,
+  buildSeriesPlayerResults
+} from './series';
+
+const players = names => names.map(name => ({ userId: name, username: name }));
+
+const match = (id, results) => ({
+  id,
+  results: results.map(([entryId, placement, kills = 0]) => ({ entryId, placement, kills }))
+});
+
+const series = (names, matches, pointsTable = { placementPoints: [10, 6, 4, 1], killPoints: 1 }) => ({
+  format: 'series',
+  pointsTable,
+  participants: players(names),
+  matches
+});
+
+const ranking = tournament => calculateStandings(tournament).map(standing => standing.entryId);
+
+describe('points table', () => {
+  test('falls back to the default points', () => {
+    expect(getPointsTable({}).killPoints).toBe(1);
+    expect(getPointsTable({ pointsTable: { placementPoints: [5, 3], killPoints: 0 } })).toEqual({ placementPoints: [5, 3], killPoints: 0 });
+  });
+
+  test('parses the points entered by the admin', () => {
+    expect(parsePlacementPoints('15, 12,10')).toEqual([15, 12, 10]);
+    expect(() => parsePlacementPoints(' , ')).toThrow('at least 1st place');
+    expect(() => parsePlacementPoints('10, 2.5')).toThrow('whole numbers');
+  });
+
+  test('scores nothing for placements past the end of the table or no placement', () => {
+    expect(getPlacementPoints([10, 6], 2)).toBe(6);
+    expect(getPlacementPoints([10, 6], 3)).toBe(0);
+    expect(getPlacementPoints([10, 6], null)).toBe(0);
+  });
+});
+
+describe('series entries', () => {
+  test('are the teams of team tournaments and the players otherwise', () => {
+    expect(getSeriesEntries({ teamSize: 2, teams: [{ id: 't1', name: 'Red Foxes' }] })).toEqual([{ entryId: 't1', name: 'Red Foxes' }]);
+    expect(getSeriesEntries({ participants: [{ userId: 'a', email: 'a@example.com' }] })).toEqual([{ entryId: 'a', name: 'a@example.com' }]);
+  });
+
+  test('prefill the results editor from saved results', () => {
+    const tournament = series(['a', 'b'], []);
+    expect(buildMatchResultRows(tournament, match('m1', [['b', 1, 4]]))).toEqual([
+      { entryId: 'a', name: 'a', placement: '', kills: 0 },
+      { entryId: 'b', name: 'b', placement: 1, kills: 4 }
+    ]);
+  });
+});
+
+describe('normalizeMatchResults', () => {
+  const row = (name, placement, kills = 0) => ({ entryId: name, name, placement, kills });
+
+  test('keeps entries without a placement as not played', () => {
+    expect(normalizeMatchResults([row('a', '1', '3'), row('b', '')])).toEqual([
+      { entryId: 'a', name: 'a', placement: 1, kills: 3 },
+      { entryId: 'b', name: 'b', placement: null, kills: 0 }
+    ]);
+  });
+
+  test('rejects invalid and repeated placements and invalid kills', () => {
+    expect(() => normalizeMatchResults([row('a', 3), row('b', 1)])).toThrow('Placement for a must be between 1 and 2');
+    expect(() => normalizeMatchResults([row('a', 1), row('b', 1)])).toThrow('Placement 1 is assigned to more than one entry');
+    expect(() => normalizeMatchResults([row('a', 1, -2)])).toThrow('Kills for a must be a whole number');
+  });
+});
+
+describe('calculateStandings', () => {
+  test('adds up placement and kill points over the matches with results', () => {
+    const tournament = series(['a', 'b'], [match('m1', [['a', 1, 2], ['b', 2, 5]]), { id: 'm2', results: null }]);
+    expect(calculateStandings(tournament)[0]).toMatchObject({
+      entryId: 'a',
+      rank: 1,
+      matchesPlayed: 1,
+      wins: 1,
+      placementPoints: 10,
+      kills: 2,
+      killPoints: 2,
+      points: 12
+    });
+    expect(calculateStandings(tournament)[1]).toMatchObject({ entryId: 'b', rank: 2, points: 11 });
+  });
+
+  test('breaks a tie on points by match wins', () => {
+    const tournament = series(['a', 'b', 'c'], [
+      match('m1', [['a', 1], ['b', 2], ['c', 3]]),
+      match('m2', [['c', 1], ['b', 2], ['a', 4, 1]])
+    ]);
+    // a: 10 + 1 + 1 kill = 12 with one win, b: 6 + 6 = 12 without, c: 4 + 10 = 14
+    expect(ranking(tournament)).toEqual(['c', 'a', 'b']);
+  });
+
+  test('then by placement points', () => {
+    // a: 6 + 1 = 7, b: 4 + 1 + 2 kills = 7, neither won a match
+    const tournament = series(['a', 'b', 'c'], [
+      match('m1', [['c', 1], ['a', 2], ['b', 3, 2]]),
+      match('m2', [['c', 1], ['b', 4], ['a', 4]])
+    ]);
+    expect(ranking(tournament)).toEqual(['c', 'a', 'b']);
+  });
+
+  test('then by kills when kills score no points', () => {
+    const pointsTable = { placementPoints: [10, 6, 4], killPoints: 0 };
+    const tournament = series(['a', 'b', 'c'], [
+      match('m1', [['c', 1], ['a', 2, 1], ['b', 3, 3]]),
+      match('m2', [['c', 1], ['b', 2], ['a', 3]])
+    ], pointsTable);
+    expect(ranking(tournament)).toEqual(['c', 'b', 'a']);
+  });
+
+  test('then by the placement in the latest match, ranking those who missed it last', () => {
+    const tournament = series(['a', 'b', 'c'], [
+      match('m1', [['a', 1], ['b', 2], ['c', 1]]),
+      match('m2', [['b', 1], ['a', 2], ['c', null]])
+    ], { placementPoints: [10, 6], killPoints: 1 });
+    // a and b both have 16 points and a win, b was 1st in the latest match
+    expect(ranking(tournament)).toEqual(['b', 'a', 'c']);
+
+    const missed = series(['a', 'b'], [
+      match('m1', [['a', 1], ['b', null]]),
+      match('m2', [['b', 1], ['a', null]])
+    ], { placementPoints: [10, 6], killPoints: 1 });
+    // Both have 10 points and a win, a did not play the latest match
+    expect(ranking(missed)).toEqual(['b', 'a']);
+  });
+
+  test('and finally by name', () => {
+    const tournament = series(['bravo', 'alpha'], [match('m1', [['bravo', null], ['alpha', null]])]);
+    expect(ranking(tournament)).toEqual(['alpha', 'bravo']);
+  });
+});
+
+describe('isSeriesComplete', () => {
+  test('needs results for every match', () => {
+    expect(isSeriesComplete(series(['a'], [match('m1', [['a', 1]]), { id: 'm2', results: null }]))).toBe(false);
+    expect(isSeriesComplete(series(['a'], [match('m1', [['a', 1]])]))).toBe(true);
+    expect(isSeriesComplete(series(['a'], []))).toBe(false);
+  });
+});
+
+describe('buildSeriesPlayerResults', () => {
+  test('gives each player their rank and kills', () => {
+    const tournament = series(['a', 'b'], [match('m1', [['a', 2, 1], ['b', 1, 3]])]);
+    expect(buildSeriesPlayerResults(tournament).map(result => [result.userId, result.placement, result.kills]))
+      .toEqual([['a', 2, 1], ['b', 1, 3]]);
+  });
+
+  test('gives a team result to its captain, or the first teammate if the captain left', () => {
+    const tournament = {
+      format: 'series',
+      teamSize: 2,
+      teams: [{ id: 't1', name: 'Red Foxes' }, { id: 't2', name: 'Night Owls' }],
+      participants: [
+        { userId: 'a', teamId: 't1' },
+        { userId: 'b', teamId: 't1', isCaptain: true },
+        { userId: 'c', teamId: 't2' }
+      ],
+      matches: [match('m1', [['t1', 2, 1], ['t2', 1, 0]])]
+    };
+
+    expect(buildSeriesPlayerResults(tournament).map(result => [result.userId, result.placement, result.kills]))
+      .toEqual([['a', null, 0], ['b', 2, 1], ['c', 1, 0]]);
+  });
+});
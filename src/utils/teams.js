@@ -0,0 +1,166 @@
+/**
+ * Team registration helpers
+ *
+ * A tournament with a `teamSize` above 1 is played by teams, and its
+ * `maxParticipants` is the number of teams. Each team is kept in the
+ * tournament's `teams` array:
+ *   { id, name, captainId, captainEmail, feeMode, entryFee, createdAt,
+ *     members: [{ inGameId, email, userId, status }] }
+ * The captain is the first member. Teammates invited by email get a
+ * `teamInvites` document and become participants when they accept; teammates
+ * listed by in-game ID only play without an account, so the captain pays for them.
+ *
+ * The entry fee is per team. Only players with an account are in
+ * `participants`, each with the share of the fee they paid.
+ */
+
+export const TEAM_SIZE_LABELS = {
+  1: 'Solo',
+  2: 'Duo',
+  3: 'Trio',
+  4: 'Squad'
+};
+
+export const MAX_TEAM_SIZE = 6;
+
+export const TEAM_FEE_MODES = {
+  captain: 'Captain pays the whole fee',
+  split: 'Split the fee between teammates with accounts'
+};
+
+export const TEAM_MEMBER_STATUS_LABELS = {
+  captain: 'Captain',
+  invited: 'Invited',
+  accepted: 'Joined',
+  declined: 'Declined',
+  listed: 'Listed by captain',
+  left: 'Left',
+  removed: 'Removed'
+};
+
+/**
+ * Checks whether a tournament is played by teams
+ * @param {Object} tournament - The tournament document data
+ * @returns {boolean}
+ */
+export function isTeamTournament(tournament) {
+  return Number(tournament?.teamSize) > 1;
+}
+
+/**
+ * Describes a team size
+ * @param {number} teamSize - Players per team
+ * @returns {string} - e.g. "Squad (4 players)"
+ */
+export function getTeamSizeLabel(teamSize) {
+  const size = Number(teamSize) || 1;
+  if (size === 1) return TEAM_SIZE_LABELS[1];
+  return `${TEAM_SIZE_LABELS[size] || 'Team'} (${size} players)`;
+}
+
+/**
+ * Gets how many entries count against a tournament's capacity: teams in team
+ * tournaments, players otherwise
+ * @param {Object} tournament - The tournament document data
+ * @returns {number}
+ */
+export function getEntryCount(tournament) {
+  return isTeamTournament(tournament)
+    ? (tournament.teams || []).length
+    : (tournament?.participants || []).length;
+}
+
+/**
+ * Gets what a tournament's entries are called, for headcounts like
+ * "3 more teams needed"
+ * @param {Object} tournament - The tournament document data
+ * @returns {string} - 'teams' or 'players'
+ */
+export function getEntryUnit(tournament) {
+  return isTeamTournament(tournament) ? 'teams' : 'players';
+}
+
+/**
+ * Splits a team's entry fee between the captain and the teammates invited by email
+ * @param {number} entryFee - The fee per team
+ * @param {number} teamSize - Players per team
+ * @param {string} feeMode - One of TEAM_FEE_MODES
+ * @param {number} invitedCount - Teammates invited by email
+ * @returns {{captainShare: number, memberShare: number}} - Whole rupees; the captain
+ *   also covers the rounding and the teammates without an account
+ */
+export function calculateFeeShares(entryFee, teamSize, feeMode, invitedCount) {
+  const fee = Number(entryFee) || 0;
+  if (feeMode !== 'split' || invitedCount === 0) {
+    return { captainShare: fee, memberShare: 0 };
+  }
+
+  const memberShare = Math.floor(fee / teamSize);
+  return { captainShare: fee - memberShare * invitedCount, memberShare };
+}
+
+/**
+ * Checks a team before it is registered
+ * @param {Object} team - The team as entered, already sanitized
+ * @param {string} team.name - The team name
+ * @param {string} team.captainInGameId - The captain's in-game ID
+ * @param {Array<{inGameId: string, email: string}>} team.members - The teammates
+ * @param {Object} tournament - The tournament document data
+ * @param {string} captainEmail - The captain's account email
+ * @returns {string|null} - What is wrong with the team, or null if it is valid
+ */
+export function getTeamError(team, tournament, captainEmail) {
+  const teamSize = Number(tournament.teamSize);
+
+  if (!team.name || team.name.length < 3 || team.name.length > 30) {
+    return 'Team name must be between 3 and 30 characters';
+  }
+  if ((tournament.teams || []).some(existing => existing.name.toLowerCase() === team.name.toLowerCase())) {
+    return 'This team name is already taken in this tournament';
+  }
+  if (team.members.length > teamSize - 1) {
+    return `A team has at most ${teamSize} players including the captain`;
+  }
+
+  const inGameIds = [team.captainInGameId, ...team.members.map(member => member.inGameId)];
+  if (inGameIds.some(inGameId => !inGameId || inGameId.length < 3 || inGameId.length > 20)) {
+    return 'Every in-game ID must be between 3 and 20 characters';
+  }
+  if (new Set(inGameIds.map(inGameId => inGameId.toLowerCase())).size !== inGameIds.length) {
+    return 'Each player in the team needs a different in-game ID';
+  }
+
+  const takenIds = new Set((tournament.teams || []).flatMap(existing =>
+    existing.members.map(member => member.inGameId.toLowerCase())));
+  if (inGameIds.some(inGameId => takenIds.has(inGameId.toLowerCase()))) {
+    return 'One of these in-game IDs is already registered in this tournament';
+  }
+
+  const emails = team.members.map(member => member.email).filter(Boolean);
+  if (emails.some(email => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))) {
+    return 'Enter valid email addresses for the teammates you invite';
+  }
+  if (emails.includes(captainEmail.toLowerCase()) || new Set(emails).size !== emails.length) {
+    return 'Invite each teammate once, and not yourself';
+  }
+
+  return null;
+}
+
+/**
+ * Gets the roster of every team for admins, one row per player
+ * @param {Object} tournament - The tournament document data
+ * @returns {Array<Object>} - Rows with the team, the member and their participant entry, if any
+ */
+export function buildTeamRosterRows(tournament) {
+  return (tournament.teams || []).flatMap(team =>
+    team.members.map(member => ({
+      teamId: team.id,
+      teamName: team.name,
+      feeMode: team.feeMode,
+      member,
+      participant: member.userId
+        ? (tournament.participants || []).find(participant => participant.userId === member.userId) || null
+        : null
+    })));
+}
@@ -0,0 +1,110 @@
+import {
+  isTeamTournament,
+  getTeamSizeLabel,
+  getEntryCount,
+  getEntryUnit,
+  calculateFeeShares,
+  getTeamError,
+  buildTeamRosterRows
+} from './teams';
+
+describe('team tournaments', () => {
+  test('are played by more than one player per team', () => {
+    expect(isTeamTournament({ teamSize: 4 })).toBe(true);
+    expect(isTeamTournament({ teamSize: '2' })).toBe(true);
+    expect(isTeamTournament({ teamSize: 1 })).toBe(false);
+    expect(isTeamTournament({})).toBe(false);
+  });
+
+  test('describe their team size', () => {
+    expect(getTeamSizeLabel(1)).toBe('Solo');
+    expect(getTeamSizeLabel(4)).toBe('Squad (4 players)');
+    expect(getTeamSizeLabel(6)).toBe('Team (6 players)');
+    expect(getTeamSizeLabel(undefined)).toBe('Solo');
+  });
+
+  test('count teams against their capacity, solo tournaments count players', () => {
+    const participants = [{ userId: 'a' }, { userId: 'b' }, { userId: 'c' }];
+    expect(getEntryCount({ teamSize: 2, teams: [{ id: 't1' }], participants })).toBe(1);
+    expect(getEntryCount({ teamSize: 1, participants })).toBe(3);
+    expect(getEntryUnit({ teamSize: 2 })).toBe('teams');
+    expect(getEntryUnit({ teamSize: 1 })).toBe('players');
+  });
+});
+
+describe('calculateFeeShares', () => {
+  test('charges the captain the whole fee unless it is split', () => {
+    expect(calculateFeeShares(100, 4, 'captain', 3)).toEqual({ captainShare: 100, memberShare: 0 });
+    expect(calculateFeeShares(100, 4, 'split', 0)).toEqual({ captainShare: 100, memberShare: 0 });
+  });
+
+  test('leaves the rounding and teammates without an account to the captain', () => {
+    // 100 / 3 is 33 per player, the captain pays the remaining 34
+    expect(calculateFeeShares(100, 3, 'split', 2)).toEqual({ captainShare: 34, memberShare: 33 });
+    // Only one of three teammates was invited, the captain covers the other two
+    expect(calculateFeeShares(100, 4, 'split', 1)).toEqual({ captainShare: 75, memberShare: 25 });
+  });
+});
+
+describe('getTeamError', () => {
+  const tournament = {
+    teamSize: 3,
+    teams: [{ name: 'Night Owls', members: [{ inGameId: 'owl_one' }, { inGameId: 'owl_two' }] }]
+  };
+  const team = {
+    name: 'Red Foxes',
+    captainInGameId: 'fox_lead',
+    members: [{ inGameId: 'fox_two', email: 'two@example.com' }, { inGameId: 'fox_three', email: '' }]
+  };
+
+  test('accepts a valid team', () => {
+    expect(getTeamError(team, tournament, 'captain@example.com')).toBeNull();
+  });
+
+  test('checks the team name', () => {
+    expect(getTeamError({ ...team, name: 'RF' }, tournament, 'captain@example.com')).toBe('Team name must be between 3 and 30 characters');
+    expect(getTeamError({ ...team, name: 'night owls' }, tournament, 'captain@example.com')).toBe('This team name is already taken in this tournament');
+  });
+
+  test('limits the team to the team size including the captain', () => {
+    const members = [...team.members, { inGameId: 'fox_four', email: '' }];
+    expect(getTeamError({ ...team, members }, tournament, 'captain@example.com')).toBe('A team has at most 3 players including the captain');
+  });
+
+  test('needs distinct in-game IDs not already registered', () => {
+    expect(getTeamError({ ...team, captainInGameId: 'FOX_TWO' }, tournament, 'captain@example.com'))
+      .toBe('Each player in the team needs a different in-game ID');
+    expect(getTeamError({ ...team, captainInGameId: 'owl_one' }, tournament, 'captain@example.com'))
+      .toBe('One of these in-game IDs is already registered in this tournament');
+    expect(getTeamError({ ...team, captainInGameId: 'ab' }, tournament, 'captain@example.com'))
+      .toBe('Every in-game ID must be between 3 and 20 characters');
+  });
+
+  test('checks the invited emails', () => {
+    const invalid = [{ inGameId: 'fox_two', email: 'not-an-email' }];
+    expect(getTeamError({ ...team, members: invalid }, tournament, 'captain@example.com'))
+      .toBe('Enter valid email addresses for the teammates you invite');
+
+    const self = [{ inGameId: 'fox_two', email: 'captain@example.com' }];
+    expect(getTeamError({ ...team, members: self }, tournament, 'Captain@example.com')).toBe('Invite each teammate once, and not yourself');
+  });
+});
+
+describe('buildTeamRosterRows', () => {
+  test('lists every member with their participant entry', () => {
+    const tournament = {
+      teams: [{
+        id: 't1',
+        name: 'Red Foxes',
+        feeMode: 'split',
+        members: [{ inGameId: 'fox_lead', userId: 'a', status: 'captain' }, { inGameId: 'fox_two', userId: null, status: 'invited' }]
+      }],
+      participants: [{ userId: 'a', entryFeePaid: 34 }]
+    };
+
+    expect(buildTeamRosterRows(tournament).map(row => [row.teamName, row.member.inGameId, row.participant])).toEqual([
+      ['Red Foxes', 'fox_lead', { userId: 'a', entryFeePaid: 34 }],
+      ['Red Foxes', 'fox_two', null]
+    ]);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Timezone utility functions
+ *
+ * Tournaments store a single canonical UTC start instant (`startAt`) plus the
+ * organizer's IANA timezone (`timezone`). Organizers enter a wall-clock date
+ * and time in their own zone; viewers see that instant in their browser zone.
+ */
+
+// Tournaments created before timezones were stored were organized in Pakistan time
+export const LEGACY_TIMEZONE = 'Asia/Karachi';
+
+const HALF_DAY_MS = 12 * 60 * 60 * 1000;
+
+export const TIMEZONE_OPTIONS = [
+  'Asia/Karachi',
+  'Asia/Dubai',
+  'Asia/Riyadh',
+  'Asia/Kolkata',
+  'Asia/Dhaka',
+  'Europe/London',
+  'Europe/Berlin',
+  'America/New_York',
+  'America/Los_Angeles',
+  'UTC'
+];
+
+/**
+ * Gets the viewer's browser timezone
+ * @returns {string} - The IANA timezone name
+ */
+export function getBrowserTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+}
+
+/**
+ * Gets the wall-clock parts of an instant in a timezone
+ * @param {Date} date - The instant
+ * @param {string} timeZone - The IANA timezone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getZonedParts(date, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  });
+
+  return parts;
+}
+
+/**
+ * Gets the UTC offset of a timezone at a given instant
+ * @param {Date} date - The instant
+ * @param {string} timeZone - The IANA timezone name
+ * @returns {number} - The offset in milliseconds (positive east of UTC)
+ */
+export function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Converts a wall-clock date and time in a timezone to a UTC instant.
+ * A time that occurs twice when the clocks go back is the first occurrence;
+ * a time skipped when they go forward is moved forward by the skipped amount.
+ * @param {string} dateString - The date as "YYYY-MM-DD"
+ * @param {string} timeString - The time as "HH:mm"
+ * @param {string} timeZone - The IANA timezone the date and time are expressed in
+ * @returns {Date|null} - The UTC instant, or null if the input is incomplete
+ */
+export function zonedTimeToUtc(dateString, timeString, timeZone) {
+  if (!dateString || !timeString) return null;
+
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hours, minutes] = timeString.split(':').map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // A timezone changes its offset at most once within a day, so the wall-clock
+  // time is read with the offsets from half a day either side of it
+  const offsetBefore = getTimeZoneOffset(new Date(wallClockAsUtc - HALF_DAY_MS), timeZone);
+  const offsetAfter = getTimeZoneOffset(new Date(wallClockAsUtc + HALF_DAY_MS), timeZone);
+  const matches = [offsetBefore, offsetAfter]
+    .filter(offset => getTimeZoneOffset(new Date(wallClockAsUtc - offset), timeZone) === offset)
+    .map(offset => wallClockAsUtc - offset);
+
+  return new Date(matches.length > 0 ? Math.min(...matches) : wallClockAsUtc - offsetBefore);
+}
+
+/**
+ * Converts a UTC instant to a wall-clock date and time in a timezone, in the
+ * format used by date and time inputs
+ * @param {Date} date - The instant
+ * @param {string} timeZone - The IANA timezone name
+ * @returns {{date: string, time: string}}
+ */
+export function utcToZonedInputs(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const pad = value => String(value).padStart(2, '0');
+
+  return {
+    date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+    time: `${pad(parts.hour)}:${pad(parts.minute)}`
+  };
+}
+
+/**
+ * Formats an instant for display
+ * @param {Date} date - The instant
+ * @param {string} [timeZone] - The timezone to display in, defaults to the viewer's browser timezone
+ * @returns {string} - e.g. "Oct 19, 2026, 8:00 PM GMT+5"
+ */
+export function formatDateTime(date, timeZone) {
+  if (!date) return 'N/A';
+
+  return date.toLocaleString('en-US', {
+    timeZone: timeZone || undefined,
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+    timeZoneName: 'short'
+  });
+}
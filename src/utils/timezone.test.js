@@ -0,0 +1,64 @@
+import { getTimeZoneOffset, zonedTimeToUtc, utcToZonedInputs, formatDateTime } from './timezone';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('getTimeZoneOffset', () => {
+  test('follows daylight saving time', () => {
+    expect(getTimeZoneOffset(new Date('2026-01-15T12:00:00Z'), 'Europe/London')).toBe(0);
+    expect(getTimeZoneOffset(new Date('2026-07-15T12:00:00Z'), 'Europe/London')).toBe(HOUR_MS);
+    expect(getTimeZoneOffset(new Date('2026-07-15T12:00:00Z'), 'America/New_York')).toBe(-4 * HOUR_MS);
+  });
+
+  test('handles zones with half-hour offsets', () => {
+    expect(getTimeZoneOffset(new Date('2026-10-19T12:00:00Z'), 'Asia/Kolkata')).toBe(5.5 * HOUR_MS);
+  });
+});
+
+describe('zonedTimeToUtc', () => {
+  test('converts a wall-clock time in a fixed-offset zone', () => {
+    expect(zonedTimeToUtc('2026-10-19', '20:00', 'Asia/Karachi').toISOString()).toBe('2026-10-19T15:00:00.000Z');
+    expect(zonedTimeToUtc('2026-10-19', '23:30', 'Asia/Kolkata').toISOString()).toBe('2026-10-19T18:00:00.000Z');
+  });
+
+  test('uses standard and daylight time on either side of a DST change', () => {
+    expect(zonedTimeToUtc('2026-01-15', '20:00', 'America/New_York').toISOString()).toBe('2026-01-16T01:00:00.000Z');
+    expect(zonedTimeToUtc('2026-07-15', '20:00', 'America/New_York').toISOString()).toBe('2026-07-16T00:00:00.000Z');
+  });
+
+  test('moves a time skipped when the clocks go forward past the gap', () => {
+    expect(zonedTimeToUtc('2026-03-08', '02:30', 'America/New_York').toISOString()).toBe('2026-03-08T07:30:00.000Z');
+    expect(zonedTimeToUtc('2026-03-29', '01:30', 'Europe/London').toISOString()).toBe('2026-03-29T01:30:00.000Z');
+  });
+
+  test('picks the first occurrence of a time repeated when the clocks go back', () => {
+    expect(zonedTimeToUtc('2026-11-01', '01:30', 'America/New_York').toISOString()).toBe('2026-11-01T05:30:00.000Z');
+    expect(zonedTimeToUtc('2026-10-25', '01:30', 'Europe/London').toISOString()).toBe('2026-10-25T00:30:00.000Z');
+  });
+
+  test('returns null for incomplete input', () => {
+    expect(zonedTimeToUtc('', '20:00', 'UTC')).toBeNull();
+    expect(zonedTimeToUtc('2026-10-19', '', 'UTC')).toBeNull();
+  });
+});
+
+describe('utcToZonedInputs', () => {
+  test('round-trips with zonedTimeToUtc across a date boundary', () => {
+    const instant = zonedTimeToUtc('2026-10-20', '01:00', 'Asia/Karachi');
+    expect(instant.toISOString()).toBe('2026-10-19T20:00:00.000Z');
+    expect(utcToZonedInputs(instant, 'Asia/Karachi')).toEqual({ date: '2026-10-20', time: '01:00' });
+  });
+
+  test('shows the wall-clock time after the clocks go forward', () => {
+    expect(utcToZonedInputs(new Date('2026-03-08T07:30:00Z'), 'America/New_York')).toEqual({ date: '2026-03-08', time: '03:30' });
+  });
+});
+
+describe('formatDateTime', () => {
+  test('formats in the given zone', () => {
+    expect(formatDateTime(new Date('2026-10-19T15:00:00Z'), 'Asia/Karachi')).toBe('Oct 19, 2026, 8:00 PM GMT+5');
+  });
+
+  test('shows N/A without a date', () => {
+    expect(formatDateTime(null)).toBe('N/A');
+  });
+});
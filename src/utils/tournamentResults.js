@@ -0,0 +1,84 @@
+/**
+ * Tournament results helpers
+ *
+ * Structured results are stored on the tournament as `playerResults`, one
+ * entry per participant:
+ *   { userId, username, placement, kills, disqualified, disqualificationReason }
+ * `placement` is null for players who have not been placed.
+ */
+
+/**
+ * Builds the editable results for a tournament: one row per participant,
+ * prefilled from any results already saved
+ * @param {Object} tournament - The tournament document data
+ * @returns {Array<Object>}
+ */
+export function buildResultRows(tournament) {
+  const savedResults = tournament?.playerResults || [];
+
+  return (tournament?.participants || []).map(participant => {
+    const saved = savedResults.find(result => result.userId === participant.userId) || {};
+
+    return {
+      userId: participant.userId,
+      username: participant.username || participant.email || 'Unknown',
+      placement: saved.placement ?? '',
+      kills: saved.kills ?? 0,
+      disqualified: saved.disqualified || false,
+      disqualificationReason: saved.disqualificationReason || ''
+    };
+  });
+}
+
+/**
+ * Validates and normalizes edited result rows before they are saved
+ * @param {Array<Object>} rows - The rows from the results editor
+ * @returns {Array<Object>} - The results to store
+ * @throws {Error} If a placement or kill count is invalid or a placement is used twice
+ */
+export function normalizeResults(rows) {
+  const usedPlacements = new Set();
+
+  return rows.map(row => {
+    const placement = row.disqualified || row.placement === '' || row.placement === null
+      ? null
+      : Number(row.placement);
+    const kills = Number(row.kills) || 0;
+
+    if (placement !== null && (!Number.isInteger(placement) || placement < 1 || placement > rows.length)) {
+      throw new Error(`Placement for ${row.username} must be between 1 and ${rows.length}`);
+    }
+    if (!Number.isInteger(kills) || kills < 0) {
+      throw new Error(`Kills for ${row.username} must be a whole number of 0 or more`);
+    }
+    if (placement !== null && usedPlacements.has(placement)) {
+      throw new Error(`Placement ${placement} is assigned to more than one player`);
+    }
+    if (placement !== null) usedPlacements.add(placement);
+
+    return {
+      userId: row.userId,
+      username: row.username,
+      placement,
+      kills,
+      disqualified: Boolean(row.disqualified),
+      disqualificationReason: row.disqualified ? row.disqualificationReason : ''
+    };
+  });
+}
+
+/**
+ * Orders results for display: placed players by placement, then unplaced
+ * players by kills, then disqualified players
+ * @param {Array<Object>} results - The tournament's `playerResults`
+ * @returns {Array<Object>}
+ */
+export function rankResults(results) {
+  const group = result => (result.disqualified ? 2 : result.placement === null ? 1 : 0);
+
+  return [...(results || [])].sort((a, b) =>
+    group(a) - group(b) ||
+    (a.placement ?? 0) - (b.placement ?? 0) ||
+    b.kills - a.kills
+  );
+}
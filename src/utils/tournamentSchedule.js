@@ -0,0 +1,147 @@
+/**
+ * Tournament lifecycle schedule helpers
+ *
+ * Each tournament carries its own expected match duration, check-in window
+ * and grace period. These helpers resolve those settings (falling back to
+ * defaults for older documents) and compute the moments at which the
+ * tournament moves through its lifecycle.
+ *
+ * The scheduler requires this module as well (see scheduler/lib/schedule.js),
+ * so keep its imports fully specified and free of browser-only APIs.
+ */
+import { LEGACY_TIMEZONE, zonedTimeToUtc, formatDateTime } from './timezone.js';
+import { getEntryCount } from './teams.js';
+
+// Defaults match the behaviour of tournaments created before per-tournament
+// schedules existed (auto-complete 10 minutes after going live)
+export const DEFAULT_MATCH_DURATION_MINUTES = 10;
+export const DEFAULT_CHECK_IN_WINDOW_MINUTES = 0;
+export const DEFAULT_GRACE_PERIOD_MINUTES = 0;
+// No minimum headcount unless the organizer sets one
+export const DEFAULT_MIN_PARTICIPANTS = 0;
+// Players can leave with a refund until an hour before the start time.
+// firestore.rules enforces the same default; keep the two in sync.
+export const DEFAULT_LEAVE_CUTOFF_MINUTES = 60;
+
+export const MINUTE_MS = 60 * 1000;
+
+function toNonNegativeNumber(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * Resolves the lifecycle settings of a tournament
+ * @param {Object} tournament - The tournament document data
+ * @returns {{matchDurationMinutes: number, checkInWindowMinutes: number, gracePeriodMinutes: number, leaveCutoffMinutes: number}}
+ */
+export function getLifecycleSettings(tournament) {
+  return {
+    matchDurationMinutes: toNonNegativeNumber(tournament?.matchDurationMinutes, DEFAULT_MATCH_DURATION_MINUTES),
+    checkInWindowMinutes: toNonNegativeNumber(tournament?.checkInWindowMinutes, DEFAULT_CHECK_IN_WINDOW_MINUTES),
+    gracePeriodMinutes: toNonNegativeNumber(tournament?.gracePeriodMinutes, DEFAULT_GRACE_PERIOD_MINUTES),
+    leaveCutoffMinutes: toNonNegativeNumber(tournament?.leaveCutoffMinutes, DEFAULT_LEAVE_CUTOFF_MINUTES)
+  };
+}
+
+/**
+ * Gets how many more entries must join before a tournament reaches its
+ * minimum headcount. Like `maxParticipants`, the minimum counts teams in team
+ * tournaments and players otherwise.
+ * @param {Object} tournament - The tournament document data
+ * @returns {number} - 0 once the threshold is met or if the tournament has none
+ */
+export function getEntriesNeeded(tournament) {
+  const minParticipants = toNonNegativeNumber(tournament?.minParticipants, DEFAULT_MIN_PARTICIPANTS);
+  return Math.max(0, minParticipants - getEntryCount(tournament || {}));
+}
+
+/**
+ * Gets the wall-clock date of a legacy `tournamentDate` field as "YYYY-MM-DD".
+ * Legacy dates were stored as midnight UTC of the chosen date.
+ * @param {Object} tournamentDate - A Firestore Timestamp, Date or date string
+ * @returns {string}
+ */
+export function getLegacyDateString(tournamentDate) {
+  const date = tournamentDate.toDate ? tournamentDate.toDate() : new Date(tournamentDate);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Gets the scheduled start time of a tournament
+ * @param {Object} tournament - The tournament document data
+ * @returns {Date|null} - The start instant, or null if the tournament has no schedule
+ */
+export function getTournamentStartTime(tournament) {
+  if (tournament?.startAt) {
+    return tournament.startAt.toDate ? tournament.startAt.toDate() : new Date(tournament.startAt);
+  }
+
+  // Tournaments that have not been migrated yet still carry a separate date and time
+  if (!tournament?.tournamentDate || !tournament?.tournamentTime) return null;
+
+  return zonedTimeToUtc(
+    getLegacyDateString(tournament.tournamentDate),
+    tournament.tournamentTime,
+    tournament.timezone || LEGACY_TIMEZONE
+  );
+}
+
+/**
+ * Formats the start time of a tournament for display
+ * @param {Object} tournament - The tournament document data
+ * @param {string} [timeZone] - The timezone to display in, defaults to the viewer's browser timezone
+ * @returns {string}
+ */
+export function formatTournamentStart(tournament, timeZone) {
+  return formatDateTime(getTournamentStartTime(tournament), timeZone);
+}
+
+/**
+ * Computes the lifecycle schedule of a tournament
+ * @param {Object} tournament - The tournament document data
+ * @returns {{startsAt: Date, checkInOpensAt: Date, leaveClosesAt: Date, endsAt: Date}|null} - The schedule, or null if the tournament has no start time
+ */
+export function getTournamentSchedule(tournament) {
+  const startsAt = getTournamentStartTime(tournament);
+  if (!startsAt) return null;
+
+  const { matchDurationMinutes, checkInWindowMinutes, gracePeriodMinutes, leaveCutoffMinutes } = getLifecycleSettings(tournament);
+
+  return {
+    startsAt,
+    checkInOpensAt: new Date(startsAt.getTime() - checkInWindowMinutes * MINUTE_MS),
+    leaveClosesAt: new Date(startsAt.getTime() - leaveCutoffMinutes * MINUTE_MS),
+    endsAt: new Date(startsAt.getTime() + (matchDurationMinutes + gracePeriodMinutes) * MINUTE_MS)
+  };
+}
+
+/**
+ * Checks whether an upcoming tournament is inside its check-in window.
+ * Registration closes once check-in opens.
+ * @param {Object} tournament - The tournament document data
+ * @param {Date} [now] - The current time
+ * @returns {boolean}
+ */
+export function isCheckInOpen(tournament, now = new Date()) {
+  if (tournament?.status !== 'upcoming') return false;
+
+  const schedule = getTournamentSchedule(tournament);
+  if (!schedule || schedule.checkInOpensAt.getTime() === schedule.startsAt.getTime()) return false;
+
+  return now >= schedule.checkInOpensAt;
+}
+
+/**
+ * Checks whether players can still leave an upcoming tournament with a refund.
+ * Leaving closes `leaveCutoffMinutes` before the start time.
+ * @param {Object} tournament - The tournament document data
+ * @param {Date} [now] - The current time
+ * @returns {boolean}
+ */
+export function canLeaveTournament(tournament, now = new Date()) {
+  if (tournament?.status !== 'upcoming') return false;
+
+  const schedule = getTournamentSchedule(tournament);
+  return Boolean(schedule) && now < schedule.leaveClosesAt;
+}
@@ -0,0 +1,23 @@
+import { getEntriesNeeded } from './tournamentSchedule';
+
+describe('getEntriesNeeded', () => {
+  test('counts players in solo tournaments', () => {
+    const tournament = { minParticipants: 4, participants: [{ userId: 'a' }, { userId: 'b' }] };
+    expect(getEntriesNeeded(tournament)).toBe(2);
+  });
+
+  test('counts teams, not their players, in team tournaments', () => {
+    const tournament = {
+      teamSize: 2,
+      minParticipants: 3,
+      teams: [{ id: 't1' }, { id: 't2' }],
+      participants: [{ userId: 'a' }, { userId: 'b' }, { userId: 'c' }, { userId: 'd' }]
+    };
+    expect(getEntriesNeeded(tournament)).toBe(1);
+  });
+
+  test('is 0 once the minimum is met or without a minimum', () => {
+    expect(getEntriesNeeded({ minParticipants: 1, participants: [{ userId: 'a' }, { userId: 'b' }] })).toBe(0);
+    expect(getEntriesNeeded({ participants: [] })).toBe(0);
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Wallet reconciliation helpers
+ *
+ * A user's expected balance is recomputed from the records behind every
+ * wallet change: approved `rechargeRequests` and `withdrawalRequests`, entry
+ * fees of `tournaments` participants (including entries later refunded or
+ * forfeited), `refunds`, prize `rewards`, applied `walletAdjustments`, credit
+ * `promoRedemptions` and rewarded `referrals`.
+ *
+ * Each record is also matched to the `transactions` ledger by user, entry type
+ * and referenced document. Records from before a user's ledger was opened
+ * have no entries; their effect is in the user's opening balance.
+ */
+import { getEntryFeePaid } from './prizeDistribution';
+import { getTransactionTypeLabel } from './walletStatement';
+
+export const RECONCILIATION_ISSUES = {
+  balance: 'Stored balance differs',
+  missing_entry: 'No wallet change recorded',
+  missing_record: 'No source record',
+  amount: 'Amounts differ'
+};
+
+// Refunds of entries that are no longer in the tournament's participants
+const REMOVED_ENTRY_REFUND_TYPES = ['left_tournament', 'participant_removed'];
+
+// Source amounts are whole rupees, so anything smaller is rounding
+const TOLERANCE = 0.005;
+
+function toMillis(value) {
+  if (!value) return null;
+  if (value.toMillis) return value.toMillis();
+  const millis = new Date(value).getTime();
+  return Number.isNaN(millis) ? null : millis;
+}
+
+/**
+ * Gets the wallet changes the source records say each user should have had
+ * @param {Object} records - The source collections, each an array of documents with `id`
+ * @returns {Array<{userId: string, type: string, referenceId: string, amount: number, date: number|null, source: string}>}
+ */
+export function getSourceMovements(records) {
+  const movements = [];
+  const add = (userId, type, referenceId, amount, date, source) => {
+    if (userId && amount) {
+      movements.push({ userId, type, referenceId, amount, date: toMillis(date), source });
+    }
+  };
+
+  (records.rechargeRequests || [])
+    .filter(request => request.status === 'approved')
+    .forEach(request => add(request.userId, 'recharge', request.id, Number(request.amount) || 0,
+      request.processedDate, `rechargeRequests/${request.id}`));
+
+  (records.withdrawalRequests || [])
+    .filter(request => request.status === 'approved')
+    .forEach(request => add(request.userId, 'withdrawal', request.id, -(Number(request.amount) || 0),
+      request.processedDate, `withdrawalRequests/${request.id}`));
+
+  (records.tournaments || []).forEach(tournament => {
+    (tournament.participants || []).forEach(participant => add(participant.userId, 'tournament_entry', tournament.id,
+      -getEntryFeePaid(tournament, participant), participant.joinedAt, `tournaments/${tournament.id}`));
+
+    (tournament.forfeitedEntries || []).forEach(entry => add(entry.userId, 'tournament_entry', tournament.id,
+      -entry.entryFeePaid, entry.removedAt, `tournaments/${tournament.id}`));
+  });
+
+  (records.refunds || []).forEach(refund => {
+    add(refund.userId, 'tournament_refund', refund.tournamentId, refund.amount, refund.timestamp, `refunds/${refund.id}`);
+
+    // The refunded fee was paid on joining, but the entry is gone from the participants
+    if (REMOVED_ENTRY_REFUND_TYPES.includes(refund.type)) {
+      add(refund.userId, 'tournament_entry', refund.tournamentId, -refund.amount, refund.timestamp, `refunds/${refund.id}`);
+    }
+  });
+
+  const ledgerOpenedAt = new Map((records.users || []).map(user => [user.id, toMillis(user.ledgerOpenedAt)]));
+
+  (records.rewards || []).forEach(reward => {
+    const date = toMillis(reward.timestamp);
+    const openedAt = ledgerOpenedAt.get(reward.userId);
+
+    // Admin prize credits since the ledger also have an adjustment record, which is what counts
+    if (!reward.tournamentId && openedAt && date !== null && date >= openedAt) return;
+
+    add(reward.userId, 'prize', reward.tournamentId || reward.id, reward.amount, date, `rewards/${reward.id}`);
+  });
+
+  (records.walletAdjustments || [])
+    .filter(adjustment => adjustment.status === 'applied')
+    .forEach(adjustment => add(adjustment.userId, 'admin_adjustment', adjustment.id,
+      adjustment.direction === 'debit' ? -adjustment.amount : adjustment.amount,
+      adjustment.appliedAt, `walletAdjustments/${adjustment.id}`));
+
+  (records.promoRedemptions || [])
+    .filter(redemption => redemption.type !== 'free_entry')
+    .forEach(redemption => add(redemption.userId, 'promo', redemption.referenceId, redemption.amount,
+      redemption.createdAt, `promoRedemptions/${redemption.id}`));
+
+  (records.referrals || [])
+    .filter(referral => referral.status === 'rewarded')
+    .forEach(referral => add(referral.referrerId, 'referral_reward', referral.id, referral.rewardAmount,
+      referral.processedAt, `referrals/${referral.id}`));
+
+  return movements;
+}
+
+/**
+ * Recomputes every user's balance from the source records and matches the
+ * records to the ledger
+ * @param {Object} records - The collections, each an array of documents with `id`: users,
+ *   transactions, rechargeRequests, withdrawalRequests, tournaments, refunds, rewards,
+ *   walletAdjustments, promoRedemptions and referrals
+ * @returns {{balances: Array<Object>, orphans: Array<Object>, totals: Object}} - `balances` has
+ *   every user whose stored balance differs from the expected one, `orphans` every source record
+ *   without the matching ledger entries and every ledger entry without a source record
+ */
+export function reconcileWallets(records) {
+  const users = new Map((records.users || []).map(user => [user.id, user]));
+  const movements = getSourceMovements(records);
+  const entries = (records.transactions || []).filter(entry => entry.type !== 'opening_balance');
+
+  const expected = new Map();
+  const groups = new Map();
+  const groupFor = (userId, type, referenceId) => {
+    const key = `${userId}|${type}|${referenceId}`;
+    if (!groups.has(key)) {
+      groups.set(key, { userId, type, referenceId, movements: [], ledgerAmount: 0, entryCount: 0 });
+    }
+    return groups.get(key);
+  };
+
+  movements.forEach(movement => {
+    expected.set(movement.userId, (expected.get(movement.userId) || 0) + movement.amount);
+    groupFor(movement.userId, movement.type, movement.referenceId).movements.push(movement);
+  });
+
+  const ledger = new Map();
+  (records.transactions || []).forEach(entry => {
+    ledger.set(entry.userId, (ledger.get(entry.userId) || 0) + entry.amount);
+  });
+  entries.forEach(entry => {
+    const group = groupFor(entry.userId, entry.type, entry.referenceId);
+    group.ledgerAmount += entry.amount;
+    group.entryCount++;
+  });
+
+  const getEmail = (userId) => users.get(userId)?.email || null;
+
+  const balances = [...new Set([...users.keys(), ...expected.keys()])]
+    .map(userId => {
+      const storedBalance = users.get(userId)?.walletBalance || 0;
+      const expectedBalance = expected.get(userId) || 0;
+
+      return {
+        userId,
+        email: getEmail(userId),
+        userExists: users.has(userId),
+        storedBalance,
+        expectedBalance,
+        ledgerBalance: ledger.has(userId) ? ledger.get(userId) : null,
+        difference: storedBalance - expectedBalance
+      };
+    })
+    .filter(balance => Math.abs(balance.difference) > TOLERANCE)
+    .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+
+  const orphans = [];
+  groups.forEach(group => {
+    const sourceAmount = group.movements.reduce((sum, movement) => sum + movement.amount, 0);
+    if (Math.abs(sourceAmount - group.ledgerAmount) <= TOLERANCE) return;
+
+    const openedAt = toMillis(users.get(group.userId)?.ledgerOpenedAt);
+    const isBeforeLedger = (movement) => !openedAt || movement.date === null || movement.date < openedAt;
+
+    // Only records since the ledger was opened have entries
+    const ledgerEraAmount = group.movements
+      .filter(movement => !isBeforeLedger(movement))
+      .reduce((sum, movement) => sum + movement.amount, 0);
+    if (Math.abs(ledgerEraAmount - group.ledgerAmount) <= TOLERANCE) return;
+
+    let issue = 'amount';
+    if (group.entryCount === 0) issue = 'missing_entry';
+    else if (group.movements.length === 0) issue = 'missing_record';
+
+    orphans.push({
+      userId: group.userId,
+      email: getEmail(group.userId),
+      type: group.type,
+      referenceId: group.referenceId,
+      sources: [...new Set(group.movements.map(movement => movement.source))],
+      sourceAmount,
+      ledgerAmount: group.ledgerAmount,
+      issue
+    });
+  });
+
+  const storedTotal = [...users.values()].reduce((sum, user) => sum + (user.walletBalance || 0), 0);
+  const expectedTotal = [...expected.values()].reduce((sum, amount) => sum + amount, 0);
+
+  return {
+    balances,
+    orphans,
+    totals: {
+      userCount: users.size,
+      storedTotal,
+      expectedTotal,
+      difference: storedTotal - expectedTotal
+    }
+  };
+}
+
+function toCsvField(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds a CSV of the discrepancies, balances first
+ * @param {Object} reconciliation - The result of reconcileWallets
+ * @returns {string}
+ */
+export function buildReconciliationCsv({ balances, orphans }) {
+  const header = ['Issue', 'User ID', 'Email', 'Reference', 'Records', 'Expected', 'Actual', 'Difference'];
+
+  const balanceRows = balances.map(balance => [
+    RECONCILIATION_ISSUES.balance,
+    balance.userId,
+    balance.email,
+    '',
+    '',
+    balance.expectedBalance,
+    balance.storedBalance,
+    balance.difference
+  ]);
+
+  const orphanRows = orphans.map(orphan => [
+    RECONCILIATION_ISSUES[orphan.issue],
+    orphan.userId,
+    orphan.email,
+    `${getTransactionTypeLabel(orphan.type)} ${orphan.referenceId}`,
+    orphan.sources.join(' '),
+    orphan.sourceAmount,
+    orphan.ledgerAmount,
+    orphan.ledgerAmount - orphan.sourceAmount
+  ]);
+
+  return [header, ...balanceRows, ...orphanRows].map(row => row.map(toCsvField).join(',')).join('\n');
+}
@@ -0,0 +1,146 @@
+import { getSourceMovements, reconcileWallets, buildReconciliationCsv } from './walletReconciliation';
+
+const OPENED_AT = '2026-10-01T00:00:00.000Z';
+
+const entry = (userId, type, referenceId, amount) => ({ id: `${type}-${referenceId}`, userId, type, referenceId, amount });
+
+describe('getSourceMovements', () => {
+  test('counts only approved recharges and withdrawals', () => {
+    const movements = getSourceMovements({
+      rechargeRequests: [
+        { id: 'r1', userId: 'u1', status: 'approved', amount: 500 },
+        { id: 'r2', userId: 'u1', status: 'pending', amount: 900 }
+      ],
+      withdrawalRequests: [{ id: 'w1', userId: 'u1', status: 'approved', amount: 300 }]
+    });
+
+    expect(movements.map(movement => [movement.type, movement.amount])).toEqual([['recharge', 500], ['withdrawal', -300]]);
+  });
+
+  test('charges the entry fee of current, forfeited and refunded-on-leaving entries', () => {
+    const movements = getSourceMovements({
+      tournaments: [{
+        id: 't1',
+        entryFee: 100,
+        participants: [{ userId: 'u1' }, { userId: 'u2', entryFeePaid: 50 }],
+        forfeitedEntries: [{ userId: 'u3', entryFeePaid: 100 }]
+      }],
+      refunds: [{ id: 'f1', userId: 'u4', tournamentId: 't1', amount: 100, type: 'left_tournament' }]
+    });
+
+    expect(movements.filter(movement => movement.type === 'tournament_entry').map(movement => [movement.userId, movement.amount]))
+      .toEqual([['u1', -100], ['u2', -50], ['u3', -100], ['u4', -100]]);
+    expect(movements.find(movement => movement.type === 'tournament_refund')).toMatchObject({ userId: 'u4', amount: 100 });
+  });
+
+  test('leaves out admin prize rewards since the ledger, which count as adjustments', () => {
+    const movements = getSourceMovements({
+      users: [{ id: 'u1', ledgerOpenedAt: OPENED_AT }],
+      rewards: [
+        { id: 'p1', userId: 'u1', amount: 200, timestamp: '2026-10-05T00:00:00.000Z' },
+        { id: 'p2', userId: 'u1', amount: 100, timestamp: '2026-09-05T00:00:00.000Z' },
+        { id: 'p3', userId: 'u1', amount: 300, tournamentId: 't1', timestamp: '2026-10-05T00:00:00.000Z' }
+      ]
+    });
+
+    expect(movements.map(movement => movement.referenceId)).toEqual(['p2', 't1']);
+  });
+
+  test('ignores free entry redemptions, which move no money', () => {
+    const movements = getSourceMovements({
+      promoRedemptions: [
+        { id: 'm1', userId: 'u1', type: 'free_entry', amount: 100, referenceId: 't1' },
+        { id: 'm2', userId: 'u1', type: 'wallet_credit', amount: 50, referenceId: 'CODE' }
+      ]
+    });
+
+    expect(movements).toEqual([expect.objectContaining({ type: 'promo', amount: 50 })]);
+  });
+});
+
+describe('reconcileWallets', () => {
+  const records = {
+    users: [
+      { id: 'u1', email: 'one@example.com', walletBalance: 400, ledgerOpenedAt: OPENED_AT },
+      { id: 'u2', email: 'two@example.com', walletBalance: 1000, ledgerOpenedAt: OPENED_AT }
+    ],
+    rechargeRequests: [
+      { id: 'r1', userId: 'u1', status: 'approved', amount: 500, processedDate: '2026-10-02T00:00:00.000Z' },
+      { id: 'r2', userId: 'u2', status: 'approved', amount: 700, processedDate: '2026-10-02T00:00:00.000Z' }
+    ],
+    tournaments: [{ id: 't1', entryFee: 100, participants: [{ userId: 'u1', joinedAt: '2026-10-03T00:00:00.000Z' }] }],
+    transactions: [
+      entry('u1', 'recharge', 'r1', 500),
+      entry('u1', 'tournament_entry', 't1', -100),
+      entry('u2', 'recharge', 'r2', 700)
+    ]
+  };
+
+  test('reports nothing when the balances and the ledger match the records', () => {
+    const { balances, orphans } = reconcileWallets({
+      ...records,
+      users: [records.users[0]],
+      rechargeRequests: [records.rechargeRequests[0]],
+      transactions: records.transactions.slice(0, 2)
+    });
+    expect(balances).toEqual([]);
+    expect(orphans).toEqual([]);
+  });
+
+  test('lists users whose stored balance differs, largest difference first', () => {
+    const { balances, totals } = reconcileWallets(records);
+    expect(balances).toEqual([expect.objectContaining({
+      userId: 'u2',
+      storedBalance: 1000,
+      expectedBalance: 700,
+      ledgerBalance: 700,
+      difference: 300
+    })]);
+    expect(totals).toEqual({ userCount: 2, storedTotal: 1400, expectedTotal: 1100, difference: 300 });
+  });
+
+  test('flags records without ledger entries and entries without records', () => {
+    const { orphans } = reconcileWallets({
+      ...records,
+      transactions: [entry('u1', 'recharge', 'r1', 500), entry('u2', 'recharge', 'r2', 700), entry('u2', 'promo', 'CODE', 50)]
+    });
+
+    expect(orphans.map(orphan => [orphan.userId, orphan.type, orphan.issue])).toEqual([
+      ['u1', 'tournament_entry', 'missing_entry'],
+      ['u2', 'promo', 'missing_record']
+    ]);
+  });
+
+  test('flags entries whose amount differs from the record', () => {
+    const { orphans } = reconcileWallets({ ...records, transactions: [...records.transactions.slice(1), entry('u1', 'recharge', 'r1', 450)] });
+    expect(orphans).toEqual([expect.objectContaining({ type: 'recharge', sourceAmount: 500, ledgerAmount: 450, issue: 'amount' })]);
+  });
+
+  test('does not expect ledger entries for records from before the ledger was opened', () => {
+    const { orphans } = reconcileWallets({
+      ...records,
+      rechargeRequests: [...records.rechargeRequests, { id: 'r0', userId: 'u1', status: 'approved', amount: 50, processedDate: '2026-09-01T00:00:00.000Z' }]
+    });
+    expect(orphans).toEqual([]);
+  });
+
+  test('ignores opening balance entries', () => {
+    const { orphans } = reconcileWallets({ ...records, transactions: [...records.transactions, entry('u1', 'opening_balance', null, 50)] });
+    expect(orphans).toEqual([]);
+  });
+});
+
+describe('buildReconciliationCsv', () => {
+  test('lists balances first and quotes fields with commas', () => {
+    const csv = buildReconciliationCsv({
+      balances: [{ userId: 'u1', email: 'a,b@example.com', expectedBalance: 100, storedBalance: 150, difference: 50 }],
+      orphans: [{ userId: 'u2', email: null, type: 'recharge', referenceId: 'r1', sources: ['rechargeRequests/r1'], sourceAmount: 500, ledgerAmount: 0, issue: 'missing_entry' }]
+    });
+
+    expect(csv.split('\n')).toEqual([
+      'Issue,User ID,Email,Reference,Records,Expected,Actual,Difference',
+      'Stored balance differs,u1,"a,b@example.com",,,100,150,50',
+      'No wallet change recorded,u2,,Recharge r1,rechargeRequests/r1,500,0,-500'
+    ]);
+  });
+});
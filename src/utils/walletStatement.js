@@ -0,0 +1,106 @@
+/**
+ * Wallet statement helpers
+ *
+ * A statement is built from the user's `transactions` ledger entries, which
+ * already carry the balance before and after each credit or debit.
+ */
+
+export const TRANSACTION_TYPE_LABELS = {
+  opening_balance: 'Opening balance',
+  recharge: 'Recharge',
+  withdrawal: 'Withdrawal',
+  tournament_entry: 'Entry fee',
+  tournament_refund: 'Refund',
+  prize: 'Prize',
+  admin_adjustment: 'Admin adjustment',
+  promo: 'Promo',
+  referral_reward: 'Referral reward'
+};
+
+/**
+ * Gets the display label of a ledger entry type
+ * @param {string} type - The entry type
+ * @returns {string}
+ */
+export function getTransactionTypeLabel(type) {
+  return TRANSACTION_TYPE_LABELS[type] || type;
+}
+
+/**
+ * Gets the date of a ledger entry
+ * @param {Object} entry - The ledger entry
+ * @returns {Date|null} - null while the server timestamp is pending
+ */
+export function getEntryDate(entry) {
+  return entry.createdAt?.toDate ? entry.createdAt.toDate() : null;
+}
+
+/**
+ * Filters ledger entries by date range and type
+ * @param {Array<Object>} entries - The ledger entries
+ * @param {Object} filters - The statement filters
+ * @param {string} [filters.from] - The first day to include, as YYYY-MM-DD in the viewer's timezone
+ * @param {string} [filters.to] - The last day to include, as YYYY-MM-DD in the viewer's timezone
+ * @param {string} [filters.type] - The entry type to include, or 'all'
+ * @returns {Array<Object>}
+ */
+export function filterStatement(entries, { from, to, type } = {}) {
+  const start = from ? new Date(`${from}T00:00:00`) : null;
+  const end = to ? new Date(`${to}T23:59:59.999`) : null;
+
+  return entries.filter(entry => {
+    const date = getEntryDate(entry);
+
+    if (start && (!date || date < start)) return false;
+    if (end && date && date > end) return false;
+    if (type && type !== 'all' && entry.type !== type) return false;
+    return true;
+  });
+}
+
+/**
+ * Summarises a statement period
+ * @param {Array<Object>} entries - The ledger entries in the period, newest first
+ * @returns {{openingBalance: number, closingBalance: number, totalCredits: number, totalDebits: number}}
+ */
+export function summarizeStatement(entries) {
+  if (entries.length === 0) {
+    return { openingBalance: 0, closingBalance: 0, totalCredits: 0, totalDebits: 0 };
+  }
+
+  return {
+    openingBalance: entries[entries.length - 1].balanceBefore,
+    closingBalance: entries[0].balanceAfter,
+    totalCredits: entries.filter(entry => entry.amount > 0).reduce((sum, entry) => sum + entry.amount, 0),
+    totalDebits: entries.filter(entry => entry.amount < 0).reduce((sum, entry) => sum - entry.amount, 0)
+  };
+}
+
+function toCsvField(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds a CSV statement, oldest entry first
+ * @param {Array<Object>} entries - The ledger entries, newest first
+ * @returns {string}
+ */
+export function buildStatementCsv(entries) {
+  const header = ['Date', 'Type', 'Description', 'Reference', 'Amount', 'Balance'];
+
+  const rows = [...entries].reverse().map(entry => {
+    const date = getEntryDate(entry);
+
+    return [
+      date ? date.toISOString() : '',
+      getTransactionTypeLabel(entry.type),
+      entry.description,
+      entry.referenceId ? `${entry.referenceType}:${entry.referenceId}` : '',
+      entry.amount,
+      entry.balanceAfter
+    ];
+  });
+
+  return [header, ...rows].map(row => row.map(toCsvField).join(',')).join('\n');
+}